@@ -0,0 +1,180 @@
+//
+// Edit history module
+// Shared undo/redo for the map tools. Before each change a tool calls record(),
+// which stores a snapshot of the drawing state; undo and redo swap snapshots.
+// The drawing module supplies how state is captured and restored.
+//
+
+(function(window) {
+  'use strict';
+
+  // Oldest entries are dropped beyond this so long sessions don't hold every snapshot
+  const MAX_ENTRIES = 100;
+
+  // Changes with the same merge key within this time are undone together,
+  // e.g. typing a comment or a form change that sets several properties
+  const MERGE_WINDOW_MS = 1500;
+
+  let captureState = null;
+  let restoreState = null;
+  let onChange = null;
+
+  let undoStack = [];  // { label, state, mergeKey, time }
+  let redoStack = [];  // { label, state }
+  let isRestoring = false;
+
+  /**
+   * Initialize the history
+   * @param {Object} config
+   * @param {Function} config.capture - Returns a snapshot of the current state
+   * @param {Function} config.restore - Restores a snapshot returned by capture
+   * @param {Function} config.onChange - Called with { canUndo, canRedo, undoLabel, redoLabel } when the history changes
+   */
+  function init(config) {
+    captureState = config.capture;
+    restoreState = config.restore;
+    onChange = config.onChange || null;
+
+    document.addEventListener('keydown', handleKeyDown);
+
+    clear();
+    console.log('✓ Edit history initialized');
+  }
+
+  /**
+   * Record the current state before a change is made
+   * @param {string} label - Description of the change, e.g. 'Move vertex'
+   * @param {string} mergeKey - Optional key; repeated changes with the same key are merged
+   */
+  function record(label, mergeKey) {
+    if (!captureState || isRestoring) {
+      return;
+    }
+
+    const now = Date.now();
+    const last = undoStack[undoStack.length - 1];
+    if (mergeKey && last && last.mergeKey === mergeKey && now - last.time < MERGE_WINDOW_MS) {
+      last.time = now;
+      return;
+    }
+
+    undoStack.push({ label: label, state: captureState(), mergeKey: mergeKey || null, time: now });
+    if (undoStack.length > MAX_ENTRIES) {
+      undoStack.shift();
+    }
+    redoStack = [];
+
+    notifyChange();
+  }
+
+  /**
+   * Undo the most recent change
+   * @returns {string|null} Label of the change undone, or null if there was nothing to undo
+   */
+  function undo() {
+    if (undoStack.length === 0) {
+      return null;
+    }
+
+    const entry = undoStack.pop();
+    redoStack.push({ label: entry.label, state: captureState() });
+    restore(entry.state);
+
+    console.log(`↩️ Undo: ${entry.label}`);
+    notifyChange();
+    return entry.label;
+  }
+
+  /**
+   * Redo the most recently undone change
+   * @returns {string|null} Label of the change redone, or null if there was nothing to redo
+   */
+  function redo() {
+    if (redoStack.length === 0) {
+      return null;
+    }
+
+    const entry = redoStack.pop();
+    undoStack.push({ label: entry.label, state: captureState(), mergeKey: null, time: 0 });
+    restore(entry.state);
+
+    console.log(`↪️ Redo: ${entry.label}`);
+    notifyChange();
+    return entry.label;
+  }
+
+  /**
+   * Restore a snapshot without recording the changes restoring makes
+   */
+  function restore(state) {
+    isRestoring = true;
+    try {
+      restoreState(state);
+    } finally {
+      isRestoring = false;
+    }
+  }
+
+  /**
+   * Forget all history, e.g. after loading saved data
+   */
+  function clear() {
+    undoStack = [];
+    redoStack = [];
+    notifyChange();
+  }
+
+  function canUndo() {
+    return undoStack.length > 0;
+  }
+
+  function canRedo() {
+    return redoStack.length > 0;
+  }
+
+  function notifyChange() {
+    if (onChange) {
+      onChange({
+        canUndo: canUndo(),
+        canRedo: canRedo(),
+        undoLabel: canUndo() ? undoStack[undoStack.length - 1].label : null,
+        redoLabel: canRedo() ? redoStack[redoStack.length - 1].label : null
+      });
+    }
+  }
+
+  /**
+   * Ctrl+Z to undo, Ctrl+Shift+Z (or Ctrl+Y) to redo
+   * Form fields keep their own text undo
+   */
+  function handleKeyDown(evt) {
+    if (!(evt.ctrlKey || evt.metaKey) || evt.altKey) return;
+
+    const target = evt.target;
+    if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' ||
+        target.tagName === 'SELECT' || target.isContentEditable)) {
+      return;
+    }
+
+    const key = evt.key.toLowerCase();
+    if (key === 'z' && !evt.shiftKey) {
+      evt.preventDefault();
+      undo();
+    } else if ((key === 'z' && evt.shiftKey) || key === 'y') {
+      evt.preventDefault();
+      redo();
+    }
+  }
+
+  // Export public API
+  window.EditHistory = {
+    init: init,
+    record: record,
+    undo: undo,
+    redo: redo,
+    clear: clear,
+    canUndo: canUndo,
+    canRedo: canRedo
+  };
+
+})(window);
@@ -1,7 +1,8 @@
 //
 // Fill polygon selection module for OS NGD polygon features
-// Allows users to select one or more adjacent OS polygon features
-// and merge them into a single red-line boundary
+// Allows users to select one or more OS polygon features and merge
+// them into a red-line boundary - separate areas become separate parts.
+// Can also auto-parcel the whole boundary from the OS polygons.
 //
 
 (function(window) {
@@ -26,6 +27,40 @@
     'wtr-fts-water-3'
   ];
 
+  // Auto-parcel takes the area of overlapping OS layers in this order,
+  // so sites only fill what no building, water or land polygon covers
+  const AUTO_PARCEL_LAYER_PRIORITY = ['bld-', 'wtr-', 'lnd-', 'lus-'];
+
+  // Auto-parcel pieces smaller than this are merged into a neighbour
+  const SLIVER_AREA_SQM = 1;
+
+  // Broad habitat (and habitat type where it is clear) to suggest from OS layers and descriptions.
+  // The first matching rule is used; a rule with no broadHabitat means the OS data can't tell.
+  const OS_HABITAT_SUGGESTIONS = [
+    { layerPrefix: 'bld-', broadHabitat: 'Urban', habitatType: 'Developed land; sealed surface' },
+    { layerPrefix: 'wtr-', pattern: /reservoir/, broadHabitat: 'Lakes', habitatType: 'Reservoirs' },
+    { layerPrefix: 'wtr-', broadHabitat: 'Lakes', habitatType: null },
+    { pattern: /garden/, broadHabitat: 'Urban', habitatType: 'Vegetated garden' },
+    { pattern: /cemetery|churchyard/, broadHabitat: 'Urban', habitatType: 'Cemeteries and churchyards' },
+    { pattern: /allotment/, broadHabitat: 'Urban', habitatType: 'Allotments' },
+    { pattern: /made surface|manmade|\broad\b|\btrack\b|\bpath\b|pavement|car park|building/, broadHabitat: 'Urban', habitatType: 'Developed land; sealed surface' },
+    { pattern: /orchard/, broadHabitat: 'Grassland', habitatType: 'Traditional orchard' },
+    { pattern: /non-coniferous|nonconiferous|broadleaved|broad-leaved/, broadHabitat: 'Woodland and forest', habitatType: 'Other woodland; broadleaved' },
+    { pattern: /mixed trees|mixed woodland/, broadHabitat: 'Woodland and forest', habitatType: 'Other woodland; mixed' },
+    { pattern: /coniferous/, broadHabitat: 'Woodland and forest', habitatType: 'Other coniferous woodland' },
+    { pattern: /trees|woodland/, broadHabitat: 'Woodland and forest', habitatType: null },
+    { pattern: /scrub/, broadHabitat: 'Heathland and shrub', habitatType: 'Mixed scrub' },
+    { pattern: /heath/, broadHabitat: 'Heathland and shrub', habitatType: null },
+    { pattern: /bare earth|bare ground/, broadHabitat: 'Sparsely vegetated land', habitatType: 'Bare ground' },
+    { pattern: /rock|scree|boulder/, broadHabitat: 'Sparsely vegetated land', habitatType: 'Other inland rock and scree' },
+    { pattern: /arable or grass/, broadHabitat: null, habitatType: null },
+    { pattern: /arable|cultivated/, broadHabitat: 'Cropland', habitatType: 'Arable' },
+    { pattern: /grass/, broadHabitat: 'Grassland', habitatType: null }
+  ];
+
+  // OS feature properties that describe what the land is
+  const OS_DESCRIPTION_PROPERTIES = ['description', 'oslandcovertiera', 'oslandcovertierb', 'oslandusetiera', 'oslandusetierb'];
+
   // Module state
   let map = null;
   let snapIndexSource = null;
@@ -129,9 +164,10 @@
 
     // If there's an existing polygon from SnapDrawing, capture it for adjacency checking
     if (window.SnapDrawing && window.SnapDrawing.isPolygonComplete && window.SnapDrawing.isPolygonComplete()) {
-      const existingCoords = window.SnapDrawing.getCurrentPolygonCoords();
-      if (existingCoords && existingCoords.length >= 4) {
-        existingBoundaryGeometry = new ol.geom.Polygon([existingCoords]);
+      const existingGeometry = window.SnapDrawing.getPolygonGeometry();
+      if (existingGeometry) {
+        // Clone so that holes are kept but later edits to the boundary don't leak in
+        existingBoundaryGeometry = existingGeometry.clone();
         console.log('Existing polygon captured for adjacency checking');
         
         // Show the existing boundary in preview as well
@@ -153,7 +189,7 @@
 
     console.log('✏️ Fill mode started (red-line-boundary) - click on polygons to select');
     if (existingBoundaryGeometry) {
-      console.log('Select adjacent polygons to expand, or non-adjacent to replace');
+      console.log('Select adjacent polygons to expand the boundary, or separate ones to add another part');
     }
 
     // Debug: Log available polygon features
@@ -513,25 +549,27 @@
       return;
     }
 
-    const coords = poly.getCoordinates()[0];
+    const rings = poly.getCoordinates();
+    const coords = rings[0];
 
     console.log(`Adding polygon as parcel from layer: ${polygonInfo.layerType}`);
-    console.log(`Parcel has ${coords.length - 1} vertices`);
+    console.log(`Parcel has ${coords.length - 1} vertices and ${rings.length - 1} hole(s)`);
 
     // Use SnapDrawing to add the parcel
     if (window.SnapDrawing && window.SnapDrawing.addParcelFromCoordinates) {
-      const success = window.SnapDrawing.addParcelFromCoordinates(coords);
+      const success = window.SnapDrawing.addParcelFromCoordinates(coords, rings.slice(1));
       if (success) {
         console.log('✓ Parcel added successfully');
         if (onError) {
           onError('Parcel added successfully!', 'success');
         }
         if (onParcelAdded) {
+          const areaSqM = window.Measurement.getAreaSqM(poly);
           onParcelAdded({
             geometry: poly,
             coordinates: coords,
-            area: poly.getArea(),
-            areaHectares: poly.getArea() / 10000,
+            area: areaSqM,
+            areaHectares: areaSqM / 10000,
             layerType: polygonInfo.layerType
           });
         }
@@ -549,6 +587,209 @@
     }
   }
 
+  /**
+   * Split the red-line boundary into draft parcels from the OS polygons in view.
+   * Only the area not already covered by parcels is filled, and every piece is
+   * cut from what is left, so the parcels don't overlap and leave no gaps.
+   * @returns {Object} { count: number, suggestedCount: number, error: string|null }
+   */
+  function autoParcelBoundary() {
+    const boundary = window.SnapDrawing && window.SnapDrawing.getBoundaryPolygon();
+    if (!boundary) {
+      return { count: 0, suggestedCount: 0, error: 'No red-line boundary defined. Please define a boundary first.' };
+    }
+
+    const ops = window.PolygonOperations;
+    if (!ops || !ops.isAvailable()) {
+      return { count: 0, suggestedCount: 0, error: 'The polygon operations library has not loaded. Check your connection and reload the page.' };
+    }
+
+    // OS features are only loaded for the area on screen
+    const viewExtent = map.getView().calculateExtent(map.getSize());
+    if (!ol.extent.containsExtent(viewExtent, boundary.getExtent())) {
+      return { count: 0, suggestedCount: 0, error: 'Move the map so the whole red-line boundary is in view, then try again. OS features are only loaded for the area on screen.' };
+    }
+
+    const snapSource = window.SnapDrawing.getSnapIndexSource && window.SnapDrawing.getSnapIndexSource();
+    const osFeatures = snapSource ? snapSource.getFeaturesInExtent(boundary.getExtent()).filter(feature => {
+      const geom = feature.getGeometry();
+      return geom && FILL_POLYGON_LAYERS.includes(feature.get('layerType')) &&
+        (geom.getType() === 'Polygon' || geom.getType() === 'MultiPolygon');
+    }) : [];
+
+    if (osFeatures.length === 0) {
+      return { count: 0, suggestedCount: 0, error: 'No OS land, water, building or site polygons are loaded here. Zoom in until OS features load, then try again.' };
+    }
+
+    // Only fill the part of the boundary not already covered by parcels
+    let remaining = boundary;
+    const existingParcels = window.SnapDrawing.getHabitatParcels();
+    if (existingParcels.length > 0) {
+      const result = ops.difference(boundary, ...existingParcels.map(parcel => parcel.feature.getGeometry()));
+      if (result.error) {
+        return { count: 0, suggestedCount: 0, error: result.error };
+      }
+      remaining = result.geometry;
+    }
+
+    if (!remaining || window.Measurement.getAreaSqM(remaining) < SLIVER_AREA_SQM) {
+      return { count: 0, suggestedCount: 0, error: 'The red-line boundary is already covered by parcels.' };
+    }
+
+    osFeatures.sort((a, b) => getLayerPriority(a.get('layerType')) - getLayerPriority(b.get('layerType')));
+
+    const pieces = [];  // { geometry: ol.geom.Polygon, suggestion }
+    let failedCount = 0;
+
+    osFeatures.forEach(feature => {
+      if (!remaining) return;
+
+      const result = ops.intersection(feature.getGeometry(), remaining);
+      if (result.error) {
+        failedCount++;
+        return;
+      }
+      if (!result.geometry) return;
+
+      const parts = getPolygonParts(result.geometry)
+        .filter(part => window.Measurement.getAreaSqM(part) >= SLIVER_AREA_SQM);
+      if (parts.length === 0) return;
+
+      const rest = ops.difference(remaining, ...parts);
+      if (rest.error) {
+        failedCount++;
+        return;
+      }
+      remaining = rest.geometry;
+
+      const suggestion = suggestHabitat(feature);
+      parts.forEach(part => pieces.push({ geometry: part, suggestion: suggestion }));
+    });
+
+    // Whatever no OS polygon covers becomes parcels without a suggestion,
+    // except slivers, which are merged into a neighbouring piece
+    if (remaining) {
+      getPolygonParts(remaining).forEach(part => {
+        const isSliver = window.Measurement.getAreaSqM(part) < SLIVER_AREA_SQM;
+        if (!isSliver || !mergeIntoNeighbour(part, pieces)) {
+          pieces.push({ geometry: part, suggestion: null });
+        }
+      });
+    }
+
+    if (failedCount > 0) {
+      console.warn(`⚠️ Auto-parcel skipped ${failedCount} invalid OS polygon(s)`);
+    }
+
+    const parcelsData = pieces.map(piece => ({
+      rings: piece.geometry.getCoordinates(),
+      bng: piece.suggestion ? getSuggestedBngData(piece.suggestion) : {}
+    }));
+    const count = window.SnapDrawing.addParcels(parcelsData, 'Auto-parcel');
+
+    console.log(`✓ Auto-parcel created ${count} parcels from ${osFeatures.length} OS polygons`);
+    return {
+      count: count,
+      suggestedCount: pieces.filter(piece => piece.suggestion).length,
+      error: null
+    };
+  }
+
+  /**
+   * Get the auto-parcel priority of an OS layer (lower is taken first)
+   * @param {string} layerType - OS collection id
+   * @returns {number}
+   */
+  function getLayerPriority(layerType) {
+    const index = AUTO_PARCEL_LAYER_PRIORITY.findIndex(prefix => (layerType || '').startsWith(prefix));
+    return index === -1 ? AUTO_PARCEL_LAYER_PRIORITY.length : index;
+  }
+
+  /**
+   * Get the separate polygons of a polygon or multipolygon
+   * @param {ol.geom.Polygon|ol.geom.MultiPolygon} geometry
+   * @returns {Array} Array of ol.geom.Polygon
+   */
+  function getPolygonParts(geometry) {
+    return geometry.getType() === 'MultiPolygon' ? geometry.getPolygons() : [geometry];
+  }
+
+  /**
+   * Merge a sliver into the first adjacent piece it can join without making a multi-part shape
+   * @param {ol.geom.Polygon} sliver
+   * @param {Array} pieces - Auto-parcel pieces { geometry, suggestion }
+   * @returns {boolean} True if merged
+   */
+  function mergeIntoNeighbour(sliver, pieces) {
+    if (!window.ParcelValidation || !window.ParcelValidation.arePolygonsAdjacent) return false;
+
+    for (const piece of pieces) {
+      if (!window.ParcelValidation.arePolygonsAdjacent(sliver, piece.geometry)) continue;
+
+      const result = window.PolygonOperations.union([piece.geometry, sliver]);
+      if (!result.error && result.geometry.getType() === 'Polygon') {
+        piece.geometry = result.geometry;
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Suggest a habitat for an OS polygon from its layer and description
+   * @param {ol.Feature} feature - OS polygon feature
+   * @returns {Object|null} { broadHabitat, habitatType, source } or null if the OS data can't tell
+   */
+  function suggestHabitat(feature) {
+    const layerType = feature.get('layerType') || '';
+    const description = OS_DESCRIPTION_PROPERTIES
+      .map(key => feature.get(key))
+      .filter(value => value)
+      .map(value => Array.isArray(value) ? value.join(' ') : String(value))
+      .join(' ');
+    const text = description.toLowerCase();
+
+    const rule = OS_HABITAT_SUGGESTIONS.find(r =>
+      (!r.layerPrefix || layerType.startsWith(r.layerPrefix)) && (!r.pattern || r.pattern.test(text))
+    );
+    if (!rule || !rule.broadHabitat) {
+      return null;
+    }
+
+    return {
+      broadHabitat: rule.broadHabitat,
+      habitatType: rule.habitatType,
+      source: feature.get('description') || layerType
+    };
+  }
+
+  /**
+   * Get BNG properties for a suggested habitat, marked as needing the assessor to confirm them
+   * @param {Object} suggestion - From suggestHabitat
+   * @returns {Object} BNG properties to apply over the defaults
+   */
+  function getSuggestedBngData(suggestion) {
+    const bng = {
+      broadHabitat: suggestion.broadHabitat,
+      habitatType: suggestion.habitatType,
+      suggestedFrom: suggestion.source
+    };
+
+    const attribution = window.HabitatAttribution;
+    if (suggestion.habitatType && attribution) {
+      bng.distinctiveness = attribution.getDistinctiveness(suggestion.habitatType);
+      bng.irreplaceable = attribution.isHabitatIrreplaceable(suggestion.habitatType);
+
+      // Habitats with only one possible condition (e.g. sealed surface) get it filled in
+      const conditions = attribution.getValidConditionsFor(suggestion.habitatType);
+      if (conditions.length === 1) {
+        bng.condition = conditions[0].value;
+      }
+    }
+
+    return bng;
+  }
+
   /**
    * Handle hover events in fill mode to show potential selection
    * @param {ol.MapBrowserEvent} evt
@@ -689,13 +930,10 @@
       if (selectedPolygons.length > 0 || existingBoundaryGeometry) {
         const isAdjacent = checkAdjacencyWithSelection(polygonInfo.geometry);
         if (!isAdjacent) {
-          // Not adjacent - clear existing selection and existing boundary
-          console.log('Selected polygon is not adjacent - replacing existing selection and boundary');
-          selectedPolygons = [];
-          existingBoundaryGeometry = null;  // Clear the existing boundary reference
-          previewSource.clear();
+          // Not adjacent - the boundary can have several parts, so keep it as a separate part
+          console.log('Selected polygon is not adjacent - it will be a separate part of the boundary');
           if (onError) {
-            onError('New polygon selected. Previous boundary cleared as it was not adjacent.', 'info');
+            onError('This area does not touch the rest of the selection, so it will be a separate part of the boundary.', 'info');
           }
         } else if (existingBoundaryGeometry && selectedPolygons.length === 0) {
           // First selection that IS adjacent to existing boundary
@@ -709,7 +947,7 @@
       
       const totalPolygons = selectedPolygons.length + (existingBoundaryGeometry ? 1 : 0);
       if (totalPolygons > 1) {
-        console.log(`Now have ${totalPolygons} adjacent polygons - they will be merged`);
+        console.log(`Now have ${totalPolygons} polygons - they will be merged`);
       }
     }
 
@@ -887,7 +1125,7 @@
 
     // Include existing boundary in area calculation if present
     if (existingBoundaryGeometry) {
-      totalArea += existingBoundaryGeometry.getArea();
+      totalArea += window.Measurement.getAreaSqM(existingBoundaryGeometry);
       count++;
     }
 
@@ -907,28 +1145,22 @@
   }
 
   /**
-   * Get area of a polygon geometry
+   * Get the ground area of a polygon geometry (measured in British National Grid)
    * @param {ol.geom.Geometry} geometry
    * @returns {number} Area in square meters
    */
   function getPolygonArea(geometry) {
     const type = geometry.getType();
-    if (type === 'Polygon') {
-      return geometry.getArea();
-    } else if (type === 'MultiPolygon') {
-      let total = 0;
-      geometry.getPolygons().forEach(poly => {
-        total += poly.getArea();
-      });
-      return total;
+    if (type === 'Polygon' || type === 'MultiPolygon') {
+      return window.Measurement.getAreaSqM(geometry);
     }
     return 0;
   }
 
   /**
-   * Merge selected polygons into a single polygon
+   * Merge selected polygons into a single geometry
    * Also includes the existing boundary if present
-   * @returns {ol.geom.Polygon|null} Merged polygon or null if merge fails
+   * @returns {Object} { geometry: ol.geom.Polygon|ol.geom.MultiPolygon|null, error: string|null }
    */
   function mergeSelectedPolygons() {
     // Collect all polygons to merge (existing boundary + selections)
@@ -939,235 +1171,26 @@
       allPolygonsToMerge.push(existingBoundaryGeometry);
     }
 
-    // Add selected polygons
+    // Add selected polygons, keeping every part of multipart features
     for (const selected of selectedPolygons) {
-      const poly = geometryToPolygon(selected.geometry);
-      if (poly) {
-        allPolygonsToMerge.push(poly);
-      }
+      allPolygonsToMerge.push(selected.geometry);
     }
 
     if (allPolygonsToMerge.length === 0) {
-      return null;
+      return { geometry: null, error: 'No polygons selected. Click on polygons to select them first.' };
     }
 
-    if (allPolygonsToMerge.length === 1) {
-      // Single polygon, just return it
-      return allPolygonsToMerge[0].clone();
-    }
-
-    // Multiple polygons - need to merge
     console.log(`Merging ${allPolygonsToMerge.length} polygons (${existingBoundaryGeometry ? 'including existing boundary' : 'new selections only'})...`);
 
-    try {
-      // Use a simple union approach: combine all rings and find outer boundary
-      const mergedCoords = mergePolygonCoordinates(allPolygonsToMerge);
-
-      if (mergedCoords) {
-        const merged = new ol.geom.Polygon([mergedCoords]);
-        console.log('✓ Polygons merged successfully');
-        return merged;
-      } else {
-        console.error('Failed to merge polygons');
-        return null;
-      }
-    } catch (error) {
-      console.error('Error merging polygons:', error);
-      return null;
+    const result = window.PolygonOperations.union(allPolygonsToMerge);
+    if (result.error) {
+      console.error('Failed to merge polygons:', result.error);
+      return result;
     }
-  }
-
-  /**
-   * Merge polygon coordinates by finding the outer boundary
-   * This uses a convex hull approach combined with edge walking
-   * @param {Array} polygons - Array of ol.geom.Polygon
-   * @returns {Array|null} Merged exterior ring coordinates
-   */
-  function mergePolygonCoordinates(polygons) {
-    if (polygons.length === 0) return null;
-    if (polygons.length === 1) return polygons[0].getCoordinates()[0];
-
-    // Collect all edges from all polygons
-    const allEdges = [];
-    const edgeMap = new Map();  // Track edge usage
-
-    for (const polygon of polygons) {
-      const coords = polygon.getCoordinates()[0];
-      for (let i = 0; i < coords.length - 1; i++) {
-        const edge = {
-          start: coords[i],
-          end: coords[i + 1]
-        };
-        const edgeKey = getEdgeKey(edge);
-        const reverseKey = getEdgeKey({ start: edge.end, end: edge.start });
-
-        // Check if reverse edge already exists (shared edge)
-        if (edgeMap.has(reverseKey)) {
-          // Mark as shared (internal) edge
-          edgeMap.get(reverseKey).shared = true;
-          edge.shared = true;
-        }
-
-        edgeMap.set(edgeKey, edge);
-        allEdges.push(edge);
-      }
-    }
-
-    // Filter out shared edges (internal boundaries)
-    const outerEdges = allEdges.filter(edge => !edge.shared);
 
-    if (outerEdges.length === 0) {
-      console.warn('No outer edges found after filtering shared edges');
-      // Fallback: use convex hull
-      return computeConvexHull(polygons);
-    }
-
-    // Build the outer boundary by walking edges
-    const outerBoundary = walkEdges(outerEdges);
-
-    if (outerBoundary && outerBoundary.length >= 3) {
-      // Close the ring
-      outerBoundary.push(outerBoundary[0].slice());
-      return outerBoundary;
-    }
-
-    // Fallback: convex hull
-    console.warn('Edge walking failed, using convex hull');
-    return computeConvexHull(polygons);
-  }
-
-  /**
-   * Create a unique key for an edge
-   */
-  function getEdgeKey(edge) {
-    return `${edge.start[0].toFixed(6)},${edge.start[1].toFixed(6)}-${edge.end[0].toFixed(6)},${edge.end[1].toFixed(6)}`;
-  }
-
-  /**
-   * Walk edges to form a closed boundary
-   * @param {Array} edges
-   * @returns {Array|null} Ordered coordinates
-   */
-  function walkEdges(edges) {
-    if (edges.length === 0) return null;
-
-    // Build adjacency map
-    const adjacency = new Map();
-    for (const edge of edges) {
-      const startKey = `${edge.start[0].toFixed(6)},${edge.start[1].toFixed(6)}`;
-      if (!adjacency.has(startKey)) {
-        adjacency.set(startKey, []);
-      }
-      adjacency.get(startKey).push(edge);
-    }
-
-    // Start from first edge
-    const result = [edges[0].start.slice()];
-    let current = edges[0].end.slice();
-    const usedEdges = new Set();
-    usedEdges.add(getEdgeKey(edges[0]));
-
-    const maxIterations = edges.length * 2;
-    let iterations = 0;
-
-    while (iterations < maxIterations) {
-      iterations++;
-      result.push(current.slice());
-
-      // Check if we've returned to start
-      if (coordsEqual(current, result[0]) && result.length > 3) {
-        break;
-      }
-
-      // Find next edge
-      const currentKey = `${current[0].toFixed(6)},${current[1].toFixed(6)}`;
-      const candidates = adjacency.get(currentKey) || [];
-
-      let foundNext = false;
-      for (const candidate of candidates) {
-        const key = getEdgeKey(candidate);
-        if (!usedEdges.has(key)) {
-          usedEdges.add(key);
-          current = candidate.end.slice();
-          foundNext = true;
-          break;
-        }
-      }
-
-      if (!foundNext) {
-        break;
-      }
-    }
-
-    return result.length >= 3 ? result : null;
-  }
-
-  /**
-   * Compute convex hull of all polygon points as fallback
-   * @param {Array} polygons
-   * @returns {Array} Convex hull coordinates
-   */
-  function computeConvexHull(polygons) {
-    // Collect all points
-    const allPoints = [];
-    for (const polygon of polygons) {
-      const coords = polygon.getCoordinates()[0];
-      for (const coord of coords) {
-        allPoints.push(coord);
-      }
-    }
-
-    // Simple convex hull (Graham scan)
-    const hull = grahamScan(allPoints);
-    hull.push(hull[0].slice());  // Close the ring
-    return hull;
-  }
-
-  /**
-   * Graham scan convex hull algorithm
-   */
-  function grahamScan(points) {
-    if (points.length < 3) return points;
-
-    // Find bottom-most point (or left-most if tied)
-    let start = 0;
-    for (let i = 1; i < points.length; i++) {
-      if (points[i][1] < points[start][1] ||
-          (points[i][1] === points[start][1] && points[i][0] < points[start][0])) {
-        start = i;
-      }
-    }
-
-    const startPoint = points[start];
-
-    // Sort by polar angle
-    const sorted = points.slice().sort((a, b) => {
-      const angleA = Math.atan2(a[1] - startPoint[1], a[0] - startPoint[0]);
-      const angleB = Math.atan2(b[1] - startPoint[1], b[0] - startPoint[0]);
-      if (angleA !== angleB) return angleA - angleB;
-      // If same angle, closer point first
-      const distA = (a[0] - startPoint[0]) ** 2 + (a[1] - startPoint[1]) ** 2;
-      const distB = (b[0] - startPoint[0]) ** 2 + (b[1] - startPoint[1]) ** 2;
-      return distA - distB;
-    });
-
-    // Build hull
-    const hull = [];
-    for (const point of sorted) {
-      while (hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], point) <= 0) {
-        hull.pop();
-      }
-      hull.push(point);
-    }
-
-    return hull;
-  }
-
-  /**
-   * Cross product for convex hull
-   */
-  function cross(o, a, b) {
-    return (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+    const description = window.PolygonOperations.describeGeometry(result.geometry);
+    console.log(`✓ Polygons merged into ${description.partCount} part(s) with ${description.holeCount} hole(s)`);
+    return result;
   }
 
   /**
@@ -1181,34 +1204,26 @@
       return false;
     }
 
-    // Validate contiguity if multiple polygons
-    if (selectedPolygons.length > 1) {
-      if (window.ParcelValidation && window.ParcelValidation.arePolygonsContiguous) {
-        const polygonGeoms = selectedPolygons.map(s => geometryToPolygon(s.geometry));
-        if (!window.ParcelValidation.arePolygonsContiguous(polygonGeoms)) {
-          if (onError) {
-            onError('Selected polygons are not all connected. The red-line boundary must be a single contiguous area.', 'error');
-          }
-          return false;
-        }
-      }
-    }
-
     // Merge polygons
-    const mergedPolygon = mergeSelectedPolygons();
+    const mergeResult = mergeSelectedPolygons();
 
-    if (!mergedPolygon) {
+    if (mergeResult.error) {
       if (onError) {
-        onError('Failed to merge selected polygons. Please try again.', 'error');
+        onError(`Failed to merge selected polygons. ${mergeResult.error}`, 'error');
       }
       return false;
     }
 
-    // Get merged polygon coordinates for SnapDrawing
-    const coords = mergedPolygon.getCoordinates()[0];
+    // The red-line boundary can have several parts, each of which may have holes
+    const mergedGeometry = mergeResult.geometry;
+    const description = window.PolygonOperations.describeGeometry(mergedGeometry);
 
     console.log('✓ Fill selection confirmed');
-    console.log(`Merged polygon has ${coords.length - 1} vertices`);
+    console.log(`Merged boundary has ${description.partCount} part(s) and ${description.holeCount} hole(s)`);
+
+    if (window.EditHistory) {
+      window.EditHistory.record('Fill boundary');
+    }
 
     // Clear any existing polygon first
     if (window.SnapDrawing && window.SnapDrawing.isPolygonComplete && window.SnapDrawing.isPolygonComplete()) {
@@ -1217,16 +1232,18 @@
     }
 
     // Pass to SnapDrawing module to set as the red-line boundary
-    if (window.SnapDrawing && window.SnapDrawing.setPolygonFromCoordinates) {
-      window.SnapDrawing.setPolygonFromCoordinates(coords);
+    const mergedAreaSqM = window.Measurement.getAreaSqM(mergedGeometry);
+
+    if (window.SnapDrawing && window.SnapDrawing.setBoundaryGeometry) {
+      window.SnapDrawing.setBoundaryGeometry(mergedGeometry);
     } else {
       // Fallback: dispatch custom event with the polygon data
       const event = new CustomEvent('fill-confirmed', {
         detail: {
-          geometry: mergedPolygon,
-          coordinates: coords,
-          area: mergedPolygon.getArea(),
-          areaHectares: mergedPolygon.getArea() / 10000
+          geometry: mergedGeometry,
+          coordinates: mergedGeometry.getCoordinates(),
+          area: mergedAreaSqM,
+          areaHectares: mergedAreaSqM / 10000
         }
       });
       document.dispatchEvent(event);
@@ -1237,10 +1254,10 @@
 
     if (onConfirm) {
       onConfirm({
-        geometry: mergedPolygon,
-        coordinates: coords,
-        area: mergedPolygon.getArea(),
-        areaHectares: mergedPolygon.getArea() / 10000
+        geometry: mergedGeometry,
+        coordinates: mergedGeometry.getCoordinates(),
+        area: mergedAreaSqM,
+        areaHectares: mergedAreaSqM / 10000
       });
     }
 
@@ -1351,18 +1368,21 @@
     const finishFillParcelBtn = document.getElementById('finish-fill-parcel');
     const startDrawBtn = document.getElementById('start-drawing');
     const startSliceBtn = document.getElementById('start-slice');
+    const startSplitFeatureBtn = document.getElementById('start-split-feature');
 
     if (isFillModeActive && fillMode === 'habitat-parcels') {
       // Parcel fill mode active
       if (startFillParcelBtn) startFillParcelBtn.parentElement.style.display = 'none';
       if (startDrawBtn) startDrawBtn.parentElement.style.display = 'none';
       if (startSliceBtn) startSliceBtn.parentElement.style.display = 'none';
+      if (startSplitFeatureBtn) startSplitFeatureBtn.parentElement.style.display = 'none';
       if (finishFillParcelBtn) finishFillParcelBtn.parentElement.style.display = 'block';
     } else {
       // Parcel fill mode inactive
       if (startFillParcelBtn) startFillParcelBtn.parentElement.style.display = 'block';
       if (startDrawBtn) startDrawBtn.parentElement.style.display = 'block';
       if (startSliceBtn) startSliceBtn.parentElement.style.display = 'block';
+      if (startSplitFeatureBtn) startSplitFeatureBtn.parentElement.style.display = 'block';
       if (finishFillParcelBtn) finishFillParcelBtn.parentElement.style.display = 'none';
     }
   }
@@ -1392,11 +1412,11 @@
   }
 
   /**
-   * Get the merged polygon geometry (without confirming)
-   * @returns {ol.geom.Polygon|null}
+   * Get the merged geometry (without confirming)
+   * @returns {ol.geom.Polygon|ol.geom.MultiPolygon|null} Null if the merge fails
    */
   function getMergedGeometry() {
-    return mergeSelectedPolygons();
+    return mergeSelectedPolygons().geometry;
   }
 
   // Export public API
@@ -1404,6 +1424,7 @@
     init: init,
     startFillMode: startFillMode,
     startFillModeForParcels: startFillModeForParcels,
+    autoParcelBoundary: autoParcelBoundary,
     cancelFillMode: cancelFillMode,
     confirmSelection: confirmSelection,
     clearSelection: clearSelection,
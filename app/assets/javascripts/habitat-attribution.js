@@ -1,5 +1,5 @@
 //
-// Habitat Attribution module for BNG (Biodiversity Net Gain) baseline data
+// Habitat Attribution module for BNG (Biodiversity Net Gain) baseline and proposed data
 // Handles parcel selection, form rendering, and validation for Area Habitat attribution
 //
 
@@ -7,6 +7,7 @@
   'use strict';
 
   // Broad Habitat to Habitat Type mapping (Area Module Only)
+  // Individual trees are recorded as points by the IndividualTrees module, not as parcels
   const HABITAT_TYPES = {
     "Cropland": [
       "Arable",
@@ -73,10 +74,6 @@
       "Other green roof",
       "Green wall"
     ],
-    "Individual trees": [
-      "Individual tree - urban",
-      "Individual tree - rural"
-    ],
     "Intertidal sediment": [
       "Littoral coarse sediment",
       "Littoral sand",
@@ -175,24 +172,119 @@
     "Ponds (priority habitat)"
   ];
 
-  // Condition options for habitats
+  // Distinctiveness scores used in the statutory metric unit calculation
+  const DISTINCTIVENESS_SCORES = {
+    "Very Low": 0,
+    "Low": 2,
+    "Medium": 4,
+    "High": 6,
+    "Very High": 8
+  };
+
+  // Condition options for habitats (score is the statutory metric condition multiplier)
   const CONDITION_OPTIONS = [
-    { value: "Good", text: "Good" },
-    { value: "Fairly Good", text: "Fairly good" },
-    { value: "Moderate", text: "Moderate" },
-    { value: "Fairly Poor", text: "Fairly poor" },
-    { value: "Poor", text: "Poor" },
-    { value: "N/A - Other", text: "N/A - Other" }
+    { value: "Good", text: "Good", score: 3 },
+    { value: "Fairly Good", text: "Fairly good", score: 2.5 },
+    { value: "Moderate", text: "Moderate", score: 2 },
+    { value: "Fairly Poor", text: "Fairly poor", score: 1.5 },
+    { value: "Poor", text: "Poor", score: 1 },
+    { value: "N/A - Other", text: "N/A - Other", score: 1 }
   ];
 
-  // Strategic significance options
+  // Condition sets used by the habitat condition lookup below
+  const CONDITIONS_FULL_SCALE = ["Good", "Fairly Good", "Moderate", "Fairly Poor", "Poor"];
+  const CONDITIONS_THREE_POINT = ["Good", "Moderate", "Poor"];
+  const CONDITIONS_MODERATE_POOR = ["Moderate", "Poor"];
+  const CONDITIONS_NOT_APPLICABLE = ["N/A - Other"];
+
+  // Valid conditions for each habitat type, following the statutory metric condition sheets
+  // Habitat types not listed here accept every value in CONDITION_OPTIONS
+  const HABITAT_CONDITIONS = {
+    // Cropland
+    "Arable": CONDITIONS_NOT_APPLICABLE,
+    "Arable field margins cultivated annually": CONDITIONS_THREE_POINT,
+    "Arable field margins game bird mix": CONDITIONS_THREE_POINT,
+    "Arable field margins pollen and nectar": CONDITIONS_THREE_POINT,
+    "Arable field margins tussocky": CONDITIONS_THREE_POINT,
+    // Grassland
+    "Other neutral grassland": CONDITIONS_FULL_SCALE,
+    "Lowland calcareous grassland": CONDITIONS_THREE_POINT,
+    "Lowland dry acid grassland": CONDITIONS_THREE_POINT,
+    "Other lowland acid grassland": CONDITIONS_FULL_SCALE,
+    "Upland acid grassland": CONDITIONS_THREE_POINT,
+    "Modified grassland": CONDITIONS_MODERATE_POOR,
+    "Floodplain wetland mosaic and coastal and floodplain grazing marsh": CONDITIONS_THREE_POINT,
+    "Traditional orchard": CONDITIONS_THREE_POINT,
+    // Heathland and shrub
+    "Lowland heathland": CONDITIONS_THREE_POINT,
+    "Upland heathland": CONDITIONS_THREE_POINT,
+    "Mountain heathland": CONDITIONS_THREE_POINT,
+    "Blackthorn scrub": CONDITIONS_THREE_POINT,
+    "Bramble scrub": CONDITIONS_NOT_APPLICABLE,
+    "Gorse scrub": CONDITIONS_THREE_POINT,
+    "Hawthorn scrub": CONDITIONS_THREE_POINT,
+    "Hazel scrub": CONDITIONS_THREE_POINT,
+    "Willow scrub": CONDITIONS_THREE_POINT,
+    "Mixed scrub": CONDITIONS_THREE_POINT,
+    // Woodland and forest
+    "Lowland mixed deciduous woodland": CONDITIONS_FULL_SCALE,
+    "Lowland beech and yew woodland": CONDITIONS_FULL_SCALE,
+    "Wet woodland": CONDITIONS_FULL_SCALE,
+    "Upland oakwood": CONDITIONS_FULL_SCALE,
+    "Upland mixed ashwoods": CONDITIONS_FULL_SCALE,
+    "Other woodland; broadleaved": CONDITIONS_FULL_SCALE,
+    "Other woodland; mixed": CONDITIONS_FULL_SCALE,
+    "Other coniferous woodland": CONDITIONS_FULL_SCALE,
+    "Wood-pasture and parkland": CONDITIONS_THREE_POINT,
+    "Felled": CONDITIONS_NOT_APPLICABLE,
+    // Lakes
+    "Ponds (priority habitat)": CONDITIONS_THREE_POINT,
+    "Ponds (non-priority habitat)": CONDITIONS_THREE_POINT,
+    "Lakes": CONDITIONS_THREE_POINT,
+    "Reservoirs": CONDITIONS_MODERATE_POOR,
+    // Sparsely vegetated land
+    "Bare ground": CONDITIONS_NOT_APPLICABLE,
+    "Other inland rock and scree": CONDITIONS_THREE_POINT,
+    // Urban
+    "Developed land; sealed surface": CONDITIONS_NOT_APPLICABLE,
+    "Developed land; unsealed surface": CONDITIONS_NOT_APPLICABLE,
+    "Vegetated garden": CONDITIONS_NOT_APPLICABLE,
+    "Unvegetated garden": CONDITIONS_NOT_APPLICABLE,
+    "Cemeteries and churchyards": CONDITIONS_THREE_POINT,
+    "Allotments": CONDITIONS_THREE_POINT,
+    "Open mosaic habitat on previously developed land": CONDITIONS_THREE_POINT,
+    "Public open space": CONDITIONS_MODERATE_POOR,
+    "Sustainable drainage systems": CONDITIONS_THREE_POINT,
+    "Biodiverse green roof": CONDITIONS_THREE_POINT,
+    "Other green roof": CONDITIONS_MODERATE_POOR,
+    "Green wall": CONDITIONS_THREE_POINT,
+    // Individual trees
+    "Individual tree - urban": CONDITIONS_THREE_POINT,
+    "Individual tree - rural": CONDITIONS_THREE_POINT,
+    // Intertidal sediment
+    "Littoral coarse sediment": CONDITIONS_THREE_POINT,
+    "Littoral sand": CONDITIONS_THREE_POINT,
+    "Littoral mud": CONDITIONS_THREE_POINT,
+    // Intertidal hard structures
+    "Artificial hard structures": CONDITIONS_NOT_APPLICABLE,
+    "Artificial hard structures with integrated greening of grey infrastructure (IGGI)": CONDITIONS_THREE_POINT
+  };
+
+  // Strategic significance options (multiplier applied to habitat units)
   const STRATEGIC_SIGNIFICANCE_OPTIONS = [
-    { value: "Low", text: "Low Strategic Significance" },
-    { value: "Medium", text: "Medium Strategic Significance" },
-    { value: "High", text: "High Strategic Significance" }
+    { value: "Low", text: "Low Strategic Significance", multiplier: 1 },
+    { value: "Medium", text: "Medium Strategic Significance", multiplier: 1.1 },
+    { value: "High", text: "High Strategic Significance", multiplier: 1.15 }
+  ];
+
+  // How a proposed (post-development) habitat is delivered
+  const INTERVENTION_TYPE_OPTIONS = [
+    { value: "Created", text: "Created habitat" },
+    { value: "Enhanced", text: "Enhanced habitat" }
   ];
 
   // Module state
+  let isBaseline = true;
   let selectedParcelIndex = -1;
   let onSelectionChange = null;
   let onValidationChange = null;
@@ -202,8 +294,10 @@
    * @param {Object} config - Configuration options
    * @param {Function} config.onSelectionChange - Called when parcel selection changes
    * @param {Function} config.onValidationChange - Called when validation state changes
+   * @param {boolean} config.baseline - false when attributing proposed habitats (default true)
    */
   function init(config = {}) {
+    isBaseline = config.baseline !== false;
     onSelectionChange = config.onSelectionChange || null;
     onValidationChange = config.onValidationChange || null;
 
@@ -219,6 +313,12 @@
    * Set up event listeners for form elements
    */
   function setupFormEventListeners() {
+    // Confirm a habitat suggested from OS data
+    const confirmSuggestionBtn = document.getElementById('confirm-suggested-habitat');
+    if (confirmSuggestionBtn) {
+      confirmSuggestionBtn.addEventListener('click', handleConfirmSuggestion);
+    }
+
     // Broad Habitat dropdown
     const broadHabitatSelect = document.getElementById('broad-habitat');
     if (broadHabitatSelect) {
@@ -258,6 +358,17 @@
     if (commentsTextarea) {
       commentsTextarea.addEventListener('input', handleUserCommentsChange);
     }
+
+    // Intervention type radio buttons (proposed habitats only)
+    document.querySelectorAll('input[name="intervention-type"]').forEach(radio => {
+      radio.addEventListener('change', handleInterventionTypeChange);
+    });
+
+    // Replaced baseline parcels checkboxes (proposed habitats only, rendered per parcel)
+    const replacesBaselineList = document.getElementById('replaces-baseline-list');
+    if (replacesBaselineList) {
+      replacesBaselineList.addEventListener('change', handleReplacesBaselineChange);
+    }
   }
 
   /**
@@ -271,6 +382,7 @@
 
     // Update the parcel BNG data
     updateParcelProperty('broadHabitat', broadHabitat || null);
+    clearSuggestion();
 
     // Clear dependent fields when broad habitat changes
     updateParcelProperty('habitatType', null);
@@ -306,6 +418,7 @@
 
     // Update validation state
     validateCurrentParcel();
+    updateUnitsDisplay();
 
     // Update the form header to show the new habitat name
     const parcelHeader = document.getElementById('selected-parcel-header');
@@ -318,6 +431,42 @@
     refreshParcelsList();
   }
 
+  /**
+   * Handle the assessor confirming a habitat suggested from OS data
+   */
+  function handleConfirmSuggestion() {
+    if (selectedParcelIndex < 0) return;
+
+    clearSuggestion();
+    validateCurrentParcel();
+  }
+
+  /**
+   * Mark the selected parcel's habitat as the assessor's own choice rather than an OS suggestion
+   */
+  function clearSuggestion() {
+    const bngData = window.SnapDrawing && window.SnapDrawing.getParcelBngProperties(selectedParcelIndex);
+    if (bngData && bngData.suggestedFrom) {
+      updateParcelProperty('suggestedFrom', null);
+    }
+    updateSuggestionDisplay(null);
+  }
+
+  /**
+   * Show or hide the notice that the habitat was suggested from OS data
+   * @param {string|null} source - OS description the suggestion came from
+   */
+  function updateSuggestionDisplay(source) {
+    const notice = document.getElementById('suggested-habitat-notice');
+    if (!notice) return;
+
+    notice.style.display = source ? 'block' : 'none';
+    const sourceEl = document.getElementById('suggested-habitat-source');
+    if (sourceEl) {
+      sourceEl.textContent = source || '';
+    }
+  }
+
   /**
    * Refresh the parcels list UI (calls SnapDrawing)
    */
@@ -355,6 +504,27 @@
     habitatTypeSelect.disabled = false;
   }
 
+  /**
+   * Update the Condition dropdown options based on selected Habitat Type
+   * @param {string|null} habitatType - Selected habitat type
+   */
+  function updateConditionOptions(habitatType) {
+    const conditionSelect = document.getElementById('condition');
+    if (!conditionSelect) return;
+
+    // Clear existing options
+    conditionSelect.innerHTML = '<option value="">Select condition</option>';
+
+    getValidConditionsFor(habitatType).forEach(condition => {
+      const option = document.createElement('option');
+      option.value = condition.value;
+      option.textContent = condition.text;
+      conditionSelect.appendChild(option);
+    });
+
+    conditionSelect.disabled = !habitatType;
+  }
+
   /**
    * Handle Habitat Type selection change
    */
@@ -365,17 +535,27 @@
 
     // Update the parcel BNG data
     updateParcelProperty('habitatType', habitatType || null);
+    clearSuggestion();
 
     // Auto-set distinctiveness based on habitat type
     const distinctiveness = habitatType ? DISTINCTIVENESS_MAP[habitatType] || null : null;
     updateParcelProperty('distinctiveness', distinctiveness);
     updateDistinctivenessDisplay(distinctiveness);
 
-    // Enable condition dropdown if habitat type is selected
+    // Restrict condition dropdown to the conditions valid for this habitat type
     const conditionSelect = document.getElementById('condition');
     if (conditionSelect) {
-      conditionSelect.disabled = !habitatType;
-      if (!habitatType) {
+      const currentCondition = conditionSelect.value;
+      updateConditionOptions(habitatType);
+
+      const validConditions = getValidConditionsFor(habitatType);
+      if (validConditions.length === 1) {
+        // Only one condition is possible (e.g. N/A habitats) - select it automatically
+        conditionSelect.value = validConditions[0].value;
+        updateParcelProperty('condition', validConditions[0].value);
+      } else if (habitatType && isConditionValidFor(habitatType, currentCondition)) {
+        conditionSelect.value = currentCondition;
+      } else {
         conditionSelect.value = '';
         updateParcelProperty('condition', null);
       }
@@ -411,6 +591,7 @@
 
     // Update validation state
     validateCurrentParcel();
+    updateUnitsDisplay();
   }
 
   /**
@@ -430,6 +611,7 @@
 
     // Update validation state
     validateCurrentParcel();
+    updateUnitsDisplay();
   }
 
   /**
@@ -454,6 +636,7 @@
 
     // Update validation state
     validateCurrentParcel();
+    updateUnitsDisplay();
   }
 
   /**
@@ -463,6 +646,9 @@
     if (selectedParcelIndex < 0) return;
 
     updateParcelProperty('strategicSignificance', evt.target.value || 'Low');
+
+    // Strategic significance only affects the unit calculation
+    updateUnitsDisplay();
   }
 
   /**
@@ -477,6 +663,33 @@
     validateCurrentParcel();
   }
 
+  /**
+   * Handle Intervention Type change (proposed habitats)
+   */
+  function handleInterventionTypeChange(evt) {
+    if (selectedParcelIndex < 0) return;
+
+    updateParcelProperty('interventionType', evt.target.value || null);
+
+    // Update validation state
+    validateCurrentParcel();
+  }
+
+  /**
+   * Handle change to the baseline parcels a proposed parcel replaces
+   */
+  function handleReplacesBaselineChange() {
+    if (selectedParcelIndex < 0) return;
+
+    const baselineParcels = window.SnapDrawing.getBaselineParcels();
+    const checked = document.querySelectorAll('#replaces-baseline-list input[type="checkbox"]:checked');
+    const replaces = Array.from(checked).map(checkbox => baselineParcels[parseInt(checkbox.value, 10)].id);
+    updateParcelProperty('replacesBaselineParcels', replaces);
+
+    // Update validation state
+    validateCurrentParcel();
+  }
+
   /**
    * Update a BNG property on the selected parcel
    * @param {string} key - Property key
@@ -623,20 +836,12 @@
 
     // Get parcel BNG data
     let bngData = null;
-    let areaHectares = 0;
+    const areaHectares = getParcelAreaHectares(selectedParcelIndex);
 
     if (window.SnapDrawing && window.SnapDrawing.getParcelBngProperties) {
       bngData = window.SnapDrawing.getParcelBngProperties(selectedParcelIndex);
     }
 
-    if (window.SnapDrawing && window.SnapDrawing.getHabitatParcels) {
-      const parcels = window.SnapDrawing.getHabitatParcels();
-      if (parcels[selectedParcelIndex]) {
-        const geom = parcels[selectedParcelIndex].feature.getGeometry();
-        areaHectares = geom.getArea() / 10000;
-      }
-    }
-
     // Initialize BNG data if not present
     if (!bngData) {
       bngData = getDefaultBngData();
@@ -655,6 +860,9 @@
       areaDisplay.textContent = areaHectares.toFixed(4);
     }
 
+    // Habitats suggested from OS data need the assessor to confirm them
+    updateSuggestionDisplay(bngData.suggestedFrom || null);
+
     // Populate Broad Habitat dropdown
     const broadHabitatSelect = document.getElementById('broad-habitat');
     if (broadHabitatSelect) {
@@ -692,11 +900,11 @@
     // Update distinctiveness display
     updateDistinctivenessDisplay(bngData.distinctiveness);
 
-    // Populate Condition dropdown
+    // Populate Condition dropdown with the conditions valid for this habitat type
+    updateConditionOptions(bngData.habitatType);
     const conditionSelect = document.getElementById('condition');
     if (conditionSelect) {
-      conditionSelect.value = bngData.condition || '';
-      conditionSelect.disabled = !bngData.habitatType;
+      conditionSelect.value = isConditionValidFor(bngData.habitatType, bngData.condition) ? bngData.condition : '';
     }
 
     // Show/hide condition hint
@@ -721,8 +929,169 @@
       commentsTextarea.value = bngData.userComments || '';
     }
 
+    // Populate proposed habitat fields
+    if (!isBaseline) {
+      renderProposedFields(bngData);
+    }
+
     // Validate and update UI
     validateCurrentParcel();
+    updateUnitsDisplay();
+  }
+
+  /**
+   * Render the intervention type and replaced baseline parcel fields for a proposed parcel
+   * @param {Object} bngData - Parcel BNG properties
+   */
+  function renderProposedFields(bngData) {
+    document.querySelectorAll('input[name="intervention-type"]').forEach(radio => {
+      radio.checked = radio.value === bngData.interventionType;
+    });
+
+    const replacesBaselineList = document.getElementById('replaces-baseline-list');
+    if (!replacesBaselineList) return;
+
+    const baselineParcels = window.SnapDrawing && window.SnapDrawing.getBaselineParcels
+      ? window.SnapDrawing.getBaselineParcels()
+      : [];
+
+    if (baselineParcels.length === 0) {
+      replacesBaselineList.innerHTML = '<p class="govuk-body-s" style="color: #505a5f;">No baseline parcels saved</p>';
+      return;
+    }
+
+    const replaces = bngData.replacesBaselineParcels || [];
+
+    replacesBaselineList.innerHTML = baselineParcels.map((baselineParcel, index) => {
+      const id = `replaces-baseline-${baselineParcel.parcelIndex}`;
+      const label = window.SnapDrawing.getBaselineParcelLabel(baselineParcel.parcelIndex, baselineParcel.bng);
+      const checked = replaces.includes(baselineParcel.id) ? 'checked' : '';
+      return `
+        <div class="govuk-checkboxes__item">
+          <input class="govuk-checkboxes__input" id="${id}" type="checkbox" value="${index}" ${checked}>
+          <label class="govuk-label govuk-checkboxes__label" for="${id}">${label}</label>
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Get the area of a parcel in hectares
+   * @param {number} index - Parcel index
+   * @returns {number} Area in hectares (0 if the parcel does not exist)
+   */
+  function getParcelAreaHectares(index) {
+    if (window.SnapDrawing && window.SnapDrawing.getHabitatParcels) {
+      const parcels = window.SnapDrawing.getHabitatParcels();
+      if (parcels[index]) {
+        const geom = parcels[index].feature.getGeometry();
+        return window.Measurement.getAreaSqM(geom) / 10000;
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Calculate baseline biodiversity units for a parcel
+   * Units = area (ha) × distinctiveness score × condition score × strategic significance multiplier
+   * @param {Object} bngData - Parcel BNG properties
+   * @param {number} areaHectares - Parcel area in hectares
+   * @returns {number|null} Biodiversity units, or null if incomplete or irreplaceable
+   */
+  function calculateBiodiversityUnits(bngData, areaHectares) {
+    // Irreplaceable habitats are excluded from BNG calculations
+    if (!bngData || bngData.irreplaceable) {
+      return null;
+    }
+
+    const distinctivenessScore = getDistinctivenessScore(bngData.distinctiveness);
+    const conditionScore = getConditionScore(bngData.condition);
+    const multiplier = getStrategicSignificanceMultiplier(bngData.strategicSignificance || 'Low');
+
+    if (distinctivenessScore === null || conditionScore === null || multiplier === null) {
+      return null;
+    }
+
+    return areaHectares * distinctivenessScore * conditionScore * multiplier;
+  }
+
+  /**
+   * Calculate baseline biodiversity units for a parcel by index
+   * @param {number} index - Parcel index
+   * @returns {number|null} Biodiversity units, or null if incomplete or irreplaceable
+   */
+  function getParcelBiodiversityUnits(index) {
+    let bngData = null;
+    if (window.SnapDrawing && window.SnapDrawing.getParcelBngProperties) {
+      bngData = window.SnapDrawing.getParcelBngProperties(index);
+    }
+    return calculateBiodiversityUnits(bngData, getParcelAreaHectares(index));
+  }
+
+  /**
+   * Calculate the total baseline biodiversity units across all parcels
+   * Incomplete and irreplaceable parcels contribute nothing to the total
+   * @returns {number} Total biodiversity units
+   */
+  function getTotalBiodiversityUnits() {
+    let total = 0;
+
+    if (window.SnapDrawing && window.SnapDrawing.getHabitatParcels) {
+      const parcels = window.SnapDrawing.getHabitatParcels();
+      for (let i = 0; i < parcels.length; i++) {
+        const units = getParcelBiodiversityUnits(i);
+        if (units !== null) {
+          total += units;
+        }
+      }
+    }
+
+    return total;
+  }
+
+  /**
+   * Format biodiversity units for display
+   * @param {number|null} units - Biodiversity units
+   * @param {Object} bngData - Parcel BNG properties
+   * @returns {string} Display text
+   */
+  function formatUnits(units, bngData) {
+    if (units !== null) {
+      return units.toFixed(2);
+    }
+    return bngData && bngData.irreplaceable ? 'Excluded' : '--';
+  }
+
+  /**
+   * Update biodiversity unit displays for the selected parcel, the parcel list and the site total
+   */
+  function updateUnitsDisplay() {
+    if (!window.SnapDrawing || !window.SnapDrawing.getHabitatParcels) return;
+
+    const parcels = window.SnapDrawing.getHabitatParcels();
+
+    // Per-parcel values in the parcels list
+    for (let i = 0; i < parcels.length; i++) {
+      const unitsElement = document.getElementById(`parcel-units-${i}`);
+      if (unitsElement) {
+        unitsElement.textContent = formatUnits(getParcelBiodiversityUnits(i), parcels[i].bng);
+      }
+    }
+
+    // Selected parcel in the attribution form
+    const parcelUnitsElement = document.getElementById('parcel-units-readonly');
+    if (parcelUnitsElement && selectedParcelIndex >= 0 && parcels[selectedParcelIndex]) {
+      parcelUnitsElement.textContent = formatUnits(
+        getParcelBiodiversityUnits(selectedParcelIndex),
+        parcels[selectedParcelIndex].bng
+      );
+    }
+
+    // Site total
+    const totalUnitsElement = document.getElementById('total-units');
+    if (totalUnitsElement) {
+      totalUnitsElement.textContent = getTotalBiodiversityUnits().toFixed(2);
+    }
   }
 
   /**
@@ -730,9 +1099,9 @@
    * @returns {Object} Default BNG properties
    */
   function getDefaultBngData() {
-    return {
+    const bngData = {
       module: 'area',
-      baseline: true,
+      baseline: isBaseline,
       broadHabitat: null,
       habitatType: null,
       condition: null,
@@ -741,6 +1110,13 @@
       distinctiveness: null,
       userComments: ''
     };
+
+    if (!isBaseline) {
+      bngData.interventionType = null;
+      bngData.replacesBaselineParcels = [];
+    }
+
+    return bngData;
   }
 
   /**
@@ -758,26 +1134,19 @@
   /**
    * Validate a specific parcel
    * @param {number} index - Parcel index
+   * @param {boolean} notify - Whether to call onValidationChange (default true)
    * @returns {Object} Validation result { valid: boolean, errors: string[] }
    */
-  function validateParcel(index) {
+  function validateParcel(index, notify = true) {
     const errors = [];
 
     let bngData = null;
-    let areaHectares = 0;
+    const areaHectares = getParcelAreaHectares(index);
 
     if (window.SnapDrawing && window.SnapDrawing.getParcelBngProperties) {
       bngData = window.SnapDrawing.getParcelBngProperties(index);
     }
 
-    if (window.SnapDrawing && window.SnapDrawing.getHabitatParcels) {
-      const parcels = window.SnapDrawing.getHabitatParcels();
-      if (parcels[index]) {
-        const geom = parcels[index].feature.getGeometry();
-        areaHectares = geom.getArea() / 10000;
-      }
-    }
-
     if (!bngData) {
       bngData = getDefaultBngData();
     }
@@ -793,17 +1162,41 @@
 
     if (!bngData.condition) {
       errors.push('Condition is required');
+    } else if (bngData.habitatType && !isConditionValidFor(bngData.habitatType, bngData.condition)) {
+      errors.push(`Condition "${bngData.condition}" is not valid for ${bngData.habitatType}`);
     }
 
     if (areaHectares <= 0) {
       errors.push('Area must be greater than 0');
     }
 
+    if (bngData.suggestedFrom) {
+      errors.push('Confirm or change the habitat suggested from OS data');
+    }
+
     // If irreplaceable, user comments are required
     if (bngData.irreplaceable && (!bngData.userComments || bngData.userComments.trim() === '')) {
       errors.push('User comments are required for irreplaceable habitats');
     }
 
+    // Proposed parcels must say how the habitat is delivered and what it replaces
+    if (bngData.baseline === false) {
+      if (!bngData.interventionType) {
+        errors.push('Select whether the habitat is created or enhanced');
+      }
+
+      const replaces = bngData.replacesBaselineParcels || [];
+      if (replaces.length === 0) {
+        errors.push('Select the baseline parcel(s) this habitat replaces');
+      } else if (window.SnapDrawing && window.SnapDrawing.getBaselineParcels) {
+        const baselineIds = window.SnapDrawing.getBaselineParcels().map(p => p.id);
+        const unknown = replaces.filter(id => !baselineIds.includes(id));
+        if (unknown.length > 0) {
+          errors.push('Linked baseline parcels no longer exist - reselect the parcels this habitat replaces');
+        }
+      }
+    }
+
     const valid = errors.length === 0;
 
     // Update validation display for current parcel
@@ -814,7 +1207,7 @@
     // Update parcel list indicator
     updateParcelValidationIndicator(index, valid);
 
-    if (onValidationChange) {
+    if (notify && onValidationChange) {
       onValidationChange(index, valid, errors);
     }
 
@@ -833,7 +1226,8 @@
       const parcels = window.SnapDrawing.getHabitatParcels();
       
       for (let i = 0; i < parcels.length; i++) {
-        const result = validateParcel(i);
+        // Don't notify per parcel - listeners may call validateAllParcels themselves
+        const result = validateParcel(i, false);
         results.push({
           parcelIndex: i,
           valid: result.valid,
@@ -921,6 +1315,37 @@
     return DISTINCTIVENESS_MAP[habitatType] || null;
   }
 
+  /**
+   * Get the metric score for a distinctiveness band
+   * @param {string} distinctiveness - Distinctiveness band
+   * @returns {number|null} Distinctiveness score or null if unknown
+   */
+  function getDistinctivenessScore(distinctiveness) {
+    return Object.prototype.hasOwnProperty.call(DISTINCTIVENESS_SCORES, distinctiveness)
+      ? DISTINCTIVENESS_SCORES[distinctiveness]
+      : null;
+  }
+
+  /**
+   * Get the metric score for a condition
+   * @param {string} condition - Condition value
+   * @returns {number|null} Condition score or null if unknown
+   */
+  function getConditionScore(condition) {
+    const option = CONDITION_OPTIONS.find(o => o.value === condition);
+    return option ? option.score : null;
+  }
+
+  /**
+   * Get the multiplier for a strategic significance level
+   * @param {string} strategicSignificance - Strategic significance value
+   * @returns {number|null} Multiplier or null if unknown
+   */
+  function getStrategicSignificanceMultiplier(strategicSignificance) {
+    const option = STRATEGIC_SIGNIFICANCE_OPTIONS.find(o => o.value === strategicSignificance);
+    return option ? option.multiplier : null;
+  }
+
   /**
    * Check if a habitat type is legally irreplaceable
    * @param {string} habitatType - Habitat type
@@ -938,6 +1363,30 @@
     return CONDITION_OPTIONS;
   }
 
+  /**
+   * Get the condition options that are valid for a habitat type
+   * @param {string|null} habitatType - Habitat type
+   * @returns {Object[]} Array of condition option objects
+   */
+  function getValidConditionsFor(habitatType) {
+    const allowed = habitatType ? HABITAT_CONDITIONS[habitatType] : null;
+    if (!allowed) {
+      return CONDITION_OPTIONS;
+    }
+    return CONDITION_OPTIONS.filter(option => allowed.includes(option.value));
+  }
+
+  /**
+   * Check if a condition is valid for a habitat type
+   * @param {string|null} habitatType - Habitat type
+   * @param {string|null} condition - Condition value
+   * @returns {boolean} Whether the combination is allowed by the metric
+   */
+  function isConditionValidFor(habitatType, condition) {
+    if (!condition) return false;
+    return getValidConditionsFor(habitatType).some(option => option.value === condition);
+  }
+
   /**
    * Get strategic significance options
    * @returns {Object[]} Array of strategic significance option objects
@@ -946,6 +1395,14 @@
     return STRATEGIC_SIGNIFICANCE_OPTIONS;
   }
 
+  /**
+   * Get intervention type options for proposed habitats
+   * @returns {Object[]} Array of intervention type option objects
+   */
+  function getInterventionTypeOptions() {
+    return INTERVENTION_TYPE_OPTIONS;
+  }
+
   // Export public API
   window.HabitatAttribution = {
     init: init,
@@ -961,8 +1418,19 @@
     getDistinctiveness: getDistinctiveness,
     isHabitatIrreplaceable: isHabitatIrreplaceable,
     getConditionOptions: getConditionOptions,
+    getValidConditionsFor: getValidConditionsFor,
+    isConditionValidFor: isConditionValidFor,
     getStrategicSignificanceOptions: getStrategicSignificanceOptions,
-    getDefaultBngData: getDefaultBngData
+    getInterventionTypeOptions: getInterventionTypeOptions,
+    getDefaultBngData: getDefaultBngData,
+    // Biodiversity unit calculation
+    getDistinctivenessScore: getDistinctivenessScore,
+    getConditionScore: getConditionScore,
+    getStrategicSignificanceMultiplier: getStrategicSignificanceMultiplier,
+    calculateBiodiversityUnits: calculateBiodiversityUnits,
+    getParcelBiodiversityUnits: getParcelBiodiversityUnits,
+    getTotalBiodiversityUnits: getTotalBiodiversityUnits,
+    updateUnitsDisplay: updateUnitsDisplay
   };
 
 })(window);
@@ -0,0 +1,555 @@
+//
+// Habitat survey import module
+// Imports an existing habitat survey polygon layer as baseline parcels. Each row is
+// clipped to the red line boundary, its columns are mapped to the parcel's habitat
+// data, and rows that fail parcel validation or the habitat lookups are reported
+// so they can be fixed.
+//
+
+(function(window) {
+  'use strict';
+
+  // Pieces this small are left over from clipping to the boundary and aren't imported
+  const MIN_PART_AREA_SQM = 0.01;
+
+  // Shapes that lose less than this when clipped already followed the boundary,
+  // allowing for edges that are straight in the survey's projection but not the map's
+  const CLIPPED_AREA_SQM = 1;
+
+  // Parcel fields a survey column can be mapped to, with the select for each
+  // and a pattern used to guess the column from its name
+  const MAPPED_FIELDS = [
+    { key: 'broadHabitat', label: 'Broad habitat', selectId: 'habitat-survey-broad-habitat', pattern: /broad/i },
+    { key: 'habitatType', label: 'Habitat type', selectId: 'habitat-survey-habitat-type', pattern: /habitat.?type|ukhab|^habitat$/i },
+    { key: 'condition', label: 'Condition', selectId: 'habitat-survey-condition', pattern: /cond/i },
+    { key: 'strategicSignificance', label: 'Strategic significance', selectId: 'habitat-survey-strategic-significance', pattern: /strat/i }
+  ];
+
+  // Module state
+  let onStatusMessage = null;
+  let onParcelsImported = null;
+  let pendingSurvey = null;  // { fileName, features, columns, projection } read but not yet imported
+
+  /**
+   * Initialize the habitat survey import
+   * @param {Object} config - Configuration options
+   * @param {Function} config.onStatusMessage - Called with (message, type) to show a status message
+   * @param {Function} config.onParcelsImported - Called after parcels have been imported
+   */
+  function init(config = {}) {
+    onStatusMessage = config.onStatusMessage || null;
+    onParcelsImported = config.onParcelsImported || null;
+
+    setupEventListeners();
+    console.log('✓ Habitat survey import initialized');
+  }
+
+  /**
+   * Set up the file, mapping and import controls
+   */
+  function setupEventListeners() {
+    const fileInput = document.getElementById('habitat-survey-file');
+    const readButton = document.getElementById('read-habitat-survey');
+    const importButton = document.getElementById('import-habitat-survey');
+    const cancelButton = document.getElementById('cancel-habitat-survey');
+
+    if (fileInput) {
+      fileInput.addEventListener('change', () => {
+        showFileError(null);
+        resetMapping();
+      });
+    }
+    if (readButton) {
+      readButton.addEventListener('click', (e) => {
+        e.preventDefault();
+        handleReadFile(readButton);
+      });
+    }
+    if (importButton) {
+      importButton.addEventListener('click', (e) => {
+        e.preventDefault();
+        handleImport();
+      });
+    }
+    if (cancelButton) {
+      cancelButton.addEventListener('click', (e) => {
+        e.preventDefault();
+        resetMapping();
+      });
+    }
+  }
+
+  /**
+   * Read the chosen file and show the column mapping step
+   * @param {HTMLButtonElement} readButton
+   */
+  async function handleReadFile(readButton) {
+    const fileInput = document.getElementById('habitat-survey-file');
+    if (!fileInput || !window.SpatialFileImport) return;
+
+    showFileError(null);
+    resetMapping();
+    hideReport();
+
+    const file = fileInput.files[0];
+    readButton.disabled = true;
+    const originalText = readButton.textContent;
+    readButton.textContent = 'Reading...';
+
+    let result;
+    try {
+      result = await window.SpatialFileImport.readFeatureFile(file);
+    } finally {
+      readButton.disabled = false;
+      readButton.textContent = originalText;
+    }
+
+    if (result.error) {
+      showFileError(result.error);
+      showStatus(result.error, 'error');
+      return;
+    }
+
+    pendingSurvey = {
+      fileName: file.name,
+      features: result.features,
+      columns: result.columns,
+      projection: result.projection
+    };
+    renderColumnMapping();
+  }
+
+  /**
+   * Show a select for each parcel field, with the columns in the file as options
+   * and a guess at the matching column selected
+   */
+  function renderColumnMapping() {
+    const panel = document.getElementById('habitat-survey-mapping');
+    if (!panel || !pendingSurvey) return;
+
+    const summary = document.getElementById('habitat-survey-summary');
+    if (summary) {
+      const rowCount = pendingSurvey.features.length;
+      summary.textContent = `${pendingSurvey.fileName} has ${rowCount} ${rowCount === 1 ? 'row' : 'rows'} (${pendingSurvey.projection}). Choose the column that holds each value.`;
+    }
+
+    const usedColumns = [];
+    MAPPED_FIELDS.forEach(field => {
+      const select = document.getElementById(field.selectId);
+      if (!select) return;
+
+      select.innerHTML = '';
+      select.appendChild(createOption('', 'Not in file'));
+      pendingSurvey.columns.forEach(column => select.appendChild(createOption(column, column)));
+
+      const guess = guessColumn(pendingSurvey.columns, field.pattern, usedColumns);
+      if (guess) {
+        select.value = guess;
+        usedColumns.push(guess);
+      }
+    });
+
+    panel.style.display = 'block';
+  }
+
+  function createOption(value, text) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    return option;
+  }
+
+  /**
+   * Guess which column holds a field from the column names
+   * @param {string[]} columns - Columns in the file
+   * @param {RegExp} pattern - Pattern for the field
+   * @param {string[]} usedColumns - Columns already guessed for other fields
+   * @returns {string|null}
+   */
+  function guessColumn(columns, pattern, usedColumns) {
+    return columns.find(column => !usedColumns.includes(column) && pattern.test(column)) || null;
+  }
+
+  /**
+   * Get the column chosen for each parcel field
+   * @returns {Object} Field key to column name, or null where the field is not in the file
+   */
+  function getColumnMapping() {
+    const mapping = {};
+    MAPPED_FIELDS.forEach(field => {
+      const select = document.getElementById(field.selectId);
+      mapping[field.key] = select && select.value ? select.value : null;
+    });
+    return mapping;
+  }
+
+  /**
+   * Hide the column mapping step and forget the file that was read
+   */
+  function resetMapping() {
+    pendingSurvey = null;
+    const panel = document.getElementById('habitat-survey-mapping');
+    if (panel) panel.style.display = 'none';
+  }
+
+  /**
+   * Import the rows of the file that was read using the chosen columns
+   */
+  function handleImport() {
+    if (!pendingSurvey) return;
+
+    if (window.SnapDrawing.isDrawing && window.SnapDrawing.isDrawing()) {
+      showStatus('Finish or cancel the parcel you are drawing first', 'warning');
+      return;
+    }
+    if (window.FillTool && window.FillTool.isActive && window.FillTool.isActive()) {
+      window.FillTool.cancelFillMode();
+    }
+
+    const result = importFeatures(pendingSurvey.features, getColumnMapping());
+    if (result.error) {
+      renderReport(result.report);
+      showStatus(result.error, 'error');
+      return;
+    }
+
+    const fileName = pendingSurvey.fileName;
+    const fileInput = document.getElementById('habitat-survey-file');
+    if (fileInput) fileInput.value = '';
+    resetMapping();
+    renderReport(result.report);
+
+    if (onParcelsImported) {
+      onParcelsImported(result.parcelCount);
+    }
+
+    const skippedCount = result.report.filter(row => row.parcelIndices.length === 0).length;
+    const fixCount = result.report.length - skippedCount;
+    let message = `${result.parcelCount} ${result.parcelCount === 1 ? 'parcel' : 'parcels'} imported from ${fileName}.`;
+    if (result.clippedCount > 0) {
+      message += ` ${result.clippedCount} clipped to the red line boundary.`;
+    }
+    if (result.report.length > 0) {
+      message += ` ${skippedCount} ${skippedCount === 1 ? 'row' : 'rows'} not imported and ${fixCount} with habitat data to fix. See the import report.`;
+    }
+    showStatus(message, result.report.length > 0 ? 'warning' : 'success');
+  }
+
+  /**
+   * Clip survey rows to the boundary, map their habitat data and add them as parcels
+   * @param {Array} features - Survey rows { geometry, properties } in the map projection
+   * @param {Object} mapping - Field key to column name
+   * @returns {Object} { parcelCount: number, clippedCount: number, report: Array, error: string|null }
+   *   The report has a { row, problems, parcelIndices } entry for each row with problems
+   */
+  function importFeatures(features, mapping) {
+    const boundary = window.SnapDrawing.getBoundaryPolygon();
+    if (!boundary) {
+      return { parcelCount: 0, clippedCount: 0, report: [], error: 'No red-line boundary defined. Please define a boundary first.' };
+    }
+    if (!window.PolygonOperations || !window.PolygonOperations.isAvailable()) {
+      return { parcelCount: 0, clippedCount: 0, report: [], error: 'The polygon operations library has not loaded. Check your connection and reload the page.' };
+    }
+
+    // Rows are checked against existing parcels and the rows accepted before them,
+    // in the order they will be added, so parcel numbers in messages match the list
+    const parcels = window.SnapDrawing.getHabitatParcels().slice();
+    const firstIndex = parcels.length;
+    const parcelsData = [];
+    const report = [];
+    let clippedCount = 0;
+
+    features.forEach((feature, i) => {
+      const row = { row: i + 1, problems: [], parcelIndices: [] };
+
+      const clip = clipToBoundary(feature.geometry, boundary);
+      if (clip.error) {
+        row.problems.push(clip.error);
+        report.push(row);
+        return;
+      }
+
+      clip.parts.forEach(part => {
+        const validation = window.ParcelValidation.validateParcel(part, boundary, parcels);
+        validation.problems.forEach(problem => row.problems.push(problem.message));
+      });
+      if (row.problems.length > 0) {
+        report.push(row);
+        return;
+      }
+
+      if (clip.clipped) clippedCount++;
+
+      const attributes = mapAttributes(feature.properties, mapping);
+      clip.parts.forEach(part => {
+        row.parcelIndices.push(parcels.length);
+        parcels.push({ feature: new ol.Feature(part) });
+        parcelsData.push({ rings: part.getCoordinates(), bng: attributes.bng });
+      });
+
+      if (attributes.problems.length > 0) {
+        row.problems = attributes.problems;
+        report.push(row);
+      }
+    });
+
+    if (parcelsData.length === 0) {
+      return { parcelCount: 0, clippedCount: 0, report: report, error: 'None of the rows could be imported. See the import report.' };
+    }
+
+    const count = window.SnapDrawing.addParcels(parcelsData, 'Import habitat survey');
+    console.log(`✓ Habitat survey imported as ${count} parcels from parcel ${firstIndex + 1}, ${report.length} rows reported`);
+
+    return { parcelCount: count, clippedCount: clippedCount, report: report, error: null };
+  }
+
+  /**
+   * Clip a survey row's shape to the boundary
+   * @param {ol.geom.Geometry|null} geometry - Shape in the map projection
+   * @param {ol.geom.Polygon|ol.geom.MultiPolygon} boundary
+   * @returns {Object} { parts: Array of ol.geom.Polygon, clipped: boolean, error: string|null }
+   */
+  function clipToBoundary(geometry, boundary) {
+    if (!geometry) {
+      return { parts: [], clipped: false, error: 'The row has no shape.' };
+    }
+    const type = geometry.getType();
+    if (type !== 'Polygon' && type !== 'MultiPolygon') {
+      return { parts: [], clipped: false, error: `The row is a ${type.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase()}, not a polygon.` };
+    }
+
+    const result = window.PolygonOperations.intersection(geometry, boundary);
+    if (result.error) {
+      return { parts: [], clipped: false, error: 'The shape is invalid. Check it for self-intersections in GIS software.' };
+    }
+    if (!result.geometry) {
+      return { parts: [], clipped: false, error: 'The shape is outside the red line boundary.' };
+    }
+
+    const parts = (result.geometry.getType() === 'MultiPolygon' ? result.geometry.getPolygons() : [result.geometry])
+      .filter(part => window.Measurement.getAreaSqM(part) >= MIN_PART_AREA_SQM);
+    if (parts.length === 0) {
+      return { parts: [], clipped: false, error: 'Only a sliver of the shape is inside the red line boundary.' };
+    }
+
+    const keptArea = parts.reduce((total, part) => total + window.Measurement.getAreaSqM(part), 0);
+    const clipped = window.Measurement.getAreaSqM(geometry) - keptArea > CLIPPED_AREA_SQM;
+    return { parts: parts, clipped: clipped, error: null };
+  }
+
+  /**
+   * Map a survey row's columns to parcel habitat data using the metric lookups.
+   * Values that don't match are left blank and reported so they can be fixed.
+   * @param {Object} properties - Row attributes
+   * @param {Object} mapping - Field key to column name
+   * @returns {Object} { bng: Object, problems: string[] }
+   */
+  function mapAttributes(properties, mapping) {
+    const attribution = window.HabitatAttribution;
+    const problems = [];
+    const bng = {};
+
+    const getValue = (key) => {
+      const value = mapping[key] ? properties[mapping[key]] : null;
+      return value === null || value === undefined ? '' : String(value).trim();
+    };
+
+    // Broad habitat
+    const broadValue = getValue('broadHabitat');
+    let broadHabitat = null;
+    if (broadValue) {
+      broadHabitat = findMatch(attribution.getBroadHabitatTypes(), broadValue);
+      if (!broadHabitat) {
+        problems.push(`"${broadValue}" is not a broad habitat in the metric.`);
+      }
+    }
+
+    // Habitat type, which also gives the broad habitat if that column isn't mapped
+    const typeValue = getValue('habitatType');
+    let habitatType = null;
+    if (!typeValue) {
+      problems.push('No habitat type.');
+    } else if (broadHabitat) {
+      habitatType = findMatch(attribution.getHabitatTypesFor(broadHabitat), typeValue);
+      if (!habitatType) {
+        problems.push(`"${typeValue}" is not a ${broadHabitat} habitat type in the metric.`);
+      }
+    } else {
+      const broadMatches = attribution.getBroadHabitatTypes()
+        .filter(broad => findMatch(attribution.getHabitatTypesFor(broad), typeValue));
+      if (broadMatches.length === 0) {
+        problems.push(`"${typeValue}" is not a habitat type in the metric.`);
+      } else if (broadMatches.length > 1) {
+        problems.push(`"${typeValue}" is in more than one broad habitat. Map the broad habitat column or choose it after importing.`);
+      } else {
+        broadHabitat = broadMatches[0];
+        habitatType = findMatch(attribution.getHabitatTypesFor(broadHabitat), typeValue);
+      }
+    }
+
+    if (broadHabitat) {
+      bng.broadHabitat = broadHabitat;
+    }
+    if (habitatType) {
+      bng.habitatType = habitatType;
+      bng.distinctiveness = attribution.getDistinctiveness(habitatType);
+      bng.irreplaceable = attribution.isHabitatIrreplaceable(habitatType);
+    }
+
+    // Condition, which must be one the metric allows for the habitat type
+    const conditionValue = getValue('condition');
+    const validConditions = attribution.getValidConditionsFor(habitatType);
+    if (conditionValue) {
+      const option = attribution.getConditionOptions()
+        .find(o => sameText(o.value, conditionValue) || sameText(o.text, conditionValue));
+      if (!option) {
+        problems.push(`"${conditionValue}" is not a condition in the metric.`);
+      } else if (habitatType && !attribution.isConditionValidFor(habitatType, option.value)) {
+        problems.push(`${option.text} condition is not allowed for ${habitatType}.`);
+      } else {
+        bng.condition = option.value;
+      }
+    } else if (habitatType && validConditions.length === 1) {
+      // Habitats with only one possible condition (e.g. sealed surface) get it filled in
+      bng.condition = validConditions[0].value;
+    } else {
+      problems.push('No condition.');
+    }
+
+    // Strategic significance, low if not given
+    const significanceValue = getValue('strategicSignificance');
+    if (significanceValue) {
+      const option = attribution.getStrategicSignificanceOptions()
+        .find(o => sameText(o.value, significanceValue) || sameText(o.text, significanceValue));
+      if (option) {
+        bng.strategicSignificance = option.value;
+      } else {
+        problems.push(`"${significanceValue}" is not a strategic significance. Low has been used.`);
+      }
+    }
+
+    return { bng: bng, problems: problems };
+  }
+
+  /**
+   * Find a lookup value matching text from the survey, ignoring case and spacing
+   * @param {string[]} values - Lookup values
+   * @param {string} text - Value from the survey
+   * @returns {string|null} The lookup value
+   */
+  function findMatch(values, text) {
+    return values.find(value => sameText(value, text)) || null;
+  }
+
+  function sameText(a, b) {
+    const normalise = (text) => String(text).toLowerCase().replace(/\s+/g, ' ').trim();
+    return normalise(a) === normalise(b);
+  }
+
+  /**
+   * Show the rows that weren't imported or have habitat data to fix
+   * @param {Array} report - Report entries { row, problems, parcelIndices }
+   */
+  function renderReport(report) {
+    const panel = document.getElementById('habitat-survey-report');
+    const rowsElement = document.getElementById('habitat-survey-report-rows');
+    if (!panel || !rowsElement) return;
+
+    if (report.length === 0) {
+      hideReport();
+      return;
+    }
+
+    rowsElement.innerHTML = '';
+    report.forEach(entry => {
+      const tr = document.createElement('tr');
+      tr.className = 'govuk-table__row';
+
+      const rowCell = document.createElement('td');
+      rowCell.className = 'govuk-table__cell';
+      rowCell.textContent = entry.row;
+
+      const problemCell = document.createElement('td');
+      problemCell.className = 'govuk-table__cell';
+      entry.problems.forEach(problem => {
+        const p = document.createElement('p');
+        p.className = 'govuk-body-s govuk-!-margin-bottom-1';
+        p.textContent = problem;
+        problemCell.appendChild(p);
+      });
+
+      const resultCell = document.createElement('td');
+      resultCell.className = 'govuk-table__cell';
+      if (entry.parcelIndices.length === 0) {
+        resultCell.textContent = 'Not imported';
+      } else {
+        entry.parcelIndices.forEach(index => {
+          const link = document.createElement('a');
+          link.href = '#';
+          link.className = 'govuk-link govuk-!-display-block';
+          link.textContent = `Fix parcel ${index + 1}`;
+          link.addEventListener('click', (e) => {
+            e.preventDefault();
+            selectParcel(index);
+          });
+          resultCell.appendChild(link);
+        });
+      }
+
+      tr.appendChild(rowCell);
+      tr.appendChild(problemCell);
+      tr.appendChild(resultCell);
+      rowsElement.appendChild(tr);
+    });
+
+    panel.style.display = 'block';
+  }
+
+  function hideReport() {
+    const panel = document.getElementById('habitat-survey-report');
+    if (panel) panel.style.display = 'none';
+  }
+
+  /**
+   * Select an imported parcel so its habitat data can be fixed
+   * @param {number} index - Parcel index
+   */
+  function selectParcel(index) {
+    if (index >= window.SnapDrawing.getParcelCount()) {
+      showStatus('That parcel no longer exists. It may have been removed or undone.', 'warning');
+      return;
+    }
+    window.SnapDrawing.selectParcel(index);
+  }
+
+  /**
+   * Show or clear the error on the file input
+   * @param {string|null} message
+   */
+  function showFileError(message) {
+    const formGroup = document.getElementById('habitat-survey-file-group');
+    const fileInput = document.getElementById('habitat-survey-file');
+    const errorMessage = document.getElementById('habitat-survey-file-error');
+    const errorText = document.getElementById('habitat-survey-file-error-text');
+
+    if (formGroup) formGroup.classList.toggle('govuk-form-group--error', !!message);
+    if (fileInput) fileInput.classList.toggle('govuk-file-upload--error', !!message);
+    if (errorMessage) errorMessage.style.display = message ? 'block' : 'none';
+    if (errorText) errorText.textContent = message || '';
+  }
+
+  function showStatus(message, type) {
+    if (onStatusMessage) {
+      onStatusMessage(message, type);
+    }
+  }
+
+  // Export public API
+  window.HabitatImport = {
+    MAPPED_FIELDS: MAPPED_FIELDS,
+    init: init,
+    importFeatures: importFeatures,
+    mapAttributes: mapAttributes
+  };
+
+})(window);
@@ -0,0 +1,758 @@
+//
+// Individual Trees module for BNG baseline and proposed data
+// Places urban and rural trees as points within the red line boundary and converts
+// each tree's size class to its metric area equivalent for the unit calculation.
+// Trees sit over area parcels and are not part of the parcel overlap checks.
+//
+
+(function(window) {
+  'use strict';
+
+  // Configuration
+  const HIT_TOLERANCE_PX = 6;
+
+  // Individual tree habitat types (distinctiveness and conditions come from HabitatAttribution)
+  const TREE_TYPES = [
+    "Individual tree - urban",
+    "Individual tree - rural"
+  ];
+
+  // Tree size classes by stem diameter at breast height (DBH)
+  // The area equivalent is the root protection area at the top of each band
+  // (radius 12 × DBH, capped at 15m for the very large class)
+  const TREE_SIZE_CLASSES = [
+    { value: "Small", text: "Small (up to 30cm DBH)", areaHa: 0.0041 },
+    { value: "Medium", text: "Medium (over 30cm to 60cm DBH)", areaHa: 0.0163 },
+    { value: "Large", text: "Large (over 60cm to 90cm DBH)", areaHa: 0.0366 },
+    { value: "Very Large", text: "Very large (over 90cm DBH)", areaHa: 0.0707 }
+  ];
+
+  const TREE_COLOR = 'rgba(0, 112, 60, 1)';
+
+  // Module state
+  let map = null;
+  let treeLayer = null;
+  let treeSource = null;
+  let isBaseline = true;
+  let isPlacing = false;
+
+  // Recorded trees: Array of { feature, bng }
+  const trees = [];
+  let selectedIndex = -1;
+
+  // Callbacks
+  let onStatusMessage = null;
+  let onTreesChanged = null;
+  let onValidationChange = null;
+
+  /**
+   * Initialize the individual trees module
+   * @param {ol.Map} olMap - OpenLayers map instance
+   * @param {Object} config - Configuration options
+   * @param {boolean} config.baseline - false when recording proposed habitats (default true)
+   * @param {Function} config.onStatusMessage - Called with (message, type) for user feedback
+   * @param {Function} config.onTreesChanged - Called when a tree is added or removed
+   * @param {Function} config.onValidationChange - Called when validation state changes
+   */
+  function init(olMap, config = {}) {
+    if (!olMap) {
+      console.error('❌ Individual trees: No map provided');
+      return;
+    }
+
+    map = olMap;
+    isBaseline = config.baseline !== false;
+    onStatusMessage = config.onStatusMessage || null;
+    onTreesChanged = config.onTreesChanged || null;
+    onValidationChange = config.onValidationChange || null;
+
+    treeSource = new ol.source.Vector();
+    treeLayer = new ol.layer.Vector({
+      source: treeSource,
+      style: styleFunction,
+      zIndex: 65
+    });
+    map.addLayer(treeLayer);
+
+    map.on('click', handleClick);
+    document.addEventListener('keydown', handleKeyDown);
+
+    setupFormEventListeners();
+    populateOptions();
+    renderList();
+    renderForm();
+
+    console.log('✓ Individual trees module initialized');
+  }
+
+  /**
+   * Style function for tree points - symbol size follows the size class
+   */
+  function styleFunction(feature) {
+    const sizeClassIndex = TREE_SIZE_CLASSES.findIndex(size => size.value === feature.get('sizeClass'));
+    const radius = 5 + Math.max(sizeClassIndex, 0) * 2;
+    const selected = feature.get('selected');
+
+    return new ol.style.Style({
+      image: new ol.style.Circle({
+        radius: radius,
+        fill: new ol.style.Fill({ color: selected ? 'rgba(255, 221, 0, 0.9)' : 'rgba(0, 112, 60, 0.7)' }),
+        stroke: new ol.style.Stroke({ color: selected ? TREE_COLOR : 'white', width: 2 })
+      })
+    });
+  }
+
+  /**
+   * Start placing trees - each click inside the boundary adds a tree
+   */
+  function startPlacing() {
+    const boundaryPolygon = window.SnapDrawing && window.SnapDrawing.getBoundaryPolygon();
+    if (!boundaryPolygon) {
+      showStatus('No boundary loaded. Please define a red line boundary first.', 'error');
+      return;
+    }
+
+    isPlacing = true;
+    map.getTargetElement().style.cursor = 'crosshair';
+    updatePlacingUI(true);
+    showStatus('Tree placement active - click to place each tree, press Escape or click "Finish Trees" when done', 'info');
+    console.log('🌳 Placing trees');
+  }
+
+  /**
+   * Stop placing trees
+   */
+  function stopPlacing() {
+    if (!isPlacing) return;
+
+    isPlacing = false;
+    map.getTargetElement().style.cursor = 'default';
+    updatePlacingUI(false);
+    showStatus(`${trees.length} tree(s) recorded`, 'info');
+  }
+
+  /**
+   * Handle map click - place a tree, or select a tree that was clicked
+   */
+  function handleClick(evt) {
+    // Leave clicks to the linear habitats module while it is drawing or picking
+    if (!isPlacing && window.LinearHabitats && window.LinearHabitats.isDrawing && window.LinearHabitats.isDrawing()) {
+      return;
+    }
+
+    const hitIndex = findTreeAtPixel(evt.pixel);
+
+    if (!isPlacing) {
+      if (hitIndex >= 0) {
+        selectTree(hitIndex);
+      }
+      return;
+    }
+
+    // Clicking an existing tree selects it rather than stacking another on top
+    if (hitIndex >= 0) {
+      selectTree(hitIndex);
+      return;
+    }
+
+    const boundaryPolygon = window.SnapDrawing.getBoundaryPolygon();
+    if (window.ParcelValidation && window.ParcelValidation.isPointInsideOrOnBoundary &&
+        !window.ParcelValidation.isPointInsideOrOnBoundary(evt.coordinate, boundaryPolygon)) {
+      showStatus('Trees must be inside the red line boundary', 'warning');
+      return;
+    }
+
+    const index = addTree(evt.coordinate);
+    selectTree(index);
+    showStatus(`Tree ${index + 1} added`, 'success');
+
+    if (onTreesChanged) onTreesChanged();
+  }
+
+  /**
+   * Handle keyboard shortcuts while placing
+   */
+  function handleKeyDown(evt) {
+    if (isPlacing && evt.key === 'Escape') {
+      stopPlacing();
+    }
+  }
+
+  /**
+   * Add a tree at a coordinate
+   * @param {Array} coordinate - Point coordinate (EPSG:3857)
+   * @returns {number} Index of the new tree
+   */
+  function addTree(coordinate) {
+    const bng = getDefaultBngData();
+    const feature = new ol.Feature({
+      geometry: new ol.geom.Point([...coordinate]),
+      type: 'tree',
+      sizeClass: bng.sizeClass,
+      selected: false
+    });
+    treeSource.addFeature(feature);
+
+    trees.push({ feature: feature, bng: bng });
+    console.log(`✅ Tree ${trees.length} added`);
+    return trees.length - 1;
+  }
+
+  /**
+   * Restore saved trees (e.g. from the session)
+   * @param {Object} geojson - Saved GeoJSON FeatureCollection, possibly mixed with parcels
+   * @returns {number} Number of trees restored
+   */
+  function loadSavedTrees(geojson) {
+    if (!geojson || !geojson.features) return 0;
+
+    let count = 0;
+    geojson.features.forEach(featureJson => {
+      const bng = (featureJson.properties && featureJson.properties.bng) || {};
+      if (bng.module !== 'tree' || !featureJson.geometry || featureJson.geometry.type !== 'Point') return;
+
+      const index = addTree(featureJson.geometry.coordinates);
+      trees[index].bng = Object.assign(getDefaultBngData(), bng);
+      trees[index].feature.set('sizeClass', trees[index].bng.sizeClass);
+      count++;
+    });
+
+    renderList();
+    renderForm();
+
+    console.log(`✓ ${count} saved trees restored`);
+    return count;
+  }
+
+  /**
+   * Find a tree at a pixel
+   * @param {Array} pixel - Map pixel
+   * @returns {number} Tree index, or -1 if none
+   */
+  function findTreeAtPixel(pixel) {
+    let index = -1;
+
+    map.forEachFeatureAtPixel(pixel, (feature) => {
+      const treeIndex = trees.findIndex(tree => tree.feature === feature);
+      if (treeIndex >= 0) {
+        index = treeIndex;
+        return true;
+      }
+      return false;
+    }, {
+      layerFilter: (layer) => layer === treeLayer,
+      hitTolerance: HIT_TOLERANCE_PX
+    });
+
+    return index;
+  }
+
+  /**
+   * Check whether a map click belongs to this module (placing, or a tree was clicked)
+   * Used by SnapDrawing so that parcel selection doesn't also fire
+   * @param {Array} pixel - Map pixel
+   * @returns {boolean}
+   */
+  function handlesClickAtPixel(pixel) {
+    return isPlacing || findTreeAtPixel(pixel) >= 0;
+  }
+
+  /**
+   * Get default BNG data for a new tree
+   * @returns {Object} Default BNG properties
+   */
+  function getDefaultBngData() {
+    return {
+      module: 'tree',
+      baseline: isBaseline,
+      broadHabitat: 'Individual trees',
+      habitatType: null,
+      sizeClass: 'Small',
+      condition: null,
+      strategicSignificance: 'Low',
+      distinctiveness: null,
+      userComments: ''
+    };
+  }
+
+  /**
+   * Get the metric area equivalent for a size class
+   * @param {string} sizeClass - Size class value
+   * @returns {number|null} Area in hectares, or null if not recognised
+   */
+  function getAreaEquivalentHa(sizeClass) {
+    const option = TREE_SIZE_CLASSES.find(size => size.value === sizeClass);
+    return option ? option.areaHa : null;
+  }
+
+  /**
+   * Calculate biodiversity units for a tree
+   * Units = area equivalent (ha) × distinctiveness score × condition score × strategic significance multiplier
+   * @param {Object} bngData - Tree BNG properties
+   * @returns {number|null} Units, or null if incomplete
+   */
+  function calculateUnits(bngData) {
+    if (!bngData || !window.HabitatAttribution) return null;
+
+    const areaHa = getAreaEquivalentHa(bngData.sizeClass);
+    const distinctivenessScore = window.HabitatAttribution.getDistinctivenessScore(bngData.distinctiveness);
+    const conditionScore = window.HabitatAttribution.getConditionScore(bngData.condition);
+    const multiplier = window.HabitatAttribution.getStrategicSignificanceMultiplier(bngData.strategicSignificance || 'Low');
+
+    if (areaHa === null || distinctivenessScore === null || conditionScore === null || multiplier === null) {
+      return null;
+    }
+
+    return areaHa * distinctivenessScore * conditionScore * multiplier;
+  }
+
+  /**
+   * Get the total area equivalent and units of all trees
+   * @returns {Object} { count, areaHa, units }
+   */
+  function getTotals() {
+    return trees.reduce((totals, tree) => {
+      const units = calculateUnits(tree.bng);
+      totals.areaHa += getAreaEquivalentHa(tree.bng.sizeClass) || 0;
+      if (units !== null) totals.units += units;
+      return totals;
+    }, { count: trees.length, areaHa: 0, units: 0 });
+  }
+
+  /**
+   * Remove a tree
+   * @param {number} index - Tree index
+   */
+  function removeTree(index) {
+    if (index < 0 || index >= trees.length) return;
+
+    if (selectedIndex === index) {
+      selectedIndex = -1;
+    } else if (selectedIndex > index) {
+      selectedIndex--;
+    }
+
+    treeSource.removeFeature(trees[index].feature);
+    trees.splice(index, 1);
+
+    renderList();
+    renderForm();
+    showStatus('Tree removed', 'info');
+
+    if (onTreesChanged) onTreesChanged();
+  }
+
+  /**
+   * Select a tree for attribution
+   * @param {number} index - Tree index
+   */
+  function selectTree(index) {
+    if (index < 0 || index >= trees.length) return;
+
+    trees.forEach((tree, i) => tree.feature.set('selected', i === index));
+    selectedIndex = index;
+
+    renderList();
+    renderForm();
+  }
+
+  /**
+   * Deselect the selected tree
+   */
+  function deselectTree() {
+    trees.forEach(tree => tree.feature.set('selected', false));
+    selectedIndex = -1;
+
+    renderList();
+    renderForm();
+  }
+
+  /**
+   * Render the tree list with area equivalent and units
+   */
+  function renderList() {
+    const listElement = document.getElementById('tree-list-items');
+
+    if (listElement) {
+      if (trees.length === 0) {
+        listElement.innerHTML = '<li class="govuk-body-s" style="color: #505a5f;">No trees placed yet</li>';
+      } else {
+        listElement.innerHTML = trees.map((tree, index) => {
+          const areaHa = getAreaEquivalentHa(tree.bng.sizeClass);
+          const units = calculateUnits(tree.bng);
+          const isSelected = selectedIndex === index;
+          const name = tree.bng.habitatType
+            ? `Tree ${index + 1} - ${tree.bng.habitatType.replace('Individual tree - ', '')}`
+            : `Tree ${index + 1}`;
+          const valid = validateTree(index, false).valid;
+          const statusIndicator = valid
+            ? '<span class="govuk-tag govuk-tag--green" style="font-size: 10px; margin-left: 5px;">Complete</span>'
+            : '<span class="govuk-tag govuk-tag--red" style="font-size: 10px; margin-left: 5px;">Incomplete</span>';
+
+          let rowStyle = 'display: flex; flex-direction: column; padding: 8px; border-bottom: 1px solid #b1b4b6;';
+          if (isSelected) {
+            rowStyle += ` background: #e8f4f8; border-left: 4px solid ${TREE_COLOR};`;
+          }
+
+          return `
+            <li class="govuk-body-s" style="${rowStyle}">
+              <div style="display: flex; align-items: center; justify-content: space-between; width: 100%;">
+                <span style="display: flex; align-items: center;">
+                  <span style="width: 10px; height: 10px; border-radius: 50%; background: ${TREE_COLOR}; margin-right: 8px; flex-shrink: 0;"></span>
+                  <a href="#" class="govuk-link" onclick="event.preventDefault(); window.IndividualTrees.selectTree(${index})" style="font-weight: ${isSelected ? 'bold' : 'normal'};">${name}</a>
+                </span>
+                <span>${statusIndicator}</span>
+              </div>
+              <div style="display: flex; justify-content: space-between; margin-top: 4px; margin-left: 18px;">
+                <span style="color: #505a5f;">${tree.bng.sizeClass || '--'} · ${areaHa !== null ? areaHa.toFixed(4) : '--'} ha · ${units !== null ? units.toFixed(2) : '--'} units</span>
+                <button type="button" class="govuk-link" style="color: #d4351c; cursor: pointer; border: none; background: none;" onclick="event.stopPropagation(); window.IndividualTrees.removeTree(${index})">Remove</button>
+              </div>
+            </li>
+          `;
+        }).join('');
+      }
+    }
+
+    const totals = getTotals();
+    const totalCountElement = document.getElementById('total-tree-count');
+    if (totalCountElement) {
+      totalCountElement.textContent = totals.count;
+    }
+    const totalAreaElement = document.getElementById('total-tree-area');
+    if (totalAreaElement) {
+      totalAreaElement.textContent = totals.areaHa.toFixed(4);
+    }
+    const totalUnitsElement = document.getElementById('total-tree-units');
+    if (totalUnitsElement) {
+      totalUnitsElement.textContent = totals.units.toFixed(2);
+    }
+  }
+
+  /**
+   * Set up event listeners for the tree attribution form
+   */
+  function setupFormEventListeners() {
+    const typeSelect = document.getElementById('tree-type');
+    if (typeSelect) {
+      typeSelect.addEventListener('change', (evt) => {
+        const habitatType = evt.target.value || null;
+        updateSelectedProperty('habitatType', habitatType);
+        updateSelectedProperty('distinctiveness', habitatType ? window.HabitatAttribution.getDistinctiveness(habitatType) : null);
+
+        // Clear a condition that isn't valid for the new tree type
+        const tree = trees[selectedIndex];
+        if (tree && tree.bng.condition && !window.HabitatAttribution.isConditionValidFor(habitatType, tree.bng.condition)) {
+          updateSelectedProperty('condition', null);
+        }
+        renderForm();
+      });
+    }
+
+    const sizeSelect = document.getElementById('tree-size-class');
+    if (sizeSelect) {
+      sizeSelect.addEventListener('change', (evt) => {
+        updateSelectedProperty('sizeClass', evt.target.value || null);
+        if (selectedIndex >= 0) {
+          trees[selectedIndex].feature.set('sizeClass', evt.target.value || null);
+        }
+        renderForm();
+      });
+    }
+
+    const conditionSelect = document.getElementById('tree-condition');
+    if (conditionSelect) {
+      conditionSelect.addEventListener('change', (evt) => {
+        updateSelectedProperty('condition', evt.target.value || null);
+        renderForm();
+      });
+    }
+
+    const strategicSelect = document.getElementById('tree-strategic-significance');
+    if (strategicSelect) {
+      strategicSelect.addEventListener('change', (evt) => {
+        updateSelectedProperty('strategicSignificance', evt.target.value || 'Low');
+        renderForm();
+      });
+    }
+
+    const commentsTextarea = document.getElementById('tree-user-comments');
+    if (commentsTextarea) {
+      commentsTextarea.addEventListener('input', (evt) => {
+        updateSelectedProperty('userComments', evt.target.value || '');
+      });
+    }
+
+    const deselectBtn = document.getElementById('tree-deselect-btn');
+    if (deselectBtn) {
+      deselectBtn.addEventListener('click', (evt) => {
+        evt.preventDefault();
+        deselectTree();
+      });
+    }
+  }
+
+  /**
+   * Populate the tree type and size class dropdowns
+   */
+  function populateOptions() {
+    const typeSelect = document.getElementById('tree-type');
+    if (typeSelect) {
+      typeSelect.innerHTML = '<option value="">Select tree type</option>';
+      TREE_TYPES.forEach(type => {
+        const option = document.createElement('option');
+        option.value = type;
+        option.textContent = type;
+        typeSelect.appendChild(option);
+      });
+    }
+
+    const sizeSelect = document.getElementById('tree-size-class');
+    if (sizeSelect) {
+      sizeSelect.innerHTML = '';
+      TREE_SIZE_CLASSES.forEach(size => {
+        const option = document.createElement('option');
+        option.value = size.value;
+        option.textContent = size.text;
+        sizeSelect.appendChild(option);
+      });
+    }
+  }
+
+  /**
+   * Rebuild the condition dropdown with the conditions valid for a tree type
+   * @param {string|null} habitatType - Selected tree type
+   */
+  function updateConditionOptions(habitatType) {
+    const conditionSelect = document.getElementById('tree-condition');
+    if (!conditionSelect) return;
+
+    conditionSelect.innerHTML = '<option value="">Select condition</option>';
+    if (!habitatType) return;
+
+    window.HabitatAttribution.getValidConditionsFor(habitatType).forEach(condition => {
+      const option = document.createElement('option');
+      option.value = condition.value;
+      option.textContent = condition.text;
+      conditionSelect.appendChild(option);
+    });
+  }
+
+  /**
+   * Update a BNG property on the selected tree
+   * @param {string} key - Property key
+   * @param {*} value - Property value
+   */
+  function updateSelectedProperty(key, value) {
+    if (selectedIndex < 0) return;
+
+    trees[selectedIndex].bng[key] = value;
+    console.log(`📝 Tree ${selectedIndex + 1} bng.${key} = ${value}`);
+  }
+
+  /**
+   * Render the attribution form for the selected tree
+   */
+  function renderForm() {
+    const noSelectionMessage = document.getElementById('tree-no-selection-message');
+    const attributionForm = document.getElementById('tree-attribution-form');
+    if (!noSelectionMessage || !attributionForm) return;
+
+    if (selectedIndex < 0) {
+      noSelectionMessage.style.display = 'block';
+      attributionForm.style.display = 'none';
+      return;
+    }
+
+    noSelectionMessage.style.display = 'none';
+    attributionForm.style.display = 'block';
+
+    const bngData = trees[selectedIndex].bng;
+
+    const header = document.getElementById('tree-selected-header');
+    if (header) {
+      header.textContent = `Tree ${selectedIndex + 1}`;
+    }
+
+    const typeSelect = document.getElementById('tree-type');
+    if (typeSelect) typeSelect.value = bngData.habitatType || '';
+
+    const sizeSelect = document.getElementById('tree-size-class');
+    if (sizeSelect) sizeSelect.value = bngData.sizeClass || '';
+
+    const distinctivenessDisplay = document.getElementById('tree-distinctiveness-display');
+    if (distinctivenessDisplay) {
+      distinctivenessDisplay.textContent = bngData.distinctiveness || 'Not set';
+      distinctivenessDisplay.className = bngData.distinctiveness ? 'govuk-tag govuk-tag--blue' : 'govuk-tag govuk-tag--grey';
+    }
+
+    updateConditionOptions(bngData.habitatType);
+    const conditionSelect = document.getElementById('tree-condition');
+    if (conditionSelect) {
+      conditionSelect.value = bngData.condition || '';
+      conditionSelect.disabled = !bngData.habitatType;
+    }
+
+    const strategicSelect = document.getElementById('tree-strategic-significance');
+    if (strategicSelect) strategicSelect.value = bngData.strategicSignificance || 'Low';
+
+    const commentsTextarea = document.getElementById('tree-user-comments');
+    if (commentsTextarea) commentsTextarea.value = bngData.userComments || '';
+
+    const areaDisplay = document.getElementById('tree-area-readonly');
+    if (areaDisplay) {
+      const areaHa = getAreaEquivalentHa(bngData.sizeClass);
+      areaDisplay.textContent = areaHa !== null ? areaHa.toFixed(4) : '--';
+    }
+
+    const unitsDisplay = document.getElementById('tree-units-readonly');
+    if (unitsDisplay) {
+      const units = calculateUnits(bngData);
+      unitsDisplay.textContent = units !== null ? units.toFixed(2) : '--';
+    }
+
+    validateTree(selectedIndex, true);
+    renderList();
+  }
+
+  /**
+   * Validate a tree's attribution
+   * @param {number} index - Tree index
+   * @param {boolean} updateDisplay - Whether to update the error summary and notify listeners
+   * @returns {Object} Validation result { valid: boolean, errors: string[] }
+   */
+  function validateTree(index, updateDisplay = true) {
+    const bngData = trees[index].bng;
+    const errors = [];
+
+    if (!bngData.habitatType) {
+      errors.push('Tree type is required');
+    }
+    if (!bngData.sizeClass || getAreaEquivalentHa(bngData.sizeClass) === null) {
+      errors.push('Size class is required');
+    }
+    if (!bngData.condition) {
+      errors.push('Condition is required');
+    } else if (bngData.habitatType && !window.HabitatAttribution.isConditionValidFor(bngData.habitatType, bngData.condition)) {
+      errors.push(`Condition "${bngData.condition}" is not valid for ${bngData.habitatType}`);
+    }
+
+    const valid = errors.length === 0;
+
+    if (updateDisplay) {
+      if (index === selectedIndex) {
+        const validationSummary = document.getElementById('tree-validation-summary');
+        if (validationSummary) {
+          validationSummary.style.display = valid ? 'none' : 'block';
+          const errorList = validationSummary.querySelector('.govuk-error-summary__list');
+          if (errorList) {
+            errorList.innerHTML = errors.map(error => `<li>${error}</li>`).join('');
+          }
+        }
+      }
+
+      if (onValidationChange) {
+        onValidationChange(index, valid, errors);
+      }
+    }
+
+    return { valid, errors };
+  }
+
+  /**
+   * Validate all trees
+   * @returns {Object} { valid: boolean, errors: string[] }
+   */
+  function validateAll() {
+    const errors = [];
+
+    trees.forEach((tree, index) => {
+      validateTree(index, false).errors.forEach(error => {
+        errors.push(`Tree ${index + 1}: ${error}`);
+      });
+    });
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Get all trees as GeoJSON features (EPSG:3857)
+   * @returns {Object} GeoJSON FeatureCollection of Points
+   */
+  function getGeoJSON() {
+    const features = trees.map((tree, index) => {
+      const bng = tree.bng;
+      const areaEquivalentHa = getAreaEquivalentHa(bng.sizeClass);
+      bng.areaEquivalentHa = areaEquivalentHa;
+      bng.biodiversityUnits = calculateUnits(bng);
+
+      return {
+        type: 'Feature',
+        geometry: {
+          type: 'Point',
+          coordinates: tree.feature.getGeometry().getCoordinates()
+        },
+        properties: {
+          treeIndex: index,
+          areaEquivalentHa: areaEquivalentHa,
+          bng: bng
+        }
+      };
+    });
+
+    return {
+      type: 'FeatureCollection',
+      features: features,
+      crs: {
+        type: 'name',
+        properties: {
+          name: 'EPSG:3857'
+        }
+      }
+    };
+  }
+
+  /**
+   * Update the place/finish controls
+   * @param {boolean} placing - Whether trees are being placed
+   */
+  function updatePlacingUI(placing) {
+    const startBtn = document.getElementById('start-trees');
+    const finishBtn = document.getElementById('finish-trees');
+
+    if (startBtn) startBtn.parentElement.style.display = placing ? 'none' : 'block';
+    if (finishBtn) finishBtn.parentElement.style.display = placing ? 'block' : 'none';
+  }
+
+  /**
+   * Show status message via callback
+   */
+  function showStatus(message, type) {
+    if (onStatusMessage) {
+      onStatusMessage(message, type);
+    } else {
+      console.log(`[${type}] ${message}`);
+    }
+  }
+
+  // Export public API
+  window.IndividualTrees = {
+    init: init,
+    startPlacing: startPlacing,
+    stopPlacing: stopPlacing,
+    loadSavedTrees: loadSavedTrees,
+    isPlacing: () => isPlacing,
+    handlesClickAtPixel: handlesClickAtPixel,
+    selectTree: selectTree,
+    deselectTree: deselectTree,
+    removeTree: removeTree,
+    getTreeCount: () => trees.length,
+    getTrees: () => trees,
+    getTotals: getTotals,
+    getAreaEquivalentHa: getAreaEquivalentHa,
+    getSizeClasses: () => TREE_SIZE_CLASSES,
+    calculateUnits: calculateUnits,
+    validateAll: validateAll,
+    getGeoJSON: getGeoJSON
+  };
+
+})(window);
@@ -0,0 +1,1260 @@
+//
+// Linear Habitats module for the BNG hedgerow and watercourse modules
+// Draws hedgerows and watercourses as lines within the red line boundary, snapping
+// to OS field boundary and water link features, and handles their attribution and
+// unit calculation. Watercourses can also be picked from OS water links.
+// Each linear module's units are kept separate from area habitat units.
+//
+
+(function(window) {
+  'use strict';
+
+  // Configuration
+  const SNAP_TOLERANCE_PX = 15;
+  const MIN_ZOOM_FOR_SNAP = 14;
+
+  // Hedgerow Type to Distinctiveness mapping (Hedgerow Module)
+  const HEDGEROW_TYPES = {
+    "Native hedgerow": "Low",
+    "Native hedgerow - associated with bank or ditch": "Medium",
+    "Native hedgerow with trees": "Medium",
+    "Native hedgerow with trees - associated with bank or ditch": "High",
+    "Species-rich native hedgerow": "Medium",
+    "Species-rich native hedgerow - associated with bank or ditch": "High",
+    "Species-rich native hedgerow with trees": "High",
+    "Species-rich native hedgerow with trees - associated with bank or ditch": "Very High",
+    "Line of trees": "Low",
+    "Line of trees - associated with bank or ditch": "Medium",
+    "Ecologically valuable line of trees": "Medium",
+    "Ecologically valuable line of trees - associated with bank or ditch": "High",
+    "Non-native and ornamental hedgerow": "Very Low"
+  };
+
+  // Hedgerow condition options (score applied to hedgerow units)
+  const HEDGEROW_CONDITION_OPTIONS = [
+    { value: "Good", text: "Good", score: 3 },
+    { value: "Moderate", text: "Moderate", score: 2 },
+    { value: "Poor", text: "Poor", score: 1 }
+  ];
+
+  // Watercourse Type to Distinctiveness mapping (Watercourse Module)
+  const WATERCOURSE_TYPES = {
+    "Priority habitat": "Very High",
+    "Other rivers and streams": "High",
+    "Ditches": "Medium",
+    "Canals": "Medium",
+    "Culvert": "Very Low"
+  };
+
+  // Watercourse condition options (score applied to watercourse units)
+  const WATERCOURSE_CONDITION_OPTIONS = [
+    { value: "Good", text: "Good", score: 3 },
+    { value: "Fairly Good", text: "Fairly good", score: 2.5 },
+    { value: "Moderate", text: "Moderate", score: 2 },
+    { value: "Fairly Poor", text: "Fairly poor", score: 1.5 },
+    { value: "Poor", text: "Poor", score: 1 }
+  ];
+
+  // Encroachment into the channel (multiplier applied to watercourse units)
+  const WATERCOURSE_ENCROACHMENT_OPTIONS = [
+    { value: "No Encroachment", text: "No encroachment", multiplier: 1 },
+    { value: "Minor", text: "Minor", multiplier: 0.9 },
+    { value: "Moderate", text: "Moderate", multiplier: 0.75 },
+    { value: "Major", text: "Major", multiplier: 0.5 }
+  ];
+
+  // Encroachment into the riparian zone (multiplier applied to watercourse units)
+  const RIPARIAN_ENCROACHMENT_OPTIONS = [
+    { value: "No Encroachment", text: "No encroachment", multiplier: 1 },
+    { value: "Minor/Moderate on one bank", text: "Minor or moderate on one bank", multiplier: 0.9 },
+    { value: "Major/Severe on one bank", text: "Major or severe on one bank", multiplier: 0.75 },
+    { value: "Minor/Moderate on both banks", text: "Minor or moderate on both banks", multiplier: 0.75 },
+    { value: "Major/Severe on both banks", text: "Major or severe on both banks", multiplier: 0.5 }
+  ];
+
+  // Linear modules - element ids on the page are prefixed with the module key
+  // extraFields are additional select inputs (id `${moduleKey}-${field.id}`) whose
+  // option multipliers are applied to the units
+  // pickLayers are OS layers whose features can be picked as a whole line
+  const LINEAR_MODULES = {
+    hedgerow: {
+      label: 'Hedgerow',
+      snapLayers: ['str-fts-fieldboundary-1'],
+      pickLayers: [],
+      stroke: 'rgba(0, 112, 60, 1)',
+      types: HEDGEROW_TYPES,
+      conditionOptions: HEDGEROW_CONDITION_OPTIONS,
+      extraFields: []
+    },
+    watercourse: {
+      label: 'Watercourse',
+      snapLayers: ['wtr-ntwk-waterlink-1', 'wtr-ntwk-waterlink-2'],
+      pickLayers: ['wtr-ntwk-waterlink-1', 'wtr-ntwk-waterlink-2'],
+      stroke: 'rgba(29, 112, 184, 1)',
+      types: WATERCOURSE_TYPES,
+      conditionOptions: WATERCOURSE_CONDITION_OPTIONS,
+      extraFields: [
+        { id: 'encroachment', key: 'watercourseEncroachment', label: 'Watercourse encroachment', options: WATERCOURSE_ENCROACHMENT_OPTIONS },
+        { id: 'riparian-encroachment', key: 'riparianEncroachment', label: 'Riparian zone encroachment', options: RIPARIAN_ENCROACHMENT_OPTIONS }
+      ]
+    }
+  };
+
+  // Module state
+  let map = null;
+  let linearLayer = null;
+  let linearSource = null;
+  let isBaseline = true;
+
+  // Drawing state
+  let activeModule = null;  // Module key being drawn, null if not drawing
+  let pickingModule = null;  // Module key picking an OS line, null if not picking
+  let drawingCoords = [];
+  let sketchFeature = null;
+  let hoverFeature = null;
+  let lastSnapCoord = null;
+
+  // Recorded linear features per module: Array of { feature, coords, bng }
+  const linearFeatures = {};
+  const selectedIndex = {};
+  Object.keys(LINEAR_MODULES).forEach(key => {
+    linearFeatures[key] = [];
+    selectedIndex[key] = -1;
+  });
+
+  // Callbacks
+  let onStatusMessage = null;
+  let onFeaturesChanged = null;
+  let onValidationChange = null;
+
+  /**
+   * Initialize the linear habitats module
+   * @param {ol.Map} olMap - OpenLayers map instance
+   * @param {Object} config - Configuration options
+   * @param {boolean} config.baseline - false when recording proposed habitats (default true)
+   * @param {Function} config.onStatusMessage - Called with (message, type) for user feedback
+   * @param {Function} config.onFeaturesChanged - Called when a linear feature is added or removed
+   * @param {Function} config.onValidationChange - Called when validation state changes
+   */
+  function init(olMap, config = {}) {
+    if (!olMap) {
+      console.error('❌ Linear habitats: No map provided');
+      return;
+    }
+
+    map = olMap;
+    isBaseline = config.baseline !== false;
+    onStatusMessage = config.onStatusMessage || null;
+    onFeaturesChanged = config.onFeaturesChanged || null;
+    onValidationChange = config.onValidationChange || null;
+
+    linearSource = new ol.source.Vector();
+    linearLayer = new ol.layer.Vector({
+      source: linearSource,
+      style: styleFunction,
+      zIndex: 60
+    });
+    map.addLayer(linearLayer);
+
+    map.on('pointermove', handlePointerMove);
+    map.on('click', handleClick);
+    document.addEventListener('keydown', handleKeyDown);
+
+    Object.keys(LINEAR_MODULES).forEach(key => {
+      setupFormEventListeners(key);
+      populateTypeOptions(key);
+      renderList(key);
+      renderForm(key);
+    });
+
+    console.log('✓ Linear habitats module initialized');
+  }
+
+  /**
+   * Style function for linear features, sketches and snap markers
+   */
+  function styleFunction(feature) {
+    const type = feature.get('type');
+    const moduleConfig = LINEAR_MODULES[feature.get('module')];
+    const stroke = moduleConfig ? moduleConfig.stroke : 'rgba(0, 112, 60, 1)';
+
+    if (type === 'hover') {
+      return new ol.style.Style({
+        image: new ol.style.Circle({
+          radius: feature.get('snapped') ? 6 : 4,
+          fill: new ol.style.Fill({ color: feature.get('snapped') ? 'rgba(255, 140, 0, 0.8)' : 'rgba(0, 150, 255, 0.6)' }),
+          stroke: new ol.style.Stroke({ color: 'white', width: 2 })
+        })
+      });
+    }
+
+    if (type === 'pick-hover') {
+      return new ol.style.Style({
+        stroke: new ol.style.Stroke({ color: 'rgba(255, 140, 0, 0.9)', width: 6 })
+      });
+    }
+
+    if (type === 'sketch') {
+      return new ol.style.Style({
+        stroke: new ol.style.Stroke({ color: stroke, width: 3, lineDash: [8, 6] })
+      });
+    }
+
+    const styles = [
+      new ol.style.Style({
+        stroke: new ol.style.Stroke({ color: 'white', width: feature.get('selected') ? 9 : 7 })
+      }),
+      new ol.style.Style({
+        stroke: new ol.style.Stroke({ color: stroke, width: feature.get('selected') ? 5 : 4 })
+      })
+    ];
+    return styles;
+  }
+
+  /**
+   * Start drawing a new linear feature
+   * @param {string} moduleKey - Linear module key, e.g. 'hedgerow'
+   */
+  function startDrawing(moduleKey) {
+    const moduleConfig = LINEAR_MODULES[moduleKey];
+    if (!moduleConfig) {
+      console.error('Unknown linear module:', moduleKey);
+      return;
+    }
+
+    const boundaryPolygon = window.SnapDrawing && window.SnapDrawing.getBoundaryPolygon();
+    if (!boundaryPolygon) {
+      showStatus('No boundary loaded. Please define a red line boundary first.', 'error');
+      return;
+    }
+
+    if (activeModule || pickingModule) {
+      cancelDrawing();
+    }
+
+    activeModule = moduleKey;
+    drawingCoords = [];
+    lastSnapCoord = null;
+    map.getTargetElement().style.cursor = 'crosshair';
+
+    updateDrawingUI(moduleKey, true);
+    showStatus(`${moduleConfig.label} drawing active - click to place points, click the last point or press Enter to finish`, 'info');
+    console.log(`〰️ Drawing ${moduleKey}`);
+  }
+
+  /**
+   * Finish drawing and store the line
+   * @returns {boolean} True if the line was added
+   */
+  function finishDrawing() {
+    if (!activeModule) return false;
+
+    const moduleKey = activeModule;
+    const moduleConfig = LINEAR_MODULES[moduleKey];
+
+    if (drawingCoords.length < 2) {
+      showStatus(`A ${moduleConfig.label.toLowerCase()} needs at least two points`, 'warning');
+      return false;
+    }
+
+    const coords = drawingCoords.map(c => [...c]);
+    const boundaryPolygon = window.SnapDrawing.getBoundaryPolygon();
+    if (window.ParcelValidation && window.ParcelValidation.isLineWithinBoundary &&
+        !window.ParcelValidation.isLineWithinBoundary(coords, boundaryPolygon)) {
+      showStatus(`The ${moduleConfig.label.toLowerCase()} must be completely within the red line boundary`, 'error');
+      return false;
+    }
+
+    resetDrawingState();
+    updateDrawingUI(moduleKey, false);
+
+    const index = addLinearFeature(moduleKey, coords);
+    selectFeature(moduleKey, index);
+    showStatus(`${moduleConfig.label} ${index + 1} added`, 'success');
+
+    if (onFeaturesChanged) onFeaturesChanged(moduleKey);
+    return true;
+  }
+
+  /**
+   * Add a line to a module's features
+   * @param {string} moduleKey - Linear module key
+   * @param {Array} coords - Line coordinates
+   * @returns {number} Index of the new feature
+   */
+  function addLinearFeature(moduleKey, coords) {
+    const feature = new ol.Feature({
+      geometry: new ol.geom.LineString(coords),
+      type: 'linear',
+      module: moduleKey,
+      selected: false
+    });
+    linearSource.addFeature(feature);
+
+    linearFeatures[moduleKey].push({
+      feature: feature,
+      coords: coords,
+      bng: getDefaultBngData(moduleKey)
+    });
+
+    const index = linearFeatures[moduleKey].length - 1;
+    console.log(`✅ ${LINEAR_MODULES[moduleKey].label} ${index + 1} added (${getLengthKm(feature.getGeometry()).toFixed(3)} km)`);
+    return index;
+  }
+
+  /**
+   * Restore saved linear features (e.g. from the session) for every linear module
+   * @param {Object} geojson - Saved GeoJSON FeatureCollection, possibly mixed with parcels
+   * @returns {number} Number of features restored
+   */
+  function loadSavedFeatures(geojson) {
+    if (!geojson || !geojson.features) return 0;
+
+    let count = 0;
+    geojson.features.forEach(featureJson => {
+      const bng = (featureJson.properties && featureJson.properties.bng) || {};
+      const moduleConfig = LINEAR_MODULES[bng.module];
+      if (!moduleConfig || !featureJson.geometry || featureJson.geometry.type !== 'LineString') return;
+
+      const index = addLinearFeature(bng.module, featureJson.geometry.coordinates.map(c => [...c]));
+      linearFeatures[bng.module][index].bng = Object.assign(getDefaultBngData(bng.module), bng);
+      count++;
+    });
+
+    Object.keys(LINEAR_MODULES).forEach(moduleKey => {
+      renderList(moduleKey);
+      renderForm(moduleKey);
+    });
+
+    console.log(`✓ ${count} saved linear features restored`);
+    return count;
+  }
+
+  /**
+   * Start picking an OS line feature (e.g. a water link) as a whole
+   * The picked line is clipped to the red line boundary
+   * @param {string} moduleKey - Linear module key, e.g. 'watercourse'
+   */
+  function startPicking(moduleKey) {
+    const moduleConfig = LINEAR_MODULES[moduleKey];
+    if (!moduleConfig || moduleConfig.pickLayers.length === 0) {
+      console.error('Linear module cannot pick OS features:', moduleKey);
+      return;
+    }
+
+    const boundaryPolygon = window.SnapDrawing && window.SnapDrawing.getBoundaryPolygon();
+    if (!boundaryPolygon) {
+      showStatus('No boundary loaded. Please define a red line boundary first.', 'error');
+      return;
+    }
+
+    if (map.getView().getZoom() < MIN_ZOOM_FOR_SNAP) {
+      showStatus(`Zoom in to level ${MIN_ZOOM_FOR_SNAP} or above to pick OS ${moduleConfig.label.toLowerCase()}s`, 'warning');
+      return;
+    }
+
+    if (activeModule || pickingModule) {
+      cancelDrawing();
+    }
+
+    pickingModule = moduleKey;
+    map.getTargetElement().style.cursor = 'pointer';
+
+    updateDrawingUI(moduleKey, true, true);
+    showStatus(`Click an OS ${moduleConfig.label.toLowerCase()} line to add the part inside the boundary`, 'info');
+    console.log(`〰️ Picking ${moduleKey}`);
+  }
+
+  /**
+   * Find the nearest OS line of the picking module's layers to a coordinate
+   * @param {Array} coordinate - Cursor coordinate
+   * @returns {ol.Feature|null} Nearest OS feature within tolerance
+   */
+  function findPickableFeature(coordinate) {
+    const moduleConfig = LINEAR_MODULES[pickingModule];
+    const snapIndexSource = window.SnapDrawing.getSnapIndexSource && window.SnapDrawing.getSnapIndexSource();
+    if (!snapIndexSource) return null;
+
+    const tolerance = SNAP_TOLERANCE_PX * map.getView().getResolution();
+    const searchExtent = ol.extent.buffer(
+      [coordinate[0], coordinate[1], coordinate[0], coordinate[1]],
+      tolerance
+    );
+
+    let best = null;
+    let bestDistance = Infinity;
+
+    snapIndexSource.getFeaturesInExtent(searchExtent).forEach(feature => {
+      const geom = feature.getGeometry();
+      if (!geom || !moduleConfig.pickLayers.includes(feature.get('layerType'))) return;
+
+      const distance = getDistance(coordinate, geom.getClosestPoint(coordinate));
+      if (distance < tolerance && distance < bestDistance) {
+        bestDistance = distance;
+        best = feature;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Add the part of an OS line inside the boundary to the picking module
+   * @param {ol.Feature} osFeature - OS line feature
+   */
+  function pickFeature(osFeature) {
+    const moduleKey = pickingModule;
+    const moduleConfig = LINEAR_MODULES[moduleKey];
+    const geom = osFeature.getGeometry();
+    const lines = geom.getType() === 'MultiLineString' ? geom.getCoordinates() : [geom.getCoordinates()];
+    const boundaryPolygon = window.SnapDrawing.getBoundaryPolygon();
+
+    const pieces = [];
+    lines.forEach(lineCoords => {
+      window.ParcelValidation.clipLineToBoundary(lineCoords, boundaryPolygon).forEach(piece => pieces.push(piece));
+    });
+
+    if (pieces.length === 0) {
+      showStatus(`That ${moduleConfig.label.toLowerCase()} is outside the red line boundary`, 'warning');
+      return;
+    }
+
+    resetDrawingState();
+    updateDrawingUI(moduleKey, false);
+
+    let index = -1;
+    pieces.forEach(piece => {
+      index = addLinearFeature(moduleKey, piece);
+    });
+
+    selectFeature(moduleKey, index);
+    showStatus(pieces.length === 1
+      ? `${moduleConfig.label} ${index + 1} added from OS data`
+      : `${pieces.length} ${moduleConfig.label.toLowerCase()}s added from OS data`, 'success');
+
+    if (onFeaturesChanged) onFeaturesChanged(moduleKey);
+  }
+
+  /**
+   * Cancel the line currently being drawn or picked
+   */
+  function cancelDrawing() {
+    const moduleKey = activeModule || pickingModule;
+    if (!moduleKey) return;
+
+    const wasPicking = !!pickingModule;
+    resetDrawingState();
+    updateDrawingUI(moduleKey, false);
+    showStatus(`${LINEAR_MODULES[moduleKey].label} ${wasPicking ? 'picking' : 'drawing'} cancelled`, 'info');
+  }
+
+  /**
+   * Clear sketch features and drawing state
+   */
+  function resetDrawingState() {
+    if (sketchFeature) linearSource.removeFeature(sketchFeature);
+    if (hoverFeature) linearSource.removeFeature(hoverFeature);
+    sketchFeature = null;
+    hoverFeature = null;
+    drawingCoords = [];
+    lastSnapCoord = null;
+    activeModule = null;
+    pickingModule = null;
+    map.getTargetElement().style.cursor = 'default';
+  }
+
+  /**
+   * Handle pointer move - snap and update the sketch line
+   */
+  function handlePointerMove(evt) {
+    if (evt.dragging) return;
+
+    if (pickingModule) {
+      // Highlight the OS line that would be picked
+      const candidate = findPickableFeature(evt.coordinate);
+      if (!hoverFeature) {
+        hoverFeature = new ol.Feature({ type: 'pick-hover', module: pickingModule });
+        linearSource.addFeature(hoverFeature);
+      }
+      hoverFeature.setGeometry(candidate ? candidate.getGeometry().clone() : undefined);
+      return;
+    }
+
+    if (!activeModule) return;
+
+    const snap = findSnapPoint(evt.coordinate);
+    lastSnapCoord = snap.coordinate;
+
+    if (!hoverFeature) {
+      hoverFeature = new ol.Feature({ type: 'hover', module: activeModule });
+      linearSource.addFeature(hoverFeature);
+    }
+    hoverFeature.setGeometry(new ol.geom.Point(snap.coordinate));
+    hoverFeature.set('snapped', snap.snapped);
+
+    updateSketch(snap.coordinate);
+  }
+
+  /**
+   * Handle map click - place a point, or finish on the last point
+   */
+  function handleClick(evt) {
+    if (pickingModule) {
+      const osFeature = findPickableFeature(evt.coordinate);
+      if (osFeature) {
+        pickFeature(osFeature);
+      } else {
+        showStatus(`No OS ${LINEAR_MODULES[pickingModule].label.toLowerCase()} found here`, 'warning');
+      }
+      return;
+    }
+
+    if (!activeModule) {
+      // Select a linear feature when clicked
+      const hit = findFeatureAtPixel(evt.pixel);
+      if (hit) {
+        selectFeature(hit.moduleKey, hit.index);
+      }
+      return;
+    }
+
+    const coordinate = lastSnapCoord || evt.coordinate;
+
+    // Clicking the last placed point finishes the line
+    if (drawingCoords.length >= 2) {
+      const lastPixel = map.getPixelFromCoordinate(drawingCoords[drawingCoords.length - 1]);
+      const dx = lastPixel[0] - evt.pixel[0];
+      const dy = lastPixel[1] - evt.pixel[1];
+      if (Math.sqrt(dx * dx + dy * dy) < SNAP_TOLERANCE_PX) {
+        finishDrawing();
+        return;
+      }
+    }
+
+    const boundaryPolygon = window.SnapDrawing.getBoundaryPolygon();
+    if (window.ParcelValidation && window.ParcelValidation.isPointInsideOrOnBoundary &&
+        !window.ParcelValidation.isPointInsideOrOnBoundary(coordinate, boundaryPolygon)) {
+      showStatus('Points must be inside the red line boundary', 'warning');
+      return;
+    }
+
+    drawingCoords.push([...coordinate]);
+    updateSketch(coordinate);
+  }
+
+  /**
+   * Handle keyboard shortcuts while drawing
+   */
+  function handleKeyDown(evt) {
+    if (!activeModule && !pickingModule) return;
+
+    if (evt.key === 'Escape') {
+      cancelDrawing();
+    } else if (evt.key === 'Enter' && activeModule) {
+      evt.preventDefault();
+      finishDrawing();
+    }
+  }
+
+  /**
+   * Update the sketch line from the placed points to the cursor
+   * @param {Array} cursorCoord - Current cursor coordinate
+   */
+  function updateSketch(cursorCoord) {
+    if (drawingCoords.length === 0) return;
+
+    const coords = [...drawingCoords, cursorCoord];
+    if (!sketchFeature) {
+      sketchFeature = new ol.Feature({ type: 'sketch', module: activeModule });
+      linearSource.addFeature(sketchFeature);
+    }
+    sketchFeature.setGeometry(new ol.geom.LineString(coords));
+  }
+
+  /**
+   * Find a snap point on the module's OS snap layers, existing lines of the same
+   * module, or the red line boundary. Vertices take priority over edges.
+   * @param {Array} coordinate - Cursor coordinate
+   * @returns {Object} { coordinate, snapped }
+   */
+  function findSnapPoint(coordinate) {
+    const moduleConfig = LINEAR_MODULES[activeModule];
+    const tolerance = SNAP_TOLERANCE_PX * map.getView().getResolution();
+    const vertexTolerance = tolerance * 1.5;
+
+    const geometries = [];
+
+    // OS features from the module's snap layers (only loaded at snapping zoom levels)
+    const snappingEnabled = window.SnapDrawing.isSnappingEnabled ? window.SnapDrawing.isSnappingEnabled() : true;
+    const snapIndexSource = window.SnapDrawing.getSnapIndexSource && window.SnapDrawing.getSnapIndexSource();
+    if (snappingEnabled && snapIndexSource && map.getView().getZoom() >= MIN_ZOOM_FOR_SNAP) {
+      const searchExtent = ol.extent.buffer(
+        [coordinate[0], coordinate[1], coordinate[0], coordinate[1]],
+        vertexTolerance
+      );
+      snapIndexSource.getFeaturesInExtent(searchExtent).forEach(feature => {
+        if (moduleConfig.snapLayers.includes(feature.get('layerType')) && feature.getGeometry()) {
+          geometries.push(feature.getGeometry());
+        }
+      });
+    }
+
+    // Existing lines of the same module, so lines can join end to end
+    linearFeatures[activeModule].forEach(item => geometries.push(item.feature.getGeometry()));
+
+    // Red line boundary (every ring of every part)
+    const boundaryPolygon = window.SnapDrawing.getBoundaryPolygon();
+    if (boundaryPolygon) {
+      geometries.push(boundaryPolygon);
+    }
+
+    let best = null;
+    let bestDistance = Infinity;
+
+    // Vertices first
+    geometries.forEach(geom => {
+      getVertices(geom).forEach(vertex => {
+        const distance = getDistance(coordinate, vertex);
+        if (distance < vertexTolerance && distance < bestDistance) {
+          bestDistance = distance;
+          best = vertex;
+        }
+      });
+    });
+
+    // Then edges
+    if (!best) {
+      geometries.forEach(geom => {
+        const closest = geom.getClosestPoint(coordinate);
+        const distance = getDistance(coordinate, closest);
+        if (distance < tolerance && distance < bestDistance) {
+          bestDistance = distance;
+          best = closest;
+        }
+      });
+    }
+
+    return {
+      coordinate: best ? [...best] : coordinate,
+      snapped: !!best
+    };
+  }
+
+  /**
+   * Get all vertices of a line or polygon geometry
+   * @param {ol.geom.Geometry} geom - Geometry
+   * @returns {Array} Array of [x, y] coordinates
+   */
+  function getVertices(geom) {
+    const type = geom.getType();
+    const coords = geom.getCoordinates();
+
+    if (type === 'LineString' || type === 'LinearRing') return coords;
+    if (type === 'MultiLineString' || type === 'Polygon') return coords.flat();
+    if (type === 'MultiPolygon') return coords.flat(2);
+    return [];
+  }
+
+  /**
+   * Euclidean distance between two coordinates
+   */
+  function getDistance(coord1, coord2) {
+    const dx = coord1[0] - coord2[0];
+    const dy = coord1[1] - coord2[1];
+    return Math.sqrt(dx * dx + dy * dy);
+  }
+
+  /**
+   * Find a recorded linear feature at a pixel
+   * @param {Array} pixel - Map pixel
+   * @returns {Object|null} { moduleKey, index } or null
+   */
+  function findFeatureAtPixel(pixel) {
+    let hit = null;
+
+    map.forEachFeatureAtPixel(pixel, (feature) => {
+      if (feature.get('type') !== 'linear') return false;
+
+      const moduleKey = feature.get('module');
+      const index = linearFeatures[moduleKey].findIndex(item => item.feature === feature);
+      if (index >= 0) {
+        hit = { moduleKey, index };
+        return true;
+      }
+      return false;
+    }, {
+      layerFilter: (layer) => layer === linearLayer,
+      hitTolerance: 4
+    });
+
+    return hit;
+  }
+
+  /**
+   * Check whether a map click belongs to this module (drawing, picking, or a line was clicked)
+   * Used by SnapDrawing so that parcel selection doesn't also fire
+   * @param {Array} pixel - Map pixel
+   * @returns {boolean}
+   */
+  function handlesClickAtPixel(pixel) {
+    return !!activeModule || !!pickingModule || !!findFeatureAtPixel(pixel);
+  }
+
+  /**
+   * Get the ground length of a line in kilometres (measured in British National Grid)
+   * @param {ol.geom.LineString} geometry - Line geometry in EPSG:3857
+   * @returns {number} Length in km
+   */
+  function getLengthKm(geometry) {
+    return window.Measurement.getLengthM(geometry) / 1000;
+  }
+
+  /**
+   * Get default BNG data for a new linear feature
+   * @param {string} moduleKey - Linear module key
+   * @returns {Object} Default BNG properties
+   */
+  function getDefaultBngData(moduleKey) {
+    const bngData = {
+      module: moduleKey,
+      baseline: isBaseline,
+      habitatType: null,
+      condition: null,
+      strategicSignificance: 'Low',
+      distinctiveness: null,
+      userComments: ''
+    };
+
+    // Extra fields default to their first option (e.g. no encroachment)
+    LINEAR_MODULES[moduleKey].extraFields.forEach(field => {
+      bngData[field.key] = field.options[0].value;
+    });
+
+    return bngData;
+  }
+
+  /**
+   * Get the condition score for a linear module condition
+   * @param {string} moduleKey - Linear module key
+   * @param {string} condition - Condition value
+   * @returns {number|null} Score or null if not recognised
+   */
+  function getConditionScore(moduleKey, condition) {
+    const option = LINEAR_MODULES[moduleKey].conditionOptions.find(opt => opt.value === condition);
+    return option ? option.score : null;
+  }
+
+  /**
+   * Get the multiplier for an extra field value (e.g. watercourse encroachment)
+   * @param {Object} field - Extra field config
+   * @param {string} value - Selected value
+   * @returns {number|null} Multiplier or null if not recognised
+   */
+  function getExtraFieldMultiplier(field, value) {
+    const option = field.options.find(opt => opt.value === value);
+    return option ? option.multiplier : null;
+  }
+
+  /**
+   * Calculate linear units for a feature
+   * Units = length (km) × distinctiveness score × condition score × strategic significance multiplier
+   * × any extra field multipliers (e.g. watercourse and riparian encroachment)
+   * @param {Object} bngData - Feature BNG properties
+   * @param {number} lengthKm - Length in km
+   * @returns {number|null} Units, or null if incomplete
+   */
+  function calculateUnits(bngData, lengthKm) {
+    if (!bngData || !window.HabitatAttribution || !LINEAR_MODULES[bngData.module]) return null;
+
+    const distinctivenessScore = window.HabitatAttribution.getDistinctivenessScore(bngData.distinctiveness);
+    const conditionScore = getConditionScore(bngData.module, bngData.condition);
+    const multiplier = window.HabitatAttribution.getStrategicSignificanceMultiplier(bngData.strategicSignificance || 'Low');
+
+    if (distinctivenessScore === null || conditionScore === null || multiplier === null) {
+      return null;
+    }
+
+    let units = lengthKm * distinctivenessScore * conditionScore * multiplier;
+
+    for (const field of LINEAR_MODULES[bngData.module].extraFields) {
+      const fieldMultiplier = getExtraFieldMultiplier(field, bngData[field.key]);
+      if (fieldMultiplier === null) return null;
+      units *= fieldMultiplier;
+    }
+
+    return units;
+  }
+
+  /**
+   * Get total length and units for a module
+   * @param {string} moduleKey - Linear module key
+   * @returns {Object} { lengthKm, units }
+   */
+  function getModuleTotals(moduleKey) {
+    return linearFeatures[moduleKey].reduce((totals, item) => {
+      const lengthKm = getLengthKm(item.feature.getGeometry());
+      const units = calculateUnits(item.bng, lengthKm);
+      totals.lengthKm += lengthKm;
+      if (units !== null) totals.units += units;
+      return totals;
+    }, { lengthKm: 0, units: 0 });
+  }
+
+  /**
+   * Remove a linear feature
+   * @param {string} moduleKey - Linear module key
+   * @param {number} index - Feature index
+   */
+  function removeFeature(moduleKey, index) {
+    const items = linearFeatures[moduleKey];
+    if (!items || index < 0 || index >= items.length) return;
+
+    if (selectedIndex[moduleKey] === index) {
+      selectedIndex[moduleKey] = -1;
+    } else if (selectedIndex[moduleKey] > index) {
+      selectedIndex[moduleKey]--;
+    }
+
+    linearSource.removeFeature(items[index].feature);
+    items.splice(index, 1);
+
+    renderList(moduleKey);
+    renderForm(moduleKey);
+    showStatus(`${LINEAR_MODULES[moduleKey].label} removed`, 'info');
+
+    if (onFeaturesChanged) onFeaturesChanged(moduleKey);
+  }
+
+  /**
+   * Select a linear feature for attribution
+   * @param {string} moduleKey - Linear module key
+   * @param {number} index - Feature index
+   */
+  function selectFeature(moduleKey, index) {
+    const items = linearFeatures[moduleKey];
+    if (!items || index < 0 || index >= items.length) return;
+
+    items.forEach((item, i) => item.feature.set('selected', i === index));
+    selectedIndex[moduleKey] = index;
+
+    renderList(moduleKey);
+    renderForm(moduleKey);
+  }
+
+  /**
+   * Deselect the selected feature of a module
+   * @param {string} moduleKey - Linear module key
+   */
+  function deselectFeature(moduleKey) {
+    linearFeatures[moduleKey].forEach(item => item.feature.set('selected', false));
+    selectedIndex[moduleKey] = -1;
+
+    renderList(moduleKey);
+    renderForm(moduleKey);
+  }
+
+  /**
+   * Render the list of features for a module with length and units
+   * @param {string} moduleKey - Linear module key
+   */
+  function renderList(moduleKey) {
+    const moduleConfig = LINEAR_MODULES[moduleKey];
+    const listElement = document.getElementById(`${moduleKey}-list-items`);
+
+    if (listElement) {
+      const items = linearFeatures[moduleKey];
+
+      if (items.length === 0) {
+        listElement.innerHTML = `<li class="govuk-body-s" style="color: #505a5f;">No ${moduleConfig.label.toLowerCase()}s drawn yet</li>`;
+      } else {
+        listElement.innerHTML = items.map((item, index) => {
+          const lengthKm = getLengthKm(item.feature.getGeometry());
+          const units = calculateUnits(item.bng, lengthKm);
+          const isSelected = selectedIndex[moduleKey] === index;
+          const name = item.bng.habitatType || `${moduleConfig.label} ${index + 1}`;
+          const valid = validateFeature(moduleKey, index, false).valid;
+          const statusIndicator = valid
+            ? '<span class="govuk-tag govuk-tag--green" style="font-size: 10px; margin-left: 5px;">Complete</span>'
+            : '<span class="govuk-tag govuk-tag--red" style="font-size: 10px; margin-left: 5px;">Incomplete</span>';
+
+          let rowStyle = 'display: flex; flex-direction: column; padding: 8px; border-bottom: 1px solid #b1b4b6;';
+          if (isSelected) {
+            rowStyle += ` background: #e8f4f8; border-left: 4px solid ${moduleConfig.stroke};`;
+          }
+
+          return `
+            <li class="govuk-body-s" style="${rowStyle}">
+              <div style="display: flex; align-items: center; justify-content: space-between; width: 100%;">
+                <span style="display: flex; align-items: center;">
+                  <span style="width: 16px; height: 4px; background: ${moduleConfig.stroke}; margin-right: 8px; flex-shrink: 0;"></span>
+                  <a href="#" class="govuk-link" onclick="event.preventDefault(); window.LinearHabitats.selectFeature('${moduleKey}', ${index})" style="font-weight: ${isSelected ? 'bold' : 'normal'};">${name}</a>
+                </span>
+                <span>${statusIndicator}</span>
+              </div>
+              <div style="display: flex; justify-content: space-between; margin-top: 4px; margin-left: 24px;">
+                <span style="color: #505a5f;">${lengthKm.toFixed(3)} km · ${units !== null ? units.toFixed(2) : '--'} units</span>
+                <button type="button" class="govuk-link" style="color: #d4351c; cursor: pointer; border: none; background: none;" onclick="event.stopPropagation(); window.LinearHabitats.removeFeature('${moduleKey}', ${index})">Remove</button>
+              </div>
+            </li>
+          `;
+        }).join('');
+      }
+    }
+
+    // Module totals
+    const totals = getModuleTotals(moduleKey);
+    const totalLengthElement = document.getElementById(`total-${moduleKey}-length`);
+    if (totalLengthElement) {
+      totalLengthElement.textContent = totals.lengthKm.toFixed(3);
+    }
+    const totalUnitsElement = document.getElementById(`total-${moduleKey}-units`);
+    if (totalUnitsElement) {
+      totalUnitsElement.textContent = totals.units.toFixed(2);
+    }
+  }
+
+  /**
+   * Set up event listeners for a module's attribution form
+   * @param {string} moduleKey - Linear module key
+   */
+  function setupFormEventListeners(moduleKey) {
+    const typeSelect = document.getElementById(`${moduleKey}-type`);
+    if (typeSelect) {
+      typeSelect.addEventListener('change', (evt) => {
+        const habitatType = evt.target.value || null;
+        updateSelectedProperty(moduleKey, 'habitatType', habitatType);
+        updateSelectedProperty(moduleKey, 'distinctiveness', habitatType ? LINEAR_MODULES[moduleKey].types[habitatType] : null);
+        renderForm(moduleKey);
+      });
+    }
+
+    const conditionSelect = document.getElementById(`${moduleKey}-condition`);
+    if (conditionSelect) {
+      conditionSelect.addEventListener('change', (evt) => {
+        updateSelectedProperty(moduleKey, 'condition', evt.target.value || null);
+        renderForm(moduleKey);
+      });
+    }
+
+    const strategicSelect = document.getElementById(`${moduleKey}-strategic-significance`);
+    if (strategicSelect) {
+      strategicSelect.addEventListener('change', (evt) => {
+        updateSelectedProperty(moduleKey, 'strategicSignificance', evt.target.value || 'Low');
+        renderForm(moduleKey);
+      });
+    }
+
+    LINEAR_MODULES[moduleKey].extraFields.forEach(field => {
+      const fieldSelect = document.getElementById(`${moduleKey}-${field.id}`);
+      if (fieldSelect) {
+        fieldSelect.addEventListener('change', (evt) => {
+          updateSelectedProperty(moduleKey, field.key, evt.target.value || null);
+          renderForm(moduleKey);
+        });
+      }
+    });
+
+    const commentsTextarea = document.getElementById(`${moduleKey}-user-comments`);
+    if (commentsTextarea) {
+      commentsTextarea.addEventListener('input', (evt) => {
+        updateSelectedProperty(moduleKey, 'userComments', evt.target.value || '');
+      });
+    }
+
+    const deselectBtn = document.getElementById(`${moduleKey}-deselect-btn`);
+    if (deselectBtn) {
+      deselectBtn.addEventListener('click', (evt) => {
+        evt.preventDefault();
+        deselectFeature(moduleKey);
+      });
+    }
+  }
+
+  /**
+   * Populate the habitat type, condition and extra field dropdowns for a module
+   * @param {string} moduleKey - Linear module key
+   */
+  function populateTypeOptions(moduleKey) {
+    const moduleConfig = LINEAR_MODULES[moduleKey];
+
+    const typeSelect = document.getElementById(`${moduleKey}-type`);
+    if (typeSelect) {
+      typeSelect.innerHTML = `<option value="">Select ${moduleConfig.label.toLowerCase()} type</option>`;
+      Object.keys(moduleConfig.types).forEach(type => {
+        const option = document.createElement('option');
+        option.value = type;
+        option.textContent = type;
+        typeSelect.appendChild(option);
+      });
+    }
+
+    const conditionSelect = document.getElementById(`${moduleKey}-condition`);
+    if (conditionSelect) {
+      conditionSelect.innerHTML = '<option value="">Select condition</option>';
+      moduleConfig.conditionOptions.forEach(condition => {
+        const option = document.createElement('option');
+        option.value = condition.value;
+        option.textContent = condition.text;
+        conditionSelect.appendChild(option);
+      });
+    }
+
+    moduleConfig.extraFields.forEach(field => {
+      const fieldSelect = document.getElementById(`${moduleKey}-${field.id}`);
+      if (fieldSelect) {
+        fieldSelect.innerHTML = '';
+        field.options.forEach(fieldOption => {
+          const option = document.createElement('option');
+          option.value = fieldOption.value;
+          option.textContent = fieldOption.text;
+          fieldSelect.appendChild(option);
+        });
+      }
+    });
+  }
+
+  /**
+   * Update a BNG property on the selected feature of a module
+   * @param {string} moduleKey - Linear module key
+   * @param {string} key - Property key
+   * @param {*} value - Property value
+   */
+  function updateSelectedProperty(moduleKey, key, value) {
+    const index = selectedIndex[moduleKey];
+    if (index < 0) return;
+
+    linearFeatures[moduleKey][index].bng[key] = value;
+    console.log(`📝 ${LINEAR_MODULES[moduleKey].label} ${index + 1} bng.${key} = ${value}`);
+  }
+
+  /**
+   * Render the attribution form for the selected feature of a module
+   * @param {string} moduleKey - Linear module key
+   */
+  function renderForm(moduleKey) {
+    const noSelectionMessage = document.getElementById(`${moduleKey}-no-selection-message`);
+    const attributionForm = document.getElementById(`${moduleKey}-attribution-form`);
+    if (!noSelectionMessage || !attributionForm) return;
+
+    const index = selectedIndex[moduleKey];
+    if (index < 0) {
+      noSelectionMessage.style.display = 'block';
+      attributionForm.style.display = 'none';
+      return;
+    }
+
+    noSelectionMessage.style.display = 'none';
+    attributionForm.style.display = 'block';
+
+    const moduleConfig = LINEAR_MODULES[moduleKey];
+    const item = linearFeatures[moduleKey][index];
+    const bngData = item.bng;
+    const lengthKm = getLengthKm(item.feature.getGeometry());
+
+    const header = document.getElementById(`${moduleKey}-selected-header`);
+    if (header) {
+      header.textContent = `${moduleConfig.label} ${index + 1}`;
+    }
+
+    const typeSelect = document.getElementById(`${moduleKey}-type`);
+    if (typeSelect) typeSelect.value = bngData.habitatType || '';
+
+    const distinctivenessDisplay = document.getElementById(`${moduleKey}-distinctiveness-display`);
+    if (distinctivenessDisplay) {
+      distinctivenessDisplay.textContent = bngData.distinctiveness || 'Not set';
+      distinctivenessDisplay.className = bngData.distinctiveness ? 'govuk-tag govuk-tag--blue' : 'govuk-tag govuk-tag--grey';
+    }
+
+    const conditionSelect = document.getElementById(`${moduleKey}-condition`);
+    if (conditionSelect) {
+      conditionSelect.value = bngData.condition || '';
+      conditionSelect.disabled = !bngData.habitatType;
+    }
+
+    moduleConfig.extraFields.forEach(field => {
+      const fieldSelect = document.getElementById(`${moduleKey}-${field.id}`);
+      if (fieldSelect) fieldSelect.value = bngData[field.key] || '';
+    });
+
+    const strategicSelect = document.getElementById(`${moduleKey}-strategic-significance`);
+    if (strategicSelect) strategicSelect.value = bngData.strategicSignificance || 'Low';
+
+    const commentsTextarea = document.getElementById(`${moduleKey}-user-comments`);
+    if (commentsTextarea) commentsTextarea.value = bngData.userComments || '';
+
+    const lengthDisplay = document.getElementById(`${moduleKey}-length-readonly`);
+    if (lengthDisplay) lengthDisplay.textContent = lengthKm.toFixed(3);
+
+    const unitsDisplay = document.getElementById(`${moduleKey}-units-readonly`);
+    if (unitsDisplay) {
+      const units = calculateUnits(bngData, lengthKm);
+      unitsDisplay.textContent = units !== null ? units.toFixed(2) : '--';
+    }
+
+    validateFeature(moduleKey, index, true);
+    renderList(moduleKey);
+  }
+
+  /**
+   * Validate a linear feature's attribution and geometry
+   * @param {string} moduleKey - Linear module key
+   * @param {number} index - Feature index
+   * @param {boolean} updateDisplay - Whether to update the error summary and notify listeners
+   * @returns {Object} Validation result { valid: boolean, errors: string[] }
+   */
+  function validateFeature(moduleKey, index, updateDisplay = true) {
+    const moduleConfig = LINEAR_MODULES[moduleKey];
+    const item = linearFeatures[moduleKey][index];
+    const errors = [];
+
+    if (!item.bng.habitatType) {
+      errors.push(`${moduleConfig.label} type is required`);
+    }
+    if (!item.bng.condition) {
+      errors.push('Condition is required');
+    }
+    moduleConfig.extraFields.forEach(field => {
+      if (!item.bng[field.key]) {
+        errors.push(`${field.label} is required`);
+      }
+    });
+    if (getLengthKm(item.feature.getGeometry()) <= 0) {
+      errors.push('Length must be greater than 0');
+    }
+
+    const valid = errors.length === 0;
+
+    if (updateDisplay) {
+      if (index === selectedIndex[moduleKey]) {
+        const validationSummary = document.getElementById(`${moduleKey}-validation-summary`);
+        if (validationSummary) {
+          validationSummary.style.display = valid ? 'none' : 'block';
+          const errorList = validationSummary.querySelector('.govuk-error-summary__list');
+          if (errorList) {
+            errorList.innerHTML = errors.map(error => `<li>${error}</li>`).join('');
+          }
+        }
+      }
+
+      if (onValidationChange) {
+        onValidationChange(moduleKey, index, valid, errors);
+      }
+    }
+
+    return { valid, errors };
+  }
+
+  /**
+   * Validate all linear features across all modules
+   * @returns {Object} { valid: boolean, errors: string[] }
+   */
+  function validateAll() {
+    const errors = [];
+
+    Object.keys(LINEAR_MODULES).forEach(moduleKey => {
+      linearFeatures[moduleKey].forEach((item, index) => {
+        const result = validateFeature(moduleKey, index, false);
+        result.errors.forEach(error => {
+          errors.push(`${LINEAR_MODULES[moduleKey].label} ${index + 1}: ${error}`);
+        });
+      });
+    });
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Get all linear features as GeoJSON features (EPSG:3857)
+   * @returns {Object} GeoJSON FeatureCollection of LineStrings
+   */
+  function getGeoJSON() {
+    const features = [];
+
+    Object.keys(LINEAR_MODULES).forEach(moduleKey => {
+      linearFeatures[moduleKey].forEach((item, index) => {
+        const lengthKm = getLengthKm(item.feature.getGeometry());
+        const bng = item.bng;
+        bng.lengthKm = lengthKm;
+        bng.biodiversityUnits = calculateUnits(bng, lengthKm);
+
+        features.push({
+          type: 'Feature',
+          geometry: {
+            type: 'LineString',
+            coordinates: item.feature.getGeometry().getCoordinates()
+          },
+          properties: {
+            featureIndex: index,
+            lengthKm: lengthKm,
+            bng: bng
+          }
+        });
+      });
+    });
+
+    return {
+      type: 'FeatureCollection',
+      features: features,
+      crs: {
+        type: 'name',
+        properties: {
+          name: 'EPSG:3857'
+        }
+      }
+    };
+  }
+
+  /**
+   * Update the draw/pick/finish/cancel controls for a module
+   * @param {string} moduleKey - Linear module key
+   * @param {boolean} isDrawing - Whether a line is being drawn or picked
+   * @param {boolean} isPicking - Whether an OS line is being picked (no finish button)
+   */
+  function updateDrawingUI(moduleKey, isDrawing, isPicking = false) {
+    const startBtn = document.getElementById(`start-${moduleKey}`);
+    const pickBtn = document.getElementById(`pick-${moduleKey}`);
+    const finishBtn = document.getElementById(`finish-${moduleKey}`);
+    const cancelBtn = document.getElementById(`cancel-${moduleKey}`);
+
+    if (startBtn) startBtn.parentElement.style.display = isDrawing ? 'none' : 'block';
+    if (pickBtn) pickBtn.parentElement.style.display = isDrawing ? 'none' : 'block';
+    if (finishBtn) finishBtn.parentElement.style.display = isDrawing && !isPicking ? 'block' : 'none';
+    if (cancelBtn) cancelBtn.parentElement.style.display = isDrawing ? 'block' : 'none';
+  }
+
+  /**
+   * Show status message via callback
+   */
+  function showStatus(message, type) {
+    if (onStatusMessage) {
+      onStatusMessage(message, type);
+    } else {
+      console.log(`[${type}] ${message}`);
+    }
+  }
+
+  // Export public API
+  window.LinearHabitats = {
+    init: init,
+    startDrawing: startDrawing,
+    finishDrawing: finishDrawing,
+    cancelDrawing: cancelDrawing,
+    startPicking: startPicking,
+    loadSavedFeatures: loadSavedFeatures,
+    isDrawing: () => !!activeModule || !!pickingModule,
+    handlesClickAtPixel: handlesClickAtPixel,
+    selectFeature: selectFeature,
+    deselectFeature: deselectFeature,
+    removeFeature: removeFeature,
+    getFeatureCount: (moduleKey) => (linearFeatures[moduleKey] || []).length,
+    getFeatures: (moduleKey) => linearFeatures[moduleKey] || [],
+    getModuleTotals: getModuleTotals,
+    getLengthKm: getLengthKm,
+    calculateUnits: calculateUnits,
+    validateAll: validateAll,
+    getGeoJSON: getGeoJSON,
+    getModules: () => Object.keys(LINEAR_MODULES),
+    getHabitatTypesFor: (moduleKey) => Object.keys(LINEAR_MODULES[moduleKey].types)
+  };
+
+})(window);
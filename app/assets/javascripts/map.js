@@ -1,6 +1,6 @@
 //
 // OpenLayers map initialization for Ordnance Survey Vector Tiles
-// Supports two modes: 'red-line-boundary' and 'habitat-parcels'
+// Supports three modes: 'red-line-boundary', 'habitat-parcels' (baseline) and 'proposed-habitats'
 //
 
 window.GOVUKPrototypeKit.documentReady(() => {
@@ -13,10 +13,14 @@ window.GOVUKPrototypeKit.documentReady(() => {
   // Read configuration from data attributes
   const mode = mapContainer.dataset.mode || 'red-line-boundary';
   const boundaryUrl = mapContainer.dataset.boundaryUrl || null;
+  const baselineParcelsUrl = mapContainer.dataset.baselineParcelsUrl || null;
+  const savedParcelsUrl = mapContainer.dataset.savedParcelsUrl || null;
 
   console.log('=== Map Initialization ===');
   console.log('Mode:', mode);
   console.log('Boundary URL:', boundaryUrl);
+  console.log('Baseline parcels URL:', baselineParcelsUrl);
+  console.log('Saved parcels URL:', savedParcelsUrl);
 
   // Define the UK extent in EPSG:3857
   const ukExtent = ol.proj.transformExtent(
@@ -105,7 +109,10 @@ window.GOVUKPrototypeKit.documentReady(() => {
         // Initialize based on mode
         if (mode === 'habitat-parcels' && boundaryUrl) {
           // Fetch boundary and initialize in habitat-parcels mode
-          initHabitatParcelsMode(map, boundaryUrl);
+          initHabitatParcelsMode(map, boundaryUrl, { savedParcelsUrl: savedParcelsUrl });
+        } else if (mode === 'proposed-habitats' && boundaryUrl) {
+          // Fetch boundary and baseline parcels, then record proposed habitats
+          initHabitatParcelsMode(map, boundaryUrl, { baseline: false, baselineParcelsUrl: baselineParcelsUrl, savedParcelsUrl: savedParcelsUrl });
         } else {
           // Initialize in red-line-boundary mode
           initRedLineBoundaryMode(map);
@@ -136,10 +143,15 @@ function initRedLineBoundaryMode(map) {
       mode: 'red-line-boundary',
       onPolygonComplete: () => {
         console.log('Polygon complete - save button enabled');
+      },
+      onValidationError: (error) => {
+        showStatus(error, 'error');
       }
     });
   }
 
+  initEditHistory();
+
   // Initialize Fill tool for red-line-boundary mode
   if (window.FillTool && window.FillTool.init) {
     window.FillTool.init(map, {
@@ -168,13 +180,96 @@ function initRedLineBoundaryMode(map) {
       }
     });
   }
+
+  setupBoundaryImport(map);
+}
+
+/**
+ * Set up importing the boundary from a file (red-line-boundary mode)
+ * @param {ol.Map} map - OpenLayers map instance
+ */
+function setupBoundaryImport(map) {
+  const importButton = document.getElementById('import-boundary');
+  const fileInput = document.getElementById('boundary-file');
+  if (!importButton || !fileInput || !window.SpatialFileImport) return;
+
+  const formGroup = document.getElementById('boundary-file-group');
+  const errorMessage = document.getElementById('boundary-file-error');
+  const errorText = document.getElementById('boundary-file-error-text');
+
+  function showFileError(message) {
+    if (formGroup) formGroup.classList.toggle('govuk-form-group--error', !!message);
+    fileInput.classList.toggle('govuk-file-upload--error', !!message);
+    if (errorMessage) errorMessage.style.display = message ? 'block' : 'none';
+    if (errorText) errorText.textContent = message || '';
+  }
+
+  fileInput.addEventListener('change', () => showFileError(null));
+
+  importButton.addEventListener('click', async (e) => {
+    e.preventDefault();
+    showFileError(null);
+
+    if (window.SnapDrawing && window.SnapDrawing.isDrawing && window.SnapDrawing.isDrawing()) {
+      showStatus('Finish or cancel the polygon you are drawing first', 'warning');
+      return;
+    }
+    if (window.FillTool && window.FillTool.isActive && window.FillTool.isActive()) {
+      window.FillTool.cancelFillMode();
+    }
+
+    const file = fileInput.files[0];
+    importButton.disabled = true;
+    const originalText = importButton.textContent;
+    importButton.textContent = 'Importing...';
+
+    let result;
+    try {
+      result = await window.SpatialFileImport.readBoundaryFile(file);
+    } finally {
+      importButton.disabled = false;
+      importButton.textContent = originalText;
+    }
+
+    if (result.error) {
+      showFileError(result.error);
+      showStatus(result.error, 'error');
+      return;
+    }
+
+    if (window.EditHistory) {
+      window.EditHistory.record('Import boundary');
+    }
+
+    const geometry = result.geometry;
+    const loaded = geometry.getType() === 'Polygon'
+      ? window.SnapDrawing.setPolygonFromCoordinates(geometry.getCoordinates()[0], geometry.getCoordinates().slice(1))
+      : window.SnapDrawing.setBoundaryGeometry(geometry);
+    if (!loaded) {
+      showFileError('The boundary in the file could not be loaded onto the map.');
+      return;
+    }
+
+    map.getView().fit(geometry.getExtent(), { padding: [50, 50, 50, 50], maxZoom: 18, duration: 500 });
+    fileInput.value = '';
+    showStatus(`Boundary imported from ${file.name} (${result.projection}). Check it against the map and save it.`, 'success');
+  });
 }
 
 /**
  * Initialize in habitat-parcels mode
+ * Used for both baseline parcels and proposed (post-development) habitats
+ * @param {ol.Map} map - OpenLayers map instance
+ * @param {string} boundaryUrl - URL to fetch the red line boundary from
+ * @param {Object} options - Layer options
+ * @param {boolean} options.baseline - false to record proposed habitats (default true)
+ * @param {string} options.baselineParcelsUrl - URL to fetch saved baseline parcels from (proposed habitats)
+ * @param {string} options.savedParcelsUrl - URL to fetch previously saved parcels for this layer from
  */
-async function initHabitatParcelsMode(map, boundaryUrl) {
-  console.log('Initializing habitat-parcels mode...');
+async function initHabitatParcelsMode(map, boundaryUrl, options = {}) {
+  const isBaseline = options.baseline !== false;
+
+  console.log(`Initializing habitat-parcels mode (${isBaseline ? 'baseline' : 'proposed'})...`);
   console.log('Fetching boundary from:', boundaryUrl);
 
   try {
@@ -192,10 +287,34 @@ async function initHabitatParcelsMode(map, boundaryUrl) {
 
     console.log('Boundary loaded:', boundaryGeoJSON);
 
+    // Proposed habitats are recorded against the saved baseline parcels
+    let baselineParcelsGeoJSON = null;
+    if (!isBaseline) {
+      const baselineResponse = await fetch(options.baselineParcelsUrl);
+      baselineParcelsGeoJSON = await baselineResponse.json();
+
+      // Hedgerows, watercourses and trees are saved with the baseline but aren't parcels
+      const baselineParcelCount = baselineParcelsGeoJSON && baselineParcelsGeoJSON.features
+        ? baselineParcelsGeoJSON.features.filter(feature => window.SnapDrawing.isAreaParcelFeature(feature)).length
+        : 0;
+      if (baselineParcelCount === 0) {
+        console.error('No baseline parcels found. Redirecting to baseline...');
+        showStatus('No baseline parcels saved. Please record the on-site habitat baseline first.', 'error');
+        setTimeout(() => {
+          window.location.href = '/on-site-habitat-baseline';
+        }, 2000);
+        return;
+      }
+
+      console.log('Baseline parcels loaded:', baselineParcelCount);
+    }
+
     if (window.SnapDrawing && window.SnapDrawing.initWithConfig) {
       window.SnapDrawing.initWithConfig(map, {
         mode: 'habitat-parcels',
+        baseline: isBaseline,
         boundaryGeoJSON: boundaryGeoJSON,
+        baselineParcelsGeoJSON: baselineParcelsGeoJSON,
         onPolygonComplete: () => {
           console.log('Parcel complete');
         },
@@ -232,9 +351,10 @@ async function initHabitatParcelsMode(map, boundaryUrl) {
       });
     }
 
-    // Initialize HabitatAttribution module for baseline habitat data entry
+    // Initialize HabitatAttribution module for baseline or proposed habitat data entry
     if (window.HabitatAttribution && window.HabitatAttribution.init) {
       window.HabitatAttribution.init({
+        baseline: isBaseline,
         onSelectionChange: (index) => {
           console.log(`HabitatAttribution selection changed to: ${index}`);
           // Sync selection back to SnapDrawing
@@ -303,12 +423,175 @@ async function initHabitatParcelsMode(map, boundaryUrl) {
         }
       });
     }
+
+    // Initialize linear habitats (hedgerow and watercourse modules)
+    if (window.LinearHabitats && window.LinearHabitats.init) {
+      window.LinearHabitats.init(map, {
+        baseline: isBaseline,
+        onStatusMessage: (message, type) => {
+          showStatus(message, type);
+        },
+        onFeaturesChanged: () => {
+          updateSaveButtonState();
+        },
+        onValidationChange: () => {
+          updateSaveButtonState();
+        }
+      });
+    }
+
+    // Initialize individual trees (points over area parcels)
+    if (window.IndividualTrees && window.IndividualTrees.init) {
+      window.IndividualTrees.init(map, {
+        baseline: isBaseline,
+        onStatusMessage: (message, type) => {
+          showStatus(message, type);
+        },
+        onTreesChanged: () => {
+          updateSaveButtonState();
+        },
+        onValidationChange: () => {
+          updateSaveButtonState();
+        }
+      });
+    }
+
+    // Initialize habitat survey import (baseline only)
+    if (isBaseline && window.HabitatImport && window.HabitatImport.init) {
+      window.HabitatImport.init({
+        onStatusMessage: (message, type) => {
+          showStatus(message, type);
+        },
+        onParcelsImported: () => {
+          if (window.HabitatAttribution && window.HabitatAttribution.renderForm) {
+            window.HabitatAttribution.renderForm();
+          }
+          updateSaveButtonState();
+        }
+      });
+    }
+
+    // Restore parcels saved earlier in the session
+    if (options.savedParcelsUrl) {
+      await restoreSavedParcels(options.savedParcelsUrl);
+    }
+
+    // Start the history after restoring, so the restored parcels can't be undone
+    initEditHistory();
+
+    // Open a parcel for editing when linked from the summary page (?parcel=N)
+    selectParcelFromQueryString();
   } catch (error) {
     console.error('Error fetching boundary:', error);
     showStatus('Error loading boundary. Please try again.', 'error');
   }
 }
 
+/**
+ * Restore saved parcels, linear features and trees for the current layer
+ * Warns if the red line boundary has changed since the parcels were saved
+ * @param {string} savedParcelsUrl - URL to fetch the saved FeatureCollection from
+ */
+async function restoreSavedParcels(savedParcelsUrl) {
+  try {
+    const response = await fetch(savedParcelsUrl);
+    const savedGeoJSON = await response.json();
+
+    if (!savedGeoJSON || !savedGeoJSON.features || savedGeoJSON.features.length === 0) {
+      console.log('No saved parcels to restore');
+      return;
+    }
+
+    const result = window.SnapDrawing.loadSavedParcels(savedGeoJSON);
+    if (window.LinearHabitats && window.LinearHabitats.loadSavedFeatures) {
+      window.LinearHabitats.loadSavedFeatures(savedGeoJSON);
+    }
+    if (window.IndividualTrees && window.IndividualTrees.loadSavedTrees) {
+      window.IndividualTrees.loadSavedTrees(savedGeoJSON);
+    }
+
+    if (window.HabitatAttribution && window.HabitatAttribution.renderForm) {
+      window.HabitatAttribution.renderForm();
+    }
+    updateSaveButtonState();
+
+    if (result.boundaryChanged) {
+      const invalidText = result.invalidCount > 0
+        ? ` ${result.invalidCount} parcel(s) no longer fit the boundary or overlap and must be edited before saving.`
+        : ' Check the parcels still match the site.';
+      showStatus(`The red line boundary has changed since these parcels were saved.${invalidText}`, 'warning');
+    } else if (result.count > 0) {
+      showStatus(`${result.count} saved parcel(s) restored`, 'success');
+    }
+  } catch (error) {
+    console.error('Error restoring saved parcels:', error);
+    showStatus('Saved parcels could not be restored.', 'error');
+  }
+}
+
+/**
+ * Set up undo/redo for the boundary or parcels
+ */
+function initEditHistory() {
+  if (!window.EditHistory || !window.SnapDrawing || !window.SnapDrawing.getHistoryState) return;
+
+  window.EditHistory.init({
+    capture: window.SnapDrawing.getHistoryState,
+    restore: (state) => {
+      window.SnapDrawing.restoreHistoryState(state);
+      if (window.HabitatAttribution && window.HabitatAttribution.renderForm) {
+        window.HabitatAttribution.renderForm();
+      }
+      updateSaveButtonState();
+    },
+    onChange: (history) => {
+      const undoButton = document.getElementById('undo');
+      const redoButton = document.getElementById('redo');
+      setControlEnabled(undoButton, history.canUndo);
+      setControlEnabled(redoButton, history.canRedo);
+      if (undoButton) undoButton.title = history.undoLabel ? `Undo ${history.undoLabel.toLowerCase()} (Ctrl+Z)` : 'Nothing to undo';
+      if (redoButton) redoButton.title = history.redoLabel ? `Redo ${history.redoLabel.toLowerCase()} (Ctrl+Shift+Z)` : 'Nothing to redo';
+    }
+  });
+}
+
+/**
+ * Select the parcel given by the ?parcel=N query string parameter, if it exists
+ * Linear features are selected with their module key instead, e.g. ?hedgerow=N, and trees with ?tree=N
+ */
+function selectParcelFromQueryString() {
+  const params = new URLSearchParams(window.location.search);
+
+  const treeParam = params.get('tree');
+  if (treeParam !== null && window.IndividualTrees) {
+    window.IndividualTrees.selectTree(parseInt(treeParam, 10));
+  }
+
+  if (window.LinearHabitats && window.LinearHabitats.getModules) {
+    window.LinearHabitats.getModules().forEach(moduleKey => {
+      const featureParam = params.get(moduleKey);
+      if (featureParam !== null) {
+        window.LinearHabitats.selectFeature(moduleKey, parseInt(featureParam, 10));
+      }
+    });
+  }
+
+  const parcelParam = params.get('parcel');
+  if (parcelParam === null) return;
+
+  const index = parseInt(parcelParam, 10);
+  const parcelCount = window.SnapDrawing && window.SnapDrawing.getParcelCount
+    ? window.SnapDrawing.getParcelCount()
+    : 0;
+
+  if (isNaN(index) || index < 0 || index >= parcelCount) {
+    console.warn(`Parcel ${parcelParam} from query string not found`);
+    return;
+  }
+
+  window.SnapDrawing.selectParcel(index);
+}
+
 /**
  * Update the save button state based on all parcels validation
  */
@@ -334,6 +617,16 @@ function updateSaveButtonState() {
     allValid = validation.valid;
   }
 
+  // Linear features (hedgerows and watercourses) must also be fully attributed
+  if (allValid && window.LinearHabitats && window.LinearHabitats.validateAll) {
+    allValid = window.LinearHabitats.validateAll().valid;
+  }
+
+  // As must individual trees
+  if (allValid && window.IndividualTrees && window.IndividualTrees.validateAll) {
+    allValid = window.IndividualTrees.validateAll().valid;
+  }
+
   setControlEnabled(saveParcelsButton, allValid);
 }
 
@@ -413,6 +706,14 @@ function setupUIControls(mode) {
       if (window.FillTool && window.FillTool.isActive && window.FillTool.isActive()) {
         window.FillTool.cancelFillMode();
       }
+      // Cancel linear habitat drawing if active
+      if (window.LinearHabitats && window.LinearHabitats.isDrawing && window.LinearHabitats.isDrawing()) {
+        window.LinearHabitats.cancelDrawing();
+      }
+      // Stop placing trees if active
+      if (window.IndividualTrees && window.IndividualTrees.isPlacing && window.IndividualTrees.isPlacing()) {
+        window.IndividualTrees.stopPlacing();
+      }
       if (window.SnapDrawing && window.SnapDrawing.startDrawing) {
         window.SnapDrawing.startDrawing();
         startButton.parentElement.style.display = 'none';
@@ -422,12 +723,34 @@ function setupUIControls(mode) {
         if (startFillParcelBtn) startFillParcelBtn.parentElement.style.display = 'none';
         const startSliceBtn = document.getElementById('start-slice');
         if (startSliceBtn) startSliceBtn.parentElement.style.display = 'none';
+        const startSplitFeatureBtn = document.getElementById('start-split-feature');
+        if (startSplitFeatureBtn) startSplitFeatureBtn.parentElement.style.display = 'none';
         if (cancelButton) cancelButton.parentElement.style.display = 'block';
         showStatus('Drawing mode active - click to place vertices', 'info');
       }
     });
   }
 
+  // Add another part to the red-line boundary
+  const addPartButton = document.getElementById('add-boundary-part');
+  if (addPartButton) {
+    addPartButton.addEventListener('click', (e) => {
+      e.preventDefault();
+      if (window.FillTool && window.FillTool.isActive && window.FillTool.isActive()) {
+        window.FillTool.cancelFillMode();
+      }
+      if (window.SnapDrawing && window.SnapDrawing.startDrawing) {
+        window.SnapDrawing.startDrawing();
+        ['add-boundary-part', 'start-fill', 'start-cut-hole', 'clear-polygon'].forEach(id => {
+          const button = document.getElementById(id);
+          if (button) button.parentElement.style.display = 'none';
+        });
+        if (cancelButton) cancelButton.parentElement.style.display = 'block';
+        showStatus('Drawing another part of the boundary - click to place vertices', 'info');
+      }
+    });
+  }
+
   // Fill tool buttons
   const startFillButton = document.getElementById('start-fill');
   const cancelFillButton = document.getElementById('cancel-fill');
@@ -471,13 +794,17 @@ function setupUIControls(mode) {
       e.preventDefault();
       if (window.SnapDrawing && window.SnapDrawing.cancelDrawing) {
         window.SnapDrawing.cancelDrawing();
-        if (startButton) startButton.parentElement.style.display = 'block';
+        // Cancelling an added part leaves the existing boundary, which hides the draw button
+        const hasBoundary = mode === 'red-line-boundary' && window.SnapDrawing.isPolygonComplete();
+        if (startButton) startButton.parentElement.style.display = hasBoundary ? 'none' : 'block';
         const startFillBtn = document.getElementById('start-fill');
         if (startFillBtn) startFillBtn.parentElement.style.display = 'block';
         const startFillParcelBtn = document.getElementById('start-fill-parcel');
         if (startFillParcelBtn) startFillParcelBtn.parentElement.style.display = 'block';
         const startSliceBtn = document.getElementById('start-slice');
         if (startSliceBtn) startSliceBtn.parentElement.style.display = 'block';
+        const startSplitFeatureBtn = document.getElementById('start-split-feature');
+        if (startSplitFeatureBtn) startSplitFeatureBtn.parentElement.style.display = 'block';
         cancelButton.parentElement.style.display = 'none';
         showStatus('Drawing cancelled', 'info');
       }
@@ -486,6 +813,7 @@ function setupUIControls(mode) {
 
   // Slice tool buttons (habitat-parcels mode)
   const startSliceButton = document.getElementById('start-slice');
+  const startSplitFeatureButton = document.getElementById('start-split-feature');
   const cancelSliceButton = document.getElementById('cancel-slice');
 
   if (startSliceButton) {
@@ -497,6 +825,15 @@ function setupUIControls(mode) {
     });
   }
 
+  if (startSplitFeatureButton) {
+    startSplitFeatureButton.addEventListener('click', (e) => {
+      e.preventDefault();
+      if (window.SliceTool && window.SliceTool.startFeatureSplitMode) {
+        window.SliceTool.startFeatureSplitMode();
+      }
+    });
+  }
+
   if (cancelSliceButton) {
     cancelSliceButton.addEventListener('click', (e) => {
       e.preventDefault();
@@ -506,6 +843,149 @@ function setupUIControls(mode) {
     });
   }
 
+  // Undo and redo buttons (both modes)
+  const undoButton = document.getElementById('undo');
+  const redoButton = document.getElementById('redo');
+
+  if (undoButton) {
+    undoButton.addEventListener('click', (e) => {
+      e.preventDefault();
+      const label = window.EditHistory && window.EditHistory.undo();
+      if (label) {
+        showStatus(`Undone: ${label.toLowerCase()}`, 'info');
+      }
+    });
+  }
+
+  if (redoButton) {
+    redoButton.addEventListener('click', (e) => {
+      e.preventDefault();
+      const label = window.EditHistory && window.EditHistory.redo();
+      if (label) {
+        showStatus(`Redone: ${label.toLowerCase()}`, 'info');
+      }
+    });
+  }
+
+  // Cut hole buttons (both modes)
+  const startCutHoleButton = document.getElementById('start-cut-hole');
+  const cancelCutHoleButton = document.getElementById('cancel-cut-hole');
+
+  if (startCutHoleButton) {
+    startCutHoleButton.addEventListener('click', (e) => {
+      e.preventDefault();
+      if (window.FillTool && window.FillTool.isActive && window.FillTool.isActive()) {
+        window.FillTool.cancelFillMode();
+      }
+      if (window.SliceTool && window.SliceTool.isSliceMode && window.SliceTool.isSliceMode()) {
+        window.SliceTool.cancelSlice();
+      }
+      if (window.LinearHabitats && window.LinearHabitats.isDrawing && window.LinearHabitats.isDrawing()) {
+        window.LinearHabitats.cancelDrawing();
+      }
+      if (window.IndividualTrees && window.IndividualTrees.isPlacing && window.IndividualTrees.isPlacing()) {
+        window.IndividualTrees.stopPlacing();
+      }
+      if (window.SnapDrawing && window.SnapDrawing.startCuttingHole) {
+        window.SnapDrawing.startCuttingHole();
+        if (window.SnapDrawing.isCuttingHole()) {
+          showStatus('Cut hole mode active - click to place the hole\'s vertices, then click the first vertex to cut it', 'info');
+        }
+      }
+    });
+  }
+
+  if (cancelCutHoleButton) {
+    cancelCutHoleButton.addEventListener('click', (e) => {
+      e.preventDefault();
+      if (window.SnapDrawing && window.SnapDrawing.cancelCuttingHole) {
+        window.SnapDrawing.cancelCuttingHole();
+        showStatus('Hole cutting cancelled', 'info');
+      }
+    });
+  }
+
+  // Linear habitat buttons (e.g. start-hedgerow, pick-watercourse, finish-hedgerow, cancel-hedgerow)
+  if (window.LinearHabitats && window.LinearHabitats.getModules) {
+    const cancelAreaTools = () => {
+      // Only one drawing tool can be active at a time
+      if (window.FillTool && window.FillTool.isActive && window.FillTool.isActive()) {
+        window.FillTool.cancelFillMode();
+      }
+      if (window.SliceTool && window.SliceTool.isSliceMode && window.SliceTool.isSliceMode()) {
+        window.SliceTool.cancelSlice();
+      }
+      if (window.IndividualTrees && window.IndividualTrees.isPlacing && window.IndividualTrees.isPlacing()) {
+        window.IndividualTrees.stopPlacing();
+      }
+    };
+
+    window.LinearHabitats.getModules().forEach(moduleKey => {
+      const startLinearButton = document.getElementById(`start-${moduleKey}`);
+      const pickLinearButton = document.getElementById(`pick-${moduleKey}`);
+      const finishLinearButton = document.getElementById(`finish-${moduleKey}`);
+      const cancelLinearButton = document.getElementById(`cancel-${moduleKey}`);
+
+      if (startLinearButton) {
+        startLinearButton.addEventListener('click', (e) => {
+          e.preventDefault();
+          cancelAreaTools();
+          window.LinearHabitats.startDrawing(moduleKey);
+        });
+      }
+
+      if (pickLinearButton) {
+        pickLinearButton.addEventListener('click', (e) => {
+          e.preventDefault();
+          cancelAreaTools();
+          window.LinearHabitats.startPicking(moduleKey);
+        });
+      }
+
+      if (finishLinearButton) {
+        finishLinearButton.addEventListener('click', (e) => {
+          e.preventDefault();
+          window.LinearHabitats.finishDrawing();
+        });
+      }
+
+      if (cancelLinearButton) {
+        cancelLinearButton.addEventListener('click', (e) => {
+          e.preventDefault();
+          window.LinearHabitats.cancelDrawing();
+        });
+      }
+    });
+  }
+
+  // Individual tree buttons
+  const startTreesButton = document.getElementById('start-trees');
+  const finishTreesButton = document.getElementById('finish-trees');
+
+  if (startTreesButton) {
+    startTreesButton.addEventListener('click', (e) => {
+      e.preventDefault();
+      // Only one drawing tool can be active at a time
+      if (window.FillTool && window.FillTool.isActive && window.FillTool.isActive()) {
+        window.FillTool.cancelFillMode();
+      }
+      if (window.SliceTool && window.SliceTool.isSliceMode && window.SliceTool.isSliceMode()) {
+        window.SliceTool.cancelSlice();
+      }
+      if (window.LinearHabitats && window.LinearHabitats.isDrawing && window.LinearHabitats.isDrawing()) {
+        window.LinearHabitats.cancelDrawing();
+      }
+      window.IndividualTrees.startPlacing();
+    });
+  }
+
+  if (finishTreesButton) {
+    finishTreesButton.addEventListener('click', (e) => {
+      e.preventDefault();
+      window.IndividualTrees.stopPlacing();
+    });
+  }
+
   // Fill parcel buttons (habitat-parcels mode)
   const startFillParcelButton = document.getElementById('start-fill-parcel');
   const finishFillParcelButton = document.getElementById('finish-fill-parcel');
@@ -520,6 +1000,104 @@ function setupUIControls(mode) {
     });
   }
 
+  // Auto-parcel the boundary from OS polygons (habitat-parcels mode)
+  const autoParcelButton = document.getElementById('auto-parcel');
+  if (autoParcelButton) {
+    autoParcelButton.addEventListener('click', (e) => {
+      e.preventDefault();
+      if (window.FillTool && window.FillTool.isActive && window.FillTool.isActive()) {
+        window.FillTool.cancelFillMode();
+      }
+      if (window.SliceTool && window.SliceTool.isSliceMode && window.SliceTool.isSliceMode()) {
+        window.SliceTool.cancelSlice();
+      }
+      if (window.SnapDrawing && window.SnapDrawing.isDrawing && window.SnapDrawing.isDrawing()) {
+        showStatus('Finish or cancel the parcel you are drawing first', 'warning');
+        return;
+      }
+      if (!window.FillTool || !window.FillTool.autoParcelBoundary) return;
+
+      const result = window.FillTool.autoParcelBoundary();
+      if (result.error) {
+        showStatus(result.error, 'warning');
+        return;
+      }
+
+      updateSaveButtonState();
+      showStatus(`${result.count} draft parcels created from OS data, ${result.suggestedCount} with a suggested habitat. Check and confirm each parcel's habitat.`, 'success');
+    });
+  }
+
+  // Merge the parcels ticked in the list or shift+clicked on the map
+  const mergeParcelsButton = document.getElementById('merge-parcels');
+  if (mergeParcelsButton) {
+    mergeParcelsButton.addEventListener('click', (e) => {
+      e.preventDefault();
+      if (!window.SnapDrawing || !window.SnapDrawing.mergeSelectedParcels) return;
+
+      const keepInput = document.querySelector('input[name="merge-keep-parcel"]:checked');
+      const result = window.SnapDrawing.mergeSelectedParcels(keepInput ? parseInt(keepInput.value, 10) : -1);
+      if (result.error) {
+        showStatus(result.error, 'warning');
+        return;
+      }
+
+      updateSaveButtonState();
+      showStatus(`${result.mergedCount} parcels merged into parcel ${result.index + 1}`, 'success');
+    });
+  }
+
+  const clearMergeSelectionButton = document.getElementById('clear-merge-selection');
+  if (clearMergeSelectionButton) {
+    clearMergeSelectionButton.addEventListener('click', (e) => {
+      e.preventDefault();
+      if (window.SnapDrawing && window.SnapDrawing.clearMergeSelection) {
+        window.SnapDrawing.clearMergeSelection();
+      }
+    });
+  }
+
+  // Fill gaps between parcels: gaps become parcels and slivers merge into neighbours
+  const fillRemainingAreaButton = document.getElementById('fill-remaining-area');
+  if (fillRemainingAreaButton) {
+    fillRemainingAreaButton.addEventListener('click', (e) => {
+      e.preventDefault();
+      if (window.SnapDrawing && window.SnapDrawing.isDrawing && window.SnapDrawing.isDrawing()) {
+        showStatus('Finish or cancel the parcel you are drawing first', 'warning');
+        return;
+      }
+      if (!window.SnapDrawing || !window.SnapDrawing.fillAllCoverageGaps) return;
+
+      const result = window.SnapDrawing.fillAllCoverageGaps();
+      updateSaveButtonState();
+      if (result.parcelCount === 0 && result.mergedCount === 0) {
+        showStatus('There are no unassigned areas to fill', 'info');
+        return;
+      }
+      showStatus(`${result.parcelCount} parcel(s) added and ${result.mergedCount} sliver(s) merged into neighbouring parcels`, 'success');
+    });
+  }
+
+  // The gap list's own buttons change parcels, so the save state may change too
+  const coverageGapsList = document.getElementById('coverage-gaps-list');
+  if (coverageGapsList) {
+    coverageGapsList.addEventListener('click', () => {
+      updateSaveButtonState();
+    });
+  }
+
+  // Re-check which gaps are slivers when the thresholds change
+  ['sliver-max-area', 'sliver-max-width'].forEach(id => {
+    const input = document.getElementById(id);
+    if (input) {
+      input.addEventListener('change', () => {
+        if (window.SnapDrawing && window.SnapDrawing.refreshValidationHighlight) {
+          window.SnapDrawing.refreshValidationHighlight();
+        }
+      });
+    }
+  });
+
   if (finishFillParcelButton) {
     finishFillParcelButton.addEventListener('click', (e) => {
       e.preventDefault();
@@ -535,6 +1113,9 @@ function setupUIControls(mode) {
     clearButton.addEventListener('click', (e) => {
       e.preventDefault();
       if (window.SnapDrawing && window.SnapDrawing.clearPolygon) {
+        if (window.EditHistory) {
+          window.EditHistory.record('Clear boundary');
+        }
         window.SnapDrawing.clearPolygon();
         // Show both drawing options again
         if (startButton) startButton.parentElement.style.display = 'block';
@@ -552,7 +1133,7 @@ function setupUIControls(mode) {
       if (window.SnapDrawing) {
         let geojson;
         
-        if (mode === 'habitat-parcels' && window.SnapDrawing.getHabitatParcelsGeoJSON) {
+        if ((mode === 'habitat-parcels' || mode === 'proposed-habitats') && window.SnapDrawing.getHabitatParcelsGeoJSON) {
           geojson = window.SnapDrawing.getHabitatParcelsGeoJSON();
           if (geojson.features.length === 0) {
             showStatus('No parcels to export. Draw parcels first.', 'warning');
@@ -598,14 +1179,7 @@ function setupUIControls(mode) {
           const blob = new Blob([JSON.stringify(exportData, null, 2)], { 
             type: 'application/json' 
           });
-          const url = URL.createObjectURL(blob);
-          const a = document.createElement('a');
-          a.href = url;
-          a.download = (mode === 'habitat-parcels' ? 'parcels-' : 'boundary-') + Date.now() + '.geojson';
-          document.body.appendChild(a);
-          a.click();
-          document.body.removeChild(a);
-          URL.revokeObjectURL(url);
+          downloadBlob(blob, (mode === 'habitat-parcels' ? 'parcels-' : mode === 'proposed-habitats' ? 'proposed-parcels-' : 'boundary-') + Date.now() + '.geojson');
 
           showStatus('GeoJSON exported successfully', 'success');
         }
@@ -613,6 +1187,32 @@ function setupUIControls(mode) {
     });
   }
 
+  // Shapefile and GeoPackage export in British National Grid
+  const exportShapefileButton = document.getElementById('export-shapefile');
+  if (exportShapefileButton) {
+    exportShapefileButton.addEventListener('click', (e) => {
+      e.preventDefault();
+      exportSpatialFile(mode, 'shapefile');
+    });
+  }
+
+  const exportGeoPackageButton = document.getElementById('export-geopackage');
+  if (exportGeoPackageButton) {
+    exportGeoPackageButton.addEventListener('click', (e) => {
+      e.preventDefault();
+      exportSpatialFile(mode, 'geopackage');
+    });
+  }
+
+  // Statutory metric workbook export (baseline parcels)
+  const exportMetricWorkbookButton = document.getElementById('export-metric-workbook');
+  if (exportMetricWorkbookButton) {
+    exportMetricWorkbookButton.addEventListener('click', (e) => {
+      e.preventDefault();
+      exportMetricWorkbook();
+    });
+  }
+
   // OS Features snapping checkbox
   if (snapCheckbox) {
     snapCheckbox.addEventListener('change', (e) => {
@@ -672,6 +1272,18 @@ function setupUIControls(mode) {
     });
   }
 
+  // Shared-edge editing checkbox
+  const moveSharedVerticesCheckbox = document.getElementById('move-shared-vertices');
+  if (moveSharedVerticesCheckbox) {
+    moveSharedVerticesCheckbox.addEventListener('change', (e) => {
+      if (window.SnapDrawing && window.SnapDrawing.setMoveSharedVertices) {
+        const enabled = e.target.checked;
+        window.SnapDrawing.setMoveSharedVertices(enabled);
+        showStatus(enabled ? 'Shared corners and edges move together' : 'Corners move on their own, detached from neighbouring parcels', 'info');
+      }
+    });
+  }
+
   // Save boundary button (red-line-boundary mode)
   if (saveBoundaryButton) {
     saveBoundaryButton.addEventListener('click', async (e) => {
@@ -717,8 +1329,10 @@ function setupUIControls(mode) {
     });
   }
 
-  // Save parcels button (habitat-parcels mode)
+  // Save parcels button (habitat-parcels and proposed-habitats modes)
   if (saveParcelsButton) {
+    const saveParcelsUrl = mode === 'proposed-habitats' ? '/api/save-proposed-habitat-parcels' : '/api/save-habitat-parcels';
+
     saveParcelsButton.addEventListener('click', async (e) => {
       e.preventDefault();
       if (window.SnapDrawing && window.SnapDrawing.getHabitatParcelsGeoJSON) {
@@ -740,12 +1354,36 @@ function setupUIControls(mode) {
           }
         }
 
+        // Linear features (hedgerows and watercourses) are saved alongside the parcels, tagged by bng.module
+        if (window.LinearHabitats && window.LinearHabitats.getGeoJSON) {
+          const linearValidation = window.LinearHabitats.validateAll();
+          if (!linearValidation.valid) {
+            const errorMsg = 'Cannot save parcels:\n• ' + linearValidation.errors.join('\n• ');
+            showStatus(errorMsg, 'error');
+            console.error('Validation errors:', linearValidation.errors);
+            return;
+          }
+          geojson.features = geojson.features.concat(window.LinearHabitats.getGeoJSON().features);
+        }
+
+        // Individual trees are saved as points, tagged with bng.module 'tree'
+        if (window.IndividualTrees && window.IndividualTrees.getGeoJSON) {
+          const treeValidation = window.IndividualTrees.validateAll();
+          if (!treeValidation.valid) {
+            const errorMsg = 'Cannot save parcels:\n• ' + treeValidation.errors.join('\n• ');
+            showStatus(errorMsg, 'error');
+            console.error('Validation errors:', treeValidation.errors);
+            return;
+          }
+          geojson.features = geojson.features.concat(window.IndividualTrees.getGeoJSON().features);
+        }
+
         try {
           setControlEnabled(saveParcelsButton, false);
           const originalText = saveParcelsButton.textContent;
           saveParcelsButton.textContent = 'Saving...';
 
-          const response = await fetch('/api/save-habitat-parcels', {
+          const response = await fetch(saveParcelsUrl, {
             method: 'POST',
             headers: {
               'Content-Type': 'application/json'
@@ -774,6 +1412,103 @@ function setupUIControls(mode) {
   }
 }
 
+/**
+ * Export the boundary or parcels as a zipped Shapefile or GeoPackage in EPSG:27700
+ * @param {string} mode - Map mode, which decides the layer exported
+ * @param {string} format - 'shapefile' or 'geopackage'
+ */
+async function exportSpatialFile(mode, format) {
+  if (!window.SnapDrawing || !window.SpatialFileExport) return;
+
+  let layer;
+  if (mode === 'habitat-parcels' || mode === 'proposed-habitats') {
+    const geojson = window.SnapDrawing.getHabitatParcelsGeoJSON();
+    if (geojson.features.length === 0) {
+      showStatus('No parcels to export. Draw parcels first.', 'warning');
+      return;
+    }
+    layer = window.SpatialFileExport.getParcelsLayer(geojson, mode === 'proposed-habitats' ? 'proposed_parcels' : 'baseline_parcels');
+  } else {
+    const geojson = window.SnapDrawing.getDrawnPolygonGeoJSON();
+    if (!geojson) {
+      showStatus('No polygon to export. Draw a polygon first.', 'warning');
+      return;
+    }
+    layer = window.SpatialFileExport.getBoundaryLayer(geojson);
+  }
+
+  const isShapefile = format === 'shapefile';
+  let result;
+  try {
+    result = isShapefile
+      ? await window.SpatialFileExport.writeShapefileZip(layer)
+      : await window.SpatialFileExport.writeGeoPackage(layer);
+  } catch (error) {
+    console.error(`${format} export failed:`, error);
+    result = { blob: null, error: 'The file could not be created. Please try again.' };
+  }
+
+  if (result.error) {
+    showStatus(result.error, 'error');
+    return;
+  }
+
+  downloadBlob(result.blob, `${layer.name.replace(/_/g, '-')}-${Date.now()}.${isShapefile ? 'zip' : 'gpkg'}`);
+  showStatus(`${isShapefile ? 'Shapefile' : 'GeoPackage'} exported in British National Grid (EPSG:27700)`, 'success');
+}
+
+/**
+ * Export the baseline parcels as an XLSX workbook in the statutory metric layout
+ */
+async function exportMetricWorkbook() {
+  if (!window.SnapDrawing || !window.MetricWorkbookExport) return;
+
+  const geojson = window.SnapDrawing.getHabitatParcelsGeoJSON();
+  if (window.IndividualTrees && window.IndividualTrees.getGeoJSON) {
+    geojson.features = geojson.features.concat(window.IndividualTrees.getGeoJSON().features);
+  }
+  if (geojson.features.length === 0) {
+    showStatus('No parcels to export. Draw parcels first.', 'warning');
+    return;
+  }
+
+  let result;
+  try {
+    result = await window.MetricWorkbookExport.writeWorkbook(geojson);
+  } catch (error) {
+    console.error('Metric workbook export failed:', error);
+    result = { blob: null, error: 'The workbook could not be created. Please try again.' };
+  }
+
+  if (result.error) {
+    showStatus(result.error, 'error');
+    return;
+  }
+
+  downloadBlob(result.blob, `biodiversity-metric-baseline-${Date.now()}.xlsx`);
+  if (result.incompleteCount > 0) {
+    showStatus(`Metric workbook exported. ${result.incompleteCount} of ${geojson.features.length} parcels and trees have incomplete habitat data and no units.`, 'warning');
+  } else {
+    showStatus('Metric workbook exported', 'success');
+  }
+}
+
+/**
+ * Download a file created in the browser
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Name to save the file as
+ */
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
 /**
  * Show status message
  */
@@ -0,0 +1,98 @@
+//
+// Measurement module for areas and lengths
+// The map uses Web Mercator (EPSG:3857), which overstates ground distances by
+// around 60% at English latitudes, and so areas around 2.6 times. Geometries are
+// measured in British National Grid (EPSG:27700) instead. Falls back to geodesic
+// measurement if EPSG:27700 has not been registered with proj4.
+//
+
+(function(window) {
+  'use strict';
+
+  const MAP_PROJECTION = 'EPSG:3857';
+  const MEASUREMENT_PROJECTION = 'EPSG:27700';
+
+  /**
+   * Check whether British National Grid is available for measurement
+   * @returns {boolean}
+   */
+  function isBritishNationalGridAvailable() {
+    return !!ol.proj.get(MEASUREMENT_PROJECTION);
+  }
+
+  /**
+   * Get a copy of a map geometry in British National Grid
+   * @param {ol.geom.Geometry} geometry - Geometry in EPSG:3857
+   * @returns {ol.geom.Geometry} Geometry in EPSG:27700
+   */
+  function toBritishNationalGrid(geometry) {
+    return geometry.clone().transform(MAP_PROJECTION, MEASUREMENT_PROJECTION);
+  }
+
+  /**
+   * Get the ground area of a polygon or multipolygon
+   * @param {ol.geom.Geometry} geometry - Geometry in EPSG:3857
+   * @returns {number} Area in square metres
+   */
+  function getAreaSqM(geometry) {
+    if (!geometry) return 0;
+
+    if (isBritishNationalGridAvailable()) {
+      return toBritishNationalGrid(geometry).getArea();
+    }
+    return ol.sphere.getArea(geometry, { projection: MAP_PROJECTION });
+  }
+
+  /**
+   * Get the ground area of a polygon or multipolygon in hectares
+   * @param {ol.geom.Geometry} geometry - Geometry in EPSG:3857
+   * @returns {number} Area in hectares
+   */
+  function getAreaHectares(geometry) {
+    return getAreaSqM(geometry) / 10000;
+  }
+
+  /**
+   * Get the ground length of a line, or the perimeter of a polygon or multipolygon including its holes
+   * @param {ol.geom.Geometry} geometry - Geometry in EPSG:3857
+   * @returns {number} Length in metres
+   */
+  function getLengthM(geometry) {
+    if (!geometry) return 0;
+
+    if (isBritishNationalGridAvailable()) {
+      const bngGeometry = toBritishNationalGrid(geometry);
+      const type = bngGeometry.getType();
+
+      if (type === 'LineString' || type === 'LinearRing' || type === 'MultiLineString') {
+        return bngGeometry.getLength();
+      }
+      if (type === 'Polygon') {
+        return getRingsLength(bngGeometry.getCoordinates());
+      }
+      if (type === 'MultiPolygon') {
+        return bngGeometry.getCoordinates().reduce((total, rings) => total + getRingsLength(rings), 0);
+      }
+      return 0;
+    }
+    return ol.sphere.getLength(geometry, { projection: MAP_PROJECTION });
+  }
+
+  /**
+   * Get the total length of a polygon's rings
+   * @param {Array} rings - Polygon coordinates
+   * @returns {number} Length in the coordinates' units
+   */
+  function getRingsLength(rings) {
+    return rings.reduce((total, ring) => total + new ol.geom.LineString(ring).getLength(), 0);
+  }
+
+  // Export public API
+  window.Measurement = {
+    MEASUREMENT_PROJECTION: MEASUREMENT_PROJECTION,
+    getAreaSqM: getAreaSqM,
+    getAreaHectares: getAreaHectares,
+    getLengthM: getLengthM
+  };
+
+})(window);
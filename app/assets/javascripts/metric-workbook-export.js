@@ -0,0 +1,264 @@
+//
+// Metric workbook export module
+// Writes the baseline habitat parcels and individual trees as an XLSX workbook
+// laid out like the statutory biodiversity metric's A-1 On-Site Habitat Baseline
+// sheet, so the map-drawn baseline can be copied into the submission workbook.
+//
+
+(function(window) {
+  'use strict';
+
+  const SHEET_NAME = 'A-1 On-Site Habitat Baseline';
+
+  // Wording the statutory metric uses for each strategic significance level
+  const STRATEGIC_SIGNIFICANCE_DESCRIPTIONS = {
+    High: 'Formally identified in local strategy',
+    Medium: 'Location ecologically desirable but not in local strategy',
+    Low: 'Area/compensation not in local strategy/ no local strategy'
+  };
+
+  // Cell styles, by index in styles.xml
+  const STYLE_DEFAULT = 0;
+  const STYLE_HEADER = 1;
+  const STYLE_NUMBER = 2;
+  const STYLE_TOTAL = 3;
+
+  // Columns of the A-1 sheet, in its order. Retention, loss and compensation columns are
+  // left for the user to complete.
+  const COLUMNS = [
+    { header: 'Ref', width: 6, value: row => row.ref },
+    { header: 'Broad habitat', width: 22, value: row => row.broadHabitat },
+    { header: 'Habitat type', width: 40, value: row => row.habitatType },
+    { header: 'Irreplaceable habitat', width: 14, value: row => row.irreplaceable },
+    { header: 'Area (hectares)', width: 12, value: row => row.areaHa, isNumber: true },
+    { header: 'Distinctiveness', width: 14, value: row => row.distinctiveness },
+    { header: 'Distinctiveness score', width: 14, value: row => row.distinctivenessScore, isNumber: true },
+    { header: 'Condition', width: 14, value: row => row.condition },
+    { header: 'Condition score', width: 12, value: row => row.conditionScore, isNumber: true },
+    { header: 'Strategic significance', width: 40, value: row => row.strategicSignificance },
+    { header: 'Strategic significance category', width: 28, value: row => row.strategicSignificanceCategory },
+    { header: 'Strategic significance multiplier', width: 14, value: row => row.strategicSignificanceMultiplier, isNumber: true },
+    { header: 'Total habitat units', width: 12, value: row => row.units, isNumber: true },
+    { header: 'Area retained', width: 12, value: () => null },
+    { header: 'Area enhanced', width: 12, value: () => null },
+    { header: 'Area habitat lost', width: 12, value: () => null },
+    { header: 'Units retained', width: 12, value: () => null },
+    { header: 'Units enhanced', width: 12, value: () => null },
+    { header: 'Units lost', width: 12, value: () => null },
+    { header: 'Bespoke compensation agreed', width: 16, value: () => null },
+    { header: 'User comments', width: 40, value: row => row.userComments },
+    { header: 'Planning authority comments', width: 30, value: () => null },
+    { header: 'Habitat reference number', width: 14, value: row => row.habitatReference }
+  ];
+
+  /**
+   * Get a baseline habitat row for each parcel and individual tree
+   * Trees are counted by their size class's area equivalent, as the metric does.
+   * @param {Object} geojson - GeoJSON FeatureCollection of parcels from SnapDrawing.getHabitatParcelsGeoJSON
+   *   followed by trees from IndividualTrees.getGeoJSON
+   * @returns {Array} Rows with the values for each A-1 column
+   */
+  function getBaselineRows(geojson) {
+    const attribution = window.HabitatAttribution;
+    const significanceOptions = attribution.getStrategicSignificanceOptions();
+    let parcelCount = 0;
+    let treeCount = 0;
+
+    return geojson.features.map((feature, index) => {
+      const bng = feature.properties.bng || {};
+      const isTree = bng.module === 'tree';
+      const significance = significanceOptions.find(option => option.value === bng.strategicSignificance) || null;
+
+      return {
+        ref: index + 1,
+        broadHabitat: isTree ? 'Individual trees' : (bng.broadHabitat || null),
+        habitatType: bng.habitatType || null,
+        irreplaceable: bng.habitatType ? (bng.irreplaceable ? 'Yes' : 'No') : null,
+        areaHa: isTree ? feature.properties.areaEquivalentHa : feature.properties.areaHectares,
+        distinctiveness: bng.distinctiveness || null,
+        distinctivenessScore: bng.distinctiveness ? attribution.getDistinctivenessScore(bng.distinctiveness) : null,
+        condition: bng.condition || null,
+        conditionScore: bng.condition ? attribution.getConditionScore(bng.condition) : null,
+        strategicSignificance: significance ? STRATEGIC_SIGNIFICANCE_DESCRIPTIONS[significance.value] : null,
+        strategicSignificanceCategory: significance ? significance.text : null,
+        strategicSignificanceMultiplier: significance ? significance.multiplier : null,
+        units: typeof bng.biodiversityUnits === 'number' ? bng.biodiversityUnits : null,
+        userComments: bng.userComments || null,
+        habitatReference: isTree ? `T${++treeCount}` : `P${++parcelCount}`
+      };
+    });
+  }
+
+  /**
+   * Write the baseline parcels and trees as an XLSX workbook
+   * @param {Object} geojson - Parcels and trees GeoJSON FeatureCollection, as for getBaselineRows
+   * @returns {Promise<Object>} { blob: Blob|null, incompleteCount: number, error: string|null }
+   *   incompleteCount is the number of parcels and trees exported without habitat units
+   */
+  async function writeWorkbook(geojson) {
+    if (!window.JSZip) {
+      return { blob: null, incompleteCount: 0, error: 'The workbook cannot be written because a library has not loaded. Check your connection and reload the page.' };
+    }
+    if (!window.HabitatAttribution) {
+      return { blob: null, incompleteCount: 0, error: 'Habitat data has not loaded. Reload the page and try again.' };
+    }
+
+    const rows = getBaselineRows(geojson);
+
+    const zip = new window.JSZip();
+    zip.file('[Content_Types].xml', CONTENT_TYPES_XML);
+    zip.file('_rels/.rels', ROOT_RELS_XML);
+    zip.file('xl/workbook.xml', getWorkbookXml());
+    zip.file('xl/_rels/workbook.xml.rels', WORKBOOK_RELS_XML);
+    zip.file('xl/styles.xml', STYLES_XML);
+    zip.file('xl/worksheets/sheet1.xml', getSheetXml(rows));
+
+    const blob = await zip.generateAsync({
+      type: 'blob',
+      compression: 'DEFLATE',
+      mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    });
+
+    return {
+      blob: blob,
+      incompleteCount: rows.filter(row => row.units === null).length,
+      error: null
+    };
+  }
+
+  // ============================================================
+  // Workbook XML
+  // ============================================================
+
+  const CONTENT_TYPES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    '</Types>';
+
+  const ROOT_RELS_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    '</Relationships>';
+
+  const WORKBOOK_RELS_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+    '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+    '</Relationships>';
+
+  // Default, bold wrapped header, two decimal places, bold two decimal places
+  const STYLES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<fonts count="2"><font><sz val="11"/><name val="Arial"/></font><font><b/><sz val="11"/><name val="Arial"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="4">' +
+    '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1" applyAlignment="1"><alignment wrapText="1" vertical="top"/></xf>' +
+    '<xf numFmtId="2" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '<xf numFmtId="2" fontId="1" fillId="0" borderId="0" xfId="0" applyNumberFormat="1" applyFont="1"/>' +
+    '</cellXfs>' +
+    '</styleSheet>';
+
+  function getWorkbookXml() {
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      `<sheets><sheet name="${escapeXml(SHEET_NAME)}" sheetId="1" r:id="rId1"/></sheets>` +
+      '</workbook>';
+  }
+
+  /**
+   * Get the worksheet XML: a header row, a row per parcel or tree and a totals row
+   * @param {Array} rows - Rows from getBaselineRows
+   * @returns {string}
+   */
+  function getSheetXml(rows) {
+    const xmlRows = [];
+
+    xmlRows.push(getRowXml(1, COLUMNS.map(column => ({ value: column.header, style: STYLE_HEADER }))));
+
+    rows.forEach((row, i) => {
+      xmlRows.push(getRowXml(i + 2, COLUMNS.map(column => ({
+        value: column.value(row),
+        style: column.isNumber ? STYLE_NUMBER : STYLE_DEFAULT
+      }))));
+    });
+
+    const totalArea = rows.reduce((total, row) => total + (row.areaHa || 0), 0);
+    const totalUnits = rows.reduce((total, row) => total + (row.units || 0), 0);
+    xmlRows.push(getRowXml(rows.length + 2, COLUMNS.map((column, i) => {
+      if (i === 0) return { value: 'Total', style: STYLE_HEADER };
+      if (column.header === 'Area (hectares)') return { value: totalArea, style: STYLE_TOTAL };
+      if (column.header === 'Total habitat units') return { value: totalUnits, style: STYLE_TOTAL };
+      return { value: null, style: STYLE_DEFAULT };
+    })));
+
+    const cols = COLUMNS.map((column, i) => `<col min="${i + 1}" max="${i + 1}" width="${column.width}" customWidth="1"/>`).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+      `<cols>${cols}</cols>` +
+      `<sheetData>${xmlRows.join('')}</sheetData>` +
+      '</worksheet>';
+  }
+
+  /**
+   * Get the XML for a row of cells
+   * @param {number} rowNumber - 1-based row number
+   * @param {Array} cells - { value, style } for each column; null values are left empty
+   * @returns {string}
+   */
+  function getRowXml(rowNumber, cells) {
+    const xmlCells = cells.map((cell, i) => {
+      const ref = getColumnLetter(i) + rowNumber;
+      if (cell.value === null || cell.value === undefined || cell.value === '') {
+        return cell.style === STYLE_DEFAULT ? '' : `<c r="${ref}" s="${cell.style}"/>`;
+      }
+      if (typeof cell.value === 'number') {
+        return `<c r="${ref}" s="${cell.style}"><v>${cell.value}</v></c>`;
+      }
+      return `<c r="${ref}" s="${cell.style}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(cell.value)}</t></is></c>`;
+    });
+    return `<row r="${rowNumber}">${xmlCells.join('')}</row>`;
+  }
+
+  /**
+   * Get the spreadsheet column letter for a 0-based column index, e.g. 0 is A and 26 is AA
+   */
+  function getColumnLetter(index) {
+    let letter = '';
+    let n = index + 1;
+    while (n > 0) {
+      const remainder = (n - 1) % 26;
+      letter = String.fromCharCode(65 + remainder) + letter;
+      n = Math.floor((n - 1) / 26);
+    }
+    return letter;
+  }
+
+  /**
+   * Escape text for XML, dropping control characters XML can't hold
+   */
+  function escapeXml(text) {
+    return String(text)
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // Export public API
+  window.MetricWorkbookExport = {
+    SHEET_NAME: SHEET_NAME,
+    getBaselineRows: getBaselineRows,
+    writeWorkbook: writeWorkbook
+  };
+
+})(window);
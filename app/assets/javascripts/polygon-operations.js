@@ -0,0 +1,152 @@
+//
+// Polygon boolean operations module
+// Wraps the polygon-clipping library so that unions, intersections and differences
+// are exact, including partially shared edges, T-junctions, holes and multipart results
+//
+
+(function(window) {
+  'use strict';
+
+  // Coordinates are snapped to a 1mm grid (map units are meters in EPSG:3857)
+  // so that edges shared by OS features meet exactly
+  const GRID_SIZE = 0.001;
+
+  /**
+   * Check whether the polygon-clipping library has loaded
+   * @returns {boolean}
+   */
+  function isAvailable() {
+    return typeof window.polygonClipping !== 'undefined';
+  }
+
+  /**
+   * Snap a coordinate to the grid
+   * @param {Array} coord - [x, y]
+   * @returns {Array} Snapped [x, y]
+   */
+  function snapCoordinate(coord) {
+    return [
+      Math.round(coord[0] / GRID_SIZE) * GRID_SIZE,
+      Math.round(coord[1] / GRID_SIZE) * GRID_SIZE
+    ];
+  }
+
+  /**
+   * Convert an OpenLayers polygon or multipolygon to polygon-clipping MultiPolygon coordinates
+   * @param {ol.geom.Geometry} geometry
+   * @returns {Array|null} Array of polygons, each an array of rings, or null for other geometry types
+   */
+  function toMultiPolygonCoordinates(geometry) {
+    if (!geometry) return null;
+
+    const type = geometry.getType();
+    let polygons;
+    if (type === 'Polygon') {
+      polygons = [geometry.getCoordinates()];
+    } else if (type === 'MultiPolygon') {
+      polygons = geometry.getCoordinates();
+    } else {
+      return null;
+    }
+
+    return polygons.map(rings => rings.map(ring => ring.map(snapCoordinate)));
+  }
+
+  /**
+   * Convert polygon-clipping MultiPolygon coordinates back to an OpenLayers geometry
+   * @param {Array} coordinates - Array of polygons, each an array of rings
+   * @returns {ol.geom.Polygon|ol.geom.MultiPolygon|null} Polygon for a single part, null if empty
+   */
+  function fromMultiPolygonCoordinates(coordinates) {
+    if (!coordinates || coordinates.length === 0) return null;
+
+    if (coordinates.length === 1) {
+      return new ol.geom.Polygon(coordinates[0]);
+    }
+    return new ol.geom.MultiPolygon(coordinates);
+  }
+
+  /**
+   * Run a polygon-clipping operation on OpenLayers geometries
+   * @param {string} operation - 'union', 'intersection' or 'difference'
+   * @param {Array} geometries - Array of ol.geom.Polygon or ol.geom.MultiPolygon
+   * @returns {Object} { geometry: ol.geom.Polygon|ol.geom.MultiPolygon|null, error: string|null }
+   */
+  function runOperation(operation, geometries) {
+    if (!isAvailable()) {
+      return { geometry: null, error: 'The polygon operations library has not loaded. Check your connection and reload the page.' };
+    }
+
+    const inputs = geometries.map(toMultiPolygonCoordinates);
+    if (inputs.length === 0 || inputs.some(coords => coords === null)) {
+      return { geometry: null, error: 'Only polygon areas can be combined.' };
+    }
+
+    try {
+      const result = window.polygonClipping[operation](...inputs);
+      return { geometry: fromMultiPolygonCoordinates(result), error: null };
+    } catch (error) {
+      console.error(`Polygon ${operation} failed:`, error);
+      return { geometry: null, error: 'The shapes could not be combined because they are invalid.' };
+    }
+  }
+
+  /**
+   * Union polygons and multipolygons into a single geometry
+   * @param {Array} geometries - Array of ol.geom.Polygon or ol.geom.MultiPolygon
+   * @returns {Object} { geometry: ol.geom.Polygon|ol.geom.MultiPolygon|null, error: string|null }
+   */
+  function union(geometries) {
+    const result = runOperation('union', geometries);
+    if (!result.error && !result.geometry) {
+      return { geometry: null, error: 'Merging the selected areas produced an empty shape.' };
+    }
+    return result;
+  }
+
+  /**
+   * Get the area shared by two geometries
+   * @param {ol.geom.Polygon|ol.geom.MultiPolygon} geometry1
+   * @param {ol.geom.Polygon|ol.geom.MultiPolygon} geometry2
+   * @returns {Object} { geometry: ol.geom.Polygon|ol.geom.MultiPolygon|null, error: string|null } Null geometry if they don't overlap
+   */
+  function intersection(geometry1, geometry2) {
+    return runOperation('intersection', [geometry1, geometry2]);
+  }
+
+  /**
+   * Get the area of one geometry that is not covered by others
+   * @param {ol.geom.Polygon|ol.geom.MultiPolygon} geometry - Geometry to subtract from
+   * @param {...(ol.geom.Polygon|ol.geom.MultiPolygon)} subtract - Geometries to subtract
+   * @returns {Object} { geometry: ol.geom.Polygon|ol.geom.MultiPolygon|null, error: string|null } Null geometry if nothing is left
+   */
+  function difference(geometry, ...subtract) {
+    return runOperation('difference', [geometry].concat(subtract));
+  }
+
+  /**
+   * Count the parts and holes in a polygon or multipolygon
+   * @param {ol.geom.Polygon|ol.geom.MultiPolygon} geometry
+   * @returns {Object} { partCount: number, holeCount: number }
+   */
+  function describeGeometry(geometry) {
+    const polygons = toMultiPolygonCoordinates(geometry) || [];
+    return {
+      partCount: polygons.length,
+      holeCount: polygons.reduce((count, rings) => count + rings.length - 1, 0)
+    };
+  }
+
+  // Export public API
+  window.PolygonOperations = {
+    GRID_SIZE: GRID_SIZE,
+    isAvailable: isAvailable,
+    toMultiPolygonCoordinates: toMultiPolygonCoordinates,
+    fromMultiPolygonCoordinates: fromMultiPolygonCoordinates,
+    union: union,
+    intersection: intersection,
+    difference: difference,
+    describeGeometry: describeGeometry
+  };
+
+})(window);
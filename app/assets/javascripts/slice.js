@@ -1,8 +1,10 @@
 //
 // Slice Tool module for splitting polygons in habitat parcels mode
 // Allows users to split the red-line boundary or existing habitat parcels
-// by drawing a straight line between two points on the same polygon.
-// Supports snapping to both vertices AND edges.
+// along a slice path of one or more clicked segments. The path can follow a
+// stream or hedge and can cross several parcels, splitting each of them.
+// Supports snapping to both vertices AND edges at every click.
+// Can also split along the exact line of a clicked OS feature, such as a hedge or track.
 //
 
 (function(window) {
@@ -11,6 +13,9 @@
   // Configuration
   const SNAP_TOLERANCE_PX = 25;
 
+  // Distance (map units) within which a path point counts as on a polygon edge
+  const EDGE_TOLERANCE = 0.001;
+
   // Parcel colors
   const PARCEL_COLORS = [
     { stroke: 'rgba(29, 112, 184, 1)', fill: 'rgba(29, 112, 184, 0.2)' },
@@ -28,20 +33,16 @@
   let sliceLayer = null;
   let sliceSource = null;
   let sliceMode = false;
+  let featureMode = false;  // Splitting along a clicked OS line instead of a drawn path
   
-  // Start point info
-  let startPoint = null;
-  let startMarkerFeature = null;
-  
+  // Slice path placed so far
+  let pathCoords = [];
+  let pathMarkerFeatures = [];
+
   // Current hover
   let hoverMarkerFeature = null;
   let previewLineFeature = null;
 
-  // Source polygon info
-  let sourceType = null;
-  let sourceParcelIndex = -1;
-  let sourceCoords = null;
-
   // Callbacks
   let onSliceComplete = null;
   let onSliceCancel = null;
@@ -80,6 +81,13 @@
     })
   });
 
+  const FEATURE_HOVER_STYLE = new ol.style.Style({
+    stroke: new ol.style.Stroke({
+      color: 'rgba(0, 184, 255, 1)',
+      width: 5
+    })
+  });
+
   const SLICE_LINE_STYLE = new ol.style.Style({
     stroke: new ol.style.Stroke({
       color: 'rgba(0, 184, 255, 1)',
@@ -113,6 +121,7 @@
         if (ft === 'edge-hover') return EDGE_SNAP_STYLE;
         if (ft === 'start') return START_POINT_STYLE;
         if (ft === 'line') return SLICE_LINE_STYLE;
+        if (ft === 'feature-hover') return FEATURE_HOVER_STYLE;
         return null;
       },
       zIndex: 1000
@@ -131,36 +140,60 @@
    * Start slice mode
    */
   function startSliceMode() {
+    if (!beginSlicing(false)) return;
+
+    // Check if there are parcels to slice
+    const parcels = window.SnapDrawing && window.SnapDrawing.getHabitatParcels();
+    if (parcels && parcels.length > 0) {
+      showStatus('Slice mode: Click on or outside a parcel edge to start the slice path.', 'info');
+    } else {
+      showStatus('Slice mode: Click on or outside the red-line boundary to start the slice path.', 'info');
+    }
+    
+    console.log('✂️ Slice mode ACTIVE');
+  }
+
+  /**
+   * Start splitting along an OS feature line
+   */
+  function startFeatureSplitMode() {
+    if (!beginSlicing(true)) return;
+
+    const snapIndexSource = window.SnapDrawing.getSnapIndexSource && window.SnapDrawing.getSnapIndexSource();
+    if (!snapIndexSource || snapIndexSource.getFeatures().length === 0) {
+      showStatus('No OS features are loaded. Zoom in further to load them, then click a line such as a hedge, track or stream.', 'warning');
+    } else {
+      showStatus('Split along feature: Click an OS line, such as a hedge, track or stream, that crosses a parcel.', 'info');
+    }
+
+    console.log('✂️ Feature split mode ACTIVE');
+  }
+
+  /**
+   * Enter slice mode
+   * @param {boolean} alongFeature - Split along a clicked OS line instead of a drawn path
+   * @returns {boolean} False if slicing can't start
+   */
+  function beginSlicing(alongFeature) {
     if (sliceMode) {
       console.warn('Already in slice mode');
-      return;
+      return false;
     }
 
     const boundaryPolygon = window.SnapDrawing && window.SnapDrawing.getBoundaryPolygon();
     if (!boundaryPolygon) {
       showStatus('No boundary loaded. Please define a red line boundary first.', 'error');
-      return;
+      return false;
     }
 
     sliceMode = true;
-    startPoint = null;
-    sourceType = null;
-    sourceParcelIndex = -1;
-    sourceCoords = null;
+    featureMode = alongFeature;
+    pathCoords = [];
     
     clearSliceVisuals();
     map.getTargetElement().style.cursor = 'crosshair';
-    
-    // Check if there are parcels to slice
-    const parcels = window.SnapDrawing && window.SnapDrawing.getHabitatParcels();
-    if (parcels && parcels.length > 0) {
-      showStatus('Slice mode: Click on a parcel or the red-line boundary to start.', 'info');
-    } else {
-      showStatus('Slice mode: Click anywhere on the red-line boundary to start.', 'info');
-    }
-    
-    console.log('✂️ Slice mode ACTIVE');
     updateSliceUI(true);
+    return true;
   }
 
   /**
@@ -170,10 +203,8 @@
     if (!sliceMode) return;
 
     sliceMode = false;
-    startPoint = null;
-    sourceType = null;
-    sourceParcelIndex = -1;
-    sourceCoords = null;
+    featureMode = false;
+    pathCoords = [];
 
     clearSliceVisuals();
     map.getTargetElement().style.cursor = 'default';
@@ -191,8 +222,8 @@
   function clearSliceVisuals() {
     if (sliceSource) sliceSource.clear();
     hoverMarkerFeature = null;
-    startMarkerFeature = null;
     previewLineFeature = null;
+    pathMarkerFeatures = [];
   }
 
   /**
@@ -202,9 +233,6 @@
     if (!sliceMode) return;
 
     const coordinate = evt.coordinate;
-    
-    // Find snap point on boundary (vertex or edge)
-    const snapInfo = findSnapPoint(coordinate);
 
     // Remove old hover marker
     if (hoverMarkerFeature) {
@@ -212,6 +240,23 @@
       hoverMarkerFeature = null;
     }
 
+    // Highlight the OS line that would be used
+    if (featureMode) {
+      const osFeature = findFeatureLine(coordinate);
+      if (osFeature) {
+        hoverMarkerFeature = new ol.Feature({
+          geometry: osFeature.getGeometry().clone(),
+          featureType: 'feature-hover'
+        });
+        sliceSource.addFeature(hoverMarkerFeature);
+      }
+      map.getTargetElement().style.cursor = osFeature ? 'pointer' : 'crosshair';
+      return;
+    }
+    
+    // Find snap point on boundary (vertex or edge)
+    const snapInfo = findSnapPoint(coordinate);
+
     // Show hover marker if we found a snap point
     if (snapInfo) {
       // Determine the feature type for styling
@@ -232,85 +277,189 @@
       map.getTargetElement().style.cursor = 'crosshair';
     }
 
-    // Update preview line if we have a start point
-    if (startPoint) {
-      if (previewLineFeature) {
-        sliceSource.removeFeature(previewLineFeature);
-      }
-      
+    // Update preview line from the placed path to the cursor
+    if (pathCoords.length > 0) {
       const endCoord = snapInfo ? snapInfo.coordinate : coordinate;
-      previewLineFeature = new ol.Feature({
-        geometry: new ol.geom.LineString([startPoint.coordinate, endCoord]),
-        featureType: 'line'
-      });
-      sliceSource.addFeature(previewLineFeature);
+      updatePreviewLine(endCoord);
+    }
+  }
+
+  /**
+   * Draw the slice path through the placed points to the given coordinate
+   * @param {Array|null} endCoord - Cursor coordinate, or null to draw only the placed points
+   */
+  function updatePreviewLine(endCoord) {
+    if (previewLineFeature) {
+      sliceSource.removeFeature(previewLineFeature);
+      previewLineFeature = null;
     }
+
+    const coords = endCoord ? pathCoords.concat([endCoord]) : pathCoords;
+    if (coords.length < 2) return;
+
+    previewLineFeature = new ol.Feature({
+      geometry: new ol.geom.LineString(coords),
+      featureType: 'line'
+    });
+    sliceSource.addFeature(previewLineFeature);
   }
 
   /**
-   * Handle click
+   * Handle click - each click adds a point to the slice path.
+   * Clicking the last point again finishes the path.
    */
   function handleClick(evt) {
     if (!sliceMode) return;
 
-    const coordinate = evt.coordinate;
-    const snapInfo = findSnapPoint(coordinate);
+    if (featureMode) {
+      handleFeatureClick(evt.coordinate);
+      return;
+    }
 
-    if (!startPoint) {
-      // First click - select start point
-      if (!snapInfo) {
-        showStatus('Please click on a boundary or parcel edge.', 'warning');
+    const snapInfo = findSnapPoint(evt.coordinate);
+    const coordinate = snapInfo ? snapInfo.coordinate : evt.coordinate;
+
+    if (pathCoords.length > 0) {
+      const lastCoord = pathCoords[pathCoords.length - 1];
+      const tolerance = SNAP_TOLERANCE_PX * map.getView().getResolution();
+      if (getDistance(lastCoord, evt.coordinate) < tolerance / 2 || getDistance(lastCoord, coordinate) < 1) {
+        if (pathCoords.length >= 2) {
+          finishSlicePath();
+        } else {
+          showStatus('Please select a different point.', 'warning');
+        }
         return;
       }
+    }
 
-      startPoint = snapInfo;
-      sourceType = snapInfo.sourceType;
-      sourceParcelIndex = snapInfo.parcelIndex;
-      sourceCoords = snapInfo.polygonCoords.slice();
+    pathCoords.push([...coordinate]);
 
-      // Show start marker
-      startMarkerFeature = new ol.Feature({
-        geometry: new ol.geom.Point(startPoint.coordinate),
-        featureType: 'start'
-      });
-      sliceSource.addFeature(startMarkerFeature);
+    const markerFeature = new ol.Feature({
+      geometry: new ol.geom.Point(coordinate),
+      featureType: 'start'
+    });
+    sliceSource.addFeature(markerFeature);
+    pathMarkerFeatures.push(markerFeature);
+    updatePreviewLine(null);
 
-      const sourceDesc = sourceType === 'boundary' 
-        ? 'red-line boundary' 
-        : `Parcel ${sourceParcelIndex + 1}`;
-      
-      showStatus(`Start point on ${sourceDesc}. Now click another point on the same ${sourceType === 'boundary' ? 'boundary' : 'parcel'} to slice.`, 'info');
-      console.log('✂️ Start point on', sourceDesc, '- isVertex:', startPoint.isVertex, 'edgeIndex:', startPoint.edgeIndex);
+    if (pathCoords.length === 1) {
+      showStatus('Keep clicking to follow the line to slice along. Click the last point again or press Enter to finish.', 'info');
+    }
+    console.log('✂️ Slice path point', pathCoords.length, snapInfo ? `snapped to ${snapInfo.sourceType} ${snapInfo.isVertex ? 'vertex' : 'edge'}` : 'free');
+  }
 
-    } else {
-      // Second click - complete the slice
-      if (!snapInfo) {
-        showStatus('Please click on the same polygon to complete the slice.', 'warning');
-        return;
-      }
+  /**
+   * Split along the OS line nearest a clicked coordinate
+   * @param {Array} coordinate - Clicked coordinate
+   */
+  function handleFeatureClick(coordinate) {
+    const osFeature = findFeatureLine(coordinate);
+    if (!osFeature) {
+      showStatus('Please click on an OS line such as a hedge, track or stream.', 'warning');
+      return;
+    }
 
-      // Must be on the same polygon type and index
-      if (snapInfo.sourceType !== sourceType) {
-        const targetDesc = sourceType === 'boundary' ? 'boundary' : `Parcel ${sourceParcelIndex + 1}`;
-        showStatus(`End point must be on the same ${targetDesc}.`, 'warning');
-        return;
-      }
+    const geom = osFeature.getGeometry();
+    const lines = geom.getType() === 'MultiLineString' ? geom.getCoordinates() : [geom.getCoordinates()];
+    const paths = joinLines(lines);
 
-      if (sourceType === 'parcel' && snapInfo.parcelIndex !== sourceParcelIndex) {
-        showStatus(`End point must be on Parcel ${sourceParcelIndex + 1}.`, 'warning');
-        return;
+    if (paths.some(pathIntersectsItself)) {
+      showStatus('That feature crosses itself, so it cannot be used to split parcels. Use Slice to draw the line instead.', 'warning');
+      return;
+    }
+
+    console.log('✂️ Splitting along', osFeature.get('layerType'), '-', paths.length, 'line(s)');
+    sliceAlongPaths(paths, 'That feature does not cross a parcel or the red-line boundary from one edge to another.');
+  }
+
+  /**
+   * Find the nearest OS line feature in the snap index to a coordinate
+   * @param {Array} coordinate - Cursor coordinate
+   * @returns {ol.Feature|null} Nearest line feature within tolerance
+   */
+  function findFeatureLine(coordinate) {
+    const snapIndexSource = window.SnapDrawing.getSnapIndexSource && window.SnapDrawing.getSnapIndexSource();
+    if (!snapIndexSource) return null;
+
+    const tolerance = SNAP_TOLERANCE_PX * map.getView().getResolution();
+    const searchExtent = ol.extent.buffer(
+      [coordinate[0], coordinate[1], coordinate[0], coordinate[1]],
+      tolerance
+    );
+
+    let best = null;
+    let bestDistance = Infinity;
+
+    snapIndexSource.getFeaturesInExtent(searchExtent).forEach(feature => {
+      const geom = feature.getGeometry();
+      if (!geom || (geom.getType() !== 'LineString' && geom.getType() !== 'MultiLineString')) return;
+
+      const distance = getDistance(coordinate, geom.getClosestPoint(coordinate));
+      if (distance < tolerance && distance < bestDistance) {
+        bestDistance = distance;
+        best = feature;
       }
+    });
 
-      // Check that points are not too close
-      const dist = getDistance(startPoint.coordinate, snapInfo.coordinate);
-      if (dist < 1) {
-        showStatus('Please select a different point.', 'warning');
-        return;
+    return best;
+  }
+
+  /**
+   * Join lines that meet end to end, such as the parts of a multi-line OS feature
+   * @param {Array} lines - Array of line coordinate arrays
+   * @returns {Array} Joined line coordinate arrays
+   */
+  function joinLines(lines) {
+    const remaining = lines.filter(line => line.length >= 2).map(line => line.map(coord => [...coord]));
+    const joined = [];
+
+    while (remaining.length > 0) {
+      let line = remaining.shift();
+      let extended = true;
+
+      while (extended) {
+        extended = false;
+        for (let i = 0; i < remaining.length; i++) {
+          const other = remaining[i];
+          const first = line[0];
+          const last = line[line.length - 1];
+
+          if (getDistance(last, other[0]) <= EDGE_TOLERANCE) {
+            line = line.concat(other.slice(1));
+          } else if (getDistance(last, other[other.length - 1]) <= EDGE_TOLERANCE) {
+            line = line.concat(other.slice(0, -1).reverse());
+          } else if (getDistance(first, other[other.length - 1]) <= EDGE_TOLERANCE) {
+            line = other.slice(0, -1).concat(line);
+          } else if (getDistance(first, other[0]) <= EDGE_TOLERANCE) {
+            line = other.slice(1).reverse().concat(line);
+          } else {
+            continue;
+          }
+
+          remaining.splice(i, 1);
+          extended = true;
+          break;
+        }
       }
 
-      console.log('✂️ End point - isVertex:', snapInfo.isVertex, 'edgeIndex:', snapInfo.edgeIndex);
-      executeSlice(startPoint, snapInfo);
+      joined.push(line);
+    }
+
+    return joined;
+  }
+
+  /**
+   * Remove the last point from the slice path
+   */
+  function removeLastPathPoint() {
+    if (pathCoords.length === 0) return;
+
+    pathCoords.pop();
+    const markerFeature = pathMarkerFeatures.pop();
+    if (markerFeature) {
+      sliceSource.removeFeature(markerFeature);
     }
+    updatePreviewLine(null);
   }
 
   /**
@@ -342,6 +491,7 @@
               isVertex: true,
               sourceType: 'parcel',
               parcelIndex: p,
+              partIndex: -1,
               polygonCoords: coords
             };
           }
@@ -361,6 +511,7 @@
                 isVertex: false,
                 sourceType: 'parcel',
                 parcelIndex: p,
+                partIndex: -1,
                 polygonCoords: coords
               };
             }
@@ -374,53 +525,66 @@
       return result;
     }
 
-    // Otherwise check boundary
+    // Otherwise check each part of the boundary
     const boundaryPolygon = window.SnapDrawing && window.SnapDrawing.getBoundaryPolygon();
     if (boundaryPolygon) {
-      const coords = boundaryPolygon.getCoordinates()[0];
-      
-      // Check vertices first (higher priority)
-      for (let i = 0; i < coords.length - 1; i++) {
-        const dist = getDistance(coordinate, coords[i]);
-        if (dist < tolerance && dist < minDist) {
-          minDist = dist;
-          result = {
-            coordinate: coords[i],
-            edgeIndex: i,
-            isVertex: true,
-            sourceType: 'boundary',
-            parcelIndex: -1,
-            polygonCoords: coords
-          };
-        }
-      }
+      getBoundaryParts(boundaryPolygon).forEach((part, partIndex) => {
+        const coords = part.getCoordinates()[0];
 
-      // If no vertex found, check edges
-      if (!result) {
+        // Check vertices first (higher priority)
         for (let i = 0; i < coords.length - 1; i++) {
-          const edgeStart = coords[i];
-          const edgeEnd = coords[i + 1];
-          const closest = closestPointOnSegment(coordinate, edgeStart, edgeEnd);
-          const dist = getDistance(coordinate, closest);
-          
+          const dist = getDistance(coordinate, coords[i]);
           if (dist < tolerance && dist < minDist) {
             minDist = dist;
             result = {
-              coordinate: closest,
+              coordinate: coords[i],
               edgeIndex: i,
-              isVertex: false,
+              isVertex: true,
               sourceType: 'boundary',
               parcelIndex: -1,
+              partIndex: partIndex,
               polygonCoords: coords
             };
           }
         }
-      }
+
+        // If no vertex found, check edges
+        if (!result || !result.isVertex) {
+          for (let i = 0; i < coords.length - 1; i++) {
+            const edgeStart = coords[i];
+            const edgeEnd = coords[i + 1];
+            const closest = closestPointOnSegment(coordinate, edgeStart, edgeEnd);
+            const dist = getDistance(coordinate, closest);
+
+            if (dist < tolerance && dist < minDist) {
+              minDist = dist;
+              result = {
+                coordinate: closest,
+                edgeIndex: i,
+                isVertex: false,
+                sourceType: 'boundary',
+                parcelIndex: -1,
+                partIndex: partIndex,
+                polygonCoords: coords
+              };
+            }
+          }
+        }
+      });
     }
 
     return result;
   }
 
+  /**
+   * Get the separate parts of the boundary
+   * @param {ol.geom.Polygon|ol.geom.MultiPolygon} boundaryPolygon
+   * @returns {Array} Array of ol.geom.Polygon
+   */
+  function getBoundaryParts(boundaryPolygon) {
+    return boundaryPolygon.getType() === 'MultiPolygon' ? boundaryPolygon.getPolygons() : [boundaryPolygon];
+  }
+
   /**
    * Find closest point on a line segment
    */
@@ -449,108 +613,374 @@
   }
 
   /**
-   * Execute the slice operation
+   * Finish the slice path and split every parcel it crosses,
+   * or the boundary if it doesn't cross any parcels
    */
-  function executeSlice(start, end) {
-    console.log('✂️ Executing slice...');
-    
-    // Get the original polygon coords (without closing vertex)
-    const originalCoords = sourceCoords.slice(0, -1);
-    
-    // Build a new coordinate array with slice points inserted at the right positions
-    const newCoords = [];
-    let startInserted = false;
-    let endInserted = false;
-    let startIdx = -1;
-    let endIdx = -1;
-
-    for (let i = 0; i < originalCoords.length; i++) {
-      const currentCoord = originalCoords[i];
-      
-      // Add current vertex
-      newCoords.push([...currentCoord]);
-      
-      // Check if start point is this vertex
-      if (!startInserted && start.isVertex && start.edgeIndex === i) {
-        startIdx = newCoords.length - 1;
-        startInserted = true;
+  function finishSlicePath() {
+    if (pathIntersectsItself(pathCoords)) {
+      showStatus('The slice path crosses itself. Press Backspace to remove points, or cancel and start again.', 'warning');
+      return;
+    }
+
+    console.log('✂️ Executing slice along', pathCoords.length, 'points...');
+    sliceAlongPaths([pathCoords], 'The slice path must cross a parcel or the red-line boundary from one edge to another.');
+  }
+
+  /**
+   * Split every parcel the paths cross, or the boundary if they don't cross any parcels
+   * @param {Array} paths - Array of path coordinate arrays
+   * @param {string} noTargetMessage - Message shown if the paths don't cross anything
+   */
+  function sliceAlongPaths(paths, noTargetMessage) {
+    // Parcels take priority over the boundary, as they do when snapping
+    const parcels = window.SnapDrawing.getHabitatParcels() || [];
+    let sourceType = 'parcel';
+    let targets = findSliceTargets(parcels.map(parcel => parcel.feature.getGeometry()), paths);
+    if (targets.length === 0) {
+      sourceType = 'boundary';
+      targets = findSliceTargets(getBoundaryParts(window.SnapDrawing.getBoundaryPolygon()), paths);
+    }
+
+    if (targets.length === 0) {
+      showStatus(noTargetMessage, 'warning');
+      return;
+    }
+
+    // Split everything before changing anything, so a failure leaves the map as it was
+    const pieces = [];
+    for (const target of targets) {
+      const result = splitPolygon(target.geometry, target.chords);
+      if (result.error) {
+        const targetDesc = sourceType === 'boundary' ? 'the red-line boundary' : `Parcel ${target.index + 1}`;
+        showStatus(`Cannot slice ${targetDesc}. ${result.error}`, 'warning');
+        return;
       }
-      
-      // Check if end point is this vertex
-      if (!endInserted && end.isVertex && end.edgeIndex === i) {
-        endIdx = newCoords.length - 1;
-        endInserted = true;
+      pieces.push(...result.pieces);
+    }
+
+    console.log('✂️ Slice path crosses', targets.length, sourceType === 'boundary' ? 'boundary part(s)' : 'parcel(s)', '-', pieces.length, 'pieces');
+
+    if (window.EditHistory) {
+      window.EditHistory.record('Slice');
+    }
+
+    // Create the parcels
+    if (sourceType === 'boundary') {
+      createParcelsFromSlice(pieces);
+    } else {
+      replaceParcelsWithSlice(targets.map(target => target.index), pieces);
+    }
+
+    // Clean up
+    finishSlice(targets.length, pieces.length);
+  }
+
+  /**
+   * Find the polygons the paths cross from edge to edge
+   * @param {Array} geometries - Array of ol.geom.Polygon
+   * @param {Array} paths - Array of path coordinate arrays
+   * @returns {Array} { index, geometry, chords } for each polygon crossed
+   */
+  function findSliceTargets(geometries, paths) {
+    const targets = [];
+    geometries.forEach((geometry, index) => {
+      if (!geometry) return;
+      const ring = geometry.getCoordinates()[0];
+      const chords = [].concat(...paths.map(path => findChords(path, ring)));
+      if (chords.length > 0) {
+        targets.push({ index: index, geometry: geometry, chords: chords });
       }
-      
-      // Check if we need to insert start point on this edge (after current vertex)
-      if (!startInserted && !start.isVertex && start.edgeIndex === i) {
-        newCoords.push([...start.coordinate]);
-        startIdx = newCoords.length - 1;
-        startInserted = true;
+    });
+    return targets;
+  }
+
+  /**
+   * Find the stretches of a path that cross a polygon from one edge to another
+   * @param {Array} path - Path coordinates
+   * @param {Array} ring - Closed exterior ring of the polygon
+   * @returns {Array} Chords, each an array of coordinates that starts and ends on the ring
+   */
+  function findChords(path, ring) {
+    const crossings = findRingCrossings(path, ring);
+    const chords = [];
+
+    for (let k = 0; k < crossings.length - 1; k++) {
+      const from = crossings[k];
+      const to = crossings[k + 1];
+
+      const chord = [from.coordinate];
+      for (let i = Math.ceil(from.position); i < to.position; i++) {
+        if (getDistance(path[i], from.coordinate) > EDGE_TOLERANCE && getDistance(path[i], to.coordinate) > EDGE_TOLERANCE) {
+          chord.push(path[i]);
+        }
       }
-      
-      // Check if we need to insert end point on this edge (after current vertex)
-      if (!endInserted && !end.isVertex && end.edgeIndex === i) {
-        newCoords.push([...end.coordinate]);
-        endIdx = newCoords.length - 1;
-        endInserted = true;
+      chord.push(to.coordinate);
+
+      // The path between two crossings is either wholly inside or wholly outside
+      if (isPointInsideRing(getMidpoint(chord[0], chord[1]), ring)) {
+        chords.push(chord);
       }
     }
 
-    console.log('✂️ New coords length:', newCoords.length, 'startIdx:', startIdx, 'endIdx:', endIdx);
+    return chords;
+  }
 
-    if (startIdx === -1 || endIdx === -1) {
-      console.error('❌ Could not determine slice indices');
-      showStatus('Error creating slice. Please try again.', 'error');
-      return;
+  /**
+   * Find where a path meets a ring, in order along the path
+   * @param {Array} path - Path coordinates
+   * @param {Array} ring - Closed ring coordinates
+   * @returns {Array} { position, coordinate } where position is the segment index plus the fraction along it
+   */
+  function findRingCrossings(path, ring) {
+    const crossings = [];
+
+    for (let i = 0; i < path.length - 1; i++) {
+      for (let j = 0; j < ring.length - 1; j++) {
+        const t = intersectSegments(path[i], path[i + 1], ring[j], ring[j + 1]);
+        if (t === null) continue;
+
+        let coordinate;
+        if (t === 0) {
+          coordinate = [...path[i]];
+        } else if (t === 1) {
+          coordinate = [...path[i + 1]];
+        } else {
+          coordinate = [
+            path[i][0] + t * (path[i + 1][0] - path[i][0]),
+            path[i][1] + t * (path[i + 1][1] - path[i][1])
+          ];
+        }
+        crossings.push({ position: i + t, coordinate: coordinate });
+      }
     }
 
-    // Ensure i < j for consistent splitting
-    let i = Math.min(startIdx, endIdx);
-    let j = Math.max(startIdx, endIdx);
+    crossings.sort((a, b) => a.position - b.position);
+
+    // A crossing at a ring vertex or a path point is found on both neighbouring segments
+    return crossings.filter((crossing, k) =>
+      k === 0 || getDistance(crossing.coordinate, crossings[k - 1].coordinate) > EDGE_TOLERANCE
+    );
+  }
 
-    // Create two polygons by splitting at i and j
-    // Polygon A: vertices from i to j (inclusive), then close
-    const polyACoords = [];
-    for (let idx = i; idx <= j; idx++) {
-      polyACoords.push([...newCoords[idx]]);
+  /**
+   * Intersect two line segments, allowing for points that are on a segment to within EDGE_TOLERANCE
+   * @returns {number|null} Fraction along the first segment where they meet, or null if they don't (or are parallel)
+   */
+  function intersectSegments(a, b, c, d) {
+    const rx = b[0] - a[0];
+    const ry = b[1] - a[1];
+    const sx = d[0] - c[0];
+    const sy = d[1] - c[1];
+    const lengthR = Math.sqrt(rx * rx + ry * ry);
+    const lengthS = Math.sqrt(sx * sx + sy * sy);
+    const denom = rx * sy - ry * sx;
+
+    if (lengthR === 0 || lengthS === 0 || Math.abs(denom) < 1e-9 * lengthR * lengthS) {
+      return null;
     }
-    polyACoords.push([...newCoords[i]]); // Close the ring
 
-    // Polygon B: vertices from j to end, then 0 to i (inclusive), then close
-    const polyBCoords = [];
-    for (let idx = j; idx < newCoords.length; idx++) {
-      polyBCoords.push([...newCoords[idx]]);
+    const qx = c[0] - a[0];
+    const qy = c[1] - a[1];
+    const t = (qx * sy - qy * sx) / denom;
+    const u = (qx * ry - qy * rx) / denom;
+    const tTolerance = EDGE_TOLERANCE / lengthR;
+    const uTolerance = EDGE_TOLERANCE / lengthS;
+
+    if (t < -tTolerance || t > 1 + tTolerance || u < -uTolerance || u > 1 + uTolerance) {
+      return null;
     }
-    for (let idx = 0; idx <= i; idx++) {
-      polyBCoords.push([...newCoords[idx]]);
+    if (t <= tTolerance) return 0;
+    if (t >= 1 - tTolerance) return 1;
+    return t;
+  }
+
+  /**
+   * Check whether the slice path crosses itself
+   * @param {Array} path - Path coordinates
+   * @returns {boolean}
+   */
+  function pathIntersectsItself(path) {
+    for (let i = 0; i < path.length - 1; i++) {
+      for (let j = i + 2; j < path.length - 1; j++) {
+        if (intersectSegments(path[i], path[i + 1], path[j], path[j + 1]) !== null) {
+          return true;
+        }
+      }
     }
-    polyBCoords.push([...newCoords[j]]); // Close the ring
+    return false;
+  }
 
-    console.log('✂️ Polygon A:', polyACoords.length - 1, 'vertices');
-    console.log('✂️ Polygon B:', polyBCoords.length - 1, 'vertices');
+  /**
+   * Split a polygon along chords that cross it
+   * @param {ol.geom.Polygon} geometry - Polygon to split
+   * @param {Array} chords - Chords from findChords, which don't cross each other
+   * @returns {Object} { pieces: Array|null, error: string|null } Each piece is an array of closed rings, exterior first
+   */
+  function splitPolygon(geometry, chords) {
+    const rings = [geometry.getCoordinates()[0]];
+
+    for (const chord of chords) {
+      // Each chord lies wholly inside one of the pieces made so far
+      const sample = getMidpoint(chord[0], chord[1]);
+      const ringIndex = rings.findIndex(ring => isPointInsideRing(sample, ring));
+      const split = ringIndex === -1 ? null : splitRingByChord(rings[ringIndex], chord);
+      if (!split) {
+        return { pieces: null, error: 'The slice would create an invalid shape. Try points further apart.' };
+      }
+      rings.splice(ringIndex, 1, split[0], split[1]);
+    }
 
-    // Validate polygons have at least 3 vertices (4 coords including closing)
-    if (polyACoords.length < 4 || polyBCoords.length < 4) {
-      showStatus('Cannot create valid polygons from this slice. Try points further apart.', 'warning');
-      return;
+    // Carry any holes in the polygon over to the pieces they fall in
+    const pieces = [];
+    for (const ring of rings) {
+      const piece = applySourceHoles(ring, geometry);
+      if (!piece) {
+        return { pieces: null, error: 'The slice path crosses a hole and would leave a piece in several parts. Slice around the hole instead.' };
+      }
+      pieces.push(piece);
     }
 
-    // Create the parcels
-    if (sourceType === 'boundary') {
-      createParcelsFromSlice([polyACoords, polyBCoords]);
-    } else {
-      replaceParcelWithSlice(sourceParcelIndex, polyACoords, polyBCoords);
+    return { pieces: pieces, error: null };
+  }
+
+  /**
+   * Split a ring in two along a chord whose ends are on the ring
+   * @param {Array} ring - Closed ring coordinates
+   * @param {Array} chord - Coordinates from one point on the ring to another
+   * @returns {Array|null} Two closed rings, or null if the chord doesn't make two valid shapes
+   */
+  function splitRingByChord(ring, chord) {
+    const coords = ring.slice(0, -1).map(coord => [...coord]);
+    const start = chord[0];
+    const end = chord[chord.length - 1];
+
+    if (!insertPointOnRing(coords, start) || !insertPointOnRing(coords, end)) {
+      return null;
     }
 
-    // Clean up
-    finishSlice();
+    const i = findVertexIndex(coords, start);
+    const j = findVertexIndex(coords, end);
+    if (i === j) {
+      return null;
+    }
+
+    const interior = chord.slice(1, -1).map(coord => [...coord]);
+
+    // A: along the ring from start to end, then back along the chord
+    // B: along the ring from end to start, then along the chord
+    const polyACoords = walkRing(coords, i, j).concat(interior.slice().reverse());
+    const polyBCoords = walkRing(coords, j, i).concat(interior);
+
+    console.log('✂️ Polygon A:', polyACoords.length, 'vertices');
+    console.log('✂️ Polygon B:', polyBCoords.length, 'vertices');
+
+    if (polyACoords.length < 3 || polyBCoords.length < 3) {
+      return null;
+    }
+
+    polyACoords.push([...polyACoords[0]]);
+    polyBCoords.push([...polyBCoords[0]]);
+    return [polyACoords, polyBCoords];
+  }
+
+  /**
+   * Add a point to an open ring as a vertex, unless it is already one
+   * @param {Array} coords - Open ring coordinates, modified in place
+   * @param {Array} point - Point on the ring
+   * @returns {boolean} False if the point is not on the ring
+   */
+  function insertPointOnRing(coords, point) {
+    if (findVertexIndex(coords, point) !== -1) {
+      return true;
+    }
+
+    let bestEdge = -1;
+    let bestDist = EDGE_TOLERANCE;
+    for (let i = 0; i < coords.length; i++) {
+      const next = coords[(i + 1) % coords.length];
+      const dist = getDistance(point, closestPointOnSegment(point, coords[i], next));
+      if (dist <= bestDist) {
+        bestDist = dist;
+        bestEdge = i;
+      }
+    }
+
+    if (bestEdge === -1) {
+      return false;
+    }
+    coords.splice(bestEdge + 1, 0, [...point]);
+    return true;
+  }
+
+  /**
+   * Find the vertex of an open ring at a point
+   * @returns {number} Vertex index, or -1
+   */
+  function findVertexIndex(coords, point) {
+    return coords.findIndex(coord => getDistance(coord, point) <= EDGE_TOLERANCE);
+  }
+
+  /**
+   * Get the vertices of an open ring from one index to another, wrapping around
+   */
+  function walkRing(coords, from, to) {
+    const result = [];
+    for (let idx = from; ; idx = (idx + 1) % coords.length) {
+      result.push([...coords[idx]]);
+      if (idx === to) break;
+    }
+    return result;
+  }
+
+  /**
+   * Check whether a point is inside a ring and not on its edge
+   * @param {Array} point - [x, y]
+   * @param {Array} ring - Closed ring coordinates
+   * @returns {boolean}
+   */
+  function isPointInsideRing(point, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 2; i < ring.length - 1; j = i++) {
+      const xi = ring[i][0], yi = ring[i][1];
+      const xj = ring[j][0], yj = ring[j][1];
+      if (getDistance(point, closestPointOnSegment(point, ring[i], ring[j])) <= EDGE_TOLERANCE) {
+        return false;
+      }
+      if ((yi > point[1]) !== (yj > point[1]) &&
+          point[0] < (xj - xi) * (point[1] - yi) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  function getMidpoint(a, b) {
+    return [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+  }
+
+  /**
+   * Get the rings for one slice piece, cutting out the holes of the source polygon
+   * @param {Array} coords - Closed exterior ring of the piece
+   * @param {ol.geom.Polygon} sourceGeometry - Polygon that was sliced
+   * @returns {Array|null} Closed rings, exterior first, or null if the holes split the piece
+   */
+  function applySourceHoles(coords, sourceGeometry) {
+    if (!sourceGeometry || sourceGeometry.getLinearRingCount() < 2) {
+      return [coords];
+    }
+
+    const result = window.PolygonOperations.intersection(new ol.geom.Polygon([coords]), sourceGeometry);
+    if (result.error || !result.geometry || result.geometry.getType() !== 'Polygon') {
+      return null;
+    }
+    return result.geometry.getCoordinates();
   }
 
   /**
    * Create parcels from the slice (when slicing boundary)
+   * @param {Array} ringsArrays - One array of closed rings (exterior first) per parcel
    */
-  function createParcelsFromSlice(coordsArrays) {
+  function createParcelsFromSlice(ringsArrays) {
     const habitatParcels = window.SnapDrawing && window.SnapDrawing.getHabitatParcels();
     const drawSource = getDrawSource();
     
@@ -560,12 +990,13 @@
       return;
     }
 
-    console.log('✓ Found draw source, creating', coordsArrays.length, 'parcels');
+    console.log('✓ Found draw source, creating', ringsArrays.length, 'parcels');
 
-    coordsArrays.forEach((coords, idx) => {
+    ringsArrays.forEach((rings, idx) => {
       const colorIndex = habitatParcels ? habitatParcels.length : idx;
+      const coords = rings[0];
       
-      const polygon = new ol.geom.Polygon([coords]);
+      const polygon = new ol.geom.Polygon(rings);
       const feature = new ol.Feature({
         geometry: polygon,
         type: 'parcel',
@@ -593,7 +1024,12 @@
         const bng = window.HabitatAttribution && window.HabitatAttribution.getDefaultBngData
           ? window.HabitatAttribution.getDefaultBngData()
           : { module: 'area', baseline: true, broadHabitat: null, habitatType: null, condition: null, strategicSignificance: 'Low', irreplaceable: false, distinctiveness: null, userComments: '' };
-        
+
+        // Proposed parcels are linked to the baseline parcels they overlap
+        if (bng.baseline === false && window.SnapDrawing.findReplacedBaselineParcels) {
+          bng.replacesBaselineParcels = window.SnapDrawing.findReplacedBaselineParcels(polygon);
+        }
+
         habitatParcels.push({
           feature: feature,
           coords: coords,
@@ -618,25 +1054,29 @@
   }
 
   /**
-   * Replace a parcel with two new parcels
+   * Replace the sliced parcels with the pieces they were split into
+   * @param {Array} parcelIndices - Indices of the parcels that were sliced
+   * @param {Array} ringsArrays - One array of closed rings (exterior first) per piece
    */
-  function replaceParcelWithSlice(parcelIndex, coordsA, coordsB) {
+  function replaceParcelsWithSlice(parcelIndices, ringsArrays) {
     const habitatParcels = window.SnapDrawing && window.SnapDrawing.getHabitatParcels();
     const drawSource = getDrawSource();
     
-    if (!drawSource || !habitatParcels || parcelIndex < 0) {
+    if (!drawSource || !habitatParcels || parcelIndices.length === 0) {
       console.error('❌ Cannot replace parcel');
       return;
     }
 
-    // Remove the original parcel
-    const original = habitatParcels[parcelIndex];
-    drawSource.removeFeature(original.feature);
-    original.vertices.forEach(v => drawSource.removeFeature(v));
-    habitatParcels.splice(parcelIndex, 1);
+    // Remove the original parcels, highest index first so the others don't move
+    parcelIndices.slice().sort((a, b) => b - a).forEach(parcelIndex => {
+      const original = habitatParcels[parcelIndex];
+      drawSource.removeFeature(original.feature);
+      original.vertices.forEach(v => drawSource.removeFeature(v));
+      habitatParcels.splice(parcelIndex, 1);
+    });
 
     // Create the new parcels
-    createParcelsFromSlice([coordsA, coordsB]);
+    createParcelsFromSlice(ringsArrays);
   }
 
   /**
@@ -674,18 +1114,22 @@
 
   /**
    * Finish the slice operation
+   * @param {number} slicedCount - Number of parcels or boundary parts that were sliced
+   * @param {number} pieceCount - Number of parcels created
    */
-  function finishSlice() {
+  function finishSlice(slicedCount, pieceCount) {
     sliceMode = false;
-    startPoint = null;
-    sourceType = null;
-    sourceParcelIndex = -1;
-    sourceCoords = null;
+    featureMode = false;
+    pathCoords = [];
     
     clearSliceVisuals();
     map.getTargetElement().style.cursor = 'default';
     updateSliceUI(false);
-    showStatus('Slice complete! Two parcels created.', 'success');
+    if (slicedCount > 1) {
+      showStatus(`Slice complete! ${slicedCount} areas split into ${pieceCount} parcels.`, 'success');
+    } else {
+      showStatus(`Slice complete! ${pieceCount === 2 ? 'Two' : pieceCount} parcels created.`, 'success');
+    }
 
     if (onSliceComplete) onSliceComplete();
   }
@@ -704,7 +1148,7 @@
     } else {
       listElement.innerHTML = habitatParcels.map((parcel, index) => {
         const geom = parcel.feature.getGeometry();
-        const areaHa = Math.round(geom.getArea() / 100) / 100;
+        const areaHa = Math.round(window.Measurement.getAreaSqM(geom) / 100) / 100;
         const colors = PARCEL_COLORS[parcel.colorIndex % PARCEL_COLORS.length];
 
         return `
@@ -723,6 +1167,11 @@
     }
 
     updateTotalArea(habitatParcels);
+
+    // Slicing can create or remove overlaps
+    if (window.SnapDrawing.refreshValidationHighlight) {
+      window.SnapDrawing.refreshValidationHighlight();
+    }
     
     const saveBtn = document.getElementById('save-parcels');
     if (saveBtn) {
@@ -738,14 +1187,14 @@
     const remainingEl = document.getElementById('remaining-area-value');
     const warningEl = document.getElementById('remaining-area-warning');
     
-    const totalSqM = habitatParcels.reduce((sum, p) => sum + p.feature.getGeometry().getArea(), 0);
+    const totalSqM = habitatParcels.reduce((sum, p) => sum + window.Measurement.getAreaSqM(p.feature.getGeometry()), 0);
     const totalHa = Math.round(totalSqM / 100) / 100;
     
     if (totalEl) totalEl.textContent = totalHa.toFixed(2);
 
     const boundary = window.SnapDrawing && window.SnapDrawing.getBoundaryPolygon();
     if (remainingEl && boundary) {
-      const boundaryHa = Math.round(boundary.getArea() / 100) / 100;
+      const boundaryHa = Math.round(window.Measurement.getAreaSqM(boundary) / 100) / 100;
       const remaining = Math.round((boundaryHa - totalHa) * 100) / 100;
       
       remainingEl.textContent = remaining.toFixed(2);
@@ -758,8 +1207,23 @@
    * Handle keyboard
    */
   function handleKeyDown(evt) {
-    if (evt.key === 'Escape' && sliceMode) {
+    if (!sliceMode) return;
+
+    const target = evt.target;
+    if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT')) {
+      return;
+    }
+
+    if (evt.key === 'Escape') {
       cancelSlice();
+    } else if (featureMode) {
+      return;
+    } else if (evt.key === 'Enter' && pathCoords.length >= 2) {
+      evt.preventDefault();
+      finishSlicePath();
+    } else if (evt.key === 'Backspace' && pathCoords.length > 0) {
+      evt.preventDefault();
+      removeLastPathPoint();
     }
   }
 
@@ -779,15 +1243,18 @@
    */
   function updateSliceUI(isSlicing) {
     const startSliceBtn = document.getElementById('start-slice');
+    const startSplitFeatureBtn = document.getElementById('start-split-feature');
     const cancelSliceBtn = document.getElementById('cancel-slice');
     const startDrawingBtn = document.getElementById('start-drawing');
 
     if (isSlicing) {
       if (startSliceBtn) startSliceBtn.parentElement.style.display = 'none';
+      if (startSplitFeatureBtn) startSplitFeatureBtn.parentElement.style.display = 'none';
       if (cancelSliceBtn) cancelSliceBtn.parentElement.style.display = 'block';
       if (startDrawingBtn) startDrawingBtn.parentElement.style.display = 'none';
     } else {
       if (startSliceBtn) startSliceBtn.parentElement.style.display = 'block';
+      if (startSplitFeatureBtn) startSplitFeatureBtn.parentElement.style.display = 'block';
       if (cancelSliceBtn) cancelSliceBtn.parentElement.style.display = 'none';
       if (startDrawingBtn) startDrawingBtn.parentElement.style.display = 'block';
     }
@@ -806,10 +1273,10 @@
   function getDebugInfo() {
     return {
       sliceMode: sliceMode,
+      featureMode: featureMode,
       hasMap: !!map,
       hasLayer: !!sliceLayer,
-      startPoint: startPoint,
-      sourceType: sourceType
+      pathCoords: pathCoords
     };
   }
 
@@ -817,6 +1284,7 @@
   window.SliceTool = {
     init: initSliceTool,
     startSliceMode: startSliceMode,
+    startFeatureSplitMode: startFeatureSplitMode,
     cancelSlice: cancelSlice,
     isSliceMode: isSliceModeActive,
     getDebugInfo: getDebugInfo
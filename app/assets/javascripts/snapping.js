@@ -62,6 +62,7 @@
   const CLOSE_TOLERANCE_PX = 10;
   const SIMPLIFY_TOLERANCE = 0.25;
   const MAX_FEATURES_PER_REQUEST = 100;
+  const SHARED_VERTEX_TOLERANCE = 0.001;  // Vertices closer than 1mm are treated as shared
 
   // Snap type tracking for visual feedback
   const SNAP_TYPE = {
@@ -97,11 +98,18 @@
   let boundarySource = null;
   let boundaryVerticesLayer = null;
   let boundaryVerticesSource = null;
+  let baselineReferenceLayer = null;
+  let baselineReferenceSource = null;
+  let validationLayer = null;
+  let validationSource = null;
+  let coverageGaps = [];  // Unassigned parts of the boundary from ParcelValidation.analyseCoverage
   let dragPanInteraction = null;
 
   // Configuration
   let currentMode = 'red-line-boundary';  // 'red-line-boundary' or 'habitat-parcels'
-  let boundaryPolygon = null;  // The boundary geometry for habitat-parcels mode
+  let boundaryPolygon = null;  // The boundary geometry for habitat-parcels mode (Polygon or MultiPolygon)
+  let isBaselineLayer = true;  // false when recording proposed (post-development) habitats
+  let baselineParcels = [];  // Read-only baseline parcels shown in proposed mode: { geometry, parcelIndex, id, bng }
 
   // Drawing state
   let isDrawing = false;
@@ -115,6 +123,10 @@
   let lastSnapType = SNAP_TYPE.NONE;
   let canClosePolygon = false;
   let snappingEnabled = true;
+
+  // Red-line-boundary mode: the separate parts of the boundary, each { feature, coords, vertices }
+  // The part being edited shares its coords and vertices arrays with currentPolygonCoords and placedVertices
+  let boundaryParts = [];
   
   // Fine-grained snapping controls
   let snapToBoundaryVertices = true;
@@ -127,6 +139,13 @@
   let currentParcelIndex = -1;  // Index of parcel being drawn, -1 if not drawing
   let editingParcelIndex = -1;  // Index of parcel being edited, -1 if not editing
   let selectedParcelIndex = -1;  // Index of parcel selected for attribution, -1 if none
+  let mergeSelection = [];  // Parcels ticked for merging; parcels rather than indices so edits drop them
+
+  // Hole cutting state - the hole ring being drawn inside the boundary or a parcel
+  let isCuttingHole = false;
+  let holeCoords = [];
+  let holeVertices = [];
+  let holeFeature = null;
 
   // Editing state
   let draggedVertex = null;
@@ -137,6 +156,12 @@
   let ghostVertexCoord = null;
   let ghostVertexInsertIndex = -1;
 
+  // Shared-edge editing - vertices of neighbouring parcels dragged along with the edited parcel's vertex
+  let moveSharedVertices = true;
+  let sharedVertexLinks = [];  // { parcel, ringIndex, vertexIndex }
+  let boundaryEdgeGlue = null;  // [start, end] of the boundary edge the dragged vertex must stay on
+  let pendingVertexMove = null;  // { coord, sharedDrag } until the dragged vertex first moves
+
   // Throttling
   let fetchTimeout = null;
   let lastFetchExtent = null;
@@ -160,10 +185,13 @@
    * @param {Function} config.onParcelRemoved - Callback when parcel is removed (habitat-parcels mode)
    * @param {Function} config.onValidationError - Callback for validation errors
    * @param {Function} config.onParcelSelected - Callback when parcel is selected for attribution
+   * @param {boolean} config.baseline - false to record proposed habitats instead of baseline (default true)
+   * @param {Object} config.baselineParcelsGeoJSON - Saved baseline parcels to show and link to in proposed mode
    */
   function initWithConfig(olMap, config = {}) {
     map = olMap;
     currentMode = config.mode || 'red-line-boundary';
+    isBaselineLayer = config.baseline !== false;
     onPolygonComplete = config.onPolygonComplete || null;
     onParcelAdded = config.onParcelAdded || null;
     onParcelRemoved = config.onParcelRemoved || null;
@@ -200,6 +228,11 @@
       loadBoundary(config.boundaryGeoJSON);
     }
 
+    // Load baseline parcels as a reference layer (for proposed habitats)
+    if (config.baselineParcelsGeoJSON && currentMode === 'habitat-parcels' && !isBaselineLayer) {
+      loadBaselineParcels(config.baselineParcelsGeoJSON);
+    }
+
     console.log('✓ Snapping system initialized successfully');
     console.log(`Min zoom for snapping: ${MIN_ZOOM_FOR_SNAP}`);
     console.log(`Current zoom: ${map.getView().getZoom()}`);
@@ -254,6 +287,15 @@
     });
     map.addLayer(boundaryVerticesLayer);
 
+    // Baseline parcels reference layer (proposed habitats mode - read-only outlines)
+    baselineReferenceSource = new ol.source.Vector();
+    baselineReferenceLayer = new ol.layer.Vector({
+      source: baselineReferenceSource,
+      style: baselineReferenceStyleFunction,
+      zIndex: 5
+    });
+    map.addLayer(baselineReferenceLayer);
+
     // Hover marker layer (with dynamic styling based on snap type)
     hoverSource = new ol.source.Vector();
     hoverLayer = new ol.layer.Vector({
@@ -311,6 +353,57 @@
       zIndex: 50
     });
     map.addLayer(drawLayer);
+
+    // Validation layer (highlights overlaps and areas outside the boundary)
+    validationSource = new ol.source.Vector();
+    validationLayer = new ol.layer.Vector({
+      source: validationSource,
+      style: validationStyleFunction,
+      zIndex: 55
+    });
+    map.addLayer(validationLayer);
+  }
+
+  const VALIDATION_PROBLEM_STYLE = new ol.style.Style({
+    stroke: new ol.style.Stroke({
+      color: 'rgba(212, 53, 28, 1)',  // GOV.UK red
+      width: 2
+    }),
+    fill: new ol.style.Fill({
+      color: 'rgba(212, 53, 28, 0.45)'
+    })
+  });
+
+  const COVERAGE_GAP_STYLE = new ol.style.Style({
+    stroke: new ol.style.Stroke({
+      color: 'rgba(244, 119, 56, 1)',  // GOV.UK orange
+      width: 2,
+      lineDash: [6, 4]
+    }),
+    fill: new ol.style.Fill({
+      color: 'rgba(244, 119, 56, 0.3)'
+    })
+  });
+
+  // Slivers get a thick outline so they can be seen even when very thin
+  const COVERAGE_SLIVER_STYLE = new ol.style.Style({
+    stroke: new ol.style.Stroke({
+      color: 'rgba(174, 37, 115, 1)',  // Magenta
+      width: 5
+    }),
+    fill: new ol.style.Fill({
+      color: 'rgba(174, 37, 115, 0.4)'
+    })
+  });
+
+  /**
+   * Style function for the validation layer (problem areas and coverage gaps)
+   */
+  function validationStyleFunction(feature) {
+    if (feature.get('type') === 'coverage-gap') {
+      return feature.get('isSliver') ? COVERAGE_SLIVER_STYLE : COVERAGE_GAP_STYLE;
+    }
+    return VALIDATION_PROBLEM_STYLE;
   }
 
   /**
@@ -327,6 +420,29 @@
     });
   }
 
+  /**
+   * Style function for the baseline parcels reference layer (proposed habitats mode)
+   */
+  function baselineReferenceStyleFunction(feature) {
+    return new ol.style.Style({
+      stroke: new ol.style.Stroke({
+        color: 'rgba(80, 90, 95, 0.9)',
+        width: 1.5,
+        lineDash: [4, 4]
+      }),
+      fill: new ol.style.Fill({
+        color: 'rgba(80, 90, 95, 0.08)'
+      }),
+      text: new ol.style.Text({
+        text: feature.get('label') || '',
+        font: '12px sans-serif',
+        fill: new ol.style.Fill({ color: '#0b0c0c' }),
+        stroke: new ol.style.Stroke({ color: 'white', width: 3 }),
+        overflow: true
+      })
+    });
+  }
+
   /**
    * Style function for drawing layer features
    */
@@ -402,10 +518,12 @@
       
       if (currentMode === 'habitat-parcels') {
         const colors = PARCEL_COLORS[colorIndex % PARCEL_COLORS.length];
+        const isMergeSelected = mergeSelection.some(parcel => parcel.feature === feature);
         return new ol.style.Style({
           stroke: new ol.style.Stroke({
-            color: colors.stroke,
-            width: 2
+            color: isMergeSelected ? 'rgba(11, 12, 12, 1)' : colors.stroke,
+            width: isMergeSelected ? 4 : 2,
+            lineDash: isMergeSelected ? [8, 4] : undefined
           }),
           fill: new ol.style.Fill({
             color: colors.fill
@@ -423,6 +541,17 @@
           })
         });
       }
+    } else if (type === 'hole') {
+      return new ol.style.Style({
+        stroke: new ol.style.Stroke({
+          color: 'rgba(11, 12, 12, 1)',
+          width: 2,
+          lineDash: [6, 4]
+        }),
+        fill: new ol.style.Fill({
+          color: 'rgba(255, 255, 255, 0.5)'
+        })
+      });
     } else if (type === 'ghost-vertex') {
       return new ol.style.Style({
         image: new ol.style.Circle({
@@ -471,18 +600,15 @@
       // Store the boundary polygon geometry for validation
       boundaryPolygon = feature.getGeometry();
 
-      // Add boundary vertices as permanent visible markers
+      // Add boundary vertices (including those of any holes) as permanent visible markers
       boundaryVerticesSource.clear();
-      const boundaryCoords = boundaryPolygon.getCoordinates()[0];
-      boundaryCoords.forEach((coord, index) => {
-        // Skip the last coordinate (it's a duplicate of the first for closing the ring)
-        if (index < boundaryCoords.length - 1) {
-          const vertexFeature = new ol.Feature({
-            geometry: new ol.geom.Point(coord),
-            type: 'boundary-vertex-marker'
-          });
-          boundaryVerticesSource.addFeature(vertexFeature);
-        }
+      const boundaryVertices = getRingVertices(boundaryPolygon);
+      boundaryVertices.forEach(coord => {
+        const vertexFeature = new ol.Feature({
+          geometry: new ol.geom.Point(coord),
+          type: 'boundary-vertex-marker'
+        });
+        boundaryVerticesSource.addFeature(vertexFeature);
       });
 
       // Zoom to boundary extent with padding
@@ -498,12 +624,100 @@
       updateTotalArea();
 
       console.log('✓ Boundary loaded and map zoomed to fit');
-      console.log(`✓ ${boundaryCoords.length - 1} boundary vertices displayed`);
+      console.log(`✓ ${boundaryVertices.length} boundary vertices displayed`);
     } catch (error) {
       console.error('❌ Error loading boundary:', error);
     }
   }
 
+  /**
+   * Load saved baseline parcels as a read-only reference layer for proposed habitats
+   * @param {Object} geojson - GeoJSON FeatureCollection of baseline parcels
+   */
+  function loadBaselineParcels(geojson) {
+    if (!geojson || !geojson.features) {
+      console.warn('loadBaselineParcels called without a FeatureCollection');
+      return;
+    }
+
+    try {
+      const format = new ol.format.GeoJSON();
+
+      let dataProjection = 'EPSG:3857';
+      if (geojson.crs && geojson.crs.properties && geojson.crs.properties.name) {
+        dataProjection = geojson.crs.properties.name;
+      }
+
+      // The saved baseline also holds other modules' features, such as hedgerows, which aren't parcels
+      baselineReferenceSource.clear();
+      baselineParcels = geojson.features.filter(isAreaParcelFeature).map((featureJson, index) => {
+        const feature = format.readFeature(featureJson, {
+          dataProjection: dataProjection,
+          featureProjection: 'EPSG:3857'
+        });
+        const properties = featureJson.properties || {};
+        const parcelIndex = properties.parcelIndex !== undefined ? properties.parcelIndex : index;
+        const bng = properties.bng || {};
+        // Baselines saved before parcels had ids were linked to by their index
+        const id = bng.id !== undefined ? bng.id : parcelIndex;
+
+        feature.set('type', 'baseline-parcel');
+        feature.set('label', getBaselineParcelLabel(parcelIndex, bng));
+        baselineReferenceSource.addFeature(feature);
+
+        return {
+          geometry: feature.getGeometry(),
+          parcelIndex: parcelIndex,
+          id: id,
+          bng: bng
+        };
+      });
+
+      console.log(`✓ ${baselineParcels.length} baseline parcels loaded for reference`);
+    } catch (error) {
+      console.error('❌ Error loading baseline parcels:', error);
+    }
+  }
+
+  /**
+   * Check whether a saved GeoJSON feature is an area habitat parcel,
+   * rather than another module's feature, such as a hedgerow, saved alongside the parcels
+   * @param {Object} featureJson - GeoJSON Feature
+   * @returns {boolean}
+   */
+  function isAreaParcelFeature(featureJson) {
+    const properties = featureJson.properties || {};
+    const bngModule = (properties.bng && properties.bng.module) || 'area';
+    const type = featureJson.geometry && featureJson.geometry.type;
+    return bngModule === 'area' && (type === 'Polygon' || type === 'MultiPolygon');
+  }
+
+  /**
+   * Get a display label for a baseline parcel
+   * @param {number} parcelIndex - Baseline parcel index
+   * @param {Object} bng - Baseline parcel BNG properties
+   * @returns {string} Label, e.g. "B1 Modified grassland"
+   */
+  function getBaselineParcelLabel(parcelIndex, bng) {
+    const habitat = bng && (bng.habitatType || bng.broadHabitat);
+    return habitat ? `B${parcelIndex + 1} ${habitat}` : `B${parcelIndex + 1}`;
+  }
+
+  /**
+   * Find the baseline parcels that a proposed parcel overlaps
+   * @param {ol.geom.Polygon} geometry - Proposed parcel geometry
+   * @returns {Array} Baseline parcel ids
+   */
+  function findReplacedBaselineParcels(geometry) {
+    if (!window.ParcelValidation || !window.ParcelValidation.doPolygonsOverlap) {
+      return [];
+    }
+
+    return baselineParcels
+      .filter(baselineParcel => window.ParcelValidation.doPolygonsOverlap(geometry, baselineParcel.geometry))
+      .map(baselineParcel => baselineParcel.id);
+  }
+
   /**
    * Set up event handlers for map interactions
    */
@@ -526,6 +740,13 @@
     map.on('pointerdown', handlePointerDown);
     map.on('pointerup', handlePointerUp);
 
+    // Escape cancels cutting a hole
+    document.addEventListener('keydown', (evt) => {
+      if (evt.key === 'Escape' && isCuttingHole) {
+        cancelCuttingHole();
+      }
+    });
+
     console.log('[setupEventHandlers] Event handlers attached');
     console.log('[setupEventHandlers] Triggering initial fetch');
 
@@ -697,6 +918,18 @@
       return;
     }
 
+    if (isCuttingHole) {
+      updateHoverMarker(snapCoord, snapType);
+      if (holeCoords.length > 0) {
+        updateLiveHole(snapCoord);
+      }
+      if (holeCoords.length >= 3) {
+        checkFirstVertexHover(evt.pixel, holeVertices);
+      }
+      map.getTargetElement().style.cursor = 'crosshair';
+      return;
+    }
+
     if (isDrawing) {
       updateHoverMarker(snapCoord, snapType);
     }
@@ -759,8 +992,7 @@
 
     // 1A: Check boundary vertices FIRST (highest priority in habitat-parcels mode)
     if (snapToBoundaryVertices && currentMode === 'habitat-parcels' && boundaryPolygon) {
-      const boundaryCoords = boundaryPolygon.getCoordinates()[0];
-      boundaryCoords.forEach(vertex => {
+      getRingVertices(boundaryPolygon).forEach(vertex => {
         const distance = getDistance(coordinate, vertex);
         if (distance < minDistance && distance < vertexTolerance) {
           minDistance = distance;
@@ -775,7 +1007,7 @@
       habitatParcels.forEach((parcel, index) => {
         // Skip the parcel being edited (don't snap to self during editing)
         // But allow snapping to completed parcels when drawing a new one
-        if (index === editingParcelIndex) {
+        if (index === editingParcelIndex || isSharedVertexParcel(parcel)) {
           return;
         }
         // Skip the parcel currently being drawn (not yet completed)
@@ -786,9 +1018,8 @@
         const parcelGeom = parcel.feature.getGeometry();
         if (!parcelGeom) return;
 
-        // Snap to parcel vertices
-        const parcelCoords = parcelGeom.getCoordinates()[0];
-        parcelCoords.forEach(vertex => {
+        // Snap to parcel vertices, including those of holes
+        getRingVertices(parcelGeom).forEach(vertex => {
           const distance = getDistance(coordinate, vertex);
           if (distance < minDistance && distance < vertexTolerance) {
             minDistance = distance;
@@ -801,8 +1032,8 @@
 
     // 1C: Check boundary edges (habitat-parcels mode)
     if (snapToBoundaryEdges && currentMode === 'habitat-parcels' && boundaryPolygon) {
-      const ring = boundaryPolygon.getLinearRing(0);
-      const pt = ring.getClosestPoint(coordinate);
+      // Closest point on any ring, so hole edges can be snapped to as well
+      const pt = boundaryPolygon.getClosestPoint(coordinate);
       const dist = getDistance(coordinate, pt);
       if (dist < minDistance && dist < tolerance) {
         minDistance = dist;
@@ -816,7 +1047,7 @@
       habitatParcels.forEach((parcel, index) => {
         // Skip the parcel being edited (don't snap to self during editing)
         // But allow snapping to completed parcels when drawing a new one
-        if (index === editingParcelIndex) {
+        if (index === editingParcelIndex || isSharedVertexParcel(parcel)) {
           return;
         }
         // Skip the parcel currently being drawn (not yet completed)
@@ -827,9 +1058,8 @@
         const parcelGeom = parcel.feature.getGeometry();
         if (!parcelGeom) return;
 
-        // Snap to parcel edges
-        const ring = parcelGeom.getLinearRing(0);
-        const pt = ring.getClosestPoint(coordinate);
+        // Snap to parcel edges, including the edges of holes
+        const pt = parcelGeom.getClosestPoint(coordinate);
         const dist = getDistance(coordinate, pt);
         if (dist < minDistance && dist < tolerance) {
           minDistance = dist;
@@ -961,9 +1191,9 @@
 
     // Check boundary vertices
     if (currentMode === 'habitat-parcels' && boundaryPolygon) {
-      const boundaryCoords = boundaryPolygon.getCoordinates()[0];
-      for (let i = 0; i < boundaryCoords.length - 1; i++) {
-        const vertex = boundaryCoords[i];
+      const boundaryVertices = getRingVertices(boundaryPolygon);
+      for (let i = 0; i < boundaryVertices.length; i++) {
+        const vertex = boundaryVertices[i];
         const dist = getDistance(point, vertex);
         if (dist < minDistance && dist < tolerance) {
           minDistance = dist;
@@ -982,9 +1212,9 @@
         const parcelGeom = parcel.feature.getGeometry();
         if (!parcelGeom) return;
 
-        const parcelCoords = parcelGeom.getCoordinates()[0];
-        for (let i = 0; i < parcelCoords.length - 1; i++) {
-          const vertex = parcelCoords[i];
+        const parcelVertices = getRingVertices(parcelGeom);
+        for (let i = 0; i < parcelVertices.length; i++) {
+          const vertex = parcelVertices[i];
           const dist = getDistance(point, vertex);
           if (dist < minDistance && dist < tolerance) {
             minDistance = dist;
@@ -1030,13 +1260,56 @@
     return Math.sqrt(dx * dx + dy * dy);
   }
 
+  /**
+   * Get every ring of a polygon or multipolygon
+   * @param {ol.geom.Polygon|ol.geom.MultiPolygon} geometry
+   * @returns {Array} Array of closed rings
+   */
+  function getAllRings(geometry) {
+    if (geometry.getType() === 'MultiPolygon') {
+      return [].concat(...geometry.getCoordinates());
+    }
+    return geometry.getCoordinates();
+  }
+
+  /**
+   * Get the vertices of every ring of a polygon or multipolygon, without the closing duplicates
+   * @param {ol.geom.Polygon|ol.geom.MultiPolygon} geometry
+   * @returns {Array} Array of [x, y] coordinates
+   */
+  function getRingVertices(geometry) {
+    const vertices = [];
+    getAllRings(geometry).forEach(ring => {
+      vertices.push(...ring.slice(0, -1));
+    });
+    return vertices;
+  }
+
+  /**
+   * Get the interior rings (holes) of a polygon
+   * @param {ol.geom.Polygon} polygon
+   * @returns {Array} Array of closed rings, empty if the polygon has no holes
+   */
+  function getHoles(polygon) {
+    return polygon ? polygon.getCoordinates().slice(1) : [];
+  }
+
+  /**
+   * Replace the exterior ring of a polygon, keeping its holes
+   * @param {ol.geom.Polygon} polygon
+   * @param {Array} exteriorCoords - Closed ring of [x, y] coordinates
+   */
+  function setExteriorRing(polygon, exteriorCoords) {
+    polygon.setCoordinates([exteriorCoords].concat(getHoles(polygon)));
+  }
+
   /**
    * Update hover marker position with snap type styling
    */
   function updateHoverMarker(coordinate, snapType) {
     hoverSource.clear();
     
-    if (isDrawing) {
+    if (isDrawing || isCuttingHole) {
       hoverFeature = new ol.Feature({
         geometry: new ol.geom.Point(coordinate),
         snapType: snapType || SNAP_TYPE.NONE
@@ -1076,14 +1349,16 @@
 
   /**
    * Check if hovering over first vertex
+   * @param {Array} pixel - Pointer pixel
+   * @param {Array} vertices - Vertex features of the ring being drawn
    */
-  function checkFirstVertexHover(pixel) {
-    if (placedVertices.length === 0) {
+  function checkFirstVertexHover(pixel, vertices = placedVertices) {
+    if (vertices.length === 0) {
       canClosePolygon = false;
       return;
     }
 
-    const firstVertex = placedVertices[0];
+    const firstVertex = vertices[0];
     const firstCoord = firstVertex.getGeometry().getCoordinates();
     const firstPixel = map.getPixelFromCoordinate(firstCoord);
     
@@ -1116,15 +1391,21 @@
       return;
     }
 
+    if (isCuttingHole) {
+      cancelCuttingHole();
+    }
+
     // Stop any current parcel editing first
     if (editingParcelIndex >= 0) {
       stopEditingParcel();
     }
 
-    // In red-line-boundary mode, only allow one polygon
+    // In red-line-boundary mode, drawing again adds another part to the boundary
     if (currentMode === 'red-line-boundary' && polygonComplete) {
-      console.warn('⚠️  A polygon already exists. Clear it first before drawing a new one.');
-      return;
+      clearGhostVertex();
+      polygonFeature = null;
+      isEditing = false;
+      console.log(`Adding part ${boundaryParts.length + 1} to the boundary`);
     }
 
     // In habitat-parcels mode, check if there's a boundary
@@ -1154,6 +1435,23 @@
       return;
     }
 
+    if (isCuttingHole) {
+      handleHoleClick(evt);
+      return;
+    }
+
+    // Ignore clicks handled by the linear habitats module (drawing or selecting a line)
+    if (!isDrawing && window.LinearHabitats && window.LinearHabitats.handlesClickAtPixel &&
+        window.LinearHabitats.handlesClickAtPixel(evt.pixel)) {
+      return;
+    }
+
+    // Ignore clicks handled by the individual trees module (placing or selecting a tree)
+    if (!isDrawing && window.IndividualTrees && window.IndividualTrees.handlesClickAtPixel &&
+        window.IndividualTrees.handlesClickAtPixel(evt.pixel)) {
+      return;
+    }
+
     // If not drawing, check for parcel selection click (habitat-parcels mode only)
     if (!isDrawing && currentMode === 'habitat-parcels' && editingParcelIndex < 0) {
       handleParcelSelectionClick(evt);
@@ -1181,6 +1479,12 @@
   function handleParcelSelectionClick(evt) {
     // Check if click is on a parcel polygon
     const clickedParcelIndex = findParcelAtPixel(evt.pixel);
+
+    // Shift+click ticks parcels to merge instead of selecting them
+    if (clickedParcelIndex >= 0 && evt.originalEvent && evt.originalEvent.shiftKey) {
+      toggleMergeSelection(clickedParcelIndex);
+      return;
+    }
     
     if (clickedParcelIndex >= 0) {
       // Toggle selection - if already selected, deselect; otherwise select
@@ -1251,6 +1555,8 @@
       return;
     }
 
+    recordHistory(currentMode === 'habitat-parcels' ? 'Draw parcel' : 'Draw boundary');
+
     // Close the ring
     const firstCoord = currentPolygonCoords[0];
     currentPolygonCoords.push([...firstCoord]);
@@ -1295,6 +1601,9 @@
         colorIndex: colorIndex,
         bng: getDefaultBngProperties()
       };
+      if (!isBaselineLayer) {
+        parcel.bng.replacesBaselineParcels = findReplacedBaselineParcels(completedPolygon);
+      }
       habitatParcels.push(parcel);
       currentParcelIndex = habitatParcels.length - 1;
 
@@ -1314,6 +1623,7 @@
             onValidationError(`Warning: ${validationResult.error} You can edit the parcel before saving.`);
           }
         }
+        refreshValidationHighlight();
       }
 
       // Reset for next parcel
@@ -1329,6 +1639,16 @@
         onParcelAdded(parcel, habitatParcels.length - 1);
       }
     } else {
+      boundaryParts.push({
+        feature: polygonFeature,
+        coords: currentPolygonCoords,
+        vertices: placedVertices
+      });
+
+      // Parts that overlap or touch are merged, which rebuilds the boundary and updates the UI
+      if (mergeTouchingBoundaryParts()) {
+        return;
+      }
       updateUIForCompletePolygon();
     }
 
@@ -1340,148 +1660,793 @@
   }
 
   /**
-   * Add a parcel from external coordinates (used by Fill tool)
-   * Creates a new habitat parcel from the provided coordinate array
-   * @param {Array} coords - Array of [x, y] coordinates (closed ring)
-   * @returns {boolean} True if parcel was added successfully
+   * Start cutting a hole (called by UI button)
+   * In red-line-boundary mode the hole is cut from the boundary; in habitat-parcels
+   * mode it is cut from every parcel it overlaps
    */
-  function addParcelFromCoordinates(coords) {
-    if (!coords || coords.length < 4) {
-      console.error('Invalid coordinates for parcel');
-      return false;
+  function startCuttingHole() {
+    if (isCuttingHole) {
+      return;
     }
 
-    if (currentMode !== 'habitat-parcels') {
-      console.error('addParcelFromCoordinates only works in habitat-parcels mode');
-      return false;
+    if (isDrawing) {
+      cancelDrawing();
     }
-
-    console.log(`Adding parcel from ${coords.length - 1} vertices`);
-
-    // Ensure the ring is closed
-    const parcelCoords = coords.map(c => [...c]);
-    const first = parcelCoords[0];
-    const last = parcelCoords[parcelCoords.length - 1];
-    if (first[0] !== last[0] || first[1] !== last[1]) {
-      parcelCoords.push([...first]);
+    if (editingParcelIndex >= 0) {
+      stopEditingParcel();
     }
 
-    // Create the polygon geometry
-    const completedPolygon = new ol.geom.Polygon([parcelCoords]);
-
-    // Get color for this parcel
-    const colorIndex = habitatParcels.length % 8;  // 8 colors available
-
-    // Create polygon feature
-    const parcelFeature = new ol.Feature({
-      geometry: completedPolygon,
-      type: 'parcel',
-      colorIndex: colorIndex
-    });
-    drawSource.addFeature(parcelFeature);
-
-    // Create vertex features (hidden for completed parcels but needed for editing)
-    const vertexFeatures = [];
-    for (let i = 0; i < parcelCoords.length - 1; i++) {
-      const vertexFeature = new ol.Feature({
-        geometry: new ol.geom.Point(parcelCoords[i]),
-        type: 'vertex',
-        isFirst: i === 0,
-        highlighted: false,
-        colorIndex: colorIndex
-      });
-      vertexFeatures.push(vertexFeature);
-      drawSource.addFeature(vertexFeature);
+    if (currentMode === 'red-line-boundary' && !polygonComplete) {
+      if (onValidationError) {
+        onValidationError('Draw the red line boundary before cutting a hole in it.');
+      }
+      return;
+    }
+    if (currentMode === 'habitat-parcels' && habitatParcels.length === 0) {
+      if (onValidationError) {
+        onValidationError('Add a parcel before cutting a hole in it.');
+      }
+      return;
     }
 
-    // Store the parcel
-    const parcel = {
-      feature: parcelFeature,
-      coords: parcelCoords,
-      vertices: vertexFeatures,
-      colorIndex: colorIndex,
-      bng: getDefaultBngProperties()
-    };
-    habitatParcels.push(parcel);
+    isCuttingHole = true;
+    holeCoords = [];
+    holeVertices = [];
+    holeFeature = null;
+    canClosePolygon = false;
 
-    console.log(`✅ Parcel ${habitatParcels.length} added from fill`);
+    updateHoleCuttingUI();
+    console.log('✂️ Hole cutting started');
+  }
 
-    // Validate the parcel
-    if (window.ParcelValidation && window.ParcelValidation.validateParcel) {
-      const validationResult = window.ParcelValidation.validateParcel(
-        completedPolygon,
-        boundaryPolygon,
-        habitatParcels,
-        habitatParcels.length - 1
-      );
-      if (!validationResult.valid) {
-        console.warn('⚠️ Parcel has validation issues:', validationResult.error);
-        if (onValidationError) {
-          onValidationError(`Warning: ${validationResult.error} You can edit the parcel before saving.`);
-        }
-      }
+  /**
+   * Cancel cutting a hole and remove the partly drawn ring
+   */
+  function cancelCuttingHole() {
+    if (!isCuttingHole) {
+      return;
     }
 
-    // Update UI
-    updateUIForHabitatParcels();
-    updateTotalArea();
+    clearHoleFeatures();
+    isCuttingHole = false;
+    canClosePolygon = false;
+    hoverSource.clear();
+    map.getTargetElement().style.cursor = 'default';
 
-    if (onParcelAdded) {
-      onParcelAdded(parcel, habitatParcels.length - 1);
-    }
+    updateHoleCuttingUI();
+    console.log('Hole cutting cancelled');
+  }
 
-    return true;
+  /**
+   * Check whether a hole is being cut
+   * @returns {boolean}
+   */
+  function isCuttingHoleFn() {
+    return isCuttingHole;
   }
 
   /**
-   * Validate all habitat parcels before saving
-   * Wrapper function that calls the validation module with internal state
-   * @returns {Object} { valid: boolean, errors: string[] }
+   * Remove the hole ring and its vertices from the draw source
    */
-  function validateAllParcels() {
-    if (window.ParcelValidation && window.ParcelValidation.validateAllParcels) {
-      return window.ParcelValidation.validateAllParcels(habitatParcels, boundaryPolygon);
+  function clearHoleFeatures() {
+    holeVertices.forEach(v => drawSource.removeFeature(v));
+    if (holeFeature) {
+      drawSource.removeFeature(holeFeature);
     }
-    // Fallback if validation module not loaded
-    return { valid: true, errors: [] };
+    holeCoords = [];
+    holeVertices = [];
+    holeFeature = null;
   }
 
   /**
-   * Get the drawn polygon as GeoJSON (for red-line-boundary mode)
-   * @returns {Object|null} GeoJSON Polygon in EPSG:3857
+   * Show or hide the cut hole buttons to match the current state
    */
-  function getDrawnPolygonGeoJSON() {
-    if (currentMode === 'habitat-parcels') {
-      console.warn('Use getHabitatParcelsGeoJSON() for habitat-parcels mode');
-      return null;
-    }
+  function updateHoleCuttingUI() {
+    const startButton = document.getElementById('start-cut-hole');
+    const cancelButton = document.getElementById('cancel-cut-hole');
 
-    if (currentPolygonCoords.length < 4) {
-      return null;
-    }
+    if (startButton) startButton.parentElement.style.display = isCuttingHole ? 'none' : 'block';
+    if (cancelButton) cancelButton.parentElement.style.display = isCuttingHole ? 'block' : 'none';
+  }
 
-    const coords = [...currentPolygonCoords];
-    const first = coords[0];
-    const last = coords[coords.length - 1];
-    
-    if (first[0] !== last[0] || first[1] !== last[1]) {
-      coords.push([...first]);
+  /**
+   * Handle a map click while cutting a hole
+   */
+  function handleHoleClick(evt) {
+    if (holeCoords.length >= 3 && canClosePolygon) {
+      finishCuttingHole();
+      return;
     }
 
-    return {
-      type: 'Feature',
-      geometry: {
-        type: 'Polygon',
-        coordinates: [coords]
-      },
-      properties: {},
-      crs: {
-        type: 'name',
-        properties: {
-          name: 'EPSG:3857'
-        }
-      }
-    };
+    const coordinate = lastSnapCoord || evt.coordinate;
+    holeCoords.push([...coordinate]);
+
+    const vertexFeature = new ol.Feature({
+      geometry: new ol.geom.Point(coordinate),
+      type: 'vertex',
+      isFirst: holeVertices.length === 0,
+      highlighted: false,
+      colorIndex: 0
+    });
+    holeVertices.push(vertexFeature);
+    drawSource.addFeature(vertexFeature);
+  }
+
+  /**
+   * Update the live hole ring while cutting
+   */
+  function updateLiveHole(snapCoord) {
+    const tempCoords = [...holeCoords, snapCoord];
+
+    if (holeFeature) {
+      drawSource.removeFeature(holeFeature);
+    }
+
+    const geom = tempCoords.length === 2
+      ? new ol.geom.LineString(tempCoords)
+      : new ol.geom.Polygon([[...tempCoords, tempCoords[0]]]);
+
+    holeFeature = new ol.Feature({
+      geometry: geom,
+      type: 'hole'
+    });
+    drawSource.addFeature(holeFeature);
+  }
+
+  /**
+   * Close the hole ring and subtract it from the boundary or the parcels it overlaps
+   */
+  function finishCuttingHole() {
+    const holeGeometry = new ol.geom.Polygon([[...holeCoords, [...holeCoords[0]]]]);
+
+    clearHoleFeatures();
+    isCuttingHole = false;
+    canClosePolygon = false;
+    hoverSource.clear();
+    map.getTargetElement().style.cursor = 'default';
+    updateHoleCuttingUI();
+
+    const result = currentMode === 'habitat-parcels'
+      ? cutHoleInParcels(holeGeometry)
+      : cutHoleInBoundary(holeGeometry);
+
+    if (result.error) {
+      console.warn('Hole not cut:', result.error);
+      if (onValidationError) {
+        onValidationError(result.error);
+      }
+      return;
+    }
+
+    console.log('✅ Hole cut');
+  }
+
+  /**
+   * Subtract a hole from a polygon, checking the result is still a single polygon
+   * @param {ol.geom.Polygon} geometry - Polygon to cut
+   * @param {ol.geom.Polygon} holeGeometry - Hole to subtract
+   * @param {string} name - What is being cut, for error messages
+   * @returns {Object} { rings: Array|null, error: string|null }
+   */
+  function subtractHole(geometry, holeGeometry, name) {
+    const result = window.PolygonOperations.difference(geometry, holeGeometry);
+    if (result.error) {
+      return { rings: null, error: result.error };
+    }
+    if (!result.geometry) {
+      return { rings: null, error: `The hole would remove the whole ${name}.` };
+    }
+    if (result.geometry.getType() !== 'Polygon') {
+      return { rings: null, error: `The hole would split the ${name} into separate areas. Draw it so that it doesn't cross the ${name} from edge to edge.` };
+    }
+    return { rings: result.geometry.getCoordinates(), error: null };
+  }
+
+  /**
+   * Check whether a hole overlaps a polygon
+   */
+  function holeOverlaps(geometry, holeGeometry) {
+    const result = window.PolygonOperations.intersection(geometry, holeGeometry);
+    return !result.error && result.geometry !== null;
+  }
+
+  /**
+   * Cut a hole in the red line boundary
+   * @param {ol.geom.Polygon} holeGeometry
+   * @returns {Object} { error: string|null }
+   */
+  function cutHoleInBoundary(holeGeometry) {
+    const boundaryGeometry = getBoundaryGeometry();
+    if (!holeOverlaps(boundaryGeometry, holeGeometry)) {
+      return { error: 'Draw the hole inside the red line boundary.' };
+    }
+
+    // The boundary can have several parts, so a hole that splits it is allowed
+    const result = window.PolygonOperations.difference(boundaryGeometry, holeGeometry);
+    if (result.error) {
+      return { error: result.error };
+    }
+    if (!result.geometry) {
+      return { error: 'The hole would remove the whole boundary.' };
+    }
+
+    recordHistory('Cut hole');
+    setBoundaryGeometry(result.geometry);
+    return { error: null };
+  }
+
+  /**
+   * Cut a hole in every parcel it overlaps
+   * All parcels are checked before any is changed, so a failure leaves them untouched
+   * @param {ol.geom.Polygon} holeGeometry
+   * @returns {Object} { error: string|null }
+   */
+  function cutHoleInParcels(holeGeometry) {
+    const changes = [];
+    for (let i = 0; i < habitatParcels.length; i++) {
+      const geometry = habitatParcels[i].feature.getGeometry();
+      if (!holeOverlaps(geometry, holeGeometry)) {
+        continue;
+      }
+
+      const result = subtractHole(geometry, holeGeometry, `parcel ${i + 1}`);
+      if (result.error) {
+        return { error: result.error };
+      }
+      changes.push({ index: i, rings: result.rings });
+    }
+
+    if (changes.length === 0) {
+      return { error: 'Draw the hole inside a parcel.' };
+    }
+
+    recordHistory('Cut hole');
+    changes.forEach(change => replaceParcelRings(change.index, change.rings));
+
+    updateUIForHabitatParcels();
+    refreshValidationHighlight();
+    return { error: null };
+  }
+
+  /**
+   * Replace a parcel's geometry, rebuilding its features but keeping its colour and BNG properties
+   * @param {number} index - Parcel index
+   * @param {Array} rings - Closed rings, exterior first
+   */
+  function replaceParcelRings(index, rings) {
+    const parcel = habitatParcels[index];
+    drawSource.removeFeature(parcel.feature);
+    parcel.vertices.forEach(v => drawSource.removeFeature(v));
+
+    habitatParcels[index] = createParcel(rings[0], parcel.colorIndex, parcel.bng, rings.slice(1));
+  }
+
+  /**
+   * Create the polygon and vertex features for a parcel and add them to the draw source
+   * @param {Array} parcelCoords - Closed exterior ring of [x, y] coordinates
+   * @param {number} colorIndex - Index into PARCEL_COLORS
+   * @param {Object} bng - Parcel BNG properties
+   * @param {Array} holes - Closed interior rings (optional)
+   * @returns {Object} Parcel { feature, coords, vertices, colorIndex, bng } (not yet stored)
+   */
+  function createParcel(parcelCoords, colorIndex, bng, holes = []) {
+    const parcelFeature = new ol.Feature({
+      geometry: new ol.geom.Polygon([parcelCoords].concat(holes)),
+      type: 'parcel',
+      colorIndex: colorIndex
+    });
+    drawSource.addFeature(parcelFeature);
+
+    // Create vertex features (hidden for completed parcels but needed for editing)
+    const vertexFeatures = [];
+    for (let i = 0; i < parcelCoords.length - 1; i++) {
+      const vertexFeature = new ol.Feature({
+        geometry: new ol.geom.Point(parcelCoords[i]),
+        type: 'vertex',
+        isFirst: i === 0,
+        highlighted: false,
+        colorIndex: colorIndex
+      });
+      vertexFeatures.push(vertexFeature);
+      drawSource.addFeature(vertexFeature);
+    }
+
+    return {
+      feature: parcelFeature,
+      coords: parcelCoords,
+      vertices: vertexFeatures,
+      colorIndex: colorIndex,
+      bng: bng
+    };
+  }
+
+  /**
+   * Restore saved habitat parcels (e.g. from the session) with their colours and BNG properties
+   * Only area habitat features are restored - linear features and trees belong to other modules
+   * @param {Object} geojson - GeoJSON FeatureCollection saved by getHabitatParcelsGeoJSON
+   * @returns {Object} { count, invalidCount, boundaryChanged }
+   */
+  function loadSavedParcels(geojson) {
+    const result = { count: 0, invalidCount: 0, boundaryChanged: false };
+
+    if (!geojson || !geojson.features || currentMode !== 'habitat-parcels') {
+      return result;
+    }
+
+    const format = new ol.format.GeoJSON();
+    let dataProjection = 'EPSG:3857';
+    if (geojson.crs && geojson.crs.properties && geojson.crs.properties.name) {
+      dataProjection = geojson.crs.properties.name;
+    }
+
+    geojson.features.forEach((featureJson, index) => {
+      const properties = featureJson.properties || {};
+      const bng = properties.bng || {};
+      if ((bng.module || 'area') !== 'area') return;
+
+      try {
+        const geometry = format.readGeometry(featureJson.geometry, {
+          dataProjection: dataProjection,
+          featureProjection: 'EPSG:3857'
+        });
+        if (geometry.getType() !== 'Polygon') {
+          console.warn(`Skipping saved parcel ${index + 1}: unsupported geometry ${geometry.getType()}`);
+          return;
+        }
+
+        const rings = geometry.getCoordinates();
+        const colorIndex = properties.colorIndex !== undefined
+          ? properties.colorIndex
+          : habitatParcels.length % PARCEL_COLORS.length;
+
+        habitatParcels.push(createParcel(rings[0], colorIndex, Object.assign(getDefaultBngProperties(), bng), rings.slice(1)));
+        result.count++;
+      } catch (error) {
+        console.error(`❌ Error restoring saved parcel ${index + 1}:`, error);
+      }
+    });
+
+    // Parcels drawn against a different boundary may no longer fit it
+    const savedFingerprint = geojson.properties && geojson.properties.boundaryFingerprint;
+    result.boundaryChanged = !!savedFingerprint && savedFingerprint !== getBoundaryFingerprint();
+
+    if (window.ParcelValidation && window.ParcelValidation.validateParcel) {
+      habitatParcels.forEach((parcel, index) => {
+        const validationResult = window.ParcelValidation.validateParcel(
+          parcel.feature.getGeometry(),
+          boundaryPolygon,
+          habitatParcels,
+          index
+        );
+        if (!validationResult.valid) {
+          result.invalidCount++;
+        }
+      });
+      refreshValidationHighlight();
+    }
+
+    updateUIForHabitatParcels();
+    console.log(`✓ ${result.count} saved parcels restored`);
+    return result;
+  }
+
+  /**
+   * Get a fingerprint of the boundary geometry, saved with the parcels so that
+   * changes to the boundary after the parcels were drawn can be detected
+   * @returns {string|null} Fingerprint, or null if no boundary is loaded
+   */
+  function getBoundaryFingerprint() {
+    if (!boundaryPolygon) return null;
+
+    // Round to the centimetre so that re-projection noise doesn't count as a change
+    const text = getAllRings(boundaryPolygon)
+      .map(ring => ring.map(coord => `${Math.round(coord[0] * 100)},${Math.round(coord[1] * 100)}`).join(';'))
+      .join('|');
+
+    // djb2 string hash
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+      hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(16);
+  }
+
+  /**
+   * Add a parcel from external coordinates (used by Fill tool)
+   * Creates a new habitat parcel from the provided coordinate array
+   * @param {Array} coords - Array of [x, y] coordinates (closed ring)
+   * @param {Array} holes - Closed interior rings (optional)
+   * @returns {boolean} True if parcel was added successfully
+   */
+  function addParcelFromCoordinates(coords, holes = []) {
+    if (!coords || coords.length < 4) {
+      console.error('Invalid coordinates for parcel');
+      return false;
+    }
+
+    if (currentMode !== 'habitat-parcels') {
+      console.error('addParcelFromCoordinates only works in habitat-parcels mode');
+      return false;
+    }
+
+    console.log(`Adding parcel from ${coords.length - 1} vertices`);
+
+    // Ensure the ring is closed
+    const parcelCoords = coords.map(c => [...c]);
+    const first = parcelCoords[0];
+    const last = parcelCoords[parcelCoords.length - 1];
+    if (first[0] !== last[0] || first[1] !== last[1]) {
+      parcelCoords.push([...first]);
+    }
+
+    // Get color for this parcel
+    const colorIndex = habitatParcels.length % 8;  // 8 colors available
+
+    recordHistory('Fill parcel');
+
+    // Store the parcel
+    const parcel = createParcel(parcelCoords, colorIndex, getDefaultBngProperties(), holes);
+    const completedPolygon = parcel.feature.getGeometry();
+    if (!isBaselineLayer) {
+      parcel.bng.replacesBaselineParcels = findReplacedBaselineParcels(completedPolygon);
+    }
+    habitatParcels.push(parcel);
+
+    console.log(`✅ Parcel ${habitatParcels.length} added from fill`);
+
+    // Validate the parcel
+    if (window.ParcelValidation && window.ParcelValidation.validateParcel) {
+      const validationResult = window.ParcelValidation.validateParcel(
+        completedPolygon,
+        boundaryPolygon,
+        habitatParcels,
+        habitatParcels.length - 1
+      );
+      if (!validationResult.valid) {
+        console.warn('⚠️ Parcel has validation issues:', validationResult.error);
+        if (onValidationError) {
+          onValidationError(`Warning: ${validationResult.error} You can edit the parcel before saving.`);
+        }
+      }
+      refreshValidationHighlight();
+    }
+
+    // Update UI
+    updateUIForHabitatParcels();
+    updateTotalArea();
+
+    if (onParcelAdded) {
+      onParcelAdded(parcel, habitatParcels.length - 1);
+    }
+
+    return true;
+  }
+
+  /**
+   * Add several parcels at once as a single undoable change (used by auto-parcel)
+   * @param {Array} parcelsData - Array of { rings, bng } where rings are closed rings, exterior first,
+   *   and bng holds BNG properties to apply over the defaults
+   * @param {string} label - Description of the change for undo
+   * @returns {number} Number of parcels added
+   */
+  function addParcels(parcelsData, label) {
+    if (currentMode !== 'habitat-parcels') {
+      console.error('addParcels only works in habitat-parcels mode');
+      return 0;
+    }
+
+    const valid = parcelsData.filter(data => data.rings && data.rings[0] && data.rings[0].length >= 4);
+    if (valid.length === 0) {
+      return 0;
+    }
+
+    recordHistory(label);
+
+    valid.forEach(data => {
+      const colorIndex = habitatParcels.length % PARCEL_COLORS.length;
+      const bng = Object.assign(getDefaultBngProperties(), data.bng || {});
+      const parcel = createParcel(data.rings[0], colorIndex, bng, data.rings.slice(1));
+      if (!isBaselineLayer) {
+        parcel.bng.replacesBaselineParcels = findReplacedBaselineParcels(parcel.feature.getGeometry());
+      }
+      habitatParcels.push(parcel);
+    });
+
+    console.log(`✅ ${valid.length} parcels added`);
+
+    refreshValidationHighlight();
+    updateUIForHabitatParcels();
+    updateTotalArea();
+
+    return valid.length;
+  }
+
+  /**
+   * Validate all habitat parcels before saving
+   * Wrapper function that calls the validation module with internal state
+   * @returns {Object} { valid: boolean, errors: string[] }
+   */
+  function validateAllParcels() {
+    if (window.ParcelValidation && window.ParcelValidation.validateAllParcels) {
+      const result = window.ParcelValidation.validateAllParcels(habitatParcels, boundaryPolygon);
+      showValidationProblems(result.problems);
+      return result;
+    }
+    // Fallback if validation module not loaded
+    return { valid: true, errors: [] };
+  }
+
+  /**
+   * Re-validate all parcels and highlight any problems on the map
+   */
+  function refreshValidationHighlight() {
+    if (currentMode !== 'habitat-parcels') return;
+    refreshCoverage();
+    validateAllParcels();
+    updateCoverageGapsList();
+  }
+
+  /**
+   * Work out which parts of the boundary are not covered by parcels.
+   * Gaps are only shown once there is at least one parcel.
+   */
+  function refreshCoverage() {
+    coverageGaps = [];
+    if (!window.ParcelValidation || !window.ParcelValidation.analyseCoverage) return;
+    if (!boundaryPolygon || habitatParcels.length === 0) return;
+
+    const result = window.ParcelValidation.analyseCoverage(habitatParcels, boundaryPolygon, getSliverOptions());
+    if (result.error) {
+      console.warn('⚠️ Coverage analysis failed:', result.error);
+      return;
+    }
+    coverageGaps = result.gaps;
+  }
+
+  /**
+   * Read the sliver thresholds from the page, if it has inputs for them
+   * @returns {Object} { sliverMaxAreaSqM, sliverMaxWidthM } with only the valid values set
+   */
+  function getSliverOptions() {
+    const options = {};
+    const areaInput = document.getElementById('sliver-max-area');
+    const widthInput = document.getElementById('sliver-max-width');
+    const area = areaInput ? parseFloat(areaInput.value) : NaN;
+    const width = widthInput ? parseFloat(widthInput.value) : NaN;
+    if (!isNaN(area) && area >= 0) options.sliverMaxAreaSqM = area;
+    if (!isNaN(width) && width >= 0) options.sliverMaxWidthM = width;
+    return options;
+  }
+
+  /**
+   * List the coverage gaps with their areas and actions
+   */
+  function updateCoverageGapsList() {
+    const container = document.getElementById('coverage-gaps');
+    const listElement = document.getElementById('coverage-gaps-list');
+    if (!container || !listElement) return;
+
+    container.style.display = coverageGaps.length > 0 ? 'block' : 'none';
+
+    listElement.innerHTML = coverageGaps.map((gap, index) => {
+      const label = gap.isSliver ? `Sliver ${index + 1}` : `Gap ${index + 1}`;
+      const areaText = window.ParcelValidation.formatArea(gap.areaSqM);
+      const widthText = gap.isSliver ? ` · about ${gap.widthM.toFixed(1)} m wide` : '';
+      const action = gap.isSliver
+        ? `<button type="button" class="govuk-link" style="color: #1d70b8; cursor: pointer; border: none; background: none;" onclick="window.SnapDrawing.mergeCoverageGap(${index})">Merge into neighbour</button>`
+        : `<button type="button" class="govuk-link" style="color: #1d70b8; cursor: pointer; border: none; background: none;" onclick="window.SnapDrawing.fillCoverageGap(${index})">Make parcel</button>`;
+
+      return `
+        <li class="govuk-body-s" style="display: flex; justify-content: space-between; padding: 4px 0; border-bottom: 1px solid #b1b4b6;">
+          <span>
+            <a href="#" class="govuk-link" onclick="event.preventDefault(); window.SnapDrawing.zoomToCoverageGap(${index})">${label}</a>
+            <span style="color: #505a5f;">${areaText}${widthText}</span>
+          </span>
+          <span>${action}</span>
+        </li>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Zoom the map to a coverage gap
+   * @param {number} index - Index into the coverage gaps
+   */
+  function zoomToCoverageGap(index) {
+    const gap = coverageGaps[index];
+    if (!gap) return;
+
+    map.getView().fit(gap.geometry.getExtent(), { padding: [80, 80, 80, 80], maxZoom: 20, duration: 300 });
+  }
+
+  /**
+   * Make a coverage gap into a new parcel
+   * @param {number} index - Index into the coverage gaps
+   * @returns {boolean} True if the parcel was added
+   */
+  function fillCoverageGap(index) {
+    const gap = coverageGaps[index];
+    if (!gap || isDrawing) return false;
+
+    recordHistory('Fill gap');
+    addGapAsParcel(gap);
+    finishCoverageChange();
+    return true;
+  }
+
+  /**
+   * Merge a sliver into the neighbouring parcel it shares the most edge with
+   * @param {number} index - Index into the coverage gaps
+   * @returns {boolean} True if merged
+   */
+  function mergeCoverageGap(index) {
+    const gap = coverageGaps[index];
+    if (!gap || isDrawing) return false;
+
+    const neighbour = findMergeNeighbour(gap.geometry);
+    if (!neighbour) {
+      if (onValidationError) {
+        onValidationError('This sliver could not be merged because it does not share an edge with a parcel. Make it a parcel instead.');
+      }
+      return false;
+    }
+
+    recordHistory('Merge sliver');
+    replaceParcelRings(neighbour.index, neighbour.geometry.getCoordinates());
+    finishCoverageChange();
+    return true;
+  }
+
+  /**
+   * Fill the whole remaining area: gaps become parcels and slivers merge into their neighbours
+   * @returns {Object} { parcelCount, mergedCount } Slivers that can't be merged become parcels
+   */
+  function fillAllCoverageGaps() {
+    const result = { parcelCount: 0, mergedCount: 0 };
+    if (coverageGaps.length === 0 || isDrawing) return result;
+
+    recordHistory('Fill remaining area');
+
+    // Merge slivers first so they join existing parcels rather than new gap parcels
+    const gaps = coverageGaps.slice();
+    gaps.filter(gap => gap.isSliver).forEach(gap => {
+      const neighbour = findMergeNeighbour(gap.geometry);
+      if (neighbour) {
+        replaceParcelRings(neighbour.index, neighbour.geometry.getCoordinates());
+        result.mergedCount++;
+      } else {
+        addGapAsParcel(gap);
+        result.parcelCount++;
+      }
+    });
+    gaps.filter(gap => !gap.isSliver).forEach(gap => {
+      addGapAsParcel(gap);
+      result.parcelCount++;
+    });
+
+    finishCoverageChange();
+    return result;
+  }
+
+  /**
+   * Add a coverage gap as a parcel with default BNG properties
+   * @param {Object} gap - Coverage gap
+   */
+  function addGapAsParcel(gap) {
+    const rings = gap.geometry.getCoordinates();
+    const colorIndex = habitatParcels.length % PARCEL_COLORS.length;
+    const parcel = createParcel(rings[0], colorIndex, getDefaultBngProperties(), rings.slice(1));
+    if (!isBaselineLayer) {
+      parcel.bng.replacesBaselineParcels = findReplacedBaselineParcels(parcel.feature.getGeometry());
+    }
+    habitatParcels.push(parcel);
+  }
+
+  /**
+   * Find the parcel a sliver should merge into: the adjacent parcel sharing the
+   * longest edge with it whose merged shape is still a single polygon
+   * @param {ol.geom.Polygon} sliver
+   * @returns {Object|null} { index, geometry } with the merged geometry, or null if there is none
+   */
+  function findMergeNeighbour(sliver) {
+    if (!window.ParcelValidation || !window.PolygonOperations) return null;
+
+    const sliverPerimeter = window.Measurement.getLengthM(sliver);
+    let best = null;
+    let bestShared = 0;
+
+    habitatParcels.forEach((parcel, index) => {
+      const geom = parcel.feature.getGeometry();
+      if (!window.ParcelValidation.arePolygonsAdjacent(sliver, geom)) return;
+
+      const merged = window.PolygonOperations.union([geom, sliver]);
+      if (merged.error || merged.geometry.getType() !== 'Polygon') return;
+
+      // The shared edge is counted in both perimeters but not in the merged one
+      const shared = (sliverPerimeter + window.Measurement.getLengthM(geom) - window.Measurement.getLengthM(merged.geometry)) / 2;
+      if (shared > bestShared) {
+        bestShared = shared;
+        best = { index: index, geometry: merged.geometry };
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Refresh the map and panels after parcels are added or merged from coverage gaps
+   */
+  function finishCoverageChange() {
+    refreshValidationHighlight();
+    updateUIForHabitatParcels();
+    updateTotalArea();
+
+    if (selectedParcelIndex >= 0 && onParcelSelected) {
+      onParcelSelected(selectedParcelIndex);
+    }
+  }
+
+  /**
+   * Highlight overlaps and areas outside the boundary on the map
+   * @param {Array} problems - Problems from ParcelValidation, each with the geometry of the problem area
+   */
+  function showValidationProblems(problems) {
+    if (!validationSource) return;
+
+    validationSource.clear();
+    (problems || []).forEach(function(problem) {
+      if (!problem.geometry) return;
+
+      validationSource.addFeature(new ol.Feature({
+        geometry: problem.geometry,
+        type: 'validation-problem',
+        problemType: problem.type
+      }));
+    });
+
+    coverageGaps.forEach(function(gap) {
+      validationSource.addFeature(new ol.Feature({
+        geometry: gap.geometry,
+        type: 'coverage-gap',
+        isSliver: gap.isSliver
+      }));
+    });
+  }
+
+  /**
+   * Get the drawn polygon as GeoJSON (for red-line-boundary mode)
+   * @returns {Object|null} GeoJSON Polygon in EPSG:3857
+   */
+  function getDrawnPolygonGeoJSON() {
+    if (currentMode === 'habitat-parcels') {
+      console.warn('Use getHabitatParcelsGeoJSON() for habitat-parcels mode');
+      return null;
+    }
+
+    const geometry = getBoundaryGeometry();
+    if (!geometry) {
+      return null;
+    }
+
+    const areaSqMeters = window.Measurement.getAreaSqM(geometry);
+
+    return {
+      type: 'Feature',
+      geometry: {
+        type: geometry.getType(),
+        coordinates: geometry.getCoordinates()
+      },
+      properties: {
+        areaHectares: areaSqMeters / 10000,
+        areaSqMeters: areaSqMeters
+      },
+      crs: {
+        type: 'name',
+        properties: {
+          name: 'EPSG:3857'
+        }
+      }
+    };
   }
 
   /**
@@ -1489,6 +2454,7 @@
    * @returns {Object} GeoJSON FeatureCollection
    */
   function getHabitatParcelsGeoJSON() {
+    const ids = new Set();
     const features = habitatParcels.map((parcel, index) => {
       const coords = [...parcel.coords];
       const first = coords[0];
@@ -1500,24 +2466,35 @@
 
       // Calculate area
       const geom = parcel.feature.getGeometry();
-      const areaSqMeters = geom.getArea();
+      const areaSqMeters = window.Measurement.getAreaSqM(geom);
       const areaHectares = areaSqMeters / 10000;
 
       // Get BNG properties (use defaults if not set)
-      const bng = parcel.bng || getDefaultBngProperties();
+      if (!parcel.bng) {
+        parcel.bng = getDefaultBngProperties();
+      }
+      const bng = parcel.bng;
+      // Parcels made by slicing have no id yet, and a copied one would not be unique
+      if (!bng.id || ids.has(bng.id)) {
+        bng.id = createParcelId();
+      }
+      ids.add(bng.id);
       // Update areaHa in BNG data
       bng.areaHa = areaHectares;
+      // Baseline biodiversity units (null if incomplete or irreplaceable)
+      bng.biodiversityUnits = getParcelUnits(bng, areaHectares);
 
       return {
         type: 'Feature',
         geometry: {
           type: 'Polygon',
-          coordinates: [coords]
+          coordinates: [coords].concat(getHoles(geom))
         },
         properties: {
           parcelIndex: index,
           areaHectares: areaHectares,
           areaSqMeters: areaSqMeters,
+          colorIndex: parcel.colorIndex,
           bng: bng
         }
       };
@@ -1526,6 +2503,9 @@
     return {
       type: 'FeatureCollection',
       features: features,
+      properties: {
+        boundaryFingerprint: getBoundaryFingerprint()
+      },
       crs: {
         type: 'name',
         properties: {
@@ -1540,7 +2520,7 @@
    */
   function handlePointerDown(evt) {
     // Allow editing if polygon is complete (red-line boundary mode) or if editing a parcel
-    const canEdit = (polygonComplete && !isDrawing) || (editingParcelIndex >= 0);
+    const canEdit = ((polygonComplete && !isDrawing) || (editingParcelIndex >= 0)) && !isCuttingHole;
     
     if (!canEdit) {
       return;
@@ -1563,8 +2543,9 @@
           if (parcel.vertices.includes(feature)) {
             return feature;
           }
-        } else {
-          // Red-line boundary mode
+        } else if (findBoundaryPartIndex(feature) >= 0) {
+          // Red-line boundary mode - drag a vertex of any part
+          activateBoundaryPart(findBoundaryPartIndex(feature));
           return feature;
         }
       }
@@ -1574,6 +2555,23 @@
     });
 
     if (feature) {
+      // Shared corners and edges move together unless detached with Alt or the option
+      const detach = !moveSharedVertices || (evt.originalEvent && evt.originalEvent.altKey);
+      const sharedDrag = editingParcelIndex >= 0 && !detach;
+      const vertexCoord = feature.getGeometry().getCoordinates();
+
+      if (sharedDrag && isOnBoundaryCorner(vertexCoord)) {
+        if (onValidationError) {
+          onValidationError('This corner is on a corner of the red line boundary so it stays in place. Hold Alt while dragging to move it on its own.');
+        }
+        evt.stopPropagation();
+        evt.preventDefault();
+        return;
+      }
+
+      // History and shared-vertex linking wait for the first move, so a click changes nothing
+      pendingVertexMove = { coord: vertexCoord, sharedDrag: sharedDrag };
+
       draggedVertex = feature;
       draggedVertexIndex = placedVertices.indexOf(feature);
       isDragging = true;
@@ -1608,6 +2606,16 @@
     isDragging = false;
     draggedVertex = null;
     draggedVertexIndex = -1;
+    sharedVertexLinks = [];
+    boundaryEdgeGlue = null;
+    pendingVertexMove = null;
+
+    // Overlaps may have been created or fixed by the edit
+    if (editingParcelIndex >= 0) {
+      refreshValidationHighlight();
+    } else if (currentMode === 'red-line-boundary') {
+      mergeTouchingBoundaryParts();
+    }
     
     justFinishedDragging = true;
     setTimeout(() => {
@@ -1623,7 +2631,18 @@
       return;
     }
 
+    if (pendingVertexMove) {
+      const startCoord = pendingVertexMove.coord;
+      if (snapCoord[0] === startCoord[0] && snapCoord[1] === startCoord[1]) {
+        return;
+      }
+      startVertexMove();
+    }
+
     // Note: snapCoord is already clamped to boundary in handlePointerMove if needed
+    if (boundaryEdgeGlue) {
+      snapCoord = window.ParcelValidation.getClosestPointOnSegment(snapCoord, boundaryEdgeGlue[0], boundaryEdgeGlue[1]);
+    }
 
     draggedVertex.getGeometry().setCoordinates(snapCoord);
     currentPolygonCoords[draggedVertexIndex] = [...snapCoord];
@@ -1635,21 +2654,251 @@
       placedVertices[0].getGeometry().setCoordinates(snapCoord);
     }
 
-    if (polygonFeature) {
-      polygonFeature.getGeometry().setCoordinates([currentPolygonCoords]);
-    }
-    
-    // Update parcel data if editing a parcel
-    if (editingParcelIndex >= 0) {
-      const parcel = habitatParcels[editingParcelIndex];
-      parcel.coords = [...currentPolygonCoords];
-      
-      // Update the individual parcel area display
-      updateParcelAreaDisplay(editingParcelIndex);
-      updateTotalArea();
-    } else {
-      updateAreaDisplay();
-    }
+    if (polygonFeature) {
+      setExteriorRing(polygonFeature.getGeometry(), currentPolygonCoords);
+    }
+    
+    // Update parcel data if editing a parcel
+    if (editingParcelIndex >= 0) {
+      const parcel = habitatParcels[editingParcelIndex];
+      parcel.coords = [...currentPolygonCoords];
+      
+      // Update the individual parcel area display
+      updateParcelAreaDisplay(editingParcelIndex);
+      moveSharedVerticesTo(snapCoord);
+      updateTotalArea();
+    } else {
+      updateAreaDisplay();
+    }
+  }
+
+  /**
+   * Start moving the dragged vertex on its first actual move - record the edit and
+   * link the shared vertices, which may add vertices to the edited parcel's ring
+   */
+  function startVertexMove() {
+    const { coord, sharedDrag } = pendingVertexMove;
+    pendingVertexMove = null;
+
+    recordHistory('Move vertex');
+    if (sharedDrag) {
+      linkSharedVertices(coord);
+      draggedVertexIndex = placedVertices.indexOf(draggedVertex);
+    }
+  }
+
+  /**
+   * Link the vertices shared with the dragged vertex so they move with it.
+   * Neighbouring parcels whose edge passes through the vertex get a vertex there, and
+   * any parcel or boundary corners lying along the edges that will move are added to
+   * those edges, so the edges stay shared rather than opening gaps or overlaps.
+   * @param {Array} coord - [x, y] of the vertex about to be dragged
+   */
+  function linkSharedVertices(coord) {
+    sharedVertexLinks = [];
+    boundaryEdgeGlue = findBoundaryEdgeAt(coord);
+
+    const corners = boundaryPolygon ? getRingVertices(boundaryPolygon) : [];
+    habitatParcels.forEach(parcel => {
+      corners.push(...getRingVertices(parcel.feature.getGeometry()));
+    });
+
+    habitatParcels.forEach((parcel, index) => {
+      const ringCount = index === editingParcelIndex ? 1 : parcel.feature.getGeometry().getCoordinates().length;
+      for (let ringIndex = 0; ringIndex < ringCount; ringIndex++) {
+        let vertexIndex = findSharedVertexIndex(getParcelRing(parcel, ringIndex), coord);
+        if (vertexIndex < 0) {
+          const edgeIndex = findEdgeIndexAt(getParcelRing(parcel, ringIndex), coord);
+          if (edgeIndex < 0) continue;
+          vertexIndex = edgeIndex + 1;
+          insertParcelRingVertex(index, ringIndex, vertexIndex, coord);
+        }
+
+        vertexIndex = pinCornersToMovingEdges(index, ringIndex, vertexIndex, corners);
+        if (index !== editingParcelIndex) {
+          sharedVertexLinks.push({ parcel: parcel, ringIndex: ringIndex, vertexIndex: vertexIndex });
+        }
+      }
+    });
+
+    if (sharedVertexLinks.length > 0) {
+      console.log(`🔗 Moving ${sharedVertexLinks.length} shared vertices with the dragged vertex`);
+    }
+  }
+
+  /**
+   * Add the corners lying part way along the two edges either side of a vertex to the ring,
+   * so that only the parts of the edges up to those corners move
+   * @returns {number} The vertex's index after the corners are added
+   */
+  function pinCornersToMovingEdges(parcelIndex, ringIndex, vertexIndex, corners) {
+    const ring = getParcelRing(habitatParcels[parcelIndex], ringIndex);
+    const vertexCount = ring.length - 1;
+    const vertex = ring[vertexIndex];
+    const next = ring[(vertexIndex + 1) % vertexCount];
+    const prev = ring[(vertexIndex - 1 + vertexCount) % vertexCount];
+
+    // Insert after the vertex first so the vertex's own index only changes for the edge before it
+    const afterCorners = getCornersAlongEdge(vertex, next, corners);
+    afterCorners.forEach((corner, i) => {
+      insertParcelRingVertex(parcelIndex, ringIndex, vertexIndex + 1 + i, corner);
+    });
+
+    const beforeCorners = getCornersAlongEdge(prev, vertex, corners);
+    beforeCorners.forEach((corner, i) => {
+      insertParcelRingVertex(parcelIndex, ringIndex, vertexIndex + i, corner);
+    });
+
+    return vertexIndex + beforeCorners.length;
+  }
+
+  /**
+   * Get the corners lying strictly between the ends of an edge, ordered from its start
+   * @returns {Array} Array of [x, y]
+   */
+  function getCornersAlongEdge(start, end, corners) {
+    const found = [];
+    corners.forEach(corner => {
+      if (getDistance(corner, start) < SHARED_VERTEX_TOLERANCE || getDistance(corner, end) < SHARED_VERTEX_TOLERANCE) return;
+      const closest = window.ParcelValidation.getClosestPointOnSegment(corner, start, end);
+      if (getDistance(corner, closest) >= SHARED_VERTEX_TOLERANCE) return;
+      if (found.some(other => getDistance(other, corner) < SHARED_VERTEX_TOLERANCE)) return;
+      found.push(corner.slice());
+    });
+    return found.sort((a, b) => getDistance(start, a) - getDistance(start, b));
+  }
+
+  /**
+   * Get a ring of a parcel; the ring being edited comes from the editing state
+   * @returns {Array} Closed ring of [x, y]
+   */
+  function getParcelRing(parcel, ringIndex) {
+    if (parcel === habitatParcels[editingParcelIndex] && ringIndex === 0) {
+      return currentPolygonCoords;
+    }
+    return parcel.feature.getGeometry().getCoordinates()[ringIndex];
+  }
+
+  /**
+   * Find a vertex of a ring at a coordinate
+   * @returns {number} Vertex index, or -1 if there is none
+   */
+  function findSharedVertexIndex(ring, coord) {
+    for (let i = 0; i < ring.length - 1; i++) {
+      if (getDistance(ring[i], coord) < SHARED_VERTEX_TOLERANCE) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Find the edge of a ring that a coordinate lies on
+   * @returns {number} Index of the edge's first vertex, or -1 if the coordinate isn't on the ring
+   */
+  function findEdgeIndexAt(ring, coord) {
+    for (let i = 0; i < ring.length - 1; i++) {
+      const closest = window.ParcelValidation.getClosestPointOnSegment(coord, ring[i], ring[i + 1]);
+      if (getDistance(closest, coord) < SHARED_VERTEX_TOLERANCE) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Check whether a coordinate is on a corner of the red line boundary
+   * @returns {boolean}
+   */
+  function isOnBoundaryCorner(coord) {
+    if (currentMode !== 'habitat-parcels' || !boundaryPolygon) return false;
+    return getRingVertices(boundaryPolygon).some(corner => getDistance(corner, coord) < SHARED_VERTEX_TOLERANCE);
+  }
+
+  /**
+   * Find the boundary edge a coordinate lies on, so a vertex there can slide along it
+   * @returns {Array|null} [start, end] of the edge, or null if the coordinate isn't on the boundary
+   */
+  function findBoundaryEdgeAt(coord) {
+    if (!boundaryPolygon) return null;
+
+    const rings = getAllRings(boundaryPolygon);
+    for (const ring of rings) {
+      const edgeIndex = findEdgeIndexAt(ring, coord);
+      if (edgeIndex >= 0) {
+        return [ring[edgeIndex], ring[edgeIndex + 1]];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Insert a vertex into a parcel ring, keeping its vertex features in step
+   * @param {number} parcelIndex
+   * @param {number} ringIndex - 0 for the exterior, otherwise a hole
+   * @param {number} insertIndex - Index the new vertex will have
+   * @param {Array} coord - [x, y]
+   */
+  function insertParcelRingVertex(parcelIndex, ringIndex, insertIndex, coord) {
+    if (parcelIndex === editingParcelIndex && ringIndex === 0) {
+      addEditingVertex(coord, insertIndex);
+      return;
+    }
+
+    const parcel = habitatParcels[parcelIndex];
+    const geometry = parcel.feature.getGeometry();
+    const rings = geometry.getCoordinates();
+    const ring = rings[ringIndex];
+    ring.splice(insertIndex, 0, coord.slice());
+    ring[ring.length - 1] = ring[0].slice();
+    geometry.setCoordinates(rings);
+
+    // Only the exterior ring has vertex features
+    if (ringIndex === 0) {
+      parcel.coords = rings[0];
+      const vertexFeature = new ol.Feature({
+        geometry: new ol.geom.Point(coord),
+        type: 'vertex',
+        isFirst: false,
+        highlighted: false,
+        colorIndex: parcel.colorIndex
+      });
+      parcel.vertices.splice(insertIndex, 0, vertexFeature);
+      drawSource.addFeature(vertexFeature);
+      parcel.vertices.forEach((v, i) => v.set('isFirst', i === 0));
+    }
+  }
+
+  /**
+   * Move the linked shared vertices to the dragged vertex's new position
+   * @param {Array} coord - [x, y]
+   */
+  function moveSharedVerticesTo(coord) {
+    sharedVertexLinks.forEach(link => {
+      const geometry = link.parcel.feature.getGeometry();
+      const rings = geometry.getCoordinates();
+      const ring = rings[link.ringIndex];
+      ring[link.vertexIndex] = [...coord];
+      if (link.vertexIndex === 0) {
+        ring[ring.length - 1] = [...coord];
+      }
+      geometry.setCoordinates(rings);
+
+      if (link.ringIndex === 0) {
+        link.parcel.coords = rings[0];
+        link.parcel.vertices[link.vertexIndex].getGeometry().setCoordinates(coord);
+      }
+      updateParcelAreaDisplay(habitatParcels.indexOf(link.parcel));
+    });
+  }
+
+  /**
+   * Check whether a parcel has vertices moving with the vertex being dragged
+   * @param {Object} parcel
+   * @returns {boolean}
+   */
+  function isSharedVertexParcel(parcel) {
+    return sharedVertexLinks.some(link => link.parcel === parcel);
   }
 
   /**
@@ -1668,11 +2917,8 @@
       return coordinate;  // Point is inside, no clamping needed
     }
 
-    // Point is outside - find closest point on boundary edge
-    const ring = boundaryPolygon.getLinearRing(0);
-    const closestPoint = ring.getClosestPoint(coordinate);
-    
-    return closestPoint;
+    // Point is outside (or in a hole) - find closest point on any boundary edge
+    return boundaryPolygon.getClosestPoint(coordinate);
   }
 
   /**
@@ -1683,7 +2929,7 @@
     const parcelAreaElement = document.getElementById(`parcel-area-${index}`);
     if (parcelAreaElement && habitatParcels[index]) {
       const geom = habitatParcels[index].feature.getGeometry();
-      const areaSqMeters = geom.getArea();
+      const areaSqMeters = window.Measurement.getAreaSqM(geom);
       const areaHectares = roundToTwoDecimals(areaSqMeters / 10000);
       parcelAreaElement.textContent = areaHectares.toFixed(2);
     }
@@ -1693,8 +2939,11 @@
    * Check if hovering over any vertex in edit mode
    */
   function checkVertexHover(pixel) {
-    // Clear hover state on all vertices being edited
-    placedVertices.forEach(v => {
+    // Clear hover state on all vertices being edited (every part of a red-line boundary)
+    const editableVertices = editingParcelIndex < 0 && boundaryParts.length > 0
+      ? [].concat(...boundaryParts.map(part => part.vertices))
+      : placedVertices;
+    editableVertices.forEach(v => {
       if (v.get('hovered')) {
         v.set('hovered', false);
         v.changed();
@@ -1709,8 +2958,8 @@
           if (parcel.vertices.includes(feature)) {
             return feature;
           }
-        } else if (placedVertices.includes(feature)) {
-          // Red-line boundary mode
+        } else if (findBoundaryPartIndex(feature) >= 0) {
+          // Red-line boundary mode - any part can be edited
           return feature;
         }
       }
@@ -1737,8 +2986,8 @@
           if (parcel.vertices.includes(feature)) {
             return feature;
           }
-        } else if (placedVertices.includes(feature)) {
-          // Red-line boundary mode
+        } else if (findBoundaryPartIndex(feature) >= 0) {
+          // Red-line boundary mode - any part can be edited
           return feature;
         }
       }
@@ -1772,8 +3021,9 @@
           if (feature === parcel.feature) {
             return feature;
           }
-        } else {
-          // Red-line boundary mode
+        } else if (findBoundaryPartIndex(feature) >= 0) {
+          // Red-line boundary mode - edit whichever part is under the pointer
+          activateBoundaryPart(findBoundaryPartIndex(feature));
           return feature;
         }
       }
@@ -1850,6 +3100,16 @@
   function insertNewVertex(coordinate, insertIndex) {
     console.log(`➕ Inserting new vertex at index ${insertIndex}`);
 
+    recordHistory('Add vertex');
+    addEditingVertex(coordinate, insertIndex);
+  }
+
+  /**
+   * Add a vertex to the polygon or parcel being edited
+   * @param {Array} coordinate - [x, y]
+   * @param {number} insertIndex - Index the new vertex will have
+   */
+  function addEditingVertex(coordinate, insertIndex) {
     currentPolygonCoords.splice(insertIndex, 0, [...coordinate]);
 
     const colorIndex = polygonFeature ? polygonFeature.get('colorIndex') : 0;
@@ -1873,7 +3133,7 @@
     currentPolygonCoords[currentPolygonCoords.length - 1] = [...currentPolygonCoords[0]];
 
     if (polygonFeature) {
-      polygonFeature.getGeometry().setCoordinates([currentPolygonCoords]);
+      setExteriorRing(polygonFeature.getGeometry(), currentPolygonCoords);
     }
 
     // Update parcel data if editing a parcel
@@ -1919,6 +3179,9 @@
     if (startButton) startButton.parentElement.style.display = 'none';
     if (cancelButton) cancelButton.parentElement.style.display = 'none';
     if (clearButton) clearButton.parentElement.style.display = 'block';
+    const addPartButton = document.getElementById('add-boundary-part');
+    if (addPartButton) addPartButton.parentElement.style.display = 'block';
+    updateHoleCuttingUI();
     // Keep fill button visible so user can add more polygons or replace
     if (startFillButton) startFillButton.parentElement.style.display = 'block';
     setControlEnabled(saveButton, true);
@@ -1949,12 +3212,13 @@
 
     if (habitatParcels.length === 0) {
       listElement.innerHTML = '<li class="govuk-body-s" style="color: #505a5f;">No parcels drawn yet</li>';
+      updateMergePanel();
       return;
     }
 
     listElement.innerHTML = habitatParcels.map((parcel, index) => {
       const geom = parcel.feature.getGeometry();
-      const areaSqMeters = geom.getArea();
+      const areaSqMeters = window.Measurement.getAreaSqM(geom);
       const areaHectares = roundToTwoDecimals(areaSqMeters / 10000);
       const colors = PARCEL_COLORS[parcel.colorIndex % PARCEL_COLORS.length];
       const isEditing = editingParcelIndex === index;
@@ -1968,6 +3232,10 @@
       // Determine parcel name - use broad habitat if set, otherwise "Parcel N"
       const parcelName = bng.broadHabitat ? bng.broadHabitat : `Parcel ${index + 1}`;
 
+      // Baseline biodiversity units
+      const units = getParcelUnits(bng, areaSqMeters / 10000);
+      const unitsText = units !== null ? units.toFixed(2) : (bng.irreplaceable ? 'Excluded' : '--');
+
       // Status indicator
       let statusIndicator = '';
       if (isComplete) {
@@ -1990,6 +3258,13 @@
         removeButton = `<button type="button" class="govuk-link" style="color: #d4351c; cursor: pointer; border: none; background: none; margin-left: 10px;" onclick="event.stopPropagation(); window.SnapDrawing.removeParcel(${index})">Remove</button>`;
       }
 
+      // Merge checkbox (only when there is something to merge with)
+      let mergeCheckbox = '';
+      if (habitatParcels.length > 1 && editingParcelIndex < 0 && !isDrawing) {
+        const isTicked = mergeSelection.includes(parcel);
+        mergeCheckbox = `<input type="checkbox" style="margin: 0 8px 0 0; cursor: pointer;" aria-label="Select ${parcelName} to merge" ${isTicked ? 'checked' : ''} onclick="event.stopPropagation(); window.SnapDrawing.toggleMergeSelection(${index})">`;
+      }
+
       // Highlight the row if editing or selected
       let rowStyle = 'display: flex; flex-direction: column; padding: 8px; border-bottom: 1px solid #b1b4b6;';
       if (isEditing) {
@@ -2002,13 +3277,14 @@
         <li class="govuk-body-s" style="${rowStyle}">
           <div style="display: flex; align-items: center; justify-content: space-between; width: 100%;">
             <span style="display: flex; align-items: center;">
+              ${mergeCheckbox}
               <span style="width: 16px; height: 16px; background: ${colors.fill}; border: 2px solid ${colors.stroke}; margin-right: 8px; flex-shrink: 0;"></span>
               <a href="#" class="govuk-link" onclick="event.preventDefault(); window.SnapDrawing.selectParcel(${index})" style="text-decoration: ${isSelected ? 'none' : 'underline'}; font-weight: ${isSelected ? 'bold' : 'normal'};">${parcelName}</a>
             </span>
             <span id="parcel-status-${index}">${statusIndicator}</span>
           </div>
           <div style="display: flex; justify-content: space-between; margin-top: 4px; margin-left: 24px;">
-            <span style="color: #505a5f;"><span id="parcel-area-${index}">${areaHectares.toFixed(2)}</span> ha</span>
+            <span style="color: #505a5f;"><span id="parcel-area-${index}">${areaHectares.toFixed(2)}</span> ha · <span id="parcel-units-${index}">${unitsText}</span> units</span>
             <span>
               ${editButton}
               ${removeButton}
@@ -2017,6 +3293,8 @@
         </li>
       `;
     }).join('');
+
+    updateMergePanel();
   }
 
   /**
@@ -2028,7 +3306,7 @@
     // Calculate total parcel area in sq meters
     const totalParcelAreaSqM = habitatParcels.reduce((sum, parcel) => {
       const geom = parcel.feature.getGeometry();
-      return sum + geom.getArea();
+      return sum + window.Measurement.getAreaSqM(geom);
     }, 0);
 
     // Convert to hectares and round to 2 decimal places for consistent display
@@ -2043,7 +3321,7 @@
     const remainingWarningElement = document.getElementById('remaining-area-warning');
     
     if (remainingValueElement && boundaryPolygon) {
-      const boundaryAreaSqM = boundaryPolygon.getArea();
+      const boundaryAreaSqM = window.Measurement.getAreaSqM(boundaryPolygon);
       const boundaryHectares = roundToTwoDecimals(boundaryAreaSqM / 10000);
       
       // Calculate remaining using the same rounded values that are displayed
@@ -2068,6 +3346,24 @@
         if (remainingWarningElement) remainingWarningElement.style.display = 'none';
       }
     }
+
+    // Refresh biodiversity units, which depend on parcel areas
+    if (window.HabitatAttribution && window.HabitatAttribution.updateUnitsDisplay) {
+      window.HabitatAttribution.updateUnitsDisplay();
+    }
+  }
+
+  /**
+   * Calculate baseline biodiversity units for a parcel using the HabitatAttribution module
+   * @param {Object} bng - Parcel BNG properties
+   * @param {number} areaHectares - Parcel area in hectares
+   * @returns {number|null} Biodiversity units or null if unavailable
+   */
+  function getParcelUnits(bng, areaHectares) {
+    if (window.HabitatAttribution && window.HabitatAttribution.calculateBiodiversityUnits) {
+      return window.HabitatAttribution.calculateBiodiversityUnits(bng, areaHectares);
+    }
+    return null;
   }
 
   /**
@@ -2087,7 +3383,7 @@
     const boundaryAreaElement = document.getElementById('boundary-area');
     
     if (boundaryAreaElement && boundaryPolygon) {
-      const boundaryArea = boundaryPolygon.getArea();
+      const boundaryArea = window.Measurement.getAreaSqM(boundaryPolygon);
       const boundaryHectares = roundToTwoDecimals(boundaryArea / 10000);
       boundaryAreaElement.textContent = boundaryHectares.toFixed(2);
     }
@@ -2099,7 +3395,7 @@
    */
   function getBoundaryAreaHectares() {
     if (!boundaryPolygon) return null;
-    return boundaryPolygon.getArea() / 10000;
+    return window.Measurement.getAreaSqM(boundaryPolygon) / 10000;
   }
 
   /**
@@ -2131,6 +3427,8 @@
       selectedParcelIndex--;
     }
 
+    recordHistory('Remove parcel');
+
     const parcel = habitatParcels[index];
 
     // Remove feature from map
@@ -2147,12 +3445,211 @@
     console.log(`🗑️ Parcel ${index + 1} removed`);
 
     updateUIForHabitatParcels();
+    refreshValidationHighlight();
 
     if (onParcelRemoved) {
       onParcelRemoved(index);
     }
   }
 
+  /**
+   * Tick or untick a parcel for merging
+   * @param {number} index - Index of parcel
+   */
+  function toggleMergeSelection(index) {
+    const parcel = habitatParcels[index];
+    if (!parcel) return;
+
+    if (mergeSelection.includes(parcel)) {
+      mergeSelection = mergeSelection.filter(p => p !== parcel);
+    } else {
+      mergeSelection.push(parcel);
+    }
+    parcel.feature.changed();
+    updateParcelsList();
+  }
+
+  /**
+   * Untick all parcels ticked for merging
+   */
+  function clearMergeSelection() {
+    const ticked = mergeSelection;
+    mergeSelection = [];
+    ticked.forEach(parcel => parcel.feature.changed());
+    updateParcelsList();
+  }
+
+  /**
+   * Get the indices of the parcels ticked for merging that still exist
+   * @returns {Array} Parcel indices in list order
+   */
+  function getMergeSelectionIndices() {
+    return habitatParcels
+      .map((parcel, index) => mergeSelection.includes(parcel) ? index : -1)
+      .filter(index => index >= 0);
+  }
+
+  /**
+   * The BNG properties that matter when deciding whether merged parcels have the same habitat.
+   * The parcel id is left out, and so is which baseline parcels are replaced because the merged
+   * parcel replaces them all.
+   * @param {Object} bng
+   * @returns {string}
+   */
+  function getAttributionKey(bng) {
+    const copy = Object.assign({}, bng || {});
+    delete copy.id;
+    delete copy.replacesBaselineParcels;
+    return JSON.stringify(copy);
+  }
+
+  /**
+   * Check whether the parcels ticked for merging have different habitat data
+   * @returns {boolean}
+   */
+  function doMergeAttributionsDiffer() {
+    const keys = getMergeSelectionIndices().map(index => getAttributionKey(habitatParcels[index].bng));
+    return keys.some(key => key !== keys[0]);
+  }
+
+  /**
+   * Show the merge panel while two or more parcels are ticked, with a choice of
+   * which habitat data to keep when the parcels differ
+   */
+  function updateMergePanel() {
+    const panel = document.getElementById('merge-parcels-panel');
+    if (!panel) return;
+
+    const indices = getMergeSelectionIndices();
+    if (indices.length < 2) {
+      panel.style.display = 'none';
+      return;
+    }
+    panel.style.display = 'block';
+
+    const summary = document.getElementById('merge-parcels-summary');
+    if (summary) {
+      summary.textContent = `${indices.length} parcels ticked to merge`;
+    }
+
+    const choice = document.getElementById('merge-bng-choice');
+    if (!choice) return;
+
+    if (!doMergeAttributionsDiffer()) {
+      choice.innerHTML = '';
+      return;
+    }
+
+    // Keep the user's choice when the panel is redrawn
+    const checked = choice.querySelector('input[name="merge-keep-parcel"]:checked');
+    const checkedIndex = checked ? parseInt(checked.value, 10) : -1;
+
+    choice.innerHTML = `
+      <fieldset class="govuk-fieldset">
+        <legend class="govuk-fieldset__legend govuk-fieldset__legend--s">The parcels have different habitat data. Which should the merged parcel keep?</legend>
+        <div class="govuk-radios govuk-radios--small" data-module="govuk-radios">
+          ${indices.map(index => {
+            const bng = habitatParcels[index].bng || {};
+            const name = bng.broadHabitat ? bng.broadHabitat : `Parcel ${index + 1}`;
+            const detail = [bng.habitatType, bng.condition].filter(Boolean).join(' · ') || 'No habitat data';
+            return `
+              <div class="govuk-radios__item">
+                <input class="govuk-radios__input" id="merge-keep-parcel-${index}" name="merge-keep-parcel" type="radio" value="${index}" ${index === checkedIndex ? 'checked' : ''}>
+                <label class="govuk-label govuk-radios__label govuk-body-s" for="merge-keep-parcel-${index}">${name} <span style="color: #505a5f;">(${detail})</span></label>
+              </div>
+            `;
+          }).join('')}
+        </div>
+      </fieldset>
+    `;
+  }
+
+  /**
+   * Merge the parcels ticked for merging into one parcel
+   * The parcels must be connected by shared edges and make a single polygon
+   * @param {number} keepIndex - Index of the parcel whose habitat data is kept; only needed if the parcels' data differ
+   * @returns {Object} { mergedCount: number, index: number, error: string|null } Index of the merged parcel
+   */
+  function mergeSelectedParcels(keepIndex) {
+    const indices = getMergeSelectionIndices();
+    if (indices.length < 2) {
+      return { mergedCount: 0, index: -1, error: 'Tick at least two parcels to merge.' };
+    }
+    if (isDrawing || editingParcelIndex >= 0) {
+      return { mergedCount: 0, index: -1, error: 'Finish drawing or editing before merging parcels.' };
+    }
+    if (!window.ParcelValidation || !window.PolygonOperations) {
+      return { mergedCount: 0, index: -1, error: 'Parcels cannot be merged because the validation module has not loaded.' };
+    }
+
+    const geometries = indices.map(index => habitatParcels[index].feature.getGeometry());
+    if (!window.ParcelValidation.arePolygonsContiguous(geometries)) {
+      return { mergedCount: 0, index: -1, error: 'The ticked parcels must share an edge with each other to be merged.' };
+    }
+
+    const merged = window.PolygonOperations.union(geometries);
+    if (merged.error) {
+      return { mergedCount: 0, index: -1, error: merged.error };
+    }
+    if (merged.geometry.getType() !== 'Polygon') {
+      return { mergedCount: 0, index: -1, error: 'The ticked parcels only touch at corners so they cannot be merged into a single parcel.' };
+    }
+
+    let keepParcel = habitatParcels[indices[0]];
+    if (doMergeAttributionsDiffer()) {
+      if (!indices.includes(keepIndex)) {
+        return { mergedCount: 0, index: -1, error: 'Choose which parcel\'s habitat data to keep.' };
+      }
+      keepParcel = habitatParcels[keepIndex];
+    }
+
+    recordHistory('Merge parcels');
+
+    const bng = JSON.parse(JSON.stringify(keepParcel.bng || getDefaultBngProperties()));
+    if (!isBaselineLayer) {
+      // The merged parcel replaces every baseline parcel any of its parts replaced
+      const replaced = new Set();
+      indices.forEach(index => {
+        ((habitatParcels[index].bng || {}).replacesBaselineParcels || []).forEach(i => replaced.add(i));
+      });
+      bng.replacesBaselineParcels = Array.from(replaced);
+    }
+
+    const wasSelected = indices.includes(selectedParcelIndex);
+    const targetIndex = indices[0];
+    const rings = merged.geometry.getCoordinates();
+
+    indices.forEach(index => {
+      const parcel = habitatParcels[index];
+      drawSource.removeFeature(parcel.feature);
+      parcel.vertices.forEach(v => drawSource.removeFeature(v));
+    });
+    habitatParcels[targetIndex] = createParcel(rings[0], keepParcel.colorIndex, bng, rings.slice(1));
+
+    // Remove the other parcels from the end so the indices stay valid
+    indices.slice(1).reverse().forEach(index => {
+      habitatParcels.splice(index, 1);
+    });
+
+    if (!wasSelected && selectedParcelIndex >= 0) {
+      selectedParcelIndex -= indices.slice(1).filter(index => index < selectedParcelIndex).length;
+    }
+    mergeSelection = [];
+
+    console.log(`🔗 ${indices.length} parcels merged into parcel ${targetIndex + 1}`);
+
+    updateUIForHabitatParcels();
+    refreshValidationHighlight();
+
+    if (wasSelected) {
+      selectParcel(targetIndex);
+    } else if (onParcelSelected) {
+      onParcelSelected(selectedParcelIndex);
+    }
+
+    return { mergedCount: indices.length, index: targetIndex, error: null };
+  }
+
   /**
    * Start editing a parcel
    * @param {number} index - Index of parcel to edit
@@ -2168,6 +3665,10 @@
       return;
     }
 
+    if (isCuttingHole) {
+      cancelCuttingHole();
+    }
+
     // Stop editing any previous parcel
     if (editingParcelIndex >= 0) {
       stopEditingParcel();
@@ -2216,8 +3717,8 @@
     // Update parcel data with any changes
     parcel.coords = [...currentPolygonCoords];
     
-    // Update the feature geometry
-    parcel.feature.getGeometry().setCoordinates([currentPolygonCoords]);
+    // Update the feature geometry, keeping any holes
+    setExteriorRing(parcel.feature.getGeometry(), currentPolygonCoords);
 
     // Hide vertex editing state
     parcel.vertices.forEach(v => {
@@ -2274,7 +3775,7 @@
       // In habitat parcels mode, show area during drawing
       if (isDrawing && currentPolygonCoords.length >= 3) {
         const tempPolygon = new ol.geom.Polygon([[...currentPolygonCoords, currentPolygonCoords[0]]]);
-        const areaSqMeters = tempPolygon.getArea();
+        const areaSqMeters = window.Measurement.getAreaSqM(tempPolygon);
         const areaHectares = areaSqMeters / 10000;
         const areaInAcres = areaSqMeters / 4046.86;
         
@@ -2288,13 +3789,13 @@
     }
 
     // Red-line boundary mode
-    if (!polygonFeature || !polygonComplete) {
+    const geometry = getBoundaryGeometry();
+    if (!geometry || !polygonComplete) {
       areaDisplay.style.display = 'none';
       return;
     }
 
-    const geometry = polygonFeature.getGeometry();
-    const areaSqMeters = geometry.getArea();
+    const areaSqMeters = window.Measurement.getAreaSqM(geometry);
     const areaHectares = areaSqMeters / 10000;
     const areaInAcres = areaSqMeters / 4046.86;
     
@@ -2316,6 +3817,12 @@
     if (cancelButton) cancelButton.parentElement.style.display = 'none';
     if (clearButton) clearButton.parentElement.style.display = 'none';
     setControlEnabled(saveButton, false);
+
+    // Parts can only be added and holes cut once there is a boundary
+    const addPartButton = document.getElementById('add-boundary-part');
+    if (addPartButton) addPartButton.parentElement.style.display = 'none';
+    const startCutHoleButton = document.getElementById('start-cut-hole');
+    if (startCutHoleButton) startCutHoleButton.parentElement.style.display = 'none';
   }
 
   /**
@@ -2351,6 +3858,12 @@
     
     if (currentMode === 'habitat-parcels') {
       updateUIForHabitatParcels();
+    } else if (boundaryParts.length > 0) {
+      // Cancelled adding a part - go back to editing the existing boundary
+      activateBoundaryPart(boundaryParts.length - 1);
+      polygonComplete = true;
+      isEditing = true;
+      updateUIForCompletePolygon();
     } else {
       resetDrawingButtons();
     }
@@ -2360,12 +3873,17 @@
    * Clear the completed polygon (red-line-boundary mode)
    */
   function clearPolygon() {
+    if (isCuttingHole) {
+      cancelCuttingHole();
+    }
+
     isDrawing = false;
     isEditing = false;
     polygonComplete = false;
     canClosePolygon = false;
     currentPolygonCoords = [];
     placedVertices = [];
+    boundaryParts = [];
     isDragging = false;
     draggedVertex = null;
     draggedVertexIndex = -1;
@@ -2394,6 +3912,10 @@
    * Clear all habitat parcels
    */
   function clearAllParcels() {
+    if (habitatParcels.length > 0) {
+      recordHistory('Clear parcels');
+    }
+
     habitatParcels.forEach(parcel => {
       drawSource.removeFeature(parcel.feature);
       parcel.vertices.forEach(v => {
@@ -2403,6 +3925,9 @@
 
     habitatParcels = [];
     currentParcelIndex = -1;
+    coverageGaps = [];
+    showValidationProblems([]);
+    updateCoverageGapsList();
     
     console.log('✓ All parcels cleared');
     
@@ -2460,23 +3985,67 @@
    * Set polygon from external coordinates (used by Fill tool)
    * Creates a completed polygon from the provided coordinate array
    * @param {Array} coords - Array of [x, y] coordinates (closed ring)
+   * @param {Array} holes - Closed interior rings (optional)
    */
-  function setPolygonFromCoordinates(coords) {
+  function setPolygonFromCoordinates(coords, holes = []) {
     if (!coords || coords.length < 4) {
       console.error('Invalid coordinates for polygon');
       return false;
     }
 
+    return setBoundaryGeometry(new ol.geom.Polygon([coords].concat(holes)));
+  }
+
+  /**
+   * Set the red-line boundary from a polygon or multipolygon, with one editable part per polygon
+   * Replaces any existing boundary
+   * @param {ol.geom.Polygon|ol.geom.MultiPolygon} geometry
+   * @returns {boolean} True if the boundary was set
+   */
+  function setBoundaryGeometry(geometry) {
+    const type = geometry ? geometry.getType() : null;
+    if (type !== 'Polygon' && type !== 'MultiPolygon') {
+      console.error('Invalid geometry for boundary:', type);
+      return false;
+    }
+
     // Clear any existing polygon
     if (polygonComplete || isDrawing) {
       clearPolygon();
     }
 
-    console.log(`Setting polygon from ${coords.length - 1} vertices`);
+    const polygons = type === 'MultiPolygon' ? geometry.getCoordinates() : [geometry.getCoordinates()];
+    polygons.forEach(rings => addBoundaryPart(rings));
+    activateBoundaryPart(boundaryParts.length - 1);
 
-    // Set state
-    currentPolygonCoords = coords.map(c => [...c]);
-    placedVertices = [];
+    console.log(`Setting boundary from ${polygons.length} part(s)`);
+
+    // Set state to complete
+    isDrawing = false;
+    polygonComplete = true;
+    isEditing = true;
+    canClosePolygon = false;
+
+    // Update UI
+    updateUIForCompletePolygon();
+    updateAreaDisplay();
+
+    console.log('✓ Boundary set from geometry');
+
+    if (onPolygonComplete) {
+      onPolygonComplete();
+    }
+
+    return true;
+  }
+
+  /**
+   * Create the polygon and vertex features for a boundary part and store it
+   * @param {Array} rings - Closed rings, exterior first
+   */
+  function addBoundaryPart(rings) {
+    const coords = rings[0].map(c => [...c]);
+    const vertices = [];
 
     // Create vertex features for each coordinate (except the closing duplicate)
     for (let i = 0; i < coords.length - 1; i++) {
@@ -2487,35 +4056,75 @@
         highlighted: false,
         colorIndex: 0
       });
-      placedVertices.push(vertexFeature);
+      vertices.push(vertexFeature);
       drawSource.addFeature(vertexFeature);
     }
 
-    // Create the polygon feature
-    const completedPolygon = new ol.geom.Polygon([currentPolygonCoords]);
-    polygonFeature = new ol.Feature({
-      geometry: completedPolygon,
+    const feature = new ol.Feature({
+      geometry: new ol.geom.Polygon([coords].concat(rings.slice(1))),
       type: 'polygon',
       colorIndex: 0
     });
-    drawSource.addFeature(polygonFeature);
+    drawSource.addFeature(feature);
 
-    // Set state to complete
-    isDrawing = false;
-    polygonComplete = true;
-    isEditing = true;
-    canClosePolygon = false;
+    boundaryParts.push({ feature: feature, coords: coords, vertices: vertices });
+  }
 
-    // Update UI
-    updateUIForCompletePolygon();
-    updateAreaDisplay();
+  /**
+   * Make a boundary part the one being edited
+   * @param {number} index - Index into boundaryParts
+   */
+  function activateBoundaryPart(index) {
+    const part = boundaryParts[index];
+    polygonFeature = part.feature;
+    currentPolygonCoords = part.coords;
+    placedVertices = part.vertices;
+  }
+
+  /**
+   * Find the boundary part that a polygon or vertex feature belongs to
+   * @param {ol.Feature} feature
+   * @returns {number} Index into boundaryParts, or -1
+   */
+  function findBoundaryPartIndex(feature) {
+    return boundaryParts.findIndex(part => part.feature === feature || part.vertices.includes(feature));
+  }
+
+  /**
+   * Get the whole red-line boundary as a single geometry
+   * @returns {ol.geom.Polygon|ol.geom.MultiPolygon|null} Polygon for a single part, null if there is no boundary
+   */
+  function getBoundaryGeometry() {
+    if (boundaryParts.length === 0) {
+      return null;
+    }
+    if (boundaryParts.length === 1) {
+      return boundaryParts[0].feature.getGeometry();
+    }
+    return new ol.geom.MultiPolygon(boundaryParts.map(part => part.feature.getGeometry().getCoordinates()));
+  }
 
-    console.log('✓ Polygon set from coordinates');
+  /**
+   * Merge boundary parts that overlap or touch, so each part is a separate area
+   * @returns {boolean} True if parts were merged and the boundary rebuilt
+   */
+  function mergeTouchingBoundaryParts() {
+    if (boundaryParts.length < 2) {
+      return false;
+    }
 
-    if (onPolygonComplete) {
-      onPolygonComplete();
+    const result = window.PolygonOperations.union(boundaryParts.map(part => part.feature.getGeometry()));
+    if (result.error) {
+      console.warn('Could not merge boundary parts:', result.error);
+      return false;
+    }
+
+    if (window.PolygonOperations.describeGeometry(result.geometry).partCount === boundaryParts.length) {
+      return false;
     }
 
+    console.log('Boundary parts overlap or touch - merging them');
+    setBoundaryGeometry(result.geometry);
     return true;
   }
 
@@ -2551,6 +4160,14 @@
     console.log(enabled ? '🧲 Parcel edge snapping enabled' : '🚫 Parcel edge snapping disabled');
   }
 
+  /**
+   * Choose whether corners and edges shared with neighbouring parcels move together when editing
+   */
+  function setMoveSharedVertices(enabled) {
+    moveSharedVertices = enabled;
+    console.log(enabled ? '🔗 Shared corners move together' : '✂️ Shared corners move on their own');
+  }
+
   /**
    * Get current snap settings
    */
@@ -2603,14 +4220,104 @@
     };
   }
 
+  /**
+   * Record the current state in the edit history before a change
+   * @param {string} label - Description of the change
+   * @param {string} mergeKey - Optional key for merging repeated changes
+   */
+  function recordHistory(label, mergeKey) {
+    if (window.EditHistory) {
+      window.EditHistory.record(label, mergeKey);
+    }
+  }
+
+  /**
+   * Capture the boundary or parcels for the edit history
+   * @returns {Object} { boundary } in red-line-boundary mode, { parcels } in habitat-parcels mode
+   */
+  function getHistoryState() {
+    if (currentMode !== 'habitat-parcels') {
+      const geometry = getBoundaryGeometry();
+      return {
+        boundary: geometry ? { type: geometry.getType(), coordinates: geometry.getCoordinates() } : null
+      };
+    }
+
+    return {
+      parcels: habitatParcels.map(parcel => ({
+        rings: parcel.feature.getGeometry().getCoordinates(),
+        colorIndex: parcel.colorIndex,
+        bng: JSON.parse(JSON.stringify(parcel.bng || getDefaultBngProperties()))
+      }))
+    };
+  }
+
+  /**
+   * Restore state captured by getHistoryState
+   * Any drawing, hole cutting, slicing or fill in progress is cancelled first
+   * @param {Object} state
+   */
+  function restoreHistoryState(state) {
+    if (isDrawing) {
+      cancelDrawing();
+    }
+    if (isCuttingHole) {
+      cancelCuttingHole();
+    }
+    if (window.SliceTool && window.SliceTool.isSliceMode && window.SliceTool.isSliceMode()) {
+      window.SliceTool.cancelSlice();
+    }
+    if (window.FillTool && window.FillTool.isActive && window.FillTool.isActive()) {
+      window.FillTool.cancelFillMode();
+    }
+
+    if (currentMode !== 'habitat-parcels') {
+      if (state.boundary) {
+        const Geometry = state.boundary.type === 'MultiPolygon' ? ol.geom.MultiPolygon : ol.geom.Polygon;
+        setBoundaryGeometry(new Geometry(state.boundary.coordinates));
+      } else {
+        clearPolygon();
+      }
+      return;
+    }
+
+    // Stay in the same editing and selection state where the parcel still exists
+    const wasEditingIndex = editingParcelIndex;
+    const wasSelectedIndex = selectedParcelIndex;
+    if (editingParcelIndex >= 0) {
+      stopEditingParcel();
+    }
+
+    habitatParcels.forEach(parcel => {
+      drawSource.removeFeature(parcel.feature);
+      parcel.vertices.forEach(v => drawSource.removeFeature(v));
+    });
+    habitatParcels = state.parcels.map(saved =>
+      createParcel(saved.rings[0], saved.colorIndex, JSON.parse(JSON.stringify(saved.bng)), saved.rings.slice(1))
+    );
+
+    updateUIForHabitatParcels();
+    refreshValidationHighlight();
+
+    if (wasSelectedIndex >= habitatParcels.length) {
+      deselectParcel();
+    } else if (wasSelectedIndex >= 0) {
+      selectParcel(wasSelectedIndex);
+    }
+    if (wasEditingIndex >= 0 && wasEditingIndex < habitatParcels.length) {
+      startEditingParcel(wasEditingIndex);
+    }
+  }
+
   /**
    * Get default BNG properties for a new parcel
    * @returns {Object} Default BNG properties
    */
   function getDefaultBngProperties() {
-    return {
+    const bng = {
+      id: createParcelId(),
       module: 'area',
-      baseline: true,
+      baseline: isBaselineLayer,
       broadHabitat: null,
       habitatType: null,
       condition: null,
@@ -2619,6 +4326,27 @@
       distinctiveness: null,
       userComments: ''
     };
+
+    // Proposed parcels record how the habitat is delivered and which baseline parcels it replaces
+    if (!isBaselineLayer) {
+      bng.interventionType = null;
+      bng.replacesBaselineParcels = [];
+    }
+
+    return bng;
+  }
+
+  /**
+   * Create a parcel id, which other parcels link to because it stays the same when
+   * parcels before it are removed
+   * @returns {string}
+   */
+  function createParcelId() {
+    if (window.crypto && window.crypto.randomUUID) {
+      return window.crypto.randomUUID();
+    }
+    // randomUUID is only available on HTTPS and localhost
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
   }
 
   /**
@@ -2722,6 +4450,9 @@
       parcel.bng = getDefaultBngProperties();
     }
 
+    // A form change can set several properties, so changes to the same parcel are merged
+    recordHistory('Change habitat details', `bng-${index}`);
+
     parcel.bng[key] = value;
     console.log(`📝 Parcel ${index + 1} bng.${key} = ${value}`);
   }
@@ -2749,10 +4480,14 @@
     loadBoundary: loadBoundary,
     startDrawing: startDrawing,
     cancelDrawing: cancelDrawing,
+    isDrawing: () => isDrawing,
     clearPolygon: clearPolygon,
     clearAllParcels: clearAllParcels,
     removeParcel: removeParcel,
     startEditingParcel: startEditingParcel,
+    startCuttingHole: startCuttingHole,
+    cancelCuttingHole: cancelCuttingHole,
+    isCuttingHole: isCuttingHoleFn,
     stopEditingParcel: stopEditingParcel,
     isEditingParcel: isEditingParcel,
     getDrawnPolygonGeoJSON: getDrawnPolygonGeoJSON,
@@ -2767,10 +4502,16 @@
     isSnappingEnabled: isSnappingEnabledFn,
     // Fill tool integration
     setPolygonFromCoordinates: setPolygonFromCoordinates,
+    setBoundaryGeometry: setBoundaryGeometry,
+    // Edit history (undo/redo)
+    getHistoryState: getHistoryState,
+    restoreHistoryState: restoreHistoryState,
+    getPolygonGeometry: getBoundaryGeometry,
     // New fine-grained snap controls
     setSnapToBoundaryVertices: setSnapToBoundaryVertices,
     setSnapToBoundaryEdges: setSnapToBoundaryEdges,
     setSnapToParcelVertices: setSnapToParcelVertices,
+    setMoveSharedVertices: setMoveSharedVertices,
     setSnapToParcelEdges: setSnapToParcelEdges,
     getSnapSettings: getSnapSettings,
     // Legacy boundary snapping (for backward compatibility)
@@ -2778,6 +4519,7 @@
     isBoundarySnappingEnabled: isBoundarySnappingEnabled,
     // Validation functions (wraps validation module with internal state)
     validateAllParcels: validateAllParcels,
+    refreshValidationHighlight: refreshValidationHighlight,
     getBoundaryAreaHectares: getBoundaryAreaHectares,
     // Internal state accessors for validation
     getHabitatParcels: () => habitatParcels,
@@ -2787,6 +4529,21 @@
     getSnapIndexSource: () => snapIndexSource,
     // Add parcel from external coordinates (for fill tool)
     addParcelFromCoordinates: addParcelFromCoordinates,
+    addParcels: addParcels,
+    // Coverage gaps
+    getCoverageGaps: () => coverageGaps,
+    zoomToCoverageGap: zoomToCoverageGap,
+    fillCoverageGap: fillCoverageGap,
+    mergeCoverageGap: mergeCoverageGap,
+    fillAllCoverageGaps: fillAllCoverageGaps,
+    // Merging
+    toggleMergeSelection: toggleMergeSelection,
+    clearMergeSelection: clearMergeSelection,
+    getMergeSelectionIndices: getMergeSelectionIndices,
+    mergeSelectedParcels: mergeSelectedParcels,
+    // Restore parcels saved in the session
+    loadSavedParcels: loadSavedParcels,
+    isAreaParcelFeature: isAreaParcelFeature,
     // Parcel selection for habitat attribution
     selectParcel: selectParcel,
     deselectParcel: deselectParcel,
@@ -2797,6 +4554,11 @@
     setParcelBngProperty: setParcelBngProperty,
     getParcelBngProperties: getParcelBngProperties,
     getDefaultBngProperties: getDefaultBngProperties,
+    // Baseline/proposed layer
+    isBaselineLayer: () => isBaselineLayer,
+    getBaselineParcels: () => baselineParcels,
+    getBaselineParcelLabel: getBaselineParcelLabel,
+    findReplacedBaselineParcels: findReplacedBaselineParcels,
     // UI refresh
     updateParcelsList: updateParcelsList
   };
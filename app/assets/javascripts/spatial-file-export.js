@@ -0,0 +1,420 @@
+//
+// Spatial file export module
+// Writes the red line boundary or habitat parcels as a zipped Shapefile or a GeoPackage
+// in British National Grid (EPSG:27700), with the habitat data flattened into typed
+// columns so the layers can be styled and queried in GIS software.
+//
+
+(function(window) {
+  'use strict';
+
+  const MAP_PROJECTION = 'EPSG:3857';
+  const EXPORT_PROJECTION = 'EPSG:27700';
+  const EXPORT_SRS_ID = 27700;
+
+  // British National Grid in the ESRI form used by Shapefile .prj files
+  const BNG_ESRI_WKT = 'PROJCS["British_National_Grid",GEOGCS["GCS_OSGB_1936",DATUM["D_OSGB_1936",SPHEROID["Airy_1830",6377563.396,299.3249646]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]],PROJECTION["Transverse_Mercator"],PARAMETER["False_Easting",400000.0],PARAMETER["False_Northing",-100000.0],PARAMETER["Central_Meridian",-2.0],PARAMETER["Scale_Factor",0.9996012717],PARAMETER["Latitude_Of_Origin",49.0],UNIT["Meter",1.0]]';
+
+  // British National Grid in the OGC form used by GeoPackage
+  const BNG_OGC_WKT = 'PROJCS["OSGB 1936 / British National Grid",GEOGCS["OSGB 1936",DATUM["OSGB_1936",SPHEROID["Airy 1830",6377563.396,299.3249646,AUTHORITY["EPSG","7001"]],TOWGS84[446.448,-125.157,542.06,0.15,0.247,0.842,-20.489],AUTHORITY["EPSG","6277"]],PRIMEM["Greenwich",0,AUTHORITY["EPSG","8901"]],UNIT["degree",0.0174532925199433,AUTHORITY["EPSG","9122"]],AUTHORITY["EPSG","4277"]],PROJECTION["Transverse_Mercator"],PARAMETER["latitude_of_origin",49],PARAMETER["central_meridian",-2],PARAMETER["scale_factor",0.9996012717],PARAMETER["false_easting",400000],PARAMETER["false_northing",-100000],UNIT["metre",1,AUTHORITY["EPSG","9001"]],AXIS["Easting",EAST],AXIS["Northing",NORTH],AUTHORITY["EPSG","27700"]]';
+
+  // Shapefile .dbf limits
+  const DBF_MAX_TEXT_WIDTH = 254;
+  const DBF_NUMBER_WIDTH = 19;
+
+  // Columns for each layer. Shapefile column names are limited to 10 characters,
+  // so longer names have a shortened shapefileName.
+  const BOUNDARY_COLUMNS = [
+    { name: 'area_ha', type: 'real', decimals: 4 }
+  ];
+
+  const PARCEL_COLUMNS = [
+    { name: 'parcel', type: 'integer' },
+    { name: 'habitat', type: 'text' },
+    { name: 'condition', type: 'text' },
+    { name: 'distinctiveness', shapefileName: 'distinctiv', type: 'text' },
+    { name: 'area_ha', type: 'real', decimals: 4 },
+    { name: 'units', type: 'real', decimals: 4 },
+    { name: 'comments', type: 'text' }
+  ];
+
+  /**
+   * Get the red line boundary as a layer to export
+   * @param {Object} geojson - Boundary GeoJSON Feature in EPSG:3857, from SnapDrawing.getDrawnPolygonGeoJSON
+   * @returns {Object} { name, columns, features } with geometries in EPSG:27700
+   */
+  function getBoundaryLayer(geojson) {
+    return {
+      name: 'red_line_boundary',
+      columns: BOUNDARY_COLUMNS,
+      features: [{
+        geometry: readGeometry(geojson.geometry),
+        properties: { area_ha: geojson.properties.areaHectares }
+      }]
+    };
+  }
+
+  /**
+   * Get habitat parcels as a layer to export, with their habitat data as columns
+   * @param {Object} geojson - Parcels GeoJSON FeatureCollection in EPSG:3857, from SnapDrawing.getHabitatParcelsGeoJSON
+   * @param {string} name - Layer name, e.g. 'baseline_parcels'
+   * @returns {Object} { name, columns, features } with geometries in EPSG:27700
+   */
+  function getParcelsLayer(geojson, name) {
+    return {
+      name: name,
+      columns: PARCEL_COLUMNS,
+      features: geojson.features.map((feature, index) => {
+        const bng = feature.properties.bng || {};
+        return {
+          geometry: readGeometry(feature.geometry),
+          properties: {
+            parcel: index + 1,
+            habitat: bng.habitatType || null,
+            condition: bng.condition || null,
+            distinctiveness: bng.distinctiveness || null,
+            area_ha: feature.properties.areaHectares,
+            units: typeof bng.biodiversityUnits === 'number' ? bng.biodiversityUnits : null,
+            comments: bng.userComments || null
+          }
+        };
+      })
+    };
+  }
+
+  /**
+   * Read a GeoJSON geometry in the map projection and reproject it to British National Grid
+   * @param {Object} geometry - GeoJSON geometry in EPSG:3857
+   * @returns {ol.geom.Polygon|ol.geom.MultiPolygon}
+   */
+  function readGeometry(geometry) {
+    return new ol.format.GeoJSON().readGeometry(geometry, {
+      dataProjection: MAP_PROJECTION,
+      featureProjection: EXPORT_PROJECTION
+    });
+  }
+
+  // ============================================================
+  // Shapefile
+  // ============================================================
+
+  /**
+   * Write a layer as a zipped Shapefile (.shp, .shx, .dbf, .prj and .cpg)
+   * @param {Object} layer - Layer from getBoundaryLayer or getParcelsLayer
+   * @returns {Promise<Object>} { blob: Blob|null, error: string|null }
+   */
+  async function writeShapefileZip(layer) {
+    if (!window.JSZip) {
+      return { blob: null, error: 'Shapefiles cannot be written because a library has not loaded. Check your connection and reload the page.' };
+    }
+
+    const shapes = writeShpAndShx(layer.features.map(feature => feature.geometry));
+    const zip = new window.JSZip();
+    zip.file(`${layer.name}.shp`, shapes.shp);
+    zip.file(`${layer.name}.shx`, shapes.shx);
+    zip.file(`${layer.name}.dbf`, writeDbf(layer));
+    zip.file(`${layer.name}.prj`, BNG_ESRI_WKT);
+    zip.file(`${layer.name}.cpg`, 'UTF-8');
+
+    return { blob: await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' }), error: null };
+  }
+
+  /**
+   * Write polygon shapes to the .shp file and its .shx index
+   * Outer rings are written clockwise and holes anticlockwise, as the format requires
+   * @param {Array} geometries - ol.geom.Polygon or ol.geom.MultiPolygon in EPSG:27700
+   * @returns {Object} { shp: ArrayBuffer, shx: ArrayBuffer }
+   */
+  function writeShpAndShx(geometries) {
+    const SHAPE_POLYGON = 5;
+    const records = geometries.map(geometry => {
+      const polygons = geometry.getType() === 'MultiPolygon' ? geometry.getCoordinates() : [geometry.getCoordinates()];
+      const rings = [];
+      polygons.forEach(polygon => {
+        polygon.forEach((ring, i) => rings.push(orientRing(ring, i === 0)));
+      });
+      return { rings: rings, extent: geometry.getExtent() };
+    });
+
+    const contentLengths = records.map(record => {
+      const pointCount = record.rings.reduce((count, ring) => count + ring.length, 0);
+      return 44 + 4 * record.rings.length + 16 * pointCount;
+    });
+    const shpLength = 100 + contentLengths.reduce((total, length) => total + 8 + length, 0);
+    const shxLength = 100 + 8 * records.length;
+
+    const shp = new DataView(new ArrayBuffer(shpLength));
+    const shx = new DataView(new ArrayBuffer(shxLength));
+    const layerExtent = records.reduce((extent, record) => ol.extent.extend(extent, record.extent), ol.extent.createEmpty());
+    writeShpHeader(shp, shpLength, SHAPE_POLYGON, layerExtent);
+    writeShpHeader(shx, shxLength, SHAPE_POLYGON, layerExtent);
+
+    let offset = 100;
+    records.forEach((record, i) => {
+      shx.setInt32(100 + i * 8, offset / 2);
+      shx.setInt32(100 + i * 8 + 4, contentLengths[i] / 2);
+
+      // Record header is big-endian, content little-endian
+      shp.setInt32(offset, i + 1);
+      shp.setInt32(offset + 4, contentLengths[i] / 2);
+      offset += 8;
+
+      shp.setInt32(offset, SHAPE_POLYGON, true);
+      writeShpExtent(shp, offset + 4, record.extent);
+      const pointCount = record.rings.reduce((count, ring) => count + ring.length, 0);
+      shp.setInt32(offset + 36, record.rings.length, true);
+      shp.setInt32(offset + 40, pointCount, true);
+      offset += 44;
+
+      let partStart = 0;
+      record.rings.forEach(ring => {
+        shp.setInt32(offset, partStart, true);
+        offset += 4;
+        partStart += ring.length;
+      });
+      record.rings.forEach(ring => {
+        ring.forEach(coord => {
+          shp.setFloat64(offset, coord[0], true);
+          shp.setFloat64(offset + 8, coord[1], true);
+          offset += 16;
+        });
+      });
+    });
+
+    return { shp: shp.buffer, shx: shx.buffer };
+  }
+
+  function writeShpHeader(view, byteLength, shapeType, extent) {
+    view.setInt32(0, 9994);
+    view.setInt32(24, byteLength / 2);
+    view.setInt32(28, 1000, true);
+    view.setInt32(32, shapeType, true);
+    writeShpExtent(view, 36, extent);
+  }
+
+  function writeShpExtent(view, offset, extent) {
+    extent.forEach((value, i) => view.setFloat64(offset + i * 8, value, true));
+  }
+
+  /**
+   * Get a closed ring in the winding order a Shapefile needs
+   * @param {Array} ring - Ring coordinates
+   * @param {boolean} isOuter - true for an outer ring (clockwise), false for a hole (anticlockwise)
+   * @returns {Array}
+   */
+  function orientRing(ring, isOuter) {
+    const closed = ring.slice();
+    const first = closed[0];
+    const last = closed[closed.length - 1];
+    if (first[0] !== last[0] || first[1] !== last[1]) {
+      closed.push(first);
+    }
+
+    let signedArea = 0;
+    for (let i = 0; i < closed.length - 1; i++) {
+      signedArea += closed[i][0] * closed[i + 1][1] - closed[i + 1][0] * closed[i][1];
+    }
+    const isClockwise = signedArea < 0;
+    return isClockwise === isOuter ? closed : closed.reverse();
+  }
+
+  /**
+   * Write the attribute table as a dBase III file with UTF-8 text
+   * Text is cut to the 254 character limit of the format
+   * @param {Object} layer
+   * @returns {ArrayBuffer}
+   */
+  function writeDbf(layer) {
+    const encoder = new TextEncoder();
+    const fields = layer.columns.map(column => {
+      if (column.type !== 'text') {
+        return { column: column, type: 'N', width: DBF_NUMBER_WIDTH, decimals: column.decimals || 0 };
+      }
+      const values = layer.features.map(feature => toDbfText(feature.properties[column.name], encoder));
+      const width = Math.max(1, ...values.map(bytes => bytes.length));
+      return { column: column, type: 'C', width: width, decimals: 0 };
+    });
+
+    const headerLength = 32 + 32 * fields.length + 1;
+    const recordLength = 1 + fields.reduce((total, field) => total + field.width, 0);
+    const bytes = new Uint8Array(headerLength + recordLength * layer.features.length + 1);
+    const view = new DataView(bytes.buffer);
+
+    const today = new Date();
+    bytes[0] = 0x03;
+    bytes[1] = today.getFullYear() - 1900;
+    bytes[2] = today.getMonth() + 1;
+    bytes[3] = today.getDate();
+    view.setUint32(4, layer.features.length, true);
+    view.setUint16(8, headerLength, true);
+    view.setUint16(10, recordLength, true);
+
+    fields.forEach((field, i) => {
+      const offset = 32 + i * 32;
+      bytes.set(encoder.encode(field.column.shapefileName || field.column.name), offset);
+      bytes[offset + 11] = field.type.charCodeAt(0);
+      bytes[offset + 16] = field.width;
+      bytes[offset + 17] = field.decimals;
+    });
+    bytes[headerLength - 1] = 0x0D;
+
+    // Values are space-padded; blank fields are read as null
+    bytes.fill(0x20, headerLength, bytes.length - 1);
+    layer.features.forEach((feature, row) => {
+      let offset = headerLength + row * recordLength + 1;
+      fields.forEach(field => {
+        const value = feature.properties[field.column.name];
+        if (field.type === 'C') {
+          bytes.set(toDbfText(value, encoder), offset);
+        } else if (typeof value === 'number' && isFinite(value)) {
+          const text = value.toFixed(field.decimals);
+          bytes.set(encoder.encode(text), offset + field.width - text.length);
+        }
+        offset += field.width;
+      });
+    });
+    bytes[bytes.length - 1] = 0x1A;
+
+    return bytes.buffer;
+  }
+
+  /**
+   * Encode a text value for the .dbf, shortened to fit the column limit
+   * @returns {Uint8Array}
+   */
+  function toDbfText(value, encoder) {
+    let text = value === null || value === undefined ? '' : String(value);
+    let bytes = encoder.encode(text);
+    while (bytes.length > DBF_MAX_TEXT_WIDTH) {
+      text = text.slice(0, -1);
+      bytes = encoder.encode(text);
+    }
+    return bytes;
+  }
+
+  // ============================================================
+  // GeoPackage
+  // ============================================================
+
+  /**
+   * Write a layer as a GeoPackage with a single feature table
+   * @param {Object} layer - Layer from getBoundaryLayer or getParcelsLayer
+   * @returns {Promise<Object>} { blob: Blob|null, error: string|null }
+   */
+  async function writeGeoPackage(layer) {
+    if (!window.initSqlJs || !window.SpatialFileImport) {
+      return { blob: null, error: 'GeoPackages cannot be written because a library has not loaded. Check your connection and reload the page.' };
+    }
+
+    // sql.js is shared with the import module, so it is only loaded once
+    const SQL = await window.SpatialFileImport.loadSqlJs();
+    const db = new SQL.Database();
+
+    try {
+      createGeoPackageTables(db);
+
+      // A table with any multi-part shapes stores them all as multipolygons
+      const isMulti = layer.features.some(feature => feature.geometry.getType() === 'MultiPolygon');
+      const geometryType = isMulti ? 'MULTIPOLYGON' : 'POLYGON';
+      const table = quoteIdentifier(layer.name);
+      const columnDefinitions = layer.columns.map(column => `${quoteIdentifier(column.name)} ${column.type.toUpperCase()}`);
+      db.run(`CREATE TABLE ${table} (fid INTEGER PRIMARY KEY AUTOINCREMENT, geom ${geometryType}, ${columnDefinitions.join(', ')})`);
+
+      const extent = layer.features.reduce((combined, feature) => ol.extent.extend(combined, feature.geometry.getExtent()), ol.extent.createEmpty());
+      db.run('INSERT INTO gpkg_contents (table_name, data_type, identifier, min_x, min_y, max_x, max_y, srs_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+        [layer.name, 'features', layer.name, extent[0], extent[1], extent[2], extent[3], EXPORT_SRS_ID]);
+      db.run('INSERT INTO gpkg_geometry_columns (table_name, column_name, geometry_type_name, srs_id, z, m) VALUES (?, ?, ?, ?, 0, 0)',
+        [layer.name, 'geom', geometryType, EXPORT_SRS_ID]);
+
+      const placeholders = layer.columns.map(() => '?').join(', ');
+      const columnNames = layer.columns.map(column => quoteIdentifier(column.name)).join(', ');
+      const statement = db.prepare(`INSERT INTO ${table} (geom, ${columnNames}) VALUES (?, ${placeholders})`);
+      layer.features.forEach(feature => {
+        const geometry = isMulti && feature.geometry.getType() === 'Polygon'
+          ? new ol.geom.MultiPolygon([feature.geometry.getCoordinates()])
+          : feature.geometry;
+        const values = layer.columns.map(column => {
+          const value = feature.properties[column.name];
+          return value === undefined ? null : value;
+        });
+        statement.run([toGeoPackageGeometry(geometry)].concat(values));
+      });
+      statement.free();
+
+      return { blob: new Blob([db.export()], { type: 'application/geopackage+sqlite3' }), error: null };
+    } finally {
+      db.close();
+    }
+  }
+
+  /**
+   * Create the GeoPackage metadata tables, with British National Grid as a spatial reference system
+   * @param {Object} db - sql.js database
+   */
+  function createGeoPackageTables(db) {
+    db.run(`
+      PRAGMA application_id = 1196444487;
+      PRAGMA user_version = 10300;
+      CREATE TABLE gpkg_spatial_ref_sys (
+        srs_name TEXT NOT NULL, srs_id INTEGER PRIMARY KEY, organization TEXT NOT NULL,
+        organization_coordsys_id INTEGER NOT NULL, definition TEXT NOT NULL, description TEXT
+      );
+      CREATE TABLE gpkg_contents (
+        table_name TEXT NOT NULL PRIMARY KEY, data_type TEXT NOT NULL, identifier TEXT UNIQUE,
+        description TEXT DEFAULT '', last_change DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now')),
+        min_x DOUBLE, min_y DOUBLE, max_x DOUBLE, max_y DOUBLE, srs_id INTEGER,
+        CONSTRAINT fk_gc_r_srs_id FOREIGN KEY (srs_id) REFERENCES gpkg_spatial_ref_sys(srs_id)
+      );
+      CREATE TABLE gpkg_geometry_columns (
+        table_name TEXT NOT NULL, column_name TEXT NOT NULL, geometry_type_name TEXT NOT NULL,
+        srs_id INTEGER NOT NULL, z TINYINT NOT NULL, m TINYINT NOT NULL,
+        CONSTRAINT pk_geom_cols PRIMARY KEY (table_name, column_name),
+        CONSTRAINT fk_gc_tn FOREIGN KEY (table_name) REFERENCES gpkg_contents(table_name),
+        CONSTRAINT fk_gc_srs FOREIGN KEY (srs_id) REFERENCES gpkg_spatial_ref_sys(srs_id)
+      );
+    `);
+
+    const insert = 'INSERT INTO gpkg_spatial_ref_sys (srs_name, srs_id, organization, organization_coordsys_id, definition, description) VALUES (?, ?, ?, ?, ?, ?)';
+    db.run(insert, ['Undefined cartesian SRS', -1, 'NONE', -1, 'undefined', 'undefined cartesian coordinate reference system']);
+    db.run(insert, ['Undefined geographic SRS', 0, 'NONE', 0, 'undefined', 'undefined geographic coordinate reference system']);
+    db.run(insert, ['WGS 84 geodetic', 4326, 'EPSG', 4326,
+      'GEOGCS["WGS 84",DATUM["WGS_1984",SPHEROID["WGS 84",6378137,298.257223563,AUTHORITY["EPSG","7030"]],AUTHORITY["EPSG","6326"]],PRIMEM["Greenwich",0,AUTHORITY["EPSG","8901"]],UNIT["degree",0.0174532925199433,AUTHORITY["EPSG","9122"]],AUTHORITY["EPSG","4326"]]',
+      'longitude/latitude coordinates in decimal degrees on the WGS 84 spheroid']);
+    db.run(insert, ['OSGB 1936 / British National Grid', EXPORT_SRS_ID, 'EPSG', EXPORT_SRS_ID, BNG_OGC_WKT, 'British National Grid']);
+  }
+
+  /**
+   * Encode a geometry as a GeoPackage geometry blob: a header with the
+   * spatial reference system and envelope, followed by little-endian WKB
+   * @param {ol.geom.Geometry} geometry - Geometry in EPSG:27700
+   * @returns {Uint8Array}
+   */
+  function toGeoPackageGeometry(geometry) {
+    const wkb = new Uint8Array(new ol.format.WKB({ hex: false, ewkb: false, littleEndian: true }).writeGeometry(geometry));
+    const extent = geometry.getExtent();
+
+    const blob = new Uint8Array(40 + wkb.length);
+    const view = new DataView(blob.buffer);
+    blob[0] = 0x47;  // 'G'
+    blob[1] = 0x50;  // 'P'
+    blob[2] = 0;     // version
+    blob[3] = 0b011; // little-endian, xy envelope
+    view.setInt32(4, EXPORT_SRS_ID, true);
+    [extent[0], extent[2], extent[1], extent[3]].forEach((value, i) => view.setFloat64(8 + i * 8, value, true));
+    blob.set(wkb, 40);
+    return blob;
+  }
+
+  function quoteIdentifier(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+  }
+
+  // Export public API
+  window.SpatialFileExport = {
+    getBoundaryLayer: getBoundaryLayer,
+    getParcelsLayer: getParcelsLayer,
+    writeShapefileZip: writeShapefileZip,
+    writeGeoPackage: writeGeoPackage
+  };
+
+})(window);
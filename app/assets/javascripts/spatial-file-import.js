@@ -0,0 +1,609 @@
+//
+// Spatial file import module
+// Reads features from zipped Shapefile, GeoPackage, KML/KMZ and GeoJSON files and reprojects
+// them to the map. Used for the red line boundary and habitat survey layers.
+// Files may use EPSG:27700, EPSG:4326 or EPSG:3857.
+//
+
+(function(window) {
+  'use strict';
+
+  const MAP_PROJECTION = 'EPSG:3857';
+  const SUPPORTED_PROJECTIONS = ['EPSG:27700', 'EPSG:4326', 'EPSG:3857'];
+  const MAX_FILE_SIZE_BYTES = 20 * 1024 * 1024;
+
+  // Great Britain and its islands in EPSG:4326, used to catch files in the wrong coordinate system
+  const GB_EXTENT_4326 = [-9, 49, 3, 61.5];
+
+  // sql.js loads its WebAssembly file from here when a GeoPackage is read or written
+  const SQL_JS_URL = 'https://cdn.jsdelivr.net/npm/sql.js@1.10.3/dist/';
+
+  const FILE_TYPES_TEXT = 'a zipped Shapefile (.zip), GeoPackage (.gpkg), KML (.kml), KMZ (.kmz) or GeoJSON (.geojson or .json)';
+
+  let sqlJsPromise = null;
+
+  /**
+   * Read a boundary from a file
+   * @param {File} file - File chosen by the user
+   * @returns {Promise<Object>} { geometry: ol.geom.Polygon|ol.geom.MultiPolygon|null, projection: string|null, error: string|null }
+   *   Geometry is in the map projection
+   */
+  async function readBoundaryFile(file) {
+    const source = await readSourceFile(file);
+    if (source.error) {
+      return { geometry: null, projection: null, error: source.error };
+    }
+
+    return toBoundaryGeometry(source.features.map(feature => feature.geometry).filter(Boolean), source.projection);
+  }
+
+  /**
+   * Read all the features and their attributes from a file, e.g. a habitat survey layer
+   * @param {File} file - File chosen by the user
+   * @returns {Promise<Object>} { features: Array, columns: Array, projection: string|null, error: string|null }
+   *   Each feature is { geometry, properties } with the geometry in the map projection, or null if the row has none.
+   *   Columns are the attribute names in the order first seen.
+   */
+  async function readFeatureFile(file) {
+    const source = await readSourceFile(file);
+    if (source.error) {
+      return { features: [], columns: [], projection: null, error: source.error };
+    }
+    if (source.features.length === 0) {
+      return { features: [], columns: [], projection: null, error: 'The file does not contain any features.' };
+    }
+
+    const geometries = source.features.map(feature => feature.geometry).filter(Boolean);
+    if (geometries.length === 0) {
+      return { features: [], columns: [], projection: null, error: 'None of the features in the file have a shape.' };
+    }
+
+    const extent = geometries.reduce((combined, geometry) => ol.extent.extend(combined, geometry.getExtent()), ol.extent.createEmpty());
+    const sourceProjection = source.projection || guessProjection(extent);
+    if (!SUPPORTED_PROJECTIONS.includes(sourceProjection)) {
+      return { features: [], columns: [], projection: null, error: getUnsupportedProjectionError(sourceProjection) };
+    }
+
+    const features = source.features.map(feature => ({
+      geometry: feature.geometry ? to2D(feature.geometry).transform(sourceProjection, MAP_PROJECTION) : null,
+      properties: feature.properties
+    }));
+
+    const mapExtent = ol.proj.transformExtent(extent, sourceProjection, MAP_PROJECTION);
+    if (!ol.extent.containsExtent(getGreatBritainExtent(), mapExtent)) {
+      return { features: [], columns: [], projection: null, error: `The features are not in Great Britain when read as ${sourceProjection}. Check the file's coordinate system.` };
+    }
+
+    const columns = [];
+    features.forEach(feature => {
+      Object.keys(feature.properties).forEach(column => {
+        if (!columns.includes(column)) columns.push(column);
+      });
+    });
+
+    return { features: features, columns: columns, projection: sourceProjection, error: null };
+  }
+
+  /**
+   * Check a file and read it with the reader for its type
+   * @param {File} file
+   * @returns {Promise<Object>} { features, projection, error } in the file's own coordinates
+   */
+  async function readSourceFile(file) {
+    if (!file) {
+      return { error: 'Select a file.' };
+    }
+    if (file.size === 0) {
+      return { error: 'The selected file is empty.' };
+    }
+    if (file.size > MAX_FILE_SIZE_BYTES) {
+      return { error: 'The selected file must be smaller than 20MB.' };
+    }
+
+    const extension = file.name.split('.').pop().toLowerCase();
+    try {
+      if (extension === 'zip') {
+        return await readShapefileZip(await file.arrayBuffer());
+      } else if (extension === 'gpkg') {
+        return await readGeoPackage(await file.arrayBuffer());
+      } else if (extension === 'kml') {
+        return readKml(await file.text());
+      } else if (extension === 'kmz') {
+        return await readKmz(await file.arrayBuffer());
+      } else if (extension === 'geojson' || extension === 'json') {
+        return readGeoJson(await file.text());
+      }
+      return { error: `The selected file must be ${FILE_TYPES_TEXT}.` };
+    } catch (error) {
+      console.error('Spatial file could not be read:', error);
+      return { error: 'The selected file could not be read. Check it opens in GIS software and try again.' };
+    }
+  }
+
+  // ============================================================
+  // File formats
+  // Each reader returns { features, projection, error } where each
+  // feature is { geometry, properties } in the file's own coordinates.
+  // A null projection means the file doesn't say and it is worked out
+  // from the coordinates.
+  // ============================================================
+
+  /**
+   * Read a zipped Shapefile
+   * @param {ArrayBuffer} buffer
+   * @returns {Promise<Object>} { features, projection, error }
+   */
+  async function readShapefileZip(buffer) {
+    if (!window.JSZip || !window.shp) {
+      return { error: 'Shapefiles cannot be read because a library has not loaded. Check your connection and reload the page.' };
+    }
+
+    const zip = await window.JSZip.loadAsync(buffer);
+    const shpFiles = Object.keys(zip.files).filter(name => /\.shp$/i.test(name) && !name.startsWith('__MACOSX'));
+    if (shpFiles.length === 0) {
+      return { error: 'The zip file does not contain a Shapefile (.shp).' };
+    }
+    if (shpFiles.length > 1) {
+      return { error: `The zip file contains ${shpFiles.length} Shapefiles. Upload a zip file with only one Shapefile in it.` };
+    }
+
+    const baseName = shpFiles[0].slice(0, -4);
+    const prjName = findZipFile(zip, `${baseName}.prj`);
+
+    let projection = null;
+    if (prjName) {
+      const prj = await zip.file(prjName).async('string');
+      projection = getProjectionFromWkt(prj);
+      if (!projection) {
+        return { error: 'The Shapefile\'s coordinate system (.prj) is not supported. Save it in British National Grid (EPSG:27700), WGS 84 (EPSG:4326) or Web Mercator (EPSG:3857).' };
+      }
+    }
+
+    // Read the raw coordinates; reprojection is done here rather than by the library
+    const shpBuffer = await zip.file(shpFiles[0]).async('arraybuffer');
+    const shapes = window.shp.parseShp(shpBuffer);
+
+    // Attributes are in the .dbf, one record per shape, with its encoding in the .cpg
+    const dbfName = findZipFile(zip, `${baseName}.dbf`);
+    const cpgName = findZipFile(zip, `${baseName}.cpg`);
+    let records = [];
+    if (dbfName) {
+      const cpg = cpgName ? await zip.file(cpgName).async('string') : undefined;
+      records = window.shp.parseDbf(await zip.file(dbfName).async('arraybuffer'), cpg);
+    }
+
+    const format = new ol.format.GeoJSON();
+    return {
+      features: shapes.map((shape, i) => ({
+        geometry: shape ? format.readGeometry(shape) : null,
+        properties: records[i] || {}
+      })),
+      projection: projection,
+      error: null
+    };
+  }
+
+  /**
+   * Find a file in a zip by name, ignoring case
+   * @returns {string|undefined} Name of the file in the zip
+   */
+  function findZipFile(zip, name) {
+    return Object.keys(zip.files).find(fileName => fileName.toLowerCase() === name.toLowerCase());
+  }
+
+  /**
+   * Load sql.js the first time it is needed. A failed load isn't kept, so the next GeoPackage tries again.
+   * @returns {Promise<Object>} The sql.js module
+   */
+  function loadSqlJs() {
+    if (!sqlJsPromise) {
+      sqlJsPromise = window.initSqlJs({ locateFile: file => SQL_JS_URL + file }).catch(error => {
+        sqlJsPromise = null;
+        throw error;
+      });
+    }
+    return sqlJsPromise;
+  }
+
+  /**
+   * Read a GeoPackage
+   * @param {ArrayBuffer} buffer
+   * @returns {Promise<Object>} { features, projection, error }
+   */
+  async function readGeoPackage(buffer) {
+    if (!window.initSqlJs) {
+      return { error: 'GeoPackages cannot be read because a library has not loaded. Check your connection and reload the page.' };
+    }
+
+    const SQL = await loadSqlJs();
+    const db = new SQL.Database(new Uint8Array(buffer));
+
+    try {
+      const tables = queryRows(db, 'SELECT table_name, column_name, srs_id FROM gpkg_geometry_columns');
+      if (tables.length === 0) {
+        return { error: 'The GeoPackage does not contain a feature table.' };
+      }
+
+      const features = [];
+      const srsIds = new Set();
+      const format = new ol.format.WKB();
+      tables.forEach(table => {
+        const rows = queryRows(db, `SELECT * FROM ${quoteIdentifier(table.table_name)}`);
+        rows.forEach(row => {
+          const wkb = getGeoPackageWkb(row[table.column_name]);
+          const properties = Object.assign({}, row);
+          delete properties[table.column_name];
+          features.push({ geometry: wkb ? format.readGeometry(wkb) : null, properties: properties });
+          if (wkb) {
+            srsIds.add(table.srs_id);
+          }
+        });
+      });
+
+      if (srsIds.size > 1) {
+        return { error: 'The GeoPackage has features in more than one coordinate system. Upload a GeoPackage with its features in one coordinate system.' };
+      }
+
+      let projection = null;
+      if (srsIds.size === 1) {
+        const srsId = Array.from(srsIds)[0];
+        const srs = queryRows(db, `SELECT organization, organization_coordsys_id FROM gpkg_spatial_ref_sys WHERE srs_id = ${Number(srsId)}`)[0];
+        if (srs && String(srs.organization).toUpperCase() === 'EPSG') {
+          projection = `EPSG:${srs.organization_coordsys_id}`;
+        }
+      }
+
+      return { features: features, projection: projection, error: null };
+    } finally {
+      db.close();
+    }
+  }
+
+  /**
+   * Run a query on a sql.js database
+   * @returns {Array} Rows as objects keyed by column name
+   */
+  function queryRows(db, sql) {
+    const result = db.exec(sql)[0];
+    if (!result) return [];
+    return result.values.map(values => {
+      const row = {};
+      result.columns.forEach((column, i) => {
+        row[column] = values[i];
+      });
+      return row;
+    });
+  }
+
+  function quoteIdentifier(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+  }
+
+  /**
+   * Get the WKB part of a GeoPackage geometry blob, after its header and envelope
+   * @param {Uint8Array} blob
+   * @returns {Uint8Array|null} Null for missing or empty geometries
+   */
+  function getGeoPackageWkb(blob) {
+    if (blob === null || blob === undefined) {
+      return null;
+    }
+    if (blob.length < 8 || blob[0] !== 0x47 || blob[1] !== 0x50) {
+      throw new Error('Not a GeoPackage geometry');
+    }
+
+    const flags = blob[3];
+    const isEmpty = (flags >> 4) & 1;
+    const envelopeType = (flags >> 1) & 7;
+    const envelopeBytes = [0, 32, 48, 48, 64][envelopeType];
+    if (isEmpty || envelopeBytes === undefined) {
+      return null;
+    }
+    return blob.subarray(8 + envelopeBytes);
+  }
+
+  /**
+   * Read a KML document. KML is always in EPSG:4326.
+   * @param {string} text
+   * @returns {Object} { features, projection, error }
+   */
+  function readKml(text) {
+    const format = new ol.format.KML({ extractStyles: false, showPointNames: false });
+    return {
+      features: format.readFeatures(text).map(toSourceFeature),
+      projection: 'EPSG:4326',
+      error: null
+    };
+  }
+
+  /**
+   * Read a KMZ (zipped KML) file
+   * @param {ArrayBuffer} buffer
+   * @returns {Promise<Object>} { features, projection, error }
+   */
+  async function readKmz(buffer) {
+    if (!window.JSZip) {
+      return { error: 'KMZ files cannot be read because a library has not loaded. Check your connection and reload the page.' };
+    }
+
+    const zip = await window.JSZip.loadAsync(buffer);
+    const kmlFiles = Object.keys(zip.files).filter(name => /\.kml$/i.test(name));
+    if (kmlFiles.length === 0) {
+      return { error: 'The KMZ file does not contain a KML document.' };
+    }
+
+    // doc.kml is the main document by convention
+    const kmlName = kmlFiles.find(name => name.toLowerCase() === 'doc.kml') || kmlFiles[0];
+    return readKml(await zip.file(kmlName).async('string'));
+  }
+
+  /**
+   * Read a GeoJSON document, a FeatureCollection, Feature or bare geometry
+   * @param {string} text
+   * @returns {Object} { features, projection, error }
+   */
+  function readGeoJson(text) {
+    let object;
+    try {
+      object = JSON.parse(text);
+    } catch (error) {
+      return { error: 'The GeoJSON file is not valid JSON.' };
+    }
+    if (!object || typeof object !== 'object' || !object.type) {
+      return { error: 'The file is not GeoJSON.' };
+    }
+
+    // Older GeoJSON can name its coordinate system; without one it is worked out from the coordinates
+    let projection = null;
+    const crsName = object.crs && object.crs.properties && object.crs.properties.name;
+    if (crsName) {
+      projection = getProjectionFromCrsName(crsName);
+      if (!projection) {
+        return { error: `The GeoJSON file uses ${crsName}. Save it in British National Grid (EPSG:27700), WGS 84 (EPSG:4326) or Web Mercator (EPSG:3857).` };
+      }
+    }
+
+    return {
+      features: new ol.format.GeoJSON().readFeatures(object).map(toSourceFeature),
+      projection: projection,
+      error: null
+    };
+  }
+
+  /**
+   * Split an OpenLayers feature into its geometry and attributes
+   * @param {ol.Feature} feature
+   * @returns {Object} { geometry, properties }
+   */
+  function toSourceFeature(feature) {
+    const properties = feature.getProperties();
+    delete properties[feature.getGeometryName()];
+    return { geometry: feature.getGeometry() || null, properties: properties };
+  }
+
+  // ============================================================
+  // Coordinate systems
+  // ============================================================
+
+  /**
+   * Identify a supported projection from a Shapefile .prj (WKT)
+   * @param {string} wkt
+   * @returns {string|null} EPSG code, or null if it isn't supported
+   */
+  function getProjectionFromWkt(wkt) {
+    const text = wkt.replace(/\s+/g, ' ');
+    if (/British_National_Grid|OSGB.?1936.*Transverse_Mercator|OSGB36/i.test(text)) {
+      return 'EPSG:27700';
+    }
+    if (/Pseudo.?Mercator|Web_Mercator|Popular_Visualisation|Mercator_Auxiliary_Sphere/i.test(text)) {
+      return 'EPSG:3857';
+    }
+    if (/^GEOGCS\[/i.test(text.trim()) && /WGS.?(19)?84/i.test(text)) {
+      return 'EPSG:4326';
+    }
+    return null;
+  }
+
+  /**
+   * Identify a supported projection from a GeoJSON crs name, e.g. urn:ogc:def:crs:EPSG::27700
+   * @param {string} name
+   * @returns {string|null} EPSG code, or null if it isn't supported
+   */
+  function getProjectionFromCrsName(name) {
+    if (/CRS84$/i.test(name)) {
+      return 'EPSG:4326';
+    }
+    const match = /EPSG:{1,2}(\d+)$/i.exec(name);
+    if (!match) return null;
+
+    const code = match[1] === '900913' || match[1] === '3785' ? 'EPSG:3857' : `EPSG:${match[1]}`;
+    return SUPPORTED_PROJECTIONS.includes(code) ? code : null;
+  }
+
+  function getUnsupportedProjectionError(projection) {
+    return `The file uses ${projection}. Save it in British National Grid (EPSG:27700), WGS 84 (EPSG:4326) or Web Mercator (EPSG:3857).`;
+  }
+
+  function getGreatBritainExtent() {
+    return ol.proj.transformExtent(GB_EXTENT_4326, 'EPSG:4326', MAP_PROJECTION);
+  }
+
+  /**
+   * Copy a polygon geometry without heights or measures
+   * Other geometry types are copied as they are
+   * @param {ol.geom.Geometry} geometry
+   * @returns {ol.geom.Geometry}
+   */
+  function to2D(geometry) {
+    const polygons = getPolygonCoordinates(geometry);
+    if (!polygons) {
+      return geometry.clone();
+    }
+    return polygons.length === 1 ? new ol.geom.Polygon(polygons[0]) : new ol.geom.MultiPolygon(polygons);
+  }
+
+  /**
+   * Work out the projection of coordinates from their range
+   * @param {Array} extent - [minX, minY, maxX, maxY]
+   * @returns {string} EPSG code
+   */
+  function guessProjection(extent) {
+    if (extent[0] >= -180 && extent[2] <= 180 && extent[1] >= -90 && extent[3] <= 90) {
+      return 'EPSG:4326';
+    }
+    // British National Grid eastings and northings are positive and within about 700km and 1300km
+    if (extent[0] >= 0 && extent[2] <= 700000 && extent[1] >= 0 && extent[3] <= 1300000) {
+      return 'EPSG:27700';
+    }
+    return 'EPSG:3857';
+  }
+
+  // ============================================================
+  // Boundary checks
+  // ============================================================
+
+  /**
+   * Check the file has a single valid polygon and reproject it to the map
+   * @param {Array} geometries - ol.geom.Geometry in the file's coordinates
+   * @param {string|null} projection - EPSG code, or null to work it out
+   * @returns {Object} { geometry, projection, error }
+   */
+  function toBoundaryGeometry(geometries, projection) {
+    if (geometries.length === 0) {
+      return { geometry: null, projection: null, error: 'The file does not contain any features.' };
+    }
+    if (geometries.length > 1) {
+      return {
+        geometry: null,
+        projection: null,
+        error: `The file contains ${geometries.length} features. A boundary file must contain a single polygon feature, so merge the features into one and upload it again.`
+      };
+    }
+
+    const polygons = getPolygonCoordinates(geometries[0]);
+    if (!polygons) {
+      return {
+        geometry: null,
+        projection: null,
+        error: `The feature in the file is a ${describeType(geometries[0].getType())}. The boundary must be a polygon.`
+      };
+    }
+
+    const sourceGeometry = polygons.length === 1
+      ? new ol.geom.Polygon(polygons[0])
+      : new ol.geom.MultiPolygon(polygons);
+
+    const sourceProjection = projection || guessProjection(sourceGeometry.getExtent());
+    if (!SUPPORTED_PROJECTIONS.includes(sourceProjection)) {
+      return { geometry: null, projection: null, error: getUnsupportedProjectionError(sourceProjection) };
+    }
+
+    const geometry = sourceGeometry.clone().transform(sourceProjection, MAP_PROJECTION);
+
+    if (!ol.extent.containsExtent(getGreatBritainExtent(), geometry.getExtent())) {
+      return {
+        geometry: null,
+        projection: null,
+        error: `The boundary is not in Great Britain when read as ${sourceProjection}. Check the file's coordinate system.`
+      };
+    }
+
+    const error = getGeometryError(geometry);
+    if (error) {
+      return { geometry: null, projection: null, error: error };
+    }
+
+    return { geometry: geometry, projection: sourceProjection, error: null };
+  }
+
+  /**
+   * Get the rings of a polygon feature as 2D coordinates
+   * A collection made only of polygons, as KML MultiGeometry often is, counts as a multipolygon
+   * @param {ol.geom.Geometry} geometry
+   * @returns {Array|null} Array of polygons, each an array of rings, or null if it isn't a polygon
+   */
+  function getPolygonCoordinates(geometry) {
+    const type = geometry.getType();
+    let polygons;
+    if (type === 'Polygon') {
+      polygons = [geometry.getCoordinates()];
+    } else if (type === 'MultiPolygon') {
+      polygons = geometry.getCoordinates();
+    } else if (type === 'GeometryCollection') {
+      const parts = geometry.getGeometries().map(getPolygonCoordinates);
+      if (parts.length === 0 || parts.some(part => part === null)) return null;
+      polygons = [].concat(...parts);
+    } else {
+      return null;
+    }
+
+    // Drop heights and measures
+    return polygons.map(rings => rings.map(ring => ring.map(coord => [coord[0], coord[1]])));
+  }
+
+  /**
+   * Check a boundary is a usable polygon
+   * @param {ol.geom.Polygon|ol.geom.MultiPolygon} geometry - In the map projection
+   * @returns {string|null} Error message, or null if it is valid
+   */
+  function getGeometryError(geometry) {
+    const polygons = window.PolygonOperations.toMultiPolygonCoordinates(geometry);
+    const hasShortRing = polygons.some(rings => rings.some(ring => ring.length < 4));
+    if (hasShortRing) {
+      return 'The boundary in the file has a ring with fewer than 3 corners.';
+    }
+
+    const areaSqM = window.Measurement.getAreaSqM(geometry);
+    if (!(areaSqM > 0)) {
+      return 'The boundary in the file has no area.';
+    }
+
+    // Cleaning a polygon whose edges cross, or whose parts overlap, changes its area.
+    // Allow for the change from snapping every corner to the operations' grid.
+    if (window.PolygonOperations.isAvailable()) {
+      const cleaned = window.PolygonOperations.union([geometry]);
+      const perimeter = polygons.reduce((sum, rings) => sum + rings.reduce((ringSum, ring) => ringSum + getRingLength(ring), 0), 0);
+      const tolerance = perimeter * window.PolygonOperations.GRID_SIZE;
+      if (cleaned.error || Math.abs(cleaned.geometry.getArea() - geometry.getArea()) > tolerance) {
+        return 'The boundary in the file is not valid because its edges cross each other or its parts overlap. Fix it in GIS software and upload it again.';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the length of a ring in map units
+   * @param {Array} ring - Closed ring of [x, y]
+   * @returns {number}
+   */
+  function getRingLength(ring) {
+    let length = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+      length += Math.hypot(ring[i + 1][0] - ring[i][0], ring[i + 1][1] - ring[i][1]);
+    }
+    return length;
+  }
+
+  function describeType(type) {
+    const names = {
+      Point: 'point',
+      MultiPoint: 'set of points',
+      LineString: 'line',
+      LinearRing: 'line',
+      MultiLineString: 'set of lines',
+      GeometryCollection: 'mix of shapes'
+    };
+    return names[type] || type;
+  }
+
+  // Export public API
+  window.SpatialFileImport = {
+    SUPPORTED_PROJECTIONS: SUPPORTED_PROJECTIONS,
+    readBoundaryFile: readBoundaryFile,
+    readFeatureFile: readFeatureFile,
+    guessProjection: guessProjection,
+    loadSqlJs: loadSqlJs
+  };
+
+})(window);
@@ -1,6 +1,7 @@
 //
 // Polygon validation module for habitat parcels
-// Validates parcels against boundary and checks for overlaps
+// Validates parcels against boundary and checks for overlaps, using true polygon
+// intersection and difference so that holes and multipart parcels are handled
 //
 
 (function(window) {
@@ -10,54 +11,82 @@
   // Web Mercator (EPSG:3857) uses meters, so 0.001 = 1 millimeter
   const EPSILON = 0.001;
 
+  // Overlaps narrower than this are floating-point slivers along shared edges, not real overlaps
+  const SLIVER_WIDTH = EPSILON * 10;  // 1cm
+
+  // Overlaps smaller than this are ignored (10cm x 10cm)
+  const MIN_PROBLEM_AREA_SQM = 0.01;
+
+  // Gaps in parcel coverage smaller or narrower than these are flagged as slivers, unless set in options
+  const DEFAULT_SLIVER_MAX_AREA_SQM = 10;
+  const DEFAULT_SLIVER_MAX_WIDTH_M = 1;
+
   /**
    * Validate a parcel polygon against boundary and existing parcels
    * @param {ol.geom.Polygon} parcelGeom - The polygon to validate
    * @param {ol.geom.Polygon} boundaryPolygon - The boundary polygon (can be null)
    * @param {Array} habitatParcels - Array of existing parcel objects
    * @param {number} skipIndex - Index of parcel to skip (when validating itself)
-   * @returns {Object} { valid: boolean, error: string|null, correctedGeom: ol.geom.Polygon }
+   * @returns {Object} { valid: boolean, error: string|null, correctedGeom: ol.geom.Polygon, problems: Array }
    */
   function validateParcel(parcelGeom, boundaryPolygon, habitatParcels, skipIndex = -1) {
     // Correct geometry to snap to boundary if needed
     const correctedGeom = boundaryPolygon ? correctGeometryToBoundary(parcelGeom, boundaryPolygon) : parcelGeom;
+    const problems = [];
 
     // Check if parcel is within boundary
     if (boundaryPolygon) {
-      if (!isPolygonWithinBoundary(correctedGeom, boundaryPolygon)) {
-        return {
-          valid: false,
-          error: 'The parcel must be completely within the red line boundary.',
-          correctedGeom: correctedGeom
-        };
+      const outside = getAreaOutsideBoundary(correctedGeom, boundaryPolygon);
+      if (outside.error) {
+        problems.push({ type: 'error', parcelIndex: skipIndex, geometry: null, areaSqM: 0, message: outside.error });
+      } else if (outside.geometry) {
+        problems.push({
+          type: 'outside-boundary',
+          parcelIndex: skipIndex,
+          geometry: outside.geometry,
+          areaSqM: outside.areaSqM,
+          message: `${formatArea(outside.areaSqM)} of the parcel is outside the red line boundary. The parcel must be completely within the red line boundary.`
+        });
       }
     }
 
     // Check for overlap with existing parcels (skip self if editing)
     for (let i = 0; i < habitatParcels.length; i++) {
       if (i === skipIndex) continue;  // Skip self
-      
+
       const existingParcel = habitatParcels[i];
-      if (doPolygonsOverlap(correctedGeom, existingParcel.feature.getGeometry())) {
-        return {
-          valid: false,
-          error: `The parcel overlaps with parcel ${i + 1}. Parcels must not overlap.`,
-          correctedGeom: correctedGeom
-        };
+      const overlap = getOverlap(correctedGeom, existingParcel.feature.getGeometry());
+      if (overlap.error) {
+        problems.push({ type: 'error', parcelIndex: skipIndex, otherParcelIndex: i, geometry: null, areaSqM: 0, message: overlap.error });
+      } else if (overlap.geometry) {
+        problems.push({
+          type: 'overlap',
+          parcelIndex: skipIndex,
+          otherParcelIndex: i,
+          geometry: overlap.geometry,
+          areaSqM: overlap.areaSqM,
+          message: `The parcel overlaps with parcel ${i + 1} by ${formatArea(overlap.areaSqM)}. Parcels must not overlap.`
+        });
       }
     }
 
-    return { valid: true, error: null, correctedGeom: correctedGeom };
+    return {
+      valid: problems.length === 0,
+      error: problems.length > 0 ? problems[0].message : null,
+      correctedGeom: correctedGeom,
+      problems: problems
+    };
   }
 
   /**
    * Validate all habitat parcels before saving
    * @param {Array} habitatParcels - Array of parcel objects
    * @param {ol.geom.Polygon} boundaryPolygon - The boundary polygon (can be null)
-   * @returns {Object} { valid: boolean, errors: string[], correctedParcels: Array }
+   * @returns {Object} { valid: boolean, errors: string[], correctedParcels: Array, problems: Array }
    */
   function validateAllParcels(habitatParcels, boundaryPolygon) {
     const errors = [];
+    const problems = [];
     const correctedParcels = [];
 
     // First pass: correct all geometries
@@ -73,15 +102,24 @@
       const correctedGeom = correctedParcels[i];
 
       // Check if parcel is within boundary
-      if (boundaryPolygon && !isPolygonWithinBoundary(correctedGeom, boundaryPolygon)) {
-        errors.push(`Parcel ${i + 1} extends outside the red line boundary.`);
+      if (boundaryPolygon) {
+        const outside = getAreaOutsideBoundary(correctedGeom, boundaryPolygon);
+        if (outside.error) {
+          errors.push(`Parcel ${i + 1}: ${outside.error}`);
+        } else if (outside.geometry) {
+          errors.push(`Parcel ${i + 1} extends ${formatArea(outside.areaSqM)} outside the red line boundary.`);
+          problems.push({ type: 'outside-boundary', parcelIndex: i, geometry: outside.geometry, areaSqM: outside.areaSqM });
+        }
       }
 
       // Check for overlap with other parcels
       for (let j = i + 1; j < correctedParcels.length; j++) {
-        const otherCorrectedGeom = correctedParcels[j];
-        if (doPolygonsOverlap(correctedGeom, otherCorrectedGeom)) {
-          errors.push(`Parcel ${i + 1} overlaps with parcel ${j + 1}.`);
+        const overlap = getOverlap(correctedGeom, correctedParcels[j]);
+        if (overlap.error) {
+          errors.push(`Parcels ${i + 1} and ${j + 1}: ${overlap.error}`);
+        } else if (overlap.geometry) {
+          errors.push(`Parcel ${i + 1} overlaps with parcel ${j + 1} by ${formatArea(overlap.areaSqM)}.`);
+          problems.push({ type: 'overlap', parcelIndex: i, otherParcelIndex: j, geometry: overlap.geometry, areaSqM: overlap.areaSqM });
         }
       }
     }
@@ -89,23 +127,195 @@
     return {
       valid: errors.length === 0,
       errors: errors,
-      correctedParcels: correctedParcels
+      correctedParcels: correctedParcels,
+      problems: problems
     };
   }
 
+  /**
+   * Find the parts of the boundary that no parcel covers
+   * @param {Array} habitatParcels - Array of parcel objects
+   * @param {ol.geom.Polygon|ol.geom.MultiPolygon} boundaryPolygon - The boundary polygon
+   * @param {Object} options - Optional { sliverMaxAreaSqM, sliverMaxWidthM } sliver thresholds
+   * @returns {Object} { gaps: Array, error: string|null } Each gap is
+   *   { geometry: ol.geom.Polygon, areaSqM, widthM, isSliver }, largest first
+   */
+  function analyseCoverage(habitatParcels, boundaryPolygon, options = {}) {
+    if (!boundaryPolygon) {
+      return { gaps: [], error: null };
+    }
+
+    const result = window.PolygonOperations.difference(
+      boundaryPolygon,
+      ...habitatParcels.map(parcel => parcel.feature.getGeometry())
+    );
+    if (result.error) {
+      return { gaps: [], error: result.error };
+    }
+
+    // Floating-point slivers along shared edges are not real gaps
+    const geometry = removeSlivers(result.geometry);
+    if (!geometry) {
+      return { gaps: [], error: null };
+    }
+
+    const maxAreaSqM = options.sliverMaxAreaSqM !== undefined ? options.sliverMaxAreaSqM : DEFAULT_SLIVER_MAX_AREA_SQM;
+    const maxWidthM = options.sliverMaxWidthM !== undefined ? options.sliverMaxWidthM : DEFAULT_SLIVER_MAX_WIDTH_M;
+
+    const gaps = getPolygons(geometry).map(function(rings) {
+      const polygon = new ol.geom.Polygon(rings);
+      const areaSqM = window.Measurement.getAreaSqM(polygon);
+      const perimeterM = window.Measurement.getLengthM(polygon);
+
+      // Twice the area over the perimeter approximates the width of a long thin gap
+      const widthM = perimeterM > 0 ? (2 * areaSqM) / perimeterM : 0;
+
+      return {
+        geometry: polygon,
+        areaSqM: areaSqM,
+        widthM: widthM,
+        isSliver: areaSqM < maxAreaSqM || widthM < maxWidthM
+      };
+    }).filter(gap => gap.areaSqM >= MIN_PROBLEM_AREA_SQM);
+
+    gaps.sort((a, b) => b.areaSqM - a.areaSqM);
+    return { gaps: gaps, error: null };
+  }
+
+  /**
+   * Get the area shared by two polygons, ignoring slivers along shared edges
+   * @param {ol.geom.Polygon|ol.geom.MultiPolygon} geometry1
+   * @param {ol.geom.Polygon|ol.geom.MultiPolygon} geometry2
+   * @returns {Object} { geometry: ol.geom.Geometry|null, areaSqM: number, error: string|null } Null geometry if they don't overlap
+   */
+  function getOverlap(geometry1, geometry2) {
+    if (!ol.extent.intersects(geometry1.getExtent(), geometry2.getExtent())) {
+      return { geometry: null, areaSqM: 0, error: null };
+    }
+    return toProblemArea(window.PolygonOperations.intersection(geometry1, geometry2));
+  }
+
+  /**
+   * Get the part of a polygon that lies outside a boundary, ignoring slivers along the boundary edge
+   * @param {ol.geom.Polygon|ol.geom.MultiPolygon} geometry
+   * @param {ol.geom.Polygon|ol.geom.MultiPolygon} boundaryPolygon
+   * @returns {Object} { geometry: ol.geom.Geometry|null, areaSqM: number, error: string|null } Null geometry if it is all inside
+   */
+  function getAreaOutsideBoundary(geometry, boundaryPolygon) {
+    return toProblemArea(window.PolygonOperations.difference(geometry, boundaryPolygon));
+  }
+
+  /**
+   * Measure the result of a polygon operation, dropping slivers and negligible areas
+   * @param {Object} result - { geometry, error } from PolygonOperations
+   * @returns {Object} { geometry: ol.geom.Geometry|null, areaSqM: number, error: string|null }
+   */
+  function toProblemArea(result) {
+    if (result.error) {
+      return { geometry: null, areaSqM: 0, error: result.error };
+    }
+
+    const geometry = removeSlivers(result.geometry);
+    const areaSqM = geometry ? window.Measurement.getAreaSqM(geometry) : 0;
+
+    if (areaSqM < MIN_PROBLEM_AREA_SQM) {
+      return { geometry: null, areaSqM: 0, error: null };
+    }
+    return { geometry: geometry, areaSqM: areaSqM, error: null };
+  }
+
+  /**
+   * Remove long thin parts left where two nearly identical edges meet
+   * @param {ol.geom.Polygon|ol.geom.MultiPolygon|null} geometry
+   * @returns {ol.geom.Polygon|ol.geom.MultiPolygon|null} Null if only slivers remain
+   */
+  function removeSlivers(geometry) {
+    if (!geometry) return null;
+
+    const parts = getPolygons(geometry).filter(function(rings) {
+      const area = new ol.geom.Polygon(rings).getArea();
+      const perimeter = new ol.geom.LineString(rings[0]).getLength();
+
+      // Twice the area over the perimeter approximates the width of a long thin part
+      return perimeter > 0 && (2 * area) / perimeter > SLIVER_WIDTH;
+    });
+
+    return window.PolygonOperations.fromMultiPolygonCoordinates(parts);
+  }
+
+  /**
+   * Format an area for validation messages
+   * @param {number} areaSqM - Area in square metres
+   * @returns {string}
+   */
+  function formatArea(areaSqM) {
+    if (areaSqM >= 1000) {
+      return `${(areaSqM / 10000).toFixed(2)} ha`;
+    }
+    return `${areaSqM.toFixed(1)} m²`;
+  }
+
+  /**
+   * Get the polygons of a polygon or multipolygon, each as an array of rings
+   * @param {ol.geom.Polygon|ol.geom.MultiPolygon} geometry
+   * @returns {Array} Array of polygons, exterior ring first
+   */
+  function getPolygons(geometry) {
+    const type = geometry.getType();
+    if (type === 'Polygon') {
+      return [geometry.getCoordinates()];
+    }
+    if (type === 'MultiPolygon') {
+      return geometry.getCoordinates();
+    }
+    return [];
+  }
+
+  /**
+   * Get every ring (exterior and interior) of a polygon or multipolygon
+   * @param {ol.geom.Polygon|ol.geom.MultiPolygon} geometry
+   * @returns {Array} Array of closed coordinate rings
+   */
+  function getRings(geometry) {
+    return getPolygons(geometry).reduce((rings, polygon) => rings.concat(polygon), []);
+  }
+
   /**
    * Correct parcel geometry by snapping vertices to boundary coordinates
-   * @param {ol.geom.Polygon} parcelGeom - The parcel polygon to correct
-   * @param {ol.geom.Polygon} boundaryPolygon - The boundary polygon
-   * @returns {ol.geom.Polygon} Corrected polygon geometry
+   * @param {ol.geom.Polygon|ol.geom.MultiPolygon} parcelGeom - The parcel polygon to correct
+   * @param {ol.geom.Polygon|ol.geom.MultiPolygon} boundaryPolygon - The boundary polygon
+   * @returns {ol.geom.Polygon|ol.geom.MultiPolygon} Corrected geometry of the same type
    */
   function correctGeometryToBoundary(parcelGeom, boundaryPolygon) {
     if (!boundaryPolygon) {
       return parcelGeom;
     }
 
-    const parcelCoords = parcelGeom.getCoordinates()[0];
-    const boundaryCoords = boundaryPolygon.getCoordinates()[0];
+    const boundaryRings = getRings(boundaryPolygon);
+    const correctRing = ring => correctRingToBoundary(ring, boundaryRings);
+
+    if (parcelGeom.getType() === 'MultiPolygon') {
+      return new ol.geom.MultiPolygon(parcelGeom.getCoordinates().map(rings => rings.map(correctRing)));
+    }
+    return new ol.geom.Polygon(parcelGeom.getCoordinates().map(correctRing));
+  }
+
+  /**
+   * Snap the vertices of one ring to the vertices and edges of the boundary rings
+   * @param {Array} parcelCoords - Closed ring of [x, y] coordinates
+   * @param {Array} boundaryRings - Closed rings of the boundary
+   * @returns {Array} Corrected ring
+   */
+  function correctRingToBoundary(parcelCoords, boundaryRings) {
+    const boundaryCoords = [];
+    const boundaryEdges = [];
+    boundaryRings.forEach(function(ring) {
+      for (let j = 0; j < ring.length - 1; j++) {
+        boundaryCoords.push(ring[j]);
+        boundaryEdges.push([ring[j], ring[j + 1]]);
+      }
+    });
+
     const correctedCoords = [];
     const snapTolerance = EPSILON * 10; // 1cm snap tolerance
 
@@ -115,7 +325,7 @@
       let snappedCoord = coord;
 
       // First, try to snap to boundary vertices (exact match preferred)
-      for (let j = 0; j < boundaryCoords.length - 1; j++) {
+      for (let j = 0; j < boundaryCoords.length; j++) {
         const boundaryVertex = boundaryCoords[j];
         const dx = coord[0] - boundaryVertex[0];
         const dy = coord[1] - boundaryVertex[1];
@@ -130,10 +340,10 @@
 
       // If not snapped to a vertex, try to snap to boundary edges
       if (!snapped) {
-        for (let j = 0; j < boundaryCoords.length - 1; j++) {
-          const edgeStart = boundaryCoords[j];
-          const edgeEnd = boundaryCoords[j + 1];
-          
+        for (let j = 0; j < boundaryEdges.length; j++) {
+          const edgeStart = boundaryEdges[j][0];
+          const edgeEnd = boundaryEdges[j][1];
+
           // Find closest point on edge
           const closestPoint = getClosestPointOnSegment(coord, edgeStart, edgeEnd);
           const dx = coord[0] - closestPoint[0];
@@ -151,8 +361,7 @@
       correctedCoords.push(snappedCoord);
     }
 
-    // Create new polygon with corrected coordinates
-    return new ol.geom.Polygon([correctedCoords]);
+    return correctedCoords;
   }
 
   /**
@@ -182,7 +391,7 @@
   /**
    * Check if a point is inside or on the boundary of a polygon (with tolerance)
    * @param {Array} point - [x, y] coordinate
-   * @param {ol.geom.Polygon} polygon - The polygon to check
+   * @param {ol.geom.Polygon|ol.geom.MultiPolygon} polygon - The polygon to check
    * @returns {boolean}
    */
   function isPointInsideOrOnBoundary(point, polygon) {
@@ -191,8 +400,29 @@
       return true;
     }
 
-    // Check if point is strictly inside using ray casting
-    const coords = polygon.getCoordinates()[0];
+    return isPointInPolygonArea(point, polygon);
+  }
+
+  /**
+   * Check if a point is inside the area of a polygon or multipolygon - inside an
+   * exterior ring and outside its holes. Points on an edge may go either way.
+   * @param {Array} point - [x, y] coordinate
+   * @param {ol.geom.Polygon|ol.geom.MultiPolygon} polygon
+   * @returns {boolean}
+   */
+  function isPointInPolygonArea(point, polygon) {
+    return getPolygons(polygon).some(function(rings) {
+      return isPointInRing(point, rings[0]) && !rings.slice(1).some(hole => isPointInRing(point, hole));
+    });
+  }
+
+  /**
+   * Check if a point is inside a closed ring using ray casting
+   * @param {Array} point - [x, y] coordinate
+   * @param {Array} coords - Closed ring of [x, y] coordinates
+   * @returns {boolean}
+   */
+  function isPointInRing(point, coords) {
     const x = point[0];
     const y = point[1];
     let inside = false;
@@ -211,109 +441,157 @@
 
   /**
    * Check if a polygon is completely within another polygon (boundary)
-   * @param {ol.geom.Polygon} innerPolygon - The polygon to check
-   * @param {ol.geom.Polygon} outerPolygon - The boundary polygon
+   * @param {ol.geom.Polygon|ol.geom.MultiPolygon} innerPolygon - The polygon to check
+   * @param {ol.geom.Polygon|ol.geom.MultiPolygon} outerPolygon - The boundary polygon
    * @returns {boolean}
    */
   function isPolygonWithinBoundary(innerPolygon, outerPolygon) {
-    // Get all coordinates of the inner polygon
-    const innerCoords = innerPolygon.getCoordinates()[0];
-    
-    // Check that every vertex of the inner polygon is inside or on the boundary
-    for (let i = 0; i < innerCoords.length - 1; i++) {
-      const coord = innerCoords[i];
-      if (!isPointInsideOrOnBoundary(coord, outerPolygon)) {
+    const outside = getAreaOutsideBoundary(innerPolygon, outerPolygon);
+    return !outside.error && !outside.geometry;
+  }
+
+  /**
+   * Check if a line (e.g. a hedgerow) is completely within a boundary polygon
+   * @param {Array} lineCoords - Array of [x, y] coordinates along the line
+   * @param {ol.geom.Polygon|ol.geom.MultiPolygon} boundaryPolygon - The boundary polygon
+   * @returns {boolean}
+   */
+  function isLineWithinBoundary(lineCoords, boundaryPolygon) {
+    // Every vertex must be inside or on the boundary
+    for (let i = 0; i < lineCoords.length; i++) {
+      if (!isPointInsideOrOnBoundary(lineCoords[i], boundaryPolygon)) {
         return false;
       }
     }
 
-    // Check edge midpoints to ensure edges don't extend outside
-    for (let i = 0; i < innerCoords.length - 1; i++) {
+    const boundaryRings = getRings(boundaryPolygon);
+
+    for (let i = 0; i < lineCoords.length - 1; i++) {
+      // Segment midpoints catch lines that cut across a concave corner
       const midpoint = [
-        (innerCoords[i][0] + innerCoords[i + 1][0]) / 2,
-        (innerCoords[i][1] + innerCoords[i + 1][1]) / 2
+        (lineCoords[i][0] + lineCoords[i + 1][0]) / 2,
+        (lineCoords[i][1] + lineCoords[i + 1][1]) / 2
       ];
-      if (!isPointInsideOrOnBoundary(midpoint, outerPolygon)) {
+      if (!isPointInsideOrOnBoundary(midpoint, boundaryPolygon)) {
         return false;
       }
-    }
 
-    // Extent check with tolerance buffer
-    const innerExtent = innerPolygon.getExtent();
-    const outerExtent = outerPolygon.getExtent();
-    const buffer = EPSILON * 10; // 1cm buffer for tolerance
-    
-    // Check if inner extent is within outer extent (with tolerance)
-    if (innerExtent[0] < outerExtent[0] - buffer ||
-        innerExtent[1] < outerExtent[1] - buffer ||
-        innerExtent[2] > outerExtent[2] + buffer ||
-        innerExtent[3] > outerExtent[3] + buffer) {
-      return false;
+      // No segment may cross a boundary edge, including the edges of holes
+      for (const boundaryCoords of boundaryRings) {
+        for (let j = 0; j < boundaryCoords.length - 1; j++) {
+          if (doLineSegmentsIntersect(lineCoords[i], lineCoords[i + 1], boundaryCoords[j], boundaryCoords[j + 1])) {
+            return false;
+          }
+        }
+      }
     }
 
     return true;
   }
 
   /**
-   * Check if two polygons have true interior overlap (not just touching boundaries)
-   * @param {ol.geom.Polygon} polygon1 
-   * @param {ol.geom.Polygon} polygon2 
-   * @returns {boolean} True only if polygons have overlapping interiors
+   * Clip a line (e.g. an OS water link) to a boundary polygon
+   * Segments are split where they cross the boundary and the pieces inside are kept
+   * @param {Array} lineCoords - Array of [x, y] coordinates along the line
+   * @param {ol.geom.Polygon|ol.geom.MultiPolygon} boundaryPolygon - The boundary polygon
+   * @returns {Array} Array of coordinate arrays, one per piece inside the boundary
    */
-  function doPolygonsOverlap(polygon1, polygon2) {
-    // Quick extent check first
-    const extent1 = polygon1.getExtent();
-    const extent2 = polygon2.getExtent();
-    
-    if (!ol.extent.intersects(extent1, extent2)) {
-      return false;
-    }
+  function clipLineToBoundary(lineCoords, boundaryPolygon) {
+    const boundaryRings = getRings(boundaryPolygon);
+    const pieces = [];
+    let current = [];
+
+    for (let i = 0; i < lineCoords.length - 1; i++) {
+      const start = lineCoords[i];
+      const end = lineCoords[i + 1];
+
+      // Split points along this segment, as fractions from start to end
+      const splits = [0, 1];
+      for (const boundaryCoords of boundaryRings) {
+        for (let j = 0; j < boundaryCoords.length - 1; j++) {
+          const t = getSegmentIntersectionFraction(start, end, boundaryCoords[j], boundaryCoords[j + 1]);
+          if (t !== null) {
+            splits.push(t);
+          }
+        }
+      }
+      splits.sort((a, b) => a - b);
 
-    const coords1 = polygon1.getCoordinates()[0];
-    const coords2 = polygon2.getCoordinates()[0];
+      for (let k = 0; k < splits.length - 1; k++) {
+        if (splits[k + 1] - splits[k] < EPSILON / 100) continue;
 
-    // Check if any vertex of polygon1 is strictly inside polygon2 (not on boundary)
-    for (let i = 0; i < coords1.length - 1; i++) {
-      if (isPointInsidePolygon(coords1[i], polygon2)) {
-        return true;
-      }
-    }
+        const from = interpolate(start, end, splits[k]);
+        const to = interpolate(start, end, splits[k + 1]);
+        const midpoint = [(from[0] + to[0]) / 2, (from[1] + to[1]) / 2];
 
-    // Check if any vertex of polygon2 is strictly inside polygon1 (not on boundary)
-    for (let i = 0; i < coords2.length - 1; i++) {
-      if (isPointInsidePolygon(coords2[i], polygon1)) {
-        return true;
+        if (isPointInsideOrOnBoundary(midpoint, boundaryPolygon)) {
+          if (current.length === 0) {
+            current.push(from);
+          }
+          current.push(to);
+        } else if (current.length > 0) {
+          pieces.push(current);
+          current = [];
+        }
       }
     }
 
-    // Check for proper edge intersections (not collinear overlaps or touching)
-    if (doPolygonEdgesIntersect(polygon1, polygon2)) {
-      return true;
+    if (current.length > 0) {
+      pieces.push(current);
     }
 
-    // Additional check: test edge midpoints to catch cases where edges cross
-    // without any vertices being inside the other polygon
-    for (let i = 0; i < coords1.length - 1; i++) {
-      const midpoint = [
-        (coords1[i][0] + coords1[i + 1][0]) / 2,
-        (coords1[i][1] + coords1[i + 1][1]) / 2
-      ];
-      if (isPointInsidePolygon(midpoint, polygon2)) {
-        return true;
-      }
-    }
+    return pieces.filter(piece => piece.length >= 2);
+  }
 
-    for (let i = 0; i < coords2.length - 1; i++) {
-      const midpoint = [
-        (coords2[i][0] + coords2[i + 1][0]) / 2,
-        (coords2[i][1] + coords2[i + 1][1]) / 2
-      ];
-      if (isPointInsidePolygon(midpoint, polygon1)) {
-        return true;
-      }
-    }
+  /**
+   * Get where segment A crosses segment B, as a fraction along segment A
+   * @param {Array} a1 - First point of segment A
+   * @param {Array} a2 - Second point of segment A
+   * @param {Array} b1 - First point of segment B
+   * @param {Array} b2 - Second point of segment B
+   * @returns {number|null} Fraction between 0 and 1, or null if they don't cross
+   */
+  function getSegmentIntersectionFraction(a1, a2, b1, b2) {
+    const rx = a2[0] - a1[0];
+    const ry = a2[1] - a1[1];
+    const sx = b2[0] - b1[0];
+    const sy = b2[1] - b1[1];
+    const denominator = rx * sy - ry * sx;
+
+    // Parallel or collinear segments have no single crossing point
+    if (Math.abs(denominator) < EPSILON * EPSILON) return null;
+
+    const qx = b1[0] - a1[0];
+    const qy = b1[1] - a1[1];
+    const t = (qx * sy - qy * sx) / denominator;
+    const u = (qx * ry - qy * rx) / denominator;
+
+    if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+    return t;
+  }
 
-    return false;
+  /**
+   * Interpolate a point along a segment
+   * @param {Array} start - Start point [x, y]
+   * @param {Array} end - End point [x, y]
+   * @param {number} fraction - Fraction from start (0) to end (1)
+   * @returns {Array} [x, y]
+   */
+  function interpolate(start, end, fraction) {
+    return [
+      start[0] + (end[0] - start[0]) * fraction,
+      start[1] + (end[1] - start[1]) * fraction
+    ];
+  }
+
+  /**
+   * Check if two polygons have true interior overlap (not just touching boundaries)
+   * @param {ol.geom.Polygon|ol.geom.MultiPolygon} polygon1
+   * @param {ol.geom.Polygon|ol.geom.MultiPolygon} polygon2
+   * @returns {boolean} True only if polygons have overlapping interiors
+   */
+  function doPolygonsOverlap(polygon1, polygon2) {
+    return !!getOverlap(polygon1, polygon2).geometry;
   }
 
   /**
@@ -347,28 +625,24 @@
   /**
    * Check if a point lies on the boundary of a polygon
    * @param {Array} point - [x, y] coordinate
-   * @param {ol.geom.Polygon} polygon - The polygon to check
+   * @param {ol.geom.Polygon|ol.geom.MultiPolygon} polygon - The polygon to check
    * @returns {boolean}
    */
   function isPointOnPolygonBoundary(point, polygon) {
-    const coords = polygon.getCoordinates()[0];
-    
-    for (let i = 0; i < coords.length - 1; i++) {
-      const segStart = coords[i];
-      const segEnd = coords[i + 1];
-      
-      if (isPointOnLineSegment(point, segStart, segEnd)) {
-        return true;
+    return getRings(polygon).some(function(coords) {
+      for (let i = 0; i < coords.length - 1; i++) {
+        if (isPointOnLineSegment(point, coords[i], coords[i + 1])) {
+          return true;
+        }
       }
-    }
-    
-    return false;
+      return false;
+    });
   }
 
   /**
    * Check if a point is strictly inside a polygon (not on the boundary)
    * @param {Array} point - [x, y] coordinate
-   * @param {ol.geom.Polygon} polygon - The polygon to check
+   * @param {ol.geom.Polygon|ol.geom.MultiPolygon} polygon - The polygon to check
    * @returns {boolean}
    */
   function isPointInsidePolygon(point, polygon) {
@@ -377,44 +651,29 @@
       return false;
     }
 
-    // Use ray casting algorithm for interior check
-    const coords = polygon.getCoordinates()[0];
-    const x = point[0];
-    const y = point[1];
-    let inside = false;
-
-    for (let i = 0, j = coords.length - 2; i < coords.length - 1; j = i++) {
-      const xi = coords[i][0], yi = coords[i][1];
-      const xj = coords[j][0], yj = coords[j][1];
-
-      if (((yi > y) !== (yj > y)) && (x < (xj - xi) * (y - yi) / (yj - yi) + xi)) {
-        inside = !inside;
-      }
-    }
-
-    return inside;
+    return isPointInPolygonArea(point, polygon);
   }
 
   /**
    * Check if edges of two polygons intersect
-   * @param {ol.geom.Polygon} polygon1 
-   * @param {ol.geom.Polygon} polygon2 
+   * @param {ol.geom.Polygon|ol.geom.MultiPolygon} polygon1
+   * @param {ol.geom.Polygon|ol.geom.MultiPolygon} polygon2
    * @returns {boolean}
    */
   function doPolygonEdgesIntersect(polygon1, polygon2) {
-    const coords1 = polygon1.getCoordinates()[0];
-    const coords2 = polygon2.getCoordinates()[0];
-
-    for (let i = 0; i < coords1.length - 1; i++) {
-      const a1 = coords1[i];
-      const a2 = coords1[i + 1];
-
-      for (let j = 0; j < coords2.length - 1; j++) {
-        const b1 = coords2[j];
-        const b2 = coords2[j + 1];
-
-        if (doLineSegmentsIntersect(a1, a2, b1, b2)) {
-          return true;
+    const rings2 = getRings(polygon2);
+
+    for (const coords1 of getRings(polygon1)) {
+      for (let i = 0; i < coords1.length - 1; i++) {
+        const a1 = coords1[i];
+        const a2 = coords1[i + 1];
+
+        for (const coords2 of rings2) {
+          for (let j = 0; j < coords2.length - 1; j++) {
+            if (doLineSegmentsIntersect(a1, a2, coords2[j], coords2[j + 1])) {
+              return true;
+            }
+          }
         }
       }
     }
@@ -485,8 +744,10 @@
   /**
    * Check if two polygons are adjacent (share an edge or touch at more than a single point)
    * Adjacent means they share at least one edge segment, not just touch at a corner
-   * @param {ol.geom.Polygon} polygon1
-   * @param {ol.geom.Polygon} polygon2
+   * For multipolygons, any part of one being adjacent to any part of the other counts.
+   * Holes count too, so a parcel filling another parcel's hole is adjacent to it.
+   * @param {ol.geom.Polygon|ol.geom.MultiPolygon} polygon1
+   * @param {ol.geom.Polygon|ol.geom.MultiPolygon} polygon2
    * @returns {boolean} True if polygons are adjacent
    */
   function arePolygonsAdjacent(polygon1, polygon2) {
@@ -508,9 +769,19 @@
       return false;
     }
 
-    const coords1 = polygon1.getCoordinates()[0];
-    const coords2 = polygon2.getCoordinates()[0];
+    const rings1 = getPolygons(polygon1).flat();
+    const rings2 = getPolygons(polygon2).flat();
+
+    return rings1.some(coords1 => rings2.some(coords2 => areRingsAdjacent(coords1, coords2)));
+  }
 
+  /**
+   * Check if two rings share an edge
+   * @param {Array} coords1 - Closed ring
+   * @param {Array} coords2 - Closed ring
+   * @returns {boolean}
+   */
+  function areRingsAdjacent(coords1, coords2) {
     // Count how many vertices of polygon1 lie on the boundary of polygon2
     let sharedVertexCount = 0;
     let sharedEdgeCount = 0;
@@ -642,64 +913,17 @@
     return visitedCount === n;
   }
 
-  /**
-   * Validate a fill selection before merging
-   * Checks that all selected polygons form a valid contiguous region
-   * @param {Array} selectedPolygons - Array of { geometry: ol.geom.Polygon, ... }
-   * @returns {Object} { valid: boolean, error: string|null }
-   */
-  function validateFillSelection(selectedPolygons) {
-    if (!selectedPolygons || selectedPolygons.length === 0) {
-      return {
-        valid: false,
-        error: 'No polygons selected.'
-      };
-    }
-
-    if (selectedPolygons.length === 1) {
-      // Single polygon is always valid
-      return { valid: true, error: null };
-    }
-
-    // Extract geometries
-    const geometries = selectedPolygons.map(s => {
-      if (s.geometry) {
-        const type = s.geometry.getType();
-        if (type === 'Polygon') {
-          return s.geometry;
-        } else if (type === 'MultiPolygon') {
-          // Convert first polygon of multipolygon
-          const coords = s.geometry.getCoordinates()[0];
-          return new ol.geom.Polygon(coords);
-        }
-      }
-      return null;
-    }).filter(g => g !== null);
-
-    if (geometries.length !== selectedPolygons.length) {
-      return {
-        valid: false,
-        error: 'Some selected features do not have valid polygon geometries.'
-      };
-    }
-
-    // Check contiguity
-    if (!arePolygonsContiguous(geometries)) {
-      return {
-        valid: false,
-        error: 'Selected polygons are not all connected. The red-line boundary must be a single contiguous area.'
-      };
-    }
-
-    return { valid: true, error: null };
-  }
-
   // Export public API
   window.ParcelValidation = {
     validateParcel: validateParcel,
     validateAllParcels: validateAllParcels,
+    getOverlap: getOverlap,
+    getAreaOutsideBoundary: getAreaOutsideBoundary,
+    formatArea: formatArea,
     correctGeometryToBoundary: correctGeometryToBoundary,
     isPolygonWithinBoundary: isPolygonWithinBoundary,
+    isLineWithinBoundary: isLineWithinBoundary,
+    clipLineToBoundary: clipLineToBoundary,
     isPointInsideOrOnBoundary: isPointInsideOrOnBoundary,
     doPolygonsOverlap: doPolygonsOverlap,
     isPointInsidePolygon: isPointInsidePolygon,
@@ -711,7 +935,10 @@
     // Fill tool validation functions
     arePolygonsAdjacent: arePolygonsAdjacent,
     arePolygonsContiguous: arePolygonsContiguous,
-    validateFillSelection: validateFillSelection
+    // Coverage analysis
+    analyseCoverage: analyseCoverage,
+    DEFAULT_SLIVER_MAX_AREA_SQM: DEFAULT_SLIVER_MAX_AREA_SQM,
+    DEFAULT_SLIVER_MAX_WIDTH_M: DEFAULT_SLIVER_MAX_WIDTH_M
   };
 
 })(window);
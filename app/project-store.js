@@ -0,0 +1,126 @@
+//
+// File-backed project store
+// Each project is saved as a JSON file so that boundaries, parcels and their
+// attribution survive closing the browser or restarting the prototype.
+// Set PROJECTS_DIR in .env to change where projects are stored.
+//
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+
+const PROJECTS_DIR = process.env.PROJECTS_DIR || path.join(__dirname, '..', '.projects')
+
+// Session data keys that are stored in a project
+const PROJECT_DATA_KEYS = ['redLineBoundary', 'habitatParcels', 'proposedHabitatParcels']
+
+// Project ids are UUIDs - anything else could escape the projects directory
+const PROJECT_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/
+
+function getProjectPath(id) {
+  if (!PROJECT_ID_PATTERN.test(id)) {
+    return null
+  }
+  return path.join(PROJECTS_DIR, id + '.json')
+}
+
+// Write to a temporary file first so a crash never leaves a half-written project
+function writeProject(project) {
+  fs.mkdirSync(PROJECTS_DIR, { recursive: true })
+  const projectPath = getProjectPath(project.id)
+  const tempPath = projectPath + '.tmp'
+  fs.writeFileSync(tempPath, JSON.stringify(project, null, 2))
+  fs.renameSync(tempPath, projectPath)
+}
+
+// Get a project by id, or null if it doesn't exist
+function getProject(id) {
+  const projectPath = getProjectPath(id)
+  if (!projectPath || !fs.existsSync(projectPath)) {
+    return null
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(projectPath, 'utf8'))
+  } catch (error) {
+    console.error('Could not read project ' + id + ':', error.message)
+    return null
+  }
+}
+
+// List projects without their geometry, most recently updated first
+function listProjects() {
+  if (!fs.existsSync(PROJECTS_DIR)) {
+    return []
+  }
+
+  return fs.readdirSync(PROJECTS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => getProject(path.basename(file, '.json')))
+    .filter(project => project !== null)
+    .map(function(project) {
+      return {
+        id: project.id,
+        name: project.name,
+        createdAt: project.createdAt,
+        updatedAt: project.updatedAt,
+        hasBoundary: !!project.redLineBoundary,
+        baselineParcelCount: ((project.habitatParcels && project.habitatParcels.features) || []).length,
+        proposedParcelCount: ((project.proposedHabitatParcels && project.proposedHabitatParcels.features) || []).length
+      }
+    })
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+}
+
+// Create an empty project
+function createProject(name) {
+  const now = new Date().toISOString()
+  const project = {
+    id: crypto.randomUUID(),
+    name: name,
+    createdAt: now,
+    updatedAt: now
+  }
+  PROJECT_DATA_KEYS.forEach(key => { project[key] = null })
+
+  writeProject(project)
+  return project
+}
+
+// Update a project's data, returning the updated project or null if it doesn't exist
+function updateProject(id, changes) {
+  const project = getProject(id)
+  if (!project) {
+    return null
+  }
+
+  Object.keys(changes).forEach(function(key) {
+    if (PROJECT_DATA_KEYS.includes(key) || key === 'name') {
+      project[key] = changes[key]
+    }
+  })
+  project.updatedAt = new Date().toISOString()
+
+  writeProject(project)
+  return project
+}
+
+// Delete a project, returning whether it existed
+function deleteProject(id) {
+  const projectPath = getProjectPath(id)
+  if (!projectPath || !fs.existsSync(projectPath)) {
+    return false
+  }
+
+  fs.unlinkSync(projectPath)
+  return true
+}
+
+module.exports = {
+  PROJECT_DATA_KEYS,
+  listProjects,
+  getProject,
+  createProject,
+  updateProject,
+  deleteProject
+}
@@ -9,6 +9,8 @@ require('dotenv').config()
 const govukPrototypeKit = require('govuk-prototype-kit')
 const router = govukPrototypeKit.requests.setupRouter()
 
+const projectStore = require('./project-store')
+
 // Add your routes here
 
 // WFS API test page
@@ -166,12 +168,108 @@ router.get('/api/os/features/:collection/items', async function (req, res) {
   }
 });
 
+// Projects
+// Work is kept in req.session.data while editing and written through to the
+// active project so it can be reopened after the session ends
+
+// Save a value to the session and to the active project, if there is one
+function saveProjectData(req, key, value) {
+  req.session.data[key] = value
+
+  const projectId = req.session.data['activeProjectId']
+  if (!projectId) return
+
+  const project = projectStore.updateProject(projectId, { [key]: value })
+  if (!project) {
+    console.warn(`Active project ${projectId} no longer exists - saved to session only`)
+    delete req.session.data['activeProjectId']
+    delete req.session.data['activeProjectName']
+  }
+}
+
+// The page to continue from when opening a project
+function getProjectNextStep(project) {
+  if (project.proposedHabitatParcels) return '/habitat-parcels-summary'
+  if (project.habitatParcels) return '/on-site-habitat-proposed'
+  if (project.redLineBoundary) return '/on-site-habitat-baseline'
+  return '/define-red-line-boundary'
+}
+
+// List saved projects
+router.get('/projects', function(req, res) {
+  const projects = projectStore.listProjects().map(project => Object.assign({}, project, {
+    updatedAtText: new Date(project.updatedAt).toLocaleString('en-GB', { dateStyle: 'medium', timeStyle: 'short' })
+  }))
+
+  res.render('projects', {
+    projects: projects,
+    activeProjectId: req.session.data['activeProjectId'] || null,
+    error: req.query.error || null
+  })
+})
+
+// List saved projects as JSON
+router.get('/api/projects', function(req, res) {
+  res.json(projectStore.listProjects())
+})
+
+// Create a new project and make it the active project
+router.post('/projects', function(req, res) {
+  const name = (req.body['project-name'] || '').trim()
+
+  if (!name) {
+    return res.redirect('/projects?error=name')
+  }
+
+  const project = projectStore.createProject(name)
+  req.session.data['activeProjectId'] = project.id
+  req.session.data['activeProjectName'] = project.name
+  projectStore.PROJECT_DATA_KEYS.forEach(key => { delete req.session.data[key] })
+  console.log(`Project created: ${project.id}`)
+
+  res.redirect('/define-red-line-boundary')
+})
+
+// Open a project, replacing the session's boundary and parcels with the project's
+router.post('/projects/:id/open', function(req, res) {
+  const project = projectStore.getProject(req.params.id)
+
+  if (!project) {
+    return res.redirect('/projects?error=not-found')
+  }
+
+  req.session.data['activeProjectId'] = project.id
+  req.session.data['activeProjectName'] = project.name
+  projectStore.PROJECT_DATA_KEYS.forEach(function(key) {
+    if (project[key]) {
+      req.session.data[key] = project[key]
+    } else {
+      delete req.session.data[key]
+    }
+  })
+
+  res.redirect(getProjectNextStep(project))
+})
+
+// Delete a project
+router.post('/projects/:id/delete', function(req, res) {
+  projectStore.deleteProject(req.params.id)
+
+  // Keep the work in the session, but stop saving it to the deleted project
+  if (req.session.data['activeProjectId'] === req.params.id) {
+    delete req.session.data['activeProjectId']
+    delete req.session.data['activeProjectName']
+  }
+
+  res.redirect('/projects')
+})
+
 // Red Line Boundary API Endpoints
 
-// Save red line boundary to session
+// Save red line boundary to session and the active project
 router.post('/api/save-red-line-boundary', function(req, res) {
-  req.session.data['redLineBoundary'] = req.body;
-  console.log('Red line boundary saved to session');
+  saveProjectData(req, 'redLineBoundary', req.body);
+  console.log('Red line boundary saved');
   res.json({ success: true, redirect: '/on-site-habitat-baseline' });
 });
 
@@ -183,11 +281,11 @@ router.get('/api/red-line-boundary', function(req, res) {
 
 // Habitat Parcels API Endpoints
 
-// Save habitat parcels to session
+// Save habitat parcels to session and the active project
 router.post('/api/save-habitat-parcels', function(req, res) {
-  req.session.data['habitatParcels'] = req.body;
-  console.log('Habitat parcels saved to session');
-  res.json({ success: true, redirect: '/habitat-parcels-summary' });
+  saveProjectData(req, 'habitatParcels', req.body);
+  console.log('Habitat parcels saved');
+  res.json({ success: true, redirect: '/on-site-habitat-proposed' });
 });
 
 // Get habitat parcels from session
@@ -195,3 +293,294 @@ router.get('/api/habitat-parcels', function(req, res) {
   const parcels = req.session.data['habitatParcels'] || null;
   res.json(parcels);
 });
+
+// Proposed (post-development) Habitat Parcels API Endpoints
+
+// Save proposed habitat parcels to session and the active project
+router.post('/api/save-proposed-habitat-parcels', function(req, res) {
+  saveProjectData(req, 'proposedHabitatParcels', req.body);
+  console.log('Proposed habitat parcels saved');
+  res.json({ success: true, redirect: '/habitat-parcels-summary' });
+});
+
+// Get proposed habitat parcels from session
+router.get('/api/proposed-habitat-parcels', function(req, res) {
+  const parcels = req.session.data['proposedHabitatParcels'] || null;
+  res.json(parcels);
+});
+
+
+// Net Gain Summary
+
+// Statutory biodiversity net gain objective (percentage uplift on baseline units)
+const NET_GAIN_TARGET_PERCENT = 10
+
+// Web Mercator sphere radius and the mean Earth radius used for geodesic areas
+const WEB_MERCATOR_RADIUS = 6378137
+const EARTH_RADIUS = 6371008.8
+
+// Geodesic area of a GeoJSON Polygon/MultiPolygon saved in EPSG:3857, in square metres
+// Web Mercator stretches lengths by around 1.6 times in England, so planar areas overstate
+// ground area around 2.6 times. This is only a fallback - the map pages save areas
+// measured in British National Grid
+function getGeometryAreaSqM(geometry) {
+  if (!geometry) return 0
+
+  const toLonLatRadians = function(coord) {
+    return [
+      coord[0] / WEB_MERCATOR_RADIUS,
+      2 * Math.atan(Math.exp(coord[1] / WEB_MERCATOR_RADIUS)) - Math.PI / 2
+    ]
+  }
+
+  // Spherical polygon area, as used by ol/sphere getArea
+  const ringArea = function(ring) {
+    const points = ring.map(toLonLatRadians)
+    let area = 0
+    let previous = points[points.length - 1]
+    for (let i = 0; i < points.length; i++) {
+      const point = points[i]
+      area += (point[0] - previous[0]) * (2 + Math.sin(previous[1]) + Math.sin(point[1]))
+      previous = point
+    }
+    return Math.abs(area * EARTH_RADIUS * EARTH_RADIUS / 2)
+  }
+
+  // Exterior ring minus any holes
+  const polygonArea = function(rings) {
+    return rings.reduce((sum, ring, index) => index === 0 ? ringArea(ring) : sum - ringArea(ring), 0)
+  }
+
+  if (geometry.type === 'Polygon') {
+    return polygonArea(geometry.coordinates)
+  }
+  if (geometry.type === 'MultiPolygon') {
+    return geometry.coordinates.reduce((sum, rings) => sum + polygonArea(rings), 0)
+  }
+  return 0
+}
+
+// Get the saved features for one BNG module ('area', 'hedgerow', ...)
+// Parcels saved before linear modules existed have no module and are area habitats
+function getModuleFeatures(featureCollection, module) {
+  const features = (featureCollection && featureCollection.features) || []
+  return features.filter(function(feature) {
+    const bng = (feature.properties && feature.properties.bng) || {}
+    return (bng.module || 'area') === module
+  })
+}
+
+// Get the baseline parcel numbers by parcel id, for proposed parcels' links to what they replace
+// Baselines saved before parcels had ids were linked to by their index
+function getBaselineParcelNumbers(featureCollection) {
+  const numbers = {}
+  getModuleFeatures(featureCollection, 'area').forEach(function(feature, index) {
+    const bng = (feature.properties && feature.properties.bng) || {}
+    numbers[bng.id !== undefined ? bng.id : index] = index + 1
+  })
+  return numbers
+}
+
+// Build summary rows and totals for a saved parcels FeatureCollection
+// baselineCollection is the saved baseline, when summarising proposed parcels
+function summariseParcels(featureCollection, editUrl, baselineCollection) {
+  const features = getModuleFeatures(featureCollection, 'area')
+  const baselineNumbers = getBaselineParcelNumbers(baselineCollection)
+  let totalAreaHa = 0
+  let totalUnits = 0
+
+  const rows = features.map(function(feature, index) {
+    const properties = feature.properties || {}
+    const bng = properties.bng || {}
+    const areaHa = properties.areaHectares !== undefined
+      ? properties.areaHectares
+      : getGeometryAreaSqM(feature.geometry) / 10000
+    const units = typeof bng.biodiversityUnits === 'number' ? bng.biodiversityUnits : null
+
+    totalAreaHa += areaHa
+    if (units !== null) {
+      totalUnits += units
+    }
+
+    return {
+      number: index + 1,
+      areaHa: areaHa.toFixed(2),
+      broadHabitat: bng.broadHabitat || null,
+      habitatType: bng.habitatType || null,
+      distinctiveness: bng.distinctiveness || null,
+      condition: bng.condition || null,
+      interventionType: bng.interventionType || null,
+      replacesBaselineParcels: (bng.replacesBaselineParcels || [])
+        .map(id => baselineNumbers[id])
+        .filter(number => number !== undefined),
+      irreplaceable: !!bng.irreplaceable,
+      units: units !== null ? units.toFixed(2) : null,
+      editUrl: editUrl + '?parcel=' + index
+    }
+  })
+
+  return {
+    rows: rows,
+    count: rows.length,
+    totalAreaHa: totalAreaHa,
+    totalUnits: totalUnits,
+    irreplaceableCount: rows.filter(row => row.irreplaceable).length
+  }
+}
+
+// Build summary rows and totals for a linear module (hedgerows or watercourses)
+function summariseLinearFeatures(featureCollection, module, editUrl) {
+  const features = getModuleFeatures(featureCollection, module)
+  let totalLengthKm = 0
+  let totalUnits = 0
+
+  const rows = features.map(function(feature, index) {
+    const properties = feature.properties || {}
+    const bng = properties.bng || {}
+    const lengthKm = properties.lengthKm || 0
+    const units = typeof bng.biodiversityUnits === 'number' ? bng.biodiversityUnits : null
+
+    totalLengthKm += lengthKm
+    if (units !== null) {
+      totalUnits += units
+    }
+
+    return {
+      number: index + 1,
+      lengthKm: lengthKm.toFixed(3),
+      habitatType: bng.habitatType || null,
+      distinctiveness: bng.distinctiveness || null,
+      condition: bng.condition || null,
+      watercourseEncroachment: bng.watercourseEncroachment || null,
+      riparianEncroachment: bng.riparianEncroachment || null,
+      units: units !== null ? units.toFixed(2) : null,
+      editUrl: editUrl + '?' + module + '=' + index
+    }
+  })
+
+  return {
+    rows: rows,
+    count: rows.length,
+    totalLengthKm: totalLengthKm.toFixed(3),
+    totalUnits: totalUnits
+  }
+}
+
+// Build summary rows and totals for individual trees
+// Tree units count towards area habitat units, but trees don't cover any parcel area
+function summariseTrees(featureCollection, editUrl) {
+  const features = getModuleFeatures(featureCollection, 'tree')
+  let totalAreaHa = 0
+  let totalUnits = 0
+
+  const rows = features.map(function(feature, index) {
+    const properties = feature.properties || {}
+    const bng = properties.bng || {}
+    const areaHa = properties.areaEquivalentHa || 0
+    const units = typeof bng.biodiversityUnits === 'number' ? bng.biodiversityUnits : null
+
+    totalAreaHa += areaHa
+    if (units !== null) {
+      totalUnits += units
+    }
+
+    return {
+      number: index + 1,
+      habitatType: bng.habitatType || null,
+      sizeClass: bng.sizeClass || null,
+      areaHa: areaHa.toFixed(4),
+      distinctiveness: bng.distinctiveness || null,
+      condition: bng.condition || null,
+      units: units !== null ? units.toFixed(2) : null,
+      editUrl: editUrl + '?tree=' + index
+    }
+  })
+
+  return {
+    rows: rows,
+    count: rows.length,
+    totalAreaHa: totalAreaHa.toFixed(4),
+    totalUnits: totalUnits
+  }
+}
+
+// Net change in units between baseline and post-development, as units and a percentage
+function getNetChange(baselineUnits, proposedUnits) {
+  const netChangeUnits = proposedUnits - baselineUnits
+  return {
+    units: netChangeUnits.toFixed(2),
+    percent: baselineUnits > 0 ? ((netChangeUnits / baselineUnits) * 100).toFixed(2) : null
+  }
+}
+
+// Summary of the red line boundary, baseline and proposed habitat parcels
+router.get('/habitat-parcels-summary', function(req, res) {
+  const boundary = req.session.data['redLineBoundary'] || null
+
+  if (!boundary) {
+    return res.redirect('/define-red-line-boundary')
+  }
+
+  const boundaryProperties = boundary.properties || {}
+  const siteAreaHa = boundaryProperties.areaHectares !== undefined
+    ? boundaryProperties.areaHectares
+    : getGeometryAreaSqM(boundary.geometry) / 10000
+  const baseline = summariseParcels(req.session.data['habitatParcels'], '/on-site-habitat-baseline')
+  const proposed = summariseParcels(req.session.data['proposedHabitatParcels'], '/on-site-habitat-proposed', req.session.data['habitatParcels'])
+  const baselineTrees = summariseTrees(req.session.data['habitatParcels'], '/on-site-habitat-baseline')
+  const proposedTrees = summariseTrees(req.session.data['proposedHabitatParcels'], '/on-site-habitat-proposed')
+  const baselineHedgerows = summariseLinearFeatures(req.session.data['habitatParcels'], 'hedgerow', '/on-site-habitat-baseline')
+  const proposedHedgerows = summariseLinearFeatures(req.session.data['proposedHabitatParcels'], 'hedgerow', '/on-site-habitat-proposed')
+  const baselineWatercourses = summariseLinearFeatures(req.session.data['habitatParcels'], 'watercourse', '/on-site-habitat-baseline')
+  const proposedWatercourses = summariseLinearFeatures(req.session.data['proposedHabitatParcels'], 'watercourse', '/on-site-habitat-proposed')
+
+  // Compare using the rounded values shown to the user, as the map pages do
+  const unassignedHa = Math.round((siteAreaHa - baseline.totalAreaHa) * 100) / 100
+
+  // Area habitat units include individual trees
+  const baselineAreaUnits = baseline.totalUnits + baselineTrees.totalUnits
+  const proposedAreaUnits = proposed.totalUnits + proposedTrees.totalUnits
+  const hasProposedAreaHabitats = proposed.count > 0 || proposedTrees.count > 0
+
+  const netChange = baseline.count > 0 && hasProposedAreaHabitats
+    ? getNetChange(baselineAreaUnits, proposedAreaUnits)
+    : null
+
+  // Hedgerow and watercourse units are reported separately and never added to area habitat units
+  const hedgerowNetChange = baselineHedgerows.count > 0 && proposedHedgerows.count > 0
+    ? getNetChange(baselineHedgerows.totalUnits, proposedHedgerows.totalUnits)
+    : null
+  const watercourseNetChange = baselineWatercourses.count > 0 && proposedWatercourses.count > 0
+    ? getNetChange(baselineWatercourses.totalUnits, proposedWatercourses.totalUnits)
+    : null
+
+  res.render('habitat-parcels-summary', {
+    siteAreaHa: siteAreaHa.toFixed(2),
+    assignedAreaHa: baseline.totalAreaHa.toFixed(2),
+    unassignedHa: unassignedHa.toFixed(2),
+    areaFullyAssigned: unassignedHa === 0,
+    areaOverAssigned: unassignedHa < 0,
+    baseline: baseline,
+    baselineTotalUnits: baselineAreaUnits.toFixed(2),
+    proposed: proposed,
+    proposedTotalUnits: proposedAreaUnits.toFixed(2),
+    hasProposedAreaHabitats: hasProposedAreaHabitats,
+    baselineTrees: baselineTrees,
+    proposedTrees: proposedTrees,
+    proposedAreaHa: proposed.totalAreaHa.toFixed(2),
+    netChangeUnits: netChange ? netChange.units : null,
+    netChangePercent: netChange ? netChange.percent : null,
+    meetsNetGainTarget: !!netChange && netChange.percent !== null && parseFloat(netChange.percent) >= NET_GAIN_TARGET_PERCENT,
+    baselineHedgerows: baselineHedgerows,
+    baselineHedgerowUnits: baselineHedgerows.totalUnits.toFixed(2),
+    proposedHedgerows: proposedHedgerows,
+    proposedHedgerowUnits: proposedHedgerows.totalUnits.toFixed(2),
+    hedgerowNetChange: hedgerowNetChange,
+    baselineWatercourses: baselineWatercourses,
+    baselineWatercourseUnits: baselineWatercourses.totalUnits.toFixed(2),
+    proposedWatercourses: proposedWatercourses,
+    proposedWatercourseUnits: proposedWatercourses.totalUnits.toFixed(2),
+    watercourseNetChange: watercourseNetChange,
+    netGainTargetPercent: NET_GAIN_TARGET_PERCENT
+  })
+})